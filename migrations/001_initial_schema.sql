@@ -0,0 +1,59 @@
+-- Core tables: business profiles and the conversation log.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS user_profiles (
+    user_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    mobile_number TEXT NOT NULL UNIQUE,
+    language_pref TEXT DEFAULT 'Hinglish',
+
+    -- Tier 1 - Basic identity
+    business_type TEXT,
+    location_city TEXT,
+    location_state TEXT,
+
+    -- Tier 2 - Operational
+    monthly_revenue INTEGER,
+    peak_hours JSONB DEFAULT '[]'::jsonb,
+    peak_days JSONB DEFAULT '[]'::jsonb,
+    top_products JSONB DEFAULT '[]'::jsonb,
+    staff_count INTEGER,
+    staff_roles JSONB DEFAULT '[]'::jsonb,
+    supplier_name TEXT,
+    inventory_source TEXT,
+
+    -- Tier 3 - Tools & platforms
+    payment_methods JSONB DEFAULT '[]'::jsonb,
+    ad_channels JSONB DEFAULT '[]'::jsonb,
+    platforms_used JSONB DEFAULT '[]'::jsonb,
+    past_campaigns JSONB DEFAULT '[]'::jsonb,
+
+    -- Tier 4 - Strategy
+    goals JSONB DEFAULT '[]'::jsonb,
+    challenges JSONB DEFAULT '[]'::jsonb,
+    pricing_model TEXT,
+
+    profile_completion_score INTEGER DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    last_profile_update TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS conversation_logs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES user_profiles(user_id) ON DELETE CASCADE,
+    session_id TEXT,
+    user_message TEXT NOT NULL,
+    ai_response TEXT,
+    extracted_info JSONB DEFAULT '{}'::jsonb,
+    profile_updates JSONB DEFAULT '[]'::jsonb,
+    context_used TEXT,
+    response_time_ms INTEGER,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS conversation_logs_user_session_idx
+    ON conversation_logs (user_id, session_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS user_profiles_created_at_idx
+    ON user_profiles (created_at DESC);
@@ -0,0 +1,5 @@
+-- Voice-note input: how a message arrived and what the transcriber heard.
+
+ALTER TABLE conversation_logs
+    ADD COLUMN IF NOT EXISTS input_type TEXT NOT NULL DEFAULT 'text',
+    ADD COLUMN IF NOT EXISTS transcript TEXT;
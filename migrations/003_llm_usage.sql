@@ -0,0 +1,32 @@
+-- Monthly LLM token and cost rollup per user, used for budgets.
+
+CREATE TABLE IF NOT EXISTS llm_usage_monthly (
+    user_id UUID NOT NULL REFERENCES user_profiles(user_id) ON DELETE CASCADE,
+    month DATE NOT NULL,
+    prompt_tokens BIGINT NOT NULL DEFAULT 0,
+    completion_tokens BIGINT NOT NULL DEFAULT 0,
+    request_count INTEGER NOT NULL DEFAULT 0,
+    cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (user_id, month)
+);
+
+-- Atomic increment so concurrent requests don't lose counts
+CREATE OR REPLACE FUNCTION record_llm_usage(
+    p_user_id UUID,
+    p_month DATE,
+    p_prompt_tokens INTEGER,
+    p_completion_tokens INTEGER,
+    p_cost_usd NUMERIC
+) RETURNS SETOF llm_usage_monthly
+LANGUAGE sql AS $$
+    INSERT INTO llm_usage_monthly AS u (user_id, month, prompt_tokens, completion_tokens, request_count, cost_usd)
+    VALUES (p_user_id, p_month, p_prompt_tokens, p_completion_tokens, 1, p_cost_usd)
+    ON CONFLICT (user_id, month) DO UPDATE SET
+        prompt_tokens = u.prompt_tokens + EXCLUDED.prompt_tokens,
+        completion_tokens = u.completion_tokens + EXCLUDED.completion_tokens,
+        request_count = u.request_count + 1,
+        cost_usd = u.cost_usd + EXCLUDED.cost_usd,
+        updated_at = now()
+    RETURNING *;
+$$;
@@ -0,0 +1,24 @@
+-- Every profile field change, where it came from, and whether it was undone.
+-- old_value/new_value hold the JSON encoding of the field so strings, numbers
+-- and arrays round-trip the same way on every storage backend.
+
+CREATE TABLE IF NOT EXISTS profile_changes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES user_profiles(user_id) ON DELETE CASCADE,
+    field TEXT NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+    source TEXT NOT NULL CHECK (source IN ('ai', 'user')),
+    -- conversation_logs.id of the message that caused the change (AI changes)
+    conversation_log_id UUID,
+    -- profile_changes.id this change undid, for reverts
+    reverts_change_id UUID,
+    reverted_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS profile_changes_user_idx
+    ON profile_changes (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS profile_changes_conversation_idx
+    ON profile_changes (conversation_log_id);
@@ -0,0 +1,18 @@
+-- Low-confidence extracted values held until the owner accepts or rejects them.
+-- value holds the JSON encoding of the field, like profile_changes.
+
+CREATE TABLE IF NOT EXISTS pending_profile_updates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES user_profiles(user_id) ON DELETE CASCADE,
+    field TEXT NOT NULL,
+    value TEXT NOT NULL,
+    confidence NUMERIC(4, 3),
+    conversation_log_id UUID,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'rejected', 'superseded')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    resolved_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS pending_profile_updates_user_idx
+    ON pending_profile_updates (user_id, status, created_at DESC);
@@ -0,0 +1,17 @@
+-- Dated business numbers reported in chat or through the metrics API.
+
+CREATE TABLE IF NOT EXISTS business_metrics (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES user_profiles(user_id) ON DELETE CASCADE,
+    metric TEXT NOT NULL CHECK (metric IN ('revenue', 'footfall', 'orders', 'avg_ticket')),
+    value NUMERIC(14, 2) NOT NULL CHECK (value >= 0),
+    -- What the value covers: a day, a week or a month of business
+    period TEXT NOT NULL DEFAULT 'month' CHECK (period IN ('day', 'week', 'month')),
+    observed_on DATE NOT NULL DEFAULT CURRENT_DATE,
+    source TEXT NOT NULL DEFAULT 'ai' CHECK (source IN ('ai', 'user')),
+    conversation_log_id UUID,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS business_metrics_user_idx
+    ON business_metrics (user_id, metric, observed_on DESC);
@@ -0,0 +1,41 @@
+-- Business goals with a target, a deadline and an AI-generated action plan.
+
+CREATE TABLE IF NOT EXISTS business_goals (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES user_profiles(user_id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    -- Optional business_metrics.metric the goal is measured by
+    target_metric TEXT CHECK (target_metric IS NULL OR target_metric IN ('revenue', 'footfall', 'orders', 'avg_ticket')),
+    target_value NUMERIC(14, 2),
+    -- Monthly value of target_metric when the goal was set
+    baseline_value NUMERIC(14, 2),
+    deadline DATE,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'abandoned')),
+    source TEXT NOT NULL DEFAULT 'user' CHECK (source IN ('ai', 'user')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS business_goals_user_idx
+    ON business_goals (user_id, status);
+
+CREATE TABLE IF NOT EXISTS goal_steps (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    goal_id UUID NOT NULL REFERENCES business_goals(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES user_profiles(user_id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    description TEXT NOT NULL,
+    due_date DATE,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'done', 'skipped')),
+    -- When the advisor last asked about this step, so check-ins don't repeat every message
+    last_reminded_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS goal_steps_goal_idx
+    ON goal_steps (goal_id, position);
+
+CREATE INDEX IF NOT EXISTS goal_steps_user_due_idx
+    ON goal_steps (user_id, status, due_date);
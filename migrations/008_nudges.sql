@@ -0,0 +1,29 @@
+-- Proactive nudges (festival campaign suggestions) and each owner's delivery preferences.
+
+ALTER TABLE user_profiles
+    ADD COLUMN IF NOT EXISTS nudges_opt_out BOOLEAN NOT NULL DEFAULT false,
+    -- Local hours (0-23) when nothing is sent; NULL uses NUDGE_QUIET_HOURS
+    ADD COLUMN IF NOT EXISTS quiet_hours_start SMALLINT CHECK (quiet_hours_start IS NULL OR quiet_hours_start BETWEEN 0 AND 23),
+    ADD COLUMN IF NOT EXISTS quiet_hours_end SMALLINT CHECK (quiet_hours_end IS NULL OR quiet_hours_end BETWEEN 0 AND 23);
+
+CREATE TABLE IF NOT EXISTS nudges (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES user_profiles(user_id) ON DELETE CASCADE,
+    kind TEXT NOT NULL DEFAULT 'festival_campaign',
+    festival_id TEXT,
+    occasion_date DATE,
+    message TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'sent', 'failed', 'cancelled')),
+    channel TEXT,
+    scheduled_for TIMESTAMPTZ NOT NULL DEFAULT now(),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    -- One campaign suggestion per festival date per owner
+    UNIQUE (user_id, festival_id, occasion_date)
+);
+
+CREATE INDEX IF NOT EXISTS nudges_due_idx
+    ON nudges (status, scheduled_for);
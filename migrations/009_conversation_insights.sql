@@ -0,0 +1,93 @@
+-- Per-message classification written at extraction time, and the per-user
+-- aggregations behind GET /analytics so analytics never reads whole log rows.
+
+ALTER TABLE conversation_logs
+    ADD COLUMN IF NOT EXISTS topics JSONB NOT NULL DEFAULT '[]'::jsonb,
+    -- -1 negative, 0 neutral, 1 positive; NULL when the message wasn't classified
+    ADD COLUMN IF NOT EXISTS sentiment SMALLINT CHECK (sentiment IS NULL OR sentiment BETWEEN -1 AND 1),
+    ADD COLUMN IF NOT EXISTS acted_on_suggestion BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS conversation_logs_user_created_idx
+    ON conversation_logs (user_id, created_at);
+
+-- How often each classified topic came up
+CREATE OR REPLACE FUNCTION conversation_topic_counts(
+    p_user_id UUID,
+    p_since TIMESTAMPTZ
+) RETURNS TABLE (topic TEXT, conversations BIGINT)
+LANGUAGE sql STABLE AS $$
+    SELECT t.name, count(*)
+    FROM conversation_logs l
+    CROSS JOIN LATERAL jsonb_array_elements_text(l.topics) AS t(name)
+    WHERE l.user_id = p_user_id AND l.created_at >= p_since
+    GROUP BY t.name
+    ORDER BY count(*) DESC, t.name;
+$$;
+
+-- One row per active week (weeks start on Monday). A session is a run of
+-- messages with no gap longer than p_session_gap.
+CREATE OR REPLACE FUNCTION conversation_weekly_activity(
+    p_user_id UUID,
+    p_since TIMESTAMPTZ,
+    p_session_gap INTERVAL DEFAULT INTERVAL '30 minutes'
+) RETURNS TABLE (
+    week DATE,
+    conversations BIGINT,
+    sessions BIGINT,
+    active_days BIGINT,
+    avg_sentiment NUMERIC,
+    suggestions_acted_on BIGINT
+)
+LANGUAGE sql STABLE AS $$
+    WITH turns AS (
+        SELECT
+            created_at,
+            sentiment,
+            acted_on_suggestion,
+            CASE
+                WHEN lag(created_at) OVER (ORDER BY created_at) IS NULL
+                  OR created_at - lag(created_at) OVER (ORDER BY created_at) > p_session_gap
+                THEN 1 ELSE 0
+            END AS starts_session
+        FROM conversation_logs
+        WHERE user_id = p_user_id AND created_at >= p_since
+    )
+    SELECT
+        date_trunc('week', created_at)::date,
+        count(*),
+        sum(starts_session),
+        count(DISTINCT created_at::date),
+        round(avg(sentiment), 2),
+        count(*) FILTER (WHERE acted_on_suggestion)
+    FROM turns
+    GROUP BY 1
+    ORDER BY 1;
+$$;
+
+-- Window totals plus the user's first and last message ever, for retention
+CREATE OR REPLACE FUNCTION conversation_engagement_summary(
+    p_user_id UUID,
+    p_since TIMESTAMPTZ
+) RETURNS TABLE (
+    total_conversations BIGINT,
+    avg_response_time_ms NUMERIC,
+    positive BIGINT,
+    neutral BIGINT,
+    negative BIGINT,
+    suggestions_acted_on BIGINT,
+    first_seen_at TIMESTAMPTZ,
+    last_seen_at TIMESTAMPTZ
+)
+LANGUAGE sql STABLE AS $$
+    SELECT
+        count(*) FILTER (WHERE created_at >= p_since),
+        round(avg(response_time_ms) FILTER (WHERE created_at >= p_since)),
+        count(*) FILTER (WHERE created_at >= p_since AND sentiment > 0),
+        count(*) FILTER (WHERE created_at >= p_since AND sentiment = 0),
+        count(*) FILTER (WHERE created_at >= p_since AND sentiment < 0),
+        count(*) FILTER (WHERE created_at >= p_since AND acted_on_suggestion),
+        min(created_at),
+        max(created_at)
+    FROM conversation_logs
+    WHERE user_id = p_user_id;
+$$;
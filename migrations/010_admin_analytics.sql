@@ -0,0 +1,227 @@
+-- Segment and cohort aggregations for the admin analytics API (src/adminAnalytics.js).
+-- Every function takes the same segment filters; NULL means "any".
+
+-- Monthly revenue bands used for filtering and segmenting
+CREATE OR REPLACE FUNCTION admin_revenue_band(p_revenue INTEGER)
+RETURNS TEXT
+LANGUAGE sql IMMUTABLE AS $$
+    SELECT CASE
+        WHEN p_revenue IS NULL THEN 'unknown'
+        WHEN p_revenue < 50000 THEN 'under_50k'
+        WHEN p_revenue < 200000 THEN '50k_2l'
+        WHEN p_revenue < 1000000 THEN '2l_10l'
+        ELSE '10l_plus'
+    END;
+$$;
+
+-- Profiles in a segment
+CREATE OR REPLACE FUNCTION admin_segment_profiles(
+    p_city TEXT DEFAULT NULL,
+    p_state TEXT DEFAULT NULL,
+    p_business_type TEXT DEFAULT NULL,
+    p_revenue_band TEXT DEFAULT NULL,
+    p_signup_from TIMESTAMPTZ DEFAULT NULL,
+    p_signup_to TIMESTAMPTZ DEFAULT NULL
+) RETURNS SETOF user_profiles
+LANGUAGE sql STABLE AS $$
+    SELECT *
+    FROM user_profiles
+    WHERE (p_city IS NULL OR lower(location_city) = lower(p_city))
+      AND (p_state IS NULL OR lower(location_state) = lower(p_state))
+      AND (p_business_type IS NULL OR lower(business_type) = lower(p_business_type))
+      AND (p_revenue_band IS NULL OR admin_revenue_band(monthly_revenue) = p_revenue_band)
+      AND (p_signup_from IS NULL OR created_at >= p_signup_from)
+      AND (p_signup_to IS NULL OR created_at < p_signup_to);
+$$;
+
+-- Newest profiles in a segment for listing and export, without contact details
+CREATE OR REPLACE FUNCTION admin_segment_profile_list(
+    p_limit INTEGER DEFAULT 100,
+    p_city TEXT DEFAULT NULL,
+    p_state TEXT DEFAULT NULL,
+    p_business_type TEXT DEFAULT NULL,
+    p_revenue_band TEXT DEFAULT NULL,
+    p_signup_from TIMESTAMPTZ DEFAULT NULL,
+    p_signup_to TIMESTAMPTZ DEFAULT NULL
+) RETURNS TABLE (
+    user_id UUID,
+    business_type TEXT,
+    location_city TEXT,
+    location_state TEXT,
+    revenue_band TEXT,
+    profile_completion_score INTEGER,
+    created_at TIMESTAMPTZ
+)
+LANGUAGE sql STABLE AS $$
+    SELECT p.user_id, p.business_type, p.location_city, p.location_state,
+           admin_revenue_band(p.monthly_revenue), p.profile_completion_score, p.created_at
+    FROM admin_segment_profiles(p_city, p_state, p_business_type, p_revenue_band, p_signup_from, p_signup_to) p
+    ORDER BY p.created_at DESC
+    LIMIT p_limit;
+$$;
+
+-- Headline numbers for a segment
+CREATE OR REPLACE FUNCTION admin_segment_overview(
+    p_city TEXT DEFAULT NULL,
+    p_state TEXT DEFAULT NULL,
+    p_business_type TEXT DEFAULT NULL,
+    p_revenue_band TEXT DEFAULT NULL,
+    p_signup_from TIMESTAMPTZ DEFAULT NULL,
+    p_signup_to TIMESTAMPTZ DEFAULT NULL
+) RETURNS TABLE (
+    total_profiles BIGINT,
+    avg_completion NUMERIC,
+    median_completion NUMERIC,
+    with_revenue BIGINT,
+    median_revenue NUMERIC,
+    active_last_30_days BIGINT
+)
+LANGUAGE sql STABLE AS $$
+    SELECT
+        count(*),
+        round(avg(p.profile_completion_score), 1),
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY p.profile_completion_score)::numeric,
+        count(p.monthly_revenue),
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY p.monthly_revenue)::numeric,
+        count(*) FILTER (WHERE EXISTS (
+            SELECT 1 FROM conversation_logs l
+            WHERE l.user_id = p.user_id AND l.created_at >= now() - INTERVAL '30 days'
+        ))
+    FROM admin_segment_profiles(p_city, p_state, p_business_type, p_revenue_band, p_signup_from, p_signup_to) p;
+$$;
+
+-- Profile counts per segment value (business type, city, state or revenue band)
+CREATE OR REPLACE FUNCTION admin_segment_breakdown(
+    p_segment_by TEXT,
+    p_city TEXT DEFAULT NULL,
+    p_state TEXT DEFAULT NULL,
+    p_business_type TEXT DEFAULT NULL,
+    p_revenue_band TEXT DEFAULT NULL,
+    p_signup_from TIMESTAMPTZ DEFAULT NULL,
+    p_signup_to TIMESTAMPTZ DEFAULT NULL
+) RETURNS TABLE (segment TEXT, profiles BIGINT, avg_completion NUMERIC)
+LANGUAGE sql STABLE AS $$
+    SELECT
+        coalesce(CASE p_segment_by
+            WHEN 'location_city' THEN p.location_city
+            WHEN 'location_state' THEN p.location_state
+            WHEN 'revenue_band' THEN admin_revenue_band(p.monthly_revenue)
+            ELSE p.business_type
+        END, 'unknown'),
+        count(*),
+        round(avg(p.profile_completion_score), 1)
+    FROM admin_segment_profiles(p_city, p_state, p_business_type, p_revenue_band, p_signup_from, p_signup_to) p
+    GROUP BY 1
+    ORDER BY 2 DESC, 1;
+$$;
+
+-- Completion scores in buckets of 10 (0-9, 10-19, ... 100)
+CREATE OR REPLACE FUNCTION admin_completion_distribution(
+    p_city TEXT DEFAULT NULL,
+    p_state TEXT DEFAULT NULL,
+    p_business_type TEXT DEFAULT NULL,
+    p_revenue_band TEXT DEFAULT NULL,
+    p_signup_from TIMESTAMPTZ DEFAULT NULL,
+    p_signup_to TIMESTAMPTZ DEFAULT NULL
+) RETURNS TABLE (bucket_start INTEGER, profiles BIGINT)
+LANGUAGE sql STABLE AS $$
+    SELECT (least(coalesce(p.profile_completion_score, 0), 100) / 10) * 10, count(*)
+    FROM admin_segment_profiles(p_city, p_state, p_business_type, p_revenue_band, p_signup_from, p_signup_to) p
+    GROUP BY 1
+    ORDER BY 1;
+$$;
+
+-- Signup cohorts by week and how many of each cohort chatted N weeks after signing up
+CREATE OR REPLACE FUNCTION admin_signup_cohorts(
+    p_city TEXT DEFAULT NULL,
+    p_state TEXT DEFAULT NULL,
+    p_business_type TEXT DEFAULT NULL,
+    p_revenue_band TEXT DEFAULT NULL,
+    p_signup_from TIMESTAMPTZ DEFAULT NULL,
+    p_signup_to TIMESTAMPTZ DEFAULT NULL
+) RETURNS TABLE (cohort_week DATE, signups BIGINT, week_offset INTEGER, active_users BIGINT)
+LANGUAGE sql STABLE AS $$
+    WITH cohort AS (
+        SELECT p.user_id, date_trunc('week', p.created_at)::date AS cohort_week
+        FROM admin_segment_profiles(p_city, p_state, p_business_type, p_revenue_band, p_signup_from, p_signup_to) p
+    ),
+    sizes AS (
+        SELECT cohort_week, count(*) AS signups FROM cohort GROUP BY cohort_week
+    ),
+    activity AS (
+        SELECT DISTINCT
+            c.cohort_week,
+            c.user_id,
+            ((date_trunc('week', l.created_at)::date - c.cohort_week) / 7)::integer AS week_offset
+        FROM cohort c
+        JOIN conversation_logs l ON l.user_id = c.user_id
+    )
+    SELECT s.cohort_week, s.signups, a.week_offset, count(a.user_id)
+    FROM sizes s
+    LEFT JOIN activity a ON a.cohort_week = s.cohort_week AND a.week_offset >= 0
+    GROUP BY s.cohort_week, s.signups, a.week_offset
+    ORDER BY s.cohort_week, a.week_offset;
+$$;
+
+-- Distinct users who chatted each week, with how many of them were new that week
+CREATE OR REPLACE FUNCTION admin_weekly_active_users(
+    p_since TIMESTAMPTZ,
+    p_city TEXT DEFAULT NULL,
+    p_state TEXT DEFAULT NULL,
+    p_business_type TEXT DEFAULT NULL,
+    p_revenue_band TEXT DEFAULT NULL,
+    p_signup_from TIMESTAMPTZ DEFAULT NULL,
+    p_signup_to TIMESTAMPTZ DEFAULT NULL
+) RETURNS TABLE (week DATE, active_users BIGINT, new_users BIGINT, conversations BIGINT)
+LANGUAGE sql STABLE AS $$
+    SELECT
+        date_trunc('week', l.created_at)::date,
+        count(DISTINCT l.user_id),
+        count(DISTINCT l.user_id) FILTER (WHERE date_trunc('week', p.created_at) = date_trunc('week', l.created_at)),
+        count(*)
+    FROM admin_segment_profiles(p_city, p_state, p_business_type, p_revenue_band, p_signup_from, p_signup_to) p
+    JOIN conversation_logs l ON l.user_id = p.user_id
+    WHERE l.created_at >= p_since
+    GROUP BY 1
+    ORDER BY 1;
+$$;
+
+-- Most common challenges or goals, per segment value
+CREATE OR REPLACE FUNCTION admin_top_profile_items(
+    p_field TEXT,
+    p_segment_by TEXT,
+    p_limit INTEGER DEFAULT 5,
+    p_city TEXT DEFAULT NULL,
+    p_state TEXT DEFAULT NULL,
+    p_business_type TEXT DEFAULT NULL,
+    p_revenue_band TEXT DEFAULT NULL,
+    p_signup_from TIMESTAMPTZ DEFAULT NULL,
+    p_signup_to TIMESTAMPTZ DEFAULT NULL
+) RETURNS TABLE (segment TEXT, item TEXT, profiles BIGINT)
+LANGUAGE sql STABLE AS $$
+    WITH items AS (
+        SELECT
+            coalesce(CASE p_segment_by
+                WHEN 'location_city' THEN p.location_city
+                WHEN 'location_state' THEN p.location_state
+                WHEN 'revenue_band' THEN admin_revenue_band(p.monthly_revenue)
+                ELSE p.business_type
+            END, 'unknown') AS segment,
+            lower(trim(i.value)) AS item,
+            count(DISTINCT p.user_id) AS profiles
+        FROM admin_segment_profiles(p_city, p_state, p_business_type, p_revenue_band, p_signup_from, p_signup_to) p
+        CROSS JOIN LATERAL jsonb_array_elements_text(
+            CASE p_field WHEN 'goals' THEN p.goals ELSE p.challenges END
+        ) AS i(value)
+        GROUP BY 1, 2
+    ),
+    ranked AS (
+        SELECT segment, item, profiles,
+               row_number() OVER (PARTITION BY segment ORDER BY profiles DESC, item) AS rank
+        FROM items
+    )
+    SELECT segment, item, profiles
+    FROM ranked
+    WHERE rank <= p_limit
+    ORDER BY segment, profiles DESC, item;
+$$;
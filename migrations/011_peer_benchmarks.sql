@@ -0,0 +1,94 @@
+-- Anonymized peer aggregates for src/peerBenchmarks.js. A cohort is one
+-- business type in one city tier, optionally narrowed to a revenue band
+-- (admin_revenue_band from 010). p_cities is a JSON array of lowercase city
+-- names: the tier's cities when p_in_cities, else the cities to leave out.
+-- Nothing is returned for cohorts smaller than p_min_cohort.
+
+CREATE OR REPLACE FUNCTION peer_cohort(
+    p_business_type TEXT,
+    p_cities JSONB,
+    p_in_cities BOOLEAN,
+    p_revenue_band TEXT DEFAULT NULL,
+    p_exclude_user UUID DEFAULT NULL
+) RETURNS SETOF user_profiles
+LANGUAGE sql STABLE AS $$
+    SELECT *
+    FROM user_profiles
+    WHERE lower(business_type) = lower(p_business_type)
+      AND location_city IS NOT NULL
+      AND (lower(trim(location_city)) IN (SELECT jsonb_array_elements_text(p_cities))) = p_in_cities
+      AND (p_revenue_band IS NULL OR admin_revenue_band(monthly_revenue) = p_revenue_band)
+      AND (p_exclude_user IS NULL OR user_id <> p_exclude_user);
+$$;
+
+CREATE OR REPLACE FUNCTION peer_benchmark_summary(
+    p_business_type TEXT,
+    p_cities JSONB,
+    p_in_cities BOOLEAN,
+    p_min_cohort INTEGER,
+    p_revenue_band TEXT DEFAULT NULL,
+    p_exclude_user UUID DEFAULT NULL
+) RETURNS TABLE (
+    cohort_size BIGINT,
+    revenue_p25 NUMERIC,
+    revenue_median NUMERIC,
+    revenue_p75 NUMERIC,
+    staff_median NUMERIC,
+    avg_completion NUMERIC
+)
+LANGUAGE sql STABLE AS $$
+    WITH cohort AS (
+        SELECT * FROM peer_cohort(p_business_type, p_cities, p_in_cities, p_revenue_band, p_exclude_user)
+    )
+    SELECT
+        count(*),
+        CASE WHEN count(*) >= p_min_cohort THEN percentile_cont(0.25) WITHIN GROUP (ORDER BY monthly_revenue)::numeric END,
+        CASE WHEN count(*) >= p_min_cohort THEN percentile_cont(0.5) WITHIN GROUP (ORDER BY monthly_revenue)::numeric END,
+        CASE WHEN count(*) >= p_min_cohort THEN percentile_cont(0.75) WITHIN GROUP (ORDER BY monthly_revenue)::numeric END,
+        CASE WHEN count(*) >= p_min_cohort THEN percentile_cont(0.5) WITHIN GROUP (ORDER BY staff_count)::numeric END,
+        CASE WHEN count(*) >= p_min_cohort THEN round(avg(profile_completion_score), 1) END
+    FROM cohort;
+$$;
+
+-- Share of the cohort listing each value of a JSONB array field
+-- (platforms_used, ad_channels, payment_methods or peak_days). Values are
+-- matched case-insensitively; label is the most common spelling.
+CREATE OR REPLACE FUNCTION peer_benchmark_items(
+    p_field TEXT,
+    p_business_type TEXT,
+    p_cities JSONB,
+    p_in_cities BOOLEAN,
+    p_min_cohort INTEGER,
+    p_revenue_band TEXT DEFAULT NULL,
+    p_exclude_user UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 5
+) RETURNS TABLE (item TEXT, label TEXT, peers BIGINT, share_pct NUMERIC)
+LANGUAGE sql STABLE AS $$
+    WITH cohort AS (
+        SELECT * FROM peer_cohort(p_business_type, p_cities, p_in_cities, p_revenue_band, p_exclude_user)
+    ),
+    total AS (
+        SELECT count(*) AS size FROM cohort
+    ),
+    values_used AS (
+        SELECT
+            lower(trim(v.value)) AS item,
+            mode() WITHIN GROUP (ORDER BY trim(v.value)) AS label,
+            count(DISTINCT p.user_id) AS peers
+        FROM cohort p
+        CROSS JOIN LATERAL jsonb_array_elements_text(
+            CASE p_field
+                WHEN 'platforms_used' THEN p.platforms_used
+                WHEN 'ad_channels' THEN p.ad_channels
+                WHEN 'payment_methods' THEN p.payment_methods
+                WHEN 'peak_days' THEN p.peak_days
+            END
+        ) AS v(value)
+        GROUP BY 1
+    )
+    SELECT u.item, u.label, u.peers, round(100.0 * u.peers / t.size, 1)
+    FROM values_used u, total t
+    WHERE t.size >= p_min_cohort
+    ORDER BY u.peers DESC, u.item
+    LIMIT p_limit;
+$$;
@@ -0,0 +1,59 @@
+-- Curated MSME knowledge base (schemes, registrations, tax) for retrieval-augmented
+-- replies. Documents are chunked and embedded by src/knowledgeBase.js; the vector
+-- size matches EMBEDDING_DIMENSIONS in src/llmProviders.js.
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+CREATE TABLE IF NOT EXISTS kb_documents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- Path relative to the knowledge directory, or the uploaded file name
+    source TEXT NOT NULL UNIQUE,
+    title TEXT NOT NULL,
+    url TEXT,
+    -- sha256 of the file; unchanged files are skipped on re-ingest
+    checksum TEXT NOT NULL,
+    chunk_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS kb_chunks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    document_id UUID NOT NULL REFERENCES kb_documents(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    heading TEXT,
+    content TEXT NOT NULL,
+    embedding vector(1536) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS kb_chunks_document_idx
+    ON kb_chunks (document_id, position);
+
+CREATE INDEX IF NOT EXISTS kb_chunks_embedding_idx
+    ON kb_chunks USING hnsw (embedding vector_cosine_ops);
+
+-- Closest chunks to a question by cosine similarity (1 = same direction)
+CREATE OR REPLACE FUNCTION match_kb_chunks(
+    p_query_embedding vector(1536),
+    p_match_count INTEGER DEFAULT 4,
+    p_min_similarity DOUBLE PRECISION DEFAULT 0.3
+) RETURNS TABLE (
+    id UUID,
+    document_id UUID,
+    title TEXT,
+    url TEXT,
+    source TEXT,
+    heading TEXT,
+    content TEXT,
+    similarity DOUBLE PRECISION
+)
+LANGUAGE sql STABLE AS $$
+    SELECT c.id, c.document_id, d.title, d.url, d.source, c.heading, c.content,
+           1 - (c.embedding <=> p_query_embedding) AS similarity
+    FROM kb_chunks c
+    JOIN kb_documents d ON d.id = c.document_id
+    WHERE 1 - (c.embedding <=> p_query_embedding) >= p_min_similarity
+    ORDER BY c.embedding <=> p_query_embedding
+    LIMIT p_match_count;
+$$;
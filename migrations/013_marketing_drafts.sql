@@ -0,0 +1,20 @@
+-- Marketing content drafts (WhatsApp broadcasts, Instagram captions, flyers) the owner can edit and reuse.
+
+CREATE TABLE IF NOT EXISTS marketing_drafts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES user_profiles(user_id) ON DELETE CASCADE,
+    format TEXT NOT NULL CHECK (format IN ('whatsapp', 'instagram', 'flyer')),
+    title TEXT NOT NULL,
+    -- Language of the copy; flyers hold a second language inside content
+    language TEXT NOT NULL,
+    -- What the owner asked for, and the festival the copy was written for
+    brief TEXT,
+    festival_id TEXT,
+    -- { message } | { caption, hashtags } | { primary, secondary, contact }
+    content JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS marketing_drafts_user_idx
+    ON marketing_drafts (user_id, format, updated_at DESC);
@@ -0,0 +1,24 @@
+-- Day-to-day bookkeeping: sales, expenses and udhaar (credit) logged by chat or the API.
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES user_profiles(user_id) ON DELETE CASCADE,
+    entry_type TEXT NOT NULL CHECK (entry_type IN ('sale', 'expense', 'credit_given', 'credit_received', 'credit_taken', 'credit_repaid')),
+    amount NUMERIC(14, 2) NOT NULL CHECK (amount > 0),
+    payment_method TEXT CHECK (payment_method IS NULL OR payment_method IN ('cash', 'upi', 'card', 'bank')),
+    -- Customer, supplier or lender, for udhaar
+    party TEXT,
+    description TEXT,
+    entry_date DATE NOT NULL,
+    source TEXT NOT NULL DEFAULT 'ai' CHECK (source IN ('ai', 'user')),
+    -- conversation_logs.id of the message the entry came from
+    conversation_log_id UUID,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS ledger_entries_user_date_idx
+    ON ledger_entries (user_id, entry_date);
+
+-- monthly_revenue can now be estimated from the ledger
+ALTER TABLE profile_changes DROP CONSTRAINT IF EXISTS profile_changes_source_check;
+ALTER TABLE profile_changes ADD CONSTRAINT profile_changes_source_check CHECK (source IN ('ai', 'user', 'ledger'));
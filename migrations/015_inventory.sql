@@ -0,0 +1,36 @@
+-- Stock per item with prices, reorder level and supplier, and every change to it.
+
+CREATE TABLE IF NOT EXISTS inventory_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES user_profiles(user_id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    -- Lowercased name without punctuation, so "Parle G" and "parle-g" are one item
+    name_key TEXT NOT NULL,
+    unit TEXT,
+    quantity NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    -- Rupees per unit
+    cost_price NUMERIC(12, 2),
+    selling_price NUMERIC(12, 2),
+    reorder_level NUMERIC(12, 2),
+    supplier TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (user_id, name_key)
+);
+
+CREATE TABLE IF NOT EXISTS inventory_movements (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    item_id UUID NOT NULL REFERENCES inventory_items(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES user_profiles(user_id) ON DELETE CASCADE,
+    -- restock and sold add or take away; count and edit set the stock outright
+    action TEXT NOT NULL CHECK (action IN ('restock', 'sold', 'count', 'edit')),
+    change NUMERIC(12, 2) NOT NULL,
+    quantity_after NUMERIC(12, 2) NOT NULL,
+    source TEXT NOT NULL DEFAULT 'ai' CHECK (source IN ('ai', 'user')),
+    -- conversation_logs.id of the message the change came from
+    conversation_log_id UUID,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS inventory_movements_item_idx
+    ON inventory_movements (item_id, created_at DESC);
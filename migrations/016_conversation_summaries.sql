@@ -0,0 +1,13 @@
+-- Summary of the turns that no longer fit the replayed history, one per chat session,
+-- so it is rebuilt only when more turns fall out of the window.
+
+CREATE TABLE IF NOT EXISTS conversation_summaries (
+    user_id UUID NOT NULL REFERENCES user_profiles(user_id) ON DELETE CASCADE,
+    -- session_id, or '' for turns sent without one
+    session_key TEXT NOT NULL DEFAULT '',
+    -- conversation_logs.id of the newest turn the summary covers
+    last_log_id UUID NOT NULL,
+    summary TEXT NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (user_id, session_key)
+);
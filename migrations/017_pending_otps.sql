@@ -0,0 +1,10 @@
+-- Login codes waiting to be verified, shared by every server instance and worker.
+-- Only an HMAC of the code is stored.
+
+CREATE TABLE IF NOT EXISTS pending_otps (
+    mobile_number TEXT PRIMARY KEY,
+    otp_hash TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    sent_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
@@ -0,0 +1,7 @@
+-- What was extracted from a message whose reply failed. Chat stores a message's profile facts,
+-- metrics, ledger entries and stock changes only after a successful reply, so a client's retry
+-- doesn't record them twice; the failed turn keeps them here instead of dropping them.
+-- { "error": "truncated" | "failed" } marks a message the extraction could not read at all.
+
+ALTER TABLE conversation_logs
+    ADD COLUMN IF NOT EXISTS pending_extraction JSONB;
@@ -0,0 +1,34 @@
+// Local stand-in for the WhatsApp Graph API send-message endpoint.
+//
+// Run:   node scripts/graphApiStub.js
+// Then start the backend with WHATSAPP_API_URL=http://localhost:4010
+// and post a signed webhook with scripts/sendWhatsAppWebhook.js.
+const express = require('express');
+
+const app = express();
+const PORT = process.env.GRAPH_STUB_PORT || 4010;
+const sent = [];
+
+app.use(express.json());
+
+app.post('/:phoneNumberId/messages', (req, res) => {
+    const id = `wamid.stub.${sent.length + 1}`;
+    sent.push({ id, phone_number_id: req.params.phoneNumberId, ...req.body });
+    console.log(`📤 ${req.body.type} message to ${req.body.to}:`);
+    console.log(JSON.stringify(req.body, null, 2));
+
+    res.json({
+        messaging_product: 'whatsapp',
+        contacts: [{ input: req.body.to, wa_id: req.body.to }],
+        messages: [{ id }]
+    });
+});
+
+// Inspect everything the backend has sent so far
+app.get('/sent', (req, res) => {
+    res.json(sent);
+});
+
+app.listen(PORT, () => {
+    console.log(`🧪 Graph API stub running on port ${PORT}`);
+});
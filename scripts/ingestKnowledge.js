@@ -0,0 +1,26 @@
+// Ingest the curated documents in knowledge/ (or another folder) into the knowledge base.
+// Unchanged files are skipped; --prune removes documents whose file was deleted.
+//
+// Usage: npm run ingest-knowledge -- [folder] [--prune]
+require('dotenv').config();
+const AIService = require('../src/aiService');
+const KnowledgeBase = require('../src/knowledgeBase');
+const { KNOWLEDGE_DIR } = require('../src/knowledgeBase');
+const { createRepository } = require('../src/storage');
+
+async function run() {
+    const args = process.argv.slice(2);
+    const directory = args.find(arg => !arg.startsWith('--')) || KNOWLEDGE_DIR;
+    const knowledgeBase = new KnowledgeBase(createRepository(), new AIService());
+
+    const results = await knowledgeBase.ingestDirectory(directory, { prune: args.includes('--prune') });
+    for (const result of results) {
+        console.log(`${result.status.padEnd(9)} ${result.source}${result.error ? `: ${result.error}` : ` (${result.chunks} chunks)`}`);
+    }
+    if (results.some(result => result.status === 'failed')) process.exitCode = 1;
+}
+
+run().then(() => process.exit(process.exitCode || 0)).catch(error => {
+    console.error('Knowledge ingest failed:', error.message);
+    process.exit(1);
+});
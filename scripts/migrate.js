@@ -0,0 +1,62 @@
+// Apply the SQL files in /migrations in order, once each.
+//
+// Usage: DATABASE_URL=postgres://... npm run migrate
+// Works against a local Postgres or the Postgres behind a Supabase project.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+async function migrate() {
+    if (!process.env.DATABASE_URL) {
+        throw new Error('DATABASE_URL is not set');
+    }
+
+    const client = new Client({ connectionString: process.env.DATABASE_URL });
+    await client.connect();
+
+    try {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version TEXT PRIMARY KEY,
+                applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+            )
+        `);
+
+        const { rows } = await client.query('SELECT version FROM schema_migrations');
+        const applied = new Set(rows.map(row => row.version));
+
+        const files = fs.readdirSync(MIGRATIONS_DIR)
+            .filter(file => file.endsWith('.sql'))
+            .sort();
+
+        for (const file of files) {
+            const version = file.replace(/\.sql$/, '');
+            if (applied.has(version)) continue;
+
+            console.log(`⬆️  Applying ${file}`);
+            const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+
+            await client.query('BEGIN');
+            try {
+                await client.query(sql);
+                await client.query('INSERT INTO schema_migrations (version) VALUES ($1)', [version]);
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw new Error(`${file} failed: ${error.message}`);
+            }
+        }
+
+        console.log('✅ Database is up to date');
+    } finally {
+        await client.end();
+    }
+}
+
+migrate().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,22 @@
+// Run one nudge planning and delivery pass, for cron instead of NUDGES_ENABLED.
+//
+// Usage: npm run nudges
+require('dotenv').config();
+const AIService = require('../src/aiService');
+const UsageTracker = require('../src/usageTracker');
+const NudgeScheduler = require('../src/nudgeScheduler');
+const { createRepository } = require('../src/storage');
+
+async function run() {
+    const repository = createRepository();
+    const aiService = new AIService(undefined, new UsageTracker(repository));
+    const scheduler = new NudgeScheduler({ repository, aiService });
+
+    const { planned, sent } = await scheduler.runOnce();
+    console.log(`Planned ${planned} nudges, sent ${sent}`);
+}
+
+run().then(() => process.exit(0)).catch(error => {
+    console.error('Nudge run failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,69 @@
+// Post a signed WhatsApp webhook payload to a running backend.
+//
+// Usage: node scripts/sendWhatsAppWebhook.js "Hi, I run a salon in Kanpur"
+//        node scripts/sendWhatsAppWebhook.js --button "What's your biggest business challenge?"
+require('dotenv').config();
+const crypto = require('crypto');
+
+const BASE_URL = process.env.BACKEND_URL || 'http://localhost:3000';
+const WA_ID = process.env.TEST_WA_ID || '919876543210';
+
+function buildMessage(args) {
+    const id = `wamid.test.${Date.now()}`;
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    if (args[0] === '--button') {
+        const text = args.slice(1).join(' ');
+        return {
+            from: WA_ID, id, timestamp, type: 'interactive',
+            interactive: { type: 'button_reply', button_reply: { id: `suggestion:${text}`, title: text.slice(0, 20) } }
+        };
+    }
+    if (args[0] === '--list') {
+        const text = args.slice(1).join(' ');
+        return {
+            from: WA_ID, id, timestamp, type: 'interactive',
+            interactive: { type: 'list_reply', list_reply: { id: 'row_1', title: text } }
+        };
+    }
+    return { from: WA_ID, id, timestamp, type: 'text', text: { body: args.join(' ') || 'Hello' } };
+}
+
+async function sendWebhook() {
+    const payload = {
+        object: 'whatsapp_business_account',
+        entry: [{
+            id: 'test-business-account',
+            changes: [{
+                field: 'messages',
+                value: {
+                    messaging_product: 'whatsapp',
+                    metadata: { phone_number_id: process.env.WHATSAPP_PHONE_NUMBER_ID || 'test-phone-id' },
+                    contacts: [{ wa_id: WA_ID, profile: { name: 'Test Owner' } }],
+                    messages: [buildMessage(process.argv.slice(2))]
+                }
+            }]
+        }]
+    };
+
+    const body = JSON.stringify(payload);
+    const signature = crypto
+        .createHmac('sha256', process.env.WHATSAPP_APP_SECRET || '')
+        .update(body)
+        .digest('hex');
+
+    const response = await fetch(`${BASE_URL}/webhooks/whatsapp`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Hub-Signature-256': `sha256=${signature}`
+        },
+        body
+    });
+    console.log(`✅ Webhook delivered: ${response.status}`);
+}
+
+sendWebhook().catch(error => {
+    console.error('❌ Webhook failed:', error.message);
+    process.exit(1);
+});
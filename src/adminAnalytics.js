@@ -0,0 +1,245 @@
+const { createRepository } = require('./storage');
+const { toDateString, parseDate, addDays } = require('./dateUtils');
+const { ServiceError } = require('./errors');
+
+// Must match admin_revenue_band() in migrations/010_admin_analytics.sql
+const REVENUE_BANDS = ['under_50k', '50k_2l', '2l_10l', '10l_plus', 'unknown'];
+const SEGMENT_BY = ['business_type', 'location_city', 'location_state', 'revenue_band'];
+const TOP_ITEM_FIELDS = ['challenges', 'goals'];
+
+// Reports available as CSV and the columns written for each
+const CSV_REPORTS = {
+    segments: ['segment', 'profiles', 'avg_completion'],
+    completion: ['bucket', 'profiles'],
+    cohorts: ['cohort_week', 'signups', 'week_offset', 'active_users', 'retention_pct'],
+    active_users: ['week', 'active_users', 'new_users', 'conversations'],
+    challenges: ['segment', 'item', 'profiles'],
+    goals: ['segment', 'item', 'profiles'],
+    profiles: ['user_id', 'business_type', 'location_city', 'location_state', 'revenue_band', 'profile_completion_score', 'created_at']
+};
+
+class AdminAnalyticsError extends ServiceError {}
+
+// Segment, cohort and distribution reports across all profiles, computed by the
+// admin_* SQL functions so nothing loads the whole user table
+class AdminAnalytics {
+    constructor(repository = createRepository()) {
+        this.repository = repository;
+    }
+
+    // Query string -> SQL function arguments. Unknown values are rejected rather than ignored.
+    parseFilters(query = {}) {
+        const filters = {
+            p_city: query.city || null,
+            p_state: query.state || null,
+            p_business_type: query.business_type || null,
+            p_revenue_band: query.revenue_band || null,
+            p_signup_from: null,
+            p_signup_to: null
+        };
+
+        if (filters.p_revenue_band && !REVENUE_BANDS.includes(filters.p_revenue_band)) {
+            throw new AdminAnalyticsError(`revenue_band must be one of ${REVENUE_BANDS.join(', ')}`);
+        }
+        for (const [param, key] of [['p_signup_from', 'signup_from'], ['p_signup_to', 'signup_to']]) {
+            if (!query[key]) continue;
+            const date = parseDate(query[key]);
+            if (!date) throw new AdminAnalyticsError(`${key} must be a YYYY-MM-DD date`);
+            // signup_to is inclusive of the whole day
+            filters[param] = key === 'signup_to' ? addDays(date, 1) : date;
+        }
+
+        return filters;
+    }
+
+    parseSegmentBy(value) {
+        const segmentBy = value || 'business_type';
+        if (!SEGMENT_BY.includes(segmentBy)) {
+            throw new AdminAnalyticsError(`segment_by must be one of ${SEGMENT_BY.join(', ')}`);
+        }
+        return segmentBy;
+    }
+
+    // Everything the dashboard shows for one segment
+    async getDashboard(query = {}) {
+        const filters = this.parseFilters(query);
+        const segmentBy = this.parseSegmentBy(query.segment_by);
+        const weeks = Math.min(Math.max(parseInt(query.weeks) || 12, 1), 52);
+
+        const [overview, segments, completion, cohorts, activeUsers, challenges, goals] = await Promise.all([
+            this.getOverview(filters),
+            this.getSegments(filters, segmentBy),
+            this.getCompletionDistribution(filters),
+            this.getSignupCohorts(filters),
+            this.getWeeklyActiveUsers(filters, weeks),
+            this.getTopItems(filters, 'challenges', segmentBy),
+            this.getTopItems(filters, 'goals', segmentBy)
+        ]);
+
+        return {
+            filters: this.describeFilters(filters),
+            segment_by: segmentBy,
+            overview,
+            segments,
+            completion_distribution: completion,
+            signup_cohorts: cohorts,
+            weekly_active_users: activeUsers,
+            top_challenges: challenges,
+            top_goals: goals
+        };
+    }
+
+    async getOverview(filters) {
+        const [row] = await this.repository.rpc('admin_segment_overview', filters);
+        return {
+            total_profiles: Number(row?.total_profiles) || 0,
+            avg_completion: row?.avg_completion === null || row?.avg_completion === undefined ? null : Number(row.avg_completion),
+            median_completion: row?.median_completion === null || row?.median_completion === undefined ? null : Number(row.median_completion),
+            profiles_with_revenue: Number(row?.with_revenue) || 0,
+            median_monthly_revenue: row?.median_revenue === null || row?.median_revenue === undefined ? null : Number(row.median_revenue),
+            active_last_30_days: Number(row?.active_last_30_days) || 0
+        };
+    }
+
+    async getSegments(filters, segmentBy) {
+        const rows = await this.repository.rpc('admin_segment_breakdown', { p_segment_by: segmentBy, ...filters });
+        return rows.map(row => ({
+            segment: row.segment,
+            profiles: Number(row.profiles),
+            avg_completion: row.avg_completion === null ? null : Number(row.avg_completion)
+        }));
+    }
+
+    // Buckets of 10 points; every bucket is present so charts don't skip
+    async getCompletionDistribution(filters) {
+        const rows = await this.repository.rpc('admin_completion_distribution', filters);
+        const counts = new Map(rows.map(row => [Number(row.bucket_start), Number(row.profiles)]));
+
+        const buckets = [];
+        for (let start = 0; start <= 100; start += 10) {
+            buckets.push({
+                bucket: start === 100 ? '100' : `${start}-${start + 9}`,
+                profiles: counts.get(start) || 0
+            });
+        }
+        return buckets;
+    }
+
+    // One entry per signup week with retention by weeks since signup
+    async getSignupCohorts(filters) {
+        const rows = await this.repository.rpc('admin_signup_cohorts', filters);
+        const cohorts = new Map();
+
+        for (const row of rows) {
+            const week = toDateString(row.cohort_week);
+            const signups = Number(row.signups);
+            if (!cohorts.has(week)) cohorts.set(week, { cohort_week: week, signups, weeks: [] });
+            if (row.week_offset === null) continue;
+
+            cohorts.get(week).weeks.push({
+                week_offset: Number(row.week_offset),
+                active_users: Number(row.active_users),
+                retention_pct: signups > 0 ? Math.round((Number(row.active_users) / signups) * 100) : 0
+            });
+        }
+        return [...cohorts.values()];
+    }
+
+    async getWeeklyActiveUsers(filters, weeks = 12) {
+        const since = new Date(Date.now() - weeks * 7 * 24 * 60 * 60 * 1000).toISOString();
+        const rows = await this.repository.rpc('admin_weekly_active_users', { p_since: since, ...filters });
+        return rows.map(row => ({
+            week: toDateString(row.week),
+            active_users: Number(row.active_users),
+            new_users: Number(row.new_users),
+            conversations: Number(row.conversations)
+        }));
+    }
+
+    // { segment: [{ item, profiles }] } for challenges or goals
+    async getTopItems(filters, field, segmentBy, limit = 5) {
+        if (!TOP_ITEM_FIELDS.includes(field)) throw new AdminAnalyticsError(`Unknown field ${field}`);
+
+        const rows = await this.repository.rpc('admin_top_profile_items', {
+            p_field: field,
+            p_segment_by: segmentBy,
+            p_limit: limit,
+            ...filters
+        });
+
+        const bySegment = {};
+        for (const row of rows) {
+            (bySegment[row.segment] = bySegment[row.segment] || []).push({ item: row.item, profiles: Number(row.profiles) });
+        }
+        return bySegment;
+    }
+
+    // Latest profiles in the segment, without contact details
+    async getProfiles(filters, limit = 100) {
+        return this.repository.rpc('admin_segment_profile_list', { p_limit: limit, ...filters });
+    }
+
+    // Rows for one CSV report, flattened to CSV_REPORTS columns
+    async getReportRows(report, query = {}) {
+        if (!CSV_REPORTS[report]) {
+            throw new AdminAnalyticsError(`report must be one of ${Object.keys(CSV_REPORTS).join(', ')}`, 404);
+        }
+        const filters = this.parseFilters(query);
+        const segmentBy = this.parseSegmentBy(query.segment_by);
+
+        switch (report) {
+            case 'segments':
+                return this.getSegments(filters, segmentBy);
+            case 'completion':
+                return this.getCompletionDistribution(filters);
+            case 'cohorts':
+                return (await this.getSignupCohorts(filters)).flatMap(cohort => cohort.weeks.map(week => ({
+                    cohort_week: cohort.cohort_week,
+                    signups: cohort.signups,
+                    ...week
+                })));
+            case 'active_users':
+                return this.getWeeklyActiveUsers(filters, Math.min(Math.max(parseInt(query.weeks) || 12, 1), 52));
+            case 'challenges':
+            case 'goals': {
+                const bySegment = await this.getTopItems(filters, report, segmentBy, Math.min(Math.max(parseInt(query.limit) || 20, 1), 100));
+                return Object.entries(bySegment).flatMap(([segment, items]) => items.map(item => ({ segment, ...item })));
+            }
+            case 'profiles':
+                return this.getProfiles(filters, Math.min(Math.max(parseInt(query.limit) || 1000, 1), 10000));
+        }
+    }
+
+    async exportCsv(report, query = {}) {
+        const rows = await this.getReportRows(report, query);
+        return this.toCsv(CSV_REPORTS[report], rows);
+    }
+
+    // Free text such as challenges and goals comes from chat, so cells that a spreadsheet would
+    // run as a formula (=, +, -, @, tab, CR) get a leading ' - plain numbers are left alone
+    toCsv(columns, rows) {
+        const escape = value => {
+            if (value === null || value === undefined) return '';
+            let text = value instanceof Date ? value.toISOString() : String(value);
+            if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n') + '\n';
+    }
+
+    // Filters echoed back in the response, with the API's names
+    describeFilters(filters) {
+        return {
+            city: filters.p_city,
+            state: filters.p_state,
+            business_type: filters.p_business_type,
+            revenue_band: filters.p_revenue_band,
+            signup_from: filters.p_signup_from,
+            signup_to: filters.p_signup_to ? addDays(filters.p_signup_to, -1) : null
+        };
+    }
+}
+
+module.exports = AdminAnalytics;
+module.exports.AdminAnalyticsError = AdminAnalyticsError;
+module.exports.REVENUE_BANDS = REVENUE_BANDS;
@@ -1,14 +1,94 @@
-const OpenAI = require('openai');
+const { createProviders } = require('./llmProviders');
+const FestivalCalendar = require('./festivalCalendar');
+const PlaybookLibrary = require('./playbooks');
+const CompletionEngine = require('./completionEngine');
+const {
+    buildExtractionToolSchema,
+    validateProfileUpdate,
+    validateMetricObservations,
+    validateMessageInsights,
+    validateLedgerEntries,
+    validateInventoryUpdates,
+    CONFIDENCE_FIELD,
+    METRICS_FIELD,
+    INSIGHTS_FIELD,
+    LEDGER_FIELD,
+    INVENTORY_FIELD
+} = require('./profileSchema');
+const { t, promptInstruction, normalizeLanguage } = require('./i18n');
+
+// How metric trends are named in the prompt; amounts get a rupee sign
+const TREND_LABELS = {
+    revenue: { label: 'Revenue', amount: true },
+    footfall: { label: 'Customers', amount: false },
+    orders: { label: 'Orders', amount: false },
+    avg_ticket: { label: 'Average bill', amount: true }
+};
+
+// Rough token budget for past turns replayed into the prompt
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET) || 1500;
+
+// Room for the extraction tool call: confidence scores, insights and a busy day's ledger and
+// stock lines take far more than the profile fields alone. A call cut off at this limit is
+// retried once with twice the room.
+const EXTRACTION_MAX_TOKENS = parseInt(process.env.EXTRACTION_MAX_TOKENS) || 1500;
 
 class AIService {
-    constructor() {
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
+    // providers: { extraction, response, enhanced_response, economy, embedding } - see llmProviders.js
+    // usageTracker: optional UsageTracker that records spend and picks the economy model
+    // playbooks: per-business-type questions, tips, insights and prompt notes (playbooks.js)
+    // completion: profile completion scoring and next-best-question (completionEngine.js)
+    constructor(providers = createProviders(), usageTracker = null, calendar = new FestivalCalendar(),
+                playbooks = new PlaybookLibrary(), completion = new CompletionEngine(playbooks)) {
+        this.providers = providers;
+        this.usageTracker = usageTracker;
+        this.calendar = calendar;
+        this.playbooks = playbooks;
+        this.completion = completion;
+    }
+
+    // Provider for a task, swapped for the economy model once the user nears their budget
+    async providerFor(task, userProfile) {
+        if (task !== 'extraction' && this.usageTracker && this.providers.economy && userProfile?.user_id) {
+            const status = await this.usageTracker.getBudgetStatus(userProfile.user_id);
+            if (status !== 'ok') return this.providers.economy;
+        }
+        return this.providers[task];
+    }
+
+    // Run a completion for a task and record what it cost
+    async callModel(task, userProfile, options) {
+        const provider = await this.providerFor(task, userProfile);
+        const response = await provider.chat(options);
+        if (this.usageTracker) await this.usageTracker.record(userProfile?.user_id, response);
+        return response;
+    }
+
+    // Embedding vectors for the knowledge base, one per text. Never swapped for the
+    // economy model - the vectors have to match the ones already stored.
+    async embed(texts, userProfile = null) {
+        const response = await this.providers.embedding.embed(texts);
+        if (this.usageTracker) await this.usageTracker.record(userProfile?.user_id, response);
+        return response.vectors;
+    }
+
+    // Reply used instead of the LLM once the monthly budget is spent
+    budgetExceededResponse(userProfile) {
+        return {
+            content: t(userProfile.language_pref, 'budget_limit_reached'),
+            contextUsed: {},
+            suggestions: [],
+            citations: []
+        };
     }
 
-    // Extract profile information from user message
-    async extractProfileInfo(message, currentProfile) {
+    // Extract profile information from user message via a declared tool schema.
+    // Returns { data, confidence, metrics, insights, ledger, inventory, error } where confidence maps
+    // each field to 0-1, metrics are dated business numbers for metricsService, ledger holds
+    // money in and out for ledgerService and inventory holds stock changes for inventoryService.
+    // error is null, or 'truncated' / 'failed' when nothing could be read from the model's answer.
+    // inventoryItems are the names already in stock, so "Maggi aaye" maps onto "Maggi Noodles".
+    async extractProfileInfo(message, currentProfile, { inventoryItems = [] } = {}) {
         try {
             const extractionPrompt = `
 You are an information extraction expert for Indian small business profiles.
@@ -16,60 +96,90 @@ You are an information extraction expert for Indian small business profiles.
 Current user profile: ${JSON.stringify(currentProfile, null, 2)}
 
 User message: "${message}"
+${inventoryItems.length > 0 ? `\nItems they track stock for: ${inventoryItems.join(', ')}\n` : ''}
+Today's date: ${new Date().toISOString().slice(0, 10)}
 
-Extract ONLY NEW information that can update the user profile. Return a JSON object with only the fields that have new information.
-
-Available fields to extract:
-- business_type (e.g., "salon", "restaurant", "grocery store")
-- location_city, location_state
-- monthly_revenue (number in rupees)
-- peak_hours (array like ["09:00-12:00", "18:00-21:00"])
-- peak_days (array like ["Saturday", "Sunday"])
-- top_products (array of product/service names)
-- staff_count (number)
-- staff_roles (array like ["Manager", "Helper"])
-- supplier_name, inventory_source (text)
-- payment_methods (array like ["Cash", "UPI", "Card"])
-- ad_channels (array like ["WhatsApp", "Facebook", "Flyers"])
-- platforms_used (array like ["Zomato", "Swiggy", "Meesho"])
-- past_campaigns (array of campaign descriptions)
-- goals (array like ["increase sales", "hire staff"])
-- challenges (array like ["low footfall", "competition"])
-- pricing_model ("fixed", "seasonal", "discount-based")
+Call update_business_profile with ONLY NEW information from the message that updates the profile. Leave out every field the message does not mention.
 
 Examples:
 - "I run a salon in Kanpur" → {"business_type": "salon", "location_city": "Kanpur"}
 - "I earn around 80k per month" → {"monthly_revenue": 80000}
 - "I get my stock from Meesho" → {"platforms_used": ["Meesho"], "inventory_source": "Meesho"}
 - "Business is good on weekends" → {"peak_days": ["Saturday", "Sunday"]}
+- "Last month we did 90k, around 40 customers a day" → {"monthly_revenue": 90000, "${METRICS_FIELD}": [{"metric": "revenue", "value": 90000, "period": "month", "observed_on": "<any date last month>"}, {"metric": "footfall", "value": 40, "period": "day"}]}
+- "Aaj 4500 ki sale hui, 1200 ka maal liya, Gupta ji ko 300 udhaar diya" → {"${LEDGER_FIELD}": [{"type": "sale", "amount": 4500}, {"type": "expense", "amount": 1200, "description": "stock"}, {"type": "credit_given", "amount": 300, "party": "Gupta ji"}]}
+- "Maggi ke 5 packet aur aaye, 12 ka padta hai" → {"${INVENTORY_FIELD}": [{"item": "Maggi", "action": "restock", "quantity": 5, "unit": "packet", "cost_price": 12}]}
+
+Also fill ${CONFIDENCE_FIELD} with how sure you are about each field you set, from 0 to 1. Go below 0.7 when the owner is guessing ("maybe", "around", "shayad"), the wording is ambiguous, or the text reads like a garbled voice transcript.
 
-Return only valid JSON, no explanations:
+Always fill ${INSIGHTS_FIELD}, even when there is no new profile information: the topics of the message, the owner's sentiment, and whether they say they acted on earlier advice ("I tried the WhatsApp offer you suggested").
 `;
 
-            const response = await this.openai.chat.completions.create({
-                model: "gpt-4",
-                messages: [{ role: "user", content: extractionPrompt }],
-                temperature: 0.1,
-                max_tokens: 300
-            });
+            const tool = buildExtractionToolSchema();
+            let response;
+            for (const max_tokens of [EXTRACTION_MAX_TOKENS, EXTRACTION_MAX_TOKENS * 2]) {
+                response = await this.callModel('extraction', currentProfile, {
+                    messages: [{ role: "user", content: extractionPrompt }],
+                    tools: [tool],
+                    tool_choice: { type: "function", function: { name: tool.function.name } },
+                    temperature: 0.1,
+                    max_tokens
+                });
+                if (response.finishReason !== 'length') break;
+                console.warn(`⚠️ Extraction tool call cut off at max_tokens=${max_tokens}`);
+            }
+            // Half a tool call is not valid JSON, so there is nothing to salvage
+            if (response.finishReason === 'length') return this.emptyExtraction('truncated');
+
+            const toolCall = response.toolCalls[0];
+            if (!toolCall) return this.emptyExtraction();
+
+            const {
+                [CONFIDENCE_FIELD]: rawConfidence,
+                [METRICS_FIELD]: rawMetrics,
+                [INSIGHTS_FIELD]: rawInsights,
+                [LEDGER_FIELD]: rawLedger,
+                [INVENTORY_FIELD]: rawInventory,
+                ...fields
+            } = JSON.parse(toolCall.arguments);
+            const { data, rejected } = validateProfileUpdate(fields);
+            const { data: metrics, rejected: rejectedMetrics } = validateMetricObservations(rawMetrics);
+            const { data: ledger, rejected: rejectedLedger } = validateLedgerEntries(rawLedger);
+            const { data: inventory, rejected: rejectedInventory } = validateInventoryUpdates(rawInventory);
+            for (const { field, value, reason } of [...rejected, ...rejectedMetrics, ...rejectedLedger, ...rejectedInventory]) {
+                console.warn(`⚠️ Rejected extracted field ${field}=${JSON.stringify(value)}: ${reason}`);
+            }
 
-            const extracted = JSON.parse(response.choices[0].message.content);
-            return extracted || {};
+            // Fields the model didn't rate count as certain
+            const confidence = {};
+            for (const field of Object.keys(data)) {
+                const score = Number(rawConfidence?.[field]);
+                confidence[field] = Number.isFinite(score) ? Math.min(Math.max(score, 0), 1) : 1;
+            }
+            return { data, confidence, metrics, insights: validateMessageInsights(rawInsights), ledger, inventory, error: null };
         } catch (error) {
             console.error('Error extracting profile info:', error);
-            return {};
+            return this.emptyExtraction('failed');
         }
     }
 
-    // Generate AI response using user profile context
-    async generateResponse(message, userProfile) {
+    // extractProfileInfo's answer when the message yields nothing
+    emptyExtraction(error = null) {
+        return { data: {}, confidence: {}, metrics: [], insights: validateMessageInsights(null), ledger: [], inventory: [], error };
+    }
+
+    // Generate AI response using user profile context.
+    // advisorContext carries extra prompt data gathered per turn, e.g. { trends } from metricsService.
+    // When the model can't be reached the reply is an apology with failed: true.
+    async generateResponse(message, userProfile, history = [], advisorContext = {}) {
         try {
-            const systemPrompt = this.buildSystemPrompt(userProfile);
+            const systemPrompt = this.buildSystemPrompt(userProfile, advisorContext);
+            const { messages: historyMessages, summary: historySummary } = await this.buildHistoryMessages(history, userProfile, advisorContext.historySummary);
             
-            const response = await this.openai.chat.completions.create({
-                model: "gpt-4",
+            const response = await this.callModel('response', userProfile, {
                 messages: [
                     { role: "system", content: systemPrompt },
+                    ...historyMessages,
                     { role: "user", content: message }
                 ],
                 temperature: 0.7,
@@ -77,22 +187,350 @@ Return only valid JSON, no explanations:
             });
 
             return {
-                content: response.choices[0].message.content,
+                content: response.content,
                 contextUsed: this.getRelevantContext(userProfile),
-                suggestions: this.generateFollowUpSuggestions(message, userProfile)
+                suggestions: this.generateFollowUpSuggestions(message, userProfile),
+                citations: this.citationsFor(response.content, advisorContext.knowledge),
+                historySummary
             };
         } catch (error) {
             console.error('Error generating AI response:', error);
             return {
-                content: "I'm having trouble processing your request right now. Please try again in a moment.",
+                content: t(userProfile.language_pref, 'error_ai_unavailable'),
                 contextUsed: {},
-                suggestions: []
+                suggestions: [],
+                citations: [],
+                failed: true
+            };
+        }
+    }
+
+    // Stream the AI response, calling onToken for each piece of text.
+    // Resolves with the same shape as generateResponse/generateEnhancedResponse.
+    async streamResponse(message, userProfile, history = [], onToken, { enhanced = false, advisorContext = {} } = {}) {
+        const seasonalContext = enhanced ? this.getSeasonalContext(userProfile) : '';
+        let content = '';
+        let historySummary = null;
+        let failed = false;
+
+        try {
+            const systemPrompt = enhanced
+                ? this.buildEnhancedSystemPrompt(userProfile, seasonalContext, advisorContext)
+                : this.buildSystemPrompt(userProfile, advisorContext);
+            const built = await this.buildHistoryMessages(history, userProfile, advisorContext.historySummary);
+            historySummary = built.summary;
+
+            const provider = await this.providerFor(enhanced ? 'enhanced_response' : 'response', userProfile);
+            const response = await provider.stream({
+                messages: [
+                    { role: "system", content: systemPrompt },
+                    ...built.messages,
+                    { role: "user", content: message }
+                ],
+                temperature: 0.7,
+                max_tokens: 500
+            }, token => {
+                content += token;
+                onToken(token);
+            });
+            if (this.usageTracker) await this.usageTracker.record(userProfile.user_id, response);
+        } catch (error) {
+            console.error('Error streaming AI response:', error);
+            failed = true;
+            // Only replace the answer if nothing has been sent yet
+            if (!content) {
+                content = t(userProfile.language_pref, 'error_ai_unavailable');
+                onToken(content);
+            }
+        }
+
+        const result = {
+            content: content,
+            contextUsed: this.getRelevantContext(userProfile),
+            suggestions: enhanced
+                ? this.generateSmartQuestions(userProfile)
+                : this.generateFollowUpSuggestions(message, userProfile),
+            citations: this.citationsFor(content, advisorContext.knowledge),
+            historySummary,
+            failed
+        };
+        if (enhanced) {
+            result.seasonalTip = seasonalContext ? seasonalContext.trim() : null;
+        }
+        return result;
+    }
+
+    // Rough token estimate (~4 characters per token)
+    estimateTokens(text) {
+        return Math.ceil((text || '').length / 4);
+    }
+
+    // Turn logged conversation rows into chat messages that fit the token budget.
+    // Recent turns are replayed verbatim; anything older is folded into a summary.
+    // cached is the session's stored summary ({ last_log_id, summary }): it is reused until more
+    // turns fall out of the window, then extended with just those turns.
+    // Returns { messages, summary } where summary is a new one to store, or null.
+    async buildHistoryMessages(history, userProfile, cached = null, budget = HISTORY_TOKEN_BUDGET) {
+        if (!history || history.length === 0) return { messages: [], summary: null };
+
+        const recent = [];
+        let usedTokens = 0;
+        let cutoff = history.length;
+
+        for (let i = history.length - 1; i >= 0; i--) {
+            const turn = history[i];
+            const turnTokens = this.estimateTokens(turn.user_message) + this.estimateTokens(turn.ai_response);
+            if (usedTokens + turnTokens > budget) break;
+
+            usedTokens += turnTokens;
+            cutoff = i;
+            recent.unshift(
+                { role: "user", content: turn.user_message },
+                { role: "assistant", content: turn.ai_response }
+            );
+        }
+
+        const older = history.slice(0, cutoff);
+        if (older.length === 0) return { messages: recent, summary: null };
+
+        const lastId = older[older.length - 1].id;
+        let text;
+        let summary = null;
+        if (cached && cached.last_log_id === lastId) {
+            text = cached.summary;
+        } else {
+            // A cached summary that ends inside the window is extended; one covering turns that
+            // are replayed again (shorter recent turns) is rebuilt
+            const seen = cached ? older.findIndex(turn => turn.id === cached.last_log_id) : -1;
+            const replayed = cached && history.slice(cutoff).some(turn => turn.id === cached.last_log_id);
+            const extend = cached && !replayed;
+            text = await this.summarizeTurns(extend ? older.slice(seen + 1) : older, userProfile, extend ? cached.summary : null);
+            if (text && lastId) summary = { last_log_id: lastId, summary: text };
+        }
+        if (!text) {
+            // Fall back to the owner's own words, trimmed
+            text = older.map(turn => `- ${turn.user_message.slice(0, 150)}`).join('\n');
+        }
+
+        return {
+            messages: [
+                { role: "system", content: `Summary of the earlier conversation with this user:\n${text}` },
+                ...recent
+            ],
+            summary
+        };
+    }
+
+    // Summarize older conversation turns into a short paragraph, folding in the summary of
+    // the turns before them when there is one. Returns null if the model call fails.
+    async summarizeTurns(turns, userProfile, previousSummary = null) {
+        const transcript = turns
+            .map(turn => `User: ${turn.user_message}\nPartnur: ${turn.ai_response}`)
+            .join('\n\n');
+        const earlier = previousSummary ? `Summary of what came before:\n${previousSummary}\n\nLater turns:\n` : '';
+
+        try {
+            const response = await this.callModel('response', userProfile, {
+                messages: [{
+                    role: "user",
+                    content: `Summarize this conversation between a small business owner and their advisor in under 120 words. Keep any advice given, numbered steps, and facts the owner shared.\n\n${earlier}${transcript}`
+                }],
+                temperature: 0.3,
+                max_tokens: 200
+            });
+
+            return response.content;
+        } catch (error) {
+            console.error('Error summarizing conversation history:', error);
+            return null;
+        }
+    }
+
+    // Break a goal into concrete steps. Returns [{ description, due_in_days }], or [] on failure.
+    async generateActionPlan(goal, userProfile) {
+        if (this.usageTracker && await this.usageTracker.getBudgetStatus(userProfile.user_id) === 'exceeded') {
+            return [];
+        }
+
+        try {
+            const tool = {
+                type: 'function',
+                function: {
+                    name: 'record_action_plan',
+                    description: 'Record the action plan for the goal as ordered steps.',
+                    parameters: {
+                        type: 'object',
+                        properties: {
+                            steps: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        description: { type: 'string', description: 'One concrete action the owner can do themselves' },
+                                        due_in_days: { type: 'integer', minimum: 1, maximum: 365 }
+                                    },
+                                    required: ['description', 'due_in_days']
+                                }
+                            }
+                        },
+                        required: ['steps']
+                    }
+                }
             };
+
+            const target = goal.target_metric
+                ? `Target: ${goal.target_metric} of ${goal.target_value} per month${goal.baseline_value ? ` (now ${goal.baseline_value})` : ''}`
+                : 'No numeric target';
+            const deadline = goal.deadline ? `Deadline: ${goal.deadline}` : 'No deadline';
+
+            const response = await this.callModel('response', userProfile, {
+                messages: [{
+                    role: "user",
+                    content: `Create an action plan of 3-5 concrete, low-cost steps for this Indian small business owner's goal. Each step should be something they can do themselves within a week or two, in order, with a due date counted in days from today.
+
+Business: ${this.getRelevantContext(userProfile) || 'unknown'}
+Goal: ${goal.title}
+${target}
+${deadline}
+
+${promptInstruction(userProfile.language_pref)} Write the step descriptions that way.`
+                }],
+                tools: [tool],
+                tool_choice: { type: "function", function: { name: tool.function.name } },
+                temperature: 0.4,
+                max_tokens: 500
+            });
+
+            const toolCall = response.toolCalls[0];
+            if (!toolCall) return [];
+
+            const { steps } = JSON.parse(toolCall.arguments);
+            return (Array.isArray(steps) ? steps : [])
+                .filter(step => typeof step?.description === 'string' && step.description.trim())
+                .slice(0, 6)
+                .map(step => ({
+                    description: step.description.trim().slice(0, 300),
+                    due_in_days: Math.min(Math.max(parseInt(step.due_in_days) || 7, 1), 365)
+                }));
+        } catch (error) {
+            console.error('Error generating action plan:', error);
+            return [];
+        }
+    }
+
+    // Short WhatsApp-ready campaign idea for an upcoming festival, or null if it can't be written
+    async generateCampaignSuggestion(festival, userProfile) {
+        if (this.usageTracker && await this.usageTracker.getBudgetStatus(userProfile.user_id) === 'exceeded') {
+            return null;
+        }
+
+        try {
+            const response = await this.callModel('response', userProfile, {
+                messages: [{
+                    role: "user",
+                    content: `You are Partnur, a friendly business advisor. Write a short WhatsApp message (under 80 words) to this small business owner suggesting ONE concrete campaign for ${festival.name} on ${festival.start} (${festival.days_until} days away).
+
+Business: ${this.getRelevantContext(userProfile) || 'small business'}
+Ideas that work for this festival: ${festival.ideas}
+
+Say what to offer, to whom, and what to do this week to prepare. End with one short question offering help. No hashtags.
+${promptInstruction(userProfile.language_pref)}`
+                }],
+                temperature: 0.8,
+                max_tokens: 250
+            });
+
+            return response.content ? response.content.trim() : null;
+        } catch (error) {
+            console.error('Error generating campaign suggestion:', error);
+            return null;
+        }
+    }
+
+    // Ready-to-use marketing copy for one format (see contentGenerator.js for the formats and
+    // their limits). Returns the tool arguments, or null if nothing could be written.
+    async generateMarketingContent(userProfile, { format, brief, festival, languages, limits }) {
+        const copy = () => ({
+            type: 'object',
+            properties: {
+                headline: { type: 'string', description: `Up to ${limits.headline} characters` },
+                body: { type: 'string', description: `Up to ${limits.body} characters` },
+                offer: { type: 'string', description: `The offer in a few words, up to ${limits.offer} characters` },
+                call_to_action: { type: 'string', description: `Up to ${limits.call_to_action} characters` }
+            },
+            required: ['headline', 'body', 'call_to_action']
+        });
+        const schemas = {
+            whatsapp: () => ({
+                properties: { message: { type: 'string', description: `The broadcast message, under ${limits.message} characters` } },
+                required: ['message']
+            }),
+            instagram: () => ({
+                properties: {
+                    caption: { type: 'string', description: 'The caption without hashtags' },
+                    hashtags: { type: 'array', items: { type: 'string' }, description: `Up to ${limits.hashtags} hashtags, local and product ones first` }
+                },
+                required: ['caption', 'hashtags']
+            }),
+            flyer: () => ({
+                properties: {
+                    primary: { ...copy(), description: `Flyer text in ${languages[0]}` },
+                    secondary: { ...copy(), description: `The same flyer text in ${languages[1]}` }
+                },
+                required: ['primary', 'secondary']
+            })
+        };
+        const instructions = {
+            whatsapp: `Write a WhatsApp broadcast message the owner can send to their customers as-is. Friendly, ${limits.message} characters at most, one clear offer or reason to visit, and end with how to order or where to come. A few emojis are fine; no hashtags.`,
+            instagram: `Write an Instagram caption the owner can post as-is: a hook in the first line, the products, and a call to action. Give hashtags separately - mix local (city) tags, product tags and a festival tag if there is one. The caption and hashtags together must stay under ${limits.caption} characters.`,
+            flyer: `Write short, printable flyer copy: a headline, two or three lines of body, the offer and a call to action. Give it twice - first in ${languages[0]}, then the same content in ${languages[1]}. Keep it short enough to read from a distance.`
+        };
+
+        try {
+            const tool = {
+                type: 'function',
+                function: {
+                    name: 'record_marketing_content',
+                    description: `Record the ${format} content.`,
+                    parameters: { type: 'object', ...schemas[format]() }
+                }
+            };
+            const occasion = festival
+                ? `Occasion: ${festival.name} on ${festival.start} (${festival.days_until} days away). Ideas that work: ${festival.ideas}`
+                : 'Occasion: none in particular - a regular promotion';
+
+            const response = await this.callModel('response', userProfile, {
+                messages: [{
+                    role: "user",
+                    content: `${instructions[format]}
+
+Business: ${this.getRelevantContext(userProfile) || 'small business'}
+Top products: ${(userProfile.top_products || []).join(', ') || 'not known'}
+City: ${userProfile.location_city || 'not known'}
+${occasion}
+${brief ? `The owner's brief: "${brief}"` : ''}
+
+Only promise what the owner's brief or the business details support; don't make up prices or discounts they didn't give.
+${format === 'flyer'
+    ? `First version: ${promptInstruction(languages[0])} Second version: ${promptInstruction(languages[1])}`
+    : promptInstruction(languages[0])}`
+                }],
+                tools: [tool],
+                tool_choice: { type: "function", function: { name: tool.function.name } },
+                temperature: 0.8,
+                max_tokens: 700
+            });
+
+            const toolCall = response.toolCalls[0];
+            return toolCall ? JSON.parse(toolCall.arguments) : null;
+        } catch (error) {
+            console.error('Error generating marketing content:', error);
+            return null;
         }
     }
 
     // Build system prompt with user context
-    buildSystemPrompt(profile) {
+    buildSystemPrompt(profile, advisorContext = {}) {
         const contextParts = [];
 
         // Basic business context
@@ -133,8 +571,10 @@ Return only valid JSON, no explanations:
             contextParts.push(`Challenges: ${profile.challenges.join(', ')}`);
         }
 
-        const context = contextParts.length > 0 ? 
-            `\n\nBUSINESS CONTEXT:\n${contextParts.join('. ')}.` : '';
+        const context = (contextParts.length > 0 ? 
+            `\n\nBUSINESS CONTEXT:\n${contextParts.join('. ')}.` : '') + this.formatPlaybook(profile) + this.formatTrends(advisorContext.trends) + this.formatBenchmark(advisorContext.benchmark) +
+            this.formatLedger(advisorContext.ledger) + this.formatInventory(advisorContext.inventory) + this.formatKnowledge(advisorContext.knowledge) +
+            this.formatSchemes(advisorContext.schemes);
 
         return `You are Partnur, a friendly AI business advisor for Indian small business owners (MSMEs). You're like a knowledgeable "business chacha" who gives practical, actionable advice.
 
@@ -150,95 +590,191 @@ ADVICE STYLE:
 - Consider Indian market conditions, festivals, local customs
 - Suggest specific tools, platforms, and strategies popular in India
 - Always consider their current resources and constraints
-- Give step-by-step guidance when possible${context}
+- Give step-by-step guidance when possible
+
+LANGUAGE:
+${promptInstruction(profile.language_pref)}${context}
 
 Respond in a conversational, helpful manner. If you need more information to give better advice, ask specific questions.`;
     }
 
+    // Know-how and key numbers for the owner's kind of business, from the playbooks
+    formatPlaybook(profile) {
+        const playbook = this.playbooks.playbookFor(profile);
+        if (!playbook.category) return '';
+
+        const kpis = playbook.kpis.map(kpi => `${kpi.label}${kpi.why ? ` (${kpi.why.charAt(0).toLowerCase()}${kpi.why.slice(1)})` : ''}`);
+        return `\n\nABOUT ${playbook.name.toUpperCase()} BUSINESSES:\n${playbook.prompt}` +
+            (kpis.length > 0 ? `\nNumbers worth tracking: ${kpis.join('; ')}.` : '');
+    }
+
+    // Month-over-month trend lines from metricsService.getTrendSummary
+    formatTrends(trends) {
+        if (!trends || trends.length === 0) return '';
+
+        const money = (spec, value) => (spec.amount ? `₹${value.toLocaleString('en-IN')}` : value.toLocaleString('en-IN'));
+        const lines = trends.map(trend => {
+            const spec = TREND_LABELS[trend.metric] || { label: trend.metric, amount: false };
+            const perMonth = trend.metric === 'avg_ticket' ? '' : '/month';
+            let line = `- ${spec.label}: ${money(spec, trend.value)}${perMonth} in ${trend.month}`;
+            if (trend.change_pct !== null) {
+                const change = trend.direction === 'flat' ? 'flat' : `${trend.direction} ${Math.abs(trend.change_pct)}%`;
+                line += `, ${change} from ${money(spec, trend.previous_value)} in ${trend.previous_month}`;
+            }
+            return line;
+        });
+
+        return `\n\nBUSINESS TRENDS (month over month):\n${lines.join('\n')}\nIf a number is falling, help find the cause before suggesting growth ideas. If it is rising, help them keep it going.`;
+    }
+
+    // Anonymized peer comparison from PeerBenchmarks, when the cohort is big enough
+    formatBenchmark(benchmark) {
+        if (!benchmark || !benchmark.available || !benchmark.summary) return '';
+
+        let text = `\n\nSIMILAR BUSINESSES: ${benchmark.summary}`;
+        const missing = Object.values(benchmark.common)
+            .flat()
+            .filter(item => !item.you_use && item.share_pct >= 50)
+            .map(item => item.label);
+        if (missing.length > 0) text += `\nMost of them use ${missing.join(', ')}, which this owner hasn't mentioned.`;
+
+        return text + '\nUse this as a gentle comparison ("most salons like yours..."). Never mention other businesses by name or suggest you know their individual numbers.';
+    }
+
+    // The owner's own books from ledgerService.getAdvisorSummary
+    formatLedger(ledger) {
+        if (!ledger) return '';
+
+        const rupees = value => `₹${Math.round(value).toLocaleString('en-IN')}`;
+        const line = (label, summary) => `- ${label}: sales ${rupees(summary.sales)}, expenses ${rupees(summary.expenses)}, net ${rupees(summary.net)}` +
+            (summary.previous.sales > 0 ? ` (previous ${summary.period}: sales ${rupees(summary.previous.sales)})` : '');
+        const lines = [line('Today', ledger.today), line('This week', ledger.week), line('This month', ledger.month)];
+
+        const { receivable, payable } = ledger.credit;
+        if (receivable.total > 0) {
+            const oldest = receivable.parties.reduce((max, party) => Math.max(max, party.days_outstanding), 0);
+            lines.push(`- Customers owe them ${rupees(receivable.total)} in udhaar (oldest ${oldest} days)`);
+        }
+        if (payable.total > 0) lines.push(`- They owe suppliers or lenders ${rupees(payable.total)}`);
+
+        return `\n\nTHEIR BOOKS (from sales, expenses and udhaar they logged by chat; may be incomplete):\n${lines.join('\n')}\nUse these real numbers when they help - margins, slow days, collecting udhaar - but don't recite them unprompted.`;
+    }
+
+    // Stock from inventoryService.getAdvisorSummary; margins only when they asked about pricing
+    formatInventory(inventory) {
+        if (!inventory) return '';
+
+        const rupees = value => `₹${Number(value).toLocaleString('en-IN')}`;
+        const lines = inventory.low_stock.map(item => `- Low: ${item.name}, ${item.quantity}${item.unit ? ` ${item.unit}` : ''} left` +
+            (item.reorder_level !== null ? ` (reorder at ${item.reorder_level})` : '') + (item.top_product ? ', a top product' : ''));
+        if (inventory.untracked_top_products.length > 0) {
+            lines.push(`- Top products not tracked yet: ${inventory.untracked_top_products.join(', ')}`);
+        }
+
+        const { margins } = inventory;
+        if (margins) {
+            if (margins.pricing_model) lines.push(`- Pricing model: ${margins.pricing_model}`);
+            if (margins.average_margin_pct !== null) lines.push(`- Average margin: ${margins.average_margin_pct}% of selling price`);
+            for (const item of margins.items) {
+                lines.push(`- ${item.name}: buys at ${rupees(item.cost_price)}, sells at ${rupees(item.selling_price)}, margin ${item.pct}%` +
+                    (item.status !== 'ok' ? ` (${item.status === 'loss' ? 'selling at a loss' : 'thin'})` : ''));
+            }
+            if (margins.missing_prices.length > 0) lines.push(`- No cost or selling price yet: ${margins.missing_prices.join(', ')}`);
+        }
+        if (lines.length === 0) return '';
+
+        return `\n\nTHEIR STOCK (from items they track by chat or the app):\n${lines.join('\n')}\nWarn about low best-sellers before festivals or busy days. When they ask about prices, ground advice on these margins and their pricing model instead of generic percentages.`;
+    }
+
+    // Knowledge base passages from KnowledgeBase.retrieve, numbered for citation
+    formatKnowledge(passages) {
+        if (!passages || passages.length === 0) return '';
+
+        const notes = passages.map(passage => {
+            const where = passage.heading ? `${passage.title} - ${passage.heading}` : passage.title;
+            return `[${passage.ref}] ${where}\n${passage.content}`;
+        });
+
+        return `\n\nREFERENCE NOTES (curated, may be relevant to the question):\n${notes.join('\n\n')}\nWhen you use a fact from these notes, cite it inline like [1]. Prefer them over your own memory for scheme limits, thresholds and registration steps, and remind the owner to confirm current figures on the official portal. Ignore notes that don't fit the question.`;
+    }
+
+    // Scheme matches from SchemeMatcher, sent when the owner asks about funding
+    formatSchemes(schemes) {
+        if (!schemes || schemes.length === 0) return '';
+
+        const lines = schemes.map(scheme => {
+            let line = `- ${scheme.name} (${scheme.status === 'likely' ? 'likely eligible' : 'possibly eligible'}): ${scheme.benefit}`;
+            if (scheme.missing_data.length > 0) line += `. Need to know: ${scheme.missing_data.map(item => item.field).join(', ')}`;
+            if (scheme.to_confirm.length > 0) line += `. Owner must confirm: ${scheme.to_confirm.join('; ')}`;
+            return line;
+        });
+
+        return `\n\nSCHEMES THIS BUSINESS MAY QUALIFY FOR (from the profile):\n${lines.join('\n')}\nIf they ask about loans or schemes, suggest the best one or two with the reason, ask for any missing details, and tell them to apply only on the official portal or at a bank branch - never through paid agents.`;
+    }
+
+    // Sources for the [n] markers the reply actually uses, in reference order
+    citationsFor(content, passages) {
+        if (!passages || passages.length === 0 || !content) return [];
+
+        const used = new Set([...content.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+        return passages
+            .filter(passage => used.has(passage.ref))
+            .map(({ ref, title, heading, url, source }) => ({ ref, title, heading, url, source }));
+    }
+
     // Generate follow-up suggestions
     generateFollowUpSuggestions(message, profile) {
         const suggestions = [];
+        const lang = profile.language_pref;
         
         // Suggest based on missing profile info
         if (!profile.business_type) {
-            suggestions.push("Tell me about your business type");
+            suggestions.push(t(lang, 'ask_business_type'));
         }
         if (!profile.monthly_revenue) {
-            suggestions.push("Share your monthly revenue range");
+            suggestions.push(t(lang, 'ask_revenue_range'));
         }
         if (!profile.challenges || profile.challenges.length === 0) {
-            suggestions.push("What's your biggest business challenge?");
+            suggestions.push(t(lang, 'ask_biggest_challenge'));
         }
         
         return suggestions.slice(0, 2); // Limit to 2 suggestions
     }
 
-    // Generate smart follow-up questions
+    // Generate smart follow-up questions: the most valuable missing profile field for
+    // this business first, then the playbook's business-specific questions
     generateSmartQuestions(profile) {
         const questions = [];
+        const lang = profile.language_pref;
         
-        // Basic business info questions
-        if (!profile.business_type) {
-            questions.push("What type of business do you run?");
-        }
-        if (!profile.location_city) {
-            questions.push("Which city is your business located in?");
-        }
-        if (!profile.monthly_revenue) {
-            questions.push("What's your approximate monthly revenue range?");
-        }
-        
-        // Operational questions
-        if (!profile.peak_hours || profile.peak_hours.length === 0) {
-            questions.push("What are your busiest hours of the day?");
-        }
-        if (!profile.staff_count) {
-            questions.push("How many people work in your business?");
-        }
-        if (!profile.inventory_source) {
-            questions.push("Where do you source your products/inventory from?");
+        const next = this.completion.nextBestQuestion(profile, { language: lang });
+        if (next) {
+            questions.push(next.question);
         }
         
-        // Challenges and goals
-        if (!profile.challenges || profile.challenges.length === 0) {
-            questions.push("What's your biggest business challenge right now?");
-        }
-        if (!profile.goals || profile.goals.length === 0) {
-            questions.push("What are your main business goals for this year?");
-        }
-        
-        // Business-specific questions
-        if (profile.business_type === 'restaurant' && !profile.platforms_used?.includes('Zomato')) {
-            questions.push("Are you listed on food delivery platforms like Zomato or Swiggy?");
-        }
-        if (profile.business_type === 'salon' && !profile.platforms_used?.includes('Instagram')) {
-            questions.push("Do you use social media like Instagram to showcase your work?");
-        }
-        if (profile.business_type === 'retail' && !profile.payment_methods?.includes('UPI')) {
-            questions.push("Do you accept digital payments like UPI or cards?");
-        }
+        // Business-specific questions from the playbook
+        questions.push(...this.playbooks.itemsFor(profile, 'questions', lang));
         
         // Return only 1-2 questions to avoid overwhelming
         return questions.slice(0, 2);
     }
 
-    // Get seasonal context for advice
-    getSeasonalContext() {
-        const now = new Date();
-        const month = now.getMonth() + 1; // JavaScript months are 0-indexed
-        
-        if (month === 10 || month === 11) {
-            return "With Diwali and festive season approaching, this is a great time to boost sales. ";
-        } else if (month === 8) {
-            return "Raksha Bandhan season is here - consider special offers for siblings. ";
-        } else if (month === 3 || month === 4) {
-            return "With Holi and spring season, it's time to refresh your business approach. ";
-        } else if (month === 12 || month === 1) {
-            return "New Year is a perfect time for new beginnings and planning ahead. ";
-        } else if (month === 6 || month === 7) {
-            return "Monsoon season can affect business - plan accordingly. ";
+    // Get seasonal context for advice, in the user's language
+    // The next festival relevant to this business from the calendar, else a weather note
+    getSeasonalContext(profile) {
+        const language = profile.language_pref;
+        const [next] = this.calendar.upcomingFor(profile, { withinDays: 30 });
+        if (next) {
+            return (next.days_until === 0
+                ? t(language, 'season_festival_now', { festival: next.name })
+                : t(language, 'season_festival_ahead', { festival: next.name, days: next.days_until })) + ' ';
+        }
+
+        const month = new Date().getMonth() + 1; // JavaScript months are 0-indexed
+        if (month === 6 || month === 7) {
+            return t(language, 'season_monsoon') + ' ';
         } else if (month === 5) {
-            return "Summer season - consider how weather affects your business. ";
+            return t(language, 'season_summer') + ' ';
         }
         
         return "";
@@ -257,16 +793,17 @@ Respond in a conversational, helpful manner. If you need more information to giv
     }
 
     // Enhanced response generation with smart questions and seasonal context
-    async generateEnhancedResponse(message, userProfile) {
+    async generateEnhancedResponse(message, userProfile, history = [], advisorContext = {}) {
         try {
-            const seasonalContext = this.getSeasonalContext();
+            const seasonalContext = this.getSeasonalContext(userProfile);
             const smartQuestions = this.generateSmartQuestions(userProfile);
-            const systemPrompt = this.buildEnhancedSystemPrompt(userProfile, seasonalContext);
+            const systemPrompt = this.buildEnhancedSystemPrompt(userProfile, seasonalContext, advisorContext);
+            const { messages: historyMessages, summary: historySummary } = await this.buildHistoryMessages(history, userProfile, advisorContext.historySummary);
             
-            const response = await this.openai.chat.completions.create({
-                model: "gpt-4",
+            const response = await this.callModel('enhanced_response', userProfile, {
                 messages: [
                     { role: "system", content: systemPrompt },
+                    ...historyMessages,
                     { role: "user", content: message }
                 ],
                 temperature: 0.7,
@@ -274,20 +811,22 @@ Respond in a conversational, helpful manner. If you need more information to giv
             });
 
             return {
-                content: response.choices[0].message.content,
+                content: response.content,
                 contextUsed: this.getRelevantContext(userProfile),
                 suggestions: smartQuestions,
-                seasonalTip: seasonalContext ? seasonalContext.trim() : null
+                citations: this.citationsFor(response.content, advisorContext.knowledge),
+                seasonalTip: seasonalContext ? seasonalContext.trim() : null,
+                historySummary
             };
         } catch (error) {
             console.error('Error generating enhanced response:', error);
-            return this.generateResponse(message, userProfile); // Fallback to basic response
+            return this.generateResponse(message, userProfile, history, advisorContext); // Fallback to basic response
         }
     }
 
     // Enhanced system prompt with seasonal awareness
-    buildEnhancedSystemPrompt(profile, seasonalContext) {
-        const basePrompt = this.buildSystemPrompt(profile);
+    buildEnhancedSystemPrompt(profile, seasonalContext, advisorContext = {}) {
+        const basePrompt = this.buildSystemPrompt(profile, advisorContext);
         
         const enhancement = `
 
@@ -302,57 +841,48 @@ Provide specific, actionable advice based on the user's business type, location,
 
 RESPONSE STYLE:
 - Keep responses conversational and encouraging
-- Use "Hinglish" phrases naturally where appropriate
+- Stay in the user's preferred language (${normalizeLanguage(profile.language_pref)})
 - Focus on practical, implementable advice
 - Ask only 1-2 follow-up questions at a time`;
 
-        return basePrompt + enhancement;
+        return basePrompt + enhancement + this.formatOverdueSteps(advisorContext.overdueSteps);
+    }
+
+    // Check-in section for action plan steps past their due date (from goalService.getOverdueSteps)
+    formatOverdueSteps(steps) {
+        if (!steps || steps.length === 0) return '';
+
+        const lines = steps.map(step => `- "${step.description}" (goal: ${step.goal_title}, due ${step.due_date})`);
+        return `
+
+GOAL CHECK-IN:
+These action plan steps are past their due date:
+${lines.join('\n')}
+Before anything else, briefly and kindly ask how these went. If they're done, congratulate them; if stuck, help with the next small move.`;
     }
 
     // Get business insights based on profile completeness
     getBusinessInsights(profile) {
         const insights = [];
-        const completionScore = this.calculateProfileCompletion ? this.calculateProfileCompletion(profile) : 50;
+        const lang = profile.language_pref;
+        const completionScore = this.completion.score(profile);
         
         if (completionScore < 30) {
-            insights.push("Complete your profile to get personalized business advice");
+            insights.push(t(lang, 'insight_complete_profile'));
         }
         
-        if (profile.business_type === 'restaurant' && !profile.platforms_used?.includes('Zomato')) {
-            insights.push("Consider joining food delivery platforms to increase reach");
-        }
+        insights.push(...this.playbooks.itemsFor(profile, 'insights', lang));
         
-        if (profile.monthly_revenue && profile.monthly_revenue.includes('Below') && !profile.goals?.includes('increase revenue')) {
-            insights.push("Setting revenue growth goals could help focus your efforts");
+        if (profile.monthly_revenue && String(profile.monthly_revenue).includes('Below') && !profile.goals?.includes('increase revenue')) {
+            insights.push(t(lang, 'insight_revenue_goal'));
         }
         
         return insights;
     }
 
-    // Generate contextual business tips
+    // Generate contextual business tips from the owner's playbook
     generateContextualTips(profile) {
-        const tips = [];
-        const businessType = profile.business_type?.toLowerCase();
-        const location = profile.location_city?.toLowerCase();
-        
-        // Business-specific tips
-        if (businessType === 'restaurant') {
-            tips.push("Focus on food quality and customer service for repeat customers");
-            if (!profile.platforms_used?.includes('Instagram')) {
-                tips.push("Share food photos on Instagram to attract customers");
-            }
-        } else if (businessType === 'salon') {
-            tips.push("Before/after photos showcase your skills effectively");
-            tips.push("Building client relationships leads to regular appointments");
-        } else if (businessType === 'retail') {
-            tips.push("Display products attractively to increase impulse purchases");
-            tips.push("Track inventory to avoid stockouts during peak times");
-        }
-        
-        // Location-specific tips
-        if (location?.includes('delhi') || location?.includes('mumbai')) {
-            tips.push("Consider digital marketing for metro city competition");
-        }
+        const tips = this.playbooks.itemsFor(profile, 'tips', profile.language_pref);
         
         return tips.slice(0, 2); // Return max 2 tips
     }
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createSmsSender } = require('./smsSenders');
+const { createRepository } = require('./storage');
+const { ServiceError } = require('./errors');
+
+const OTP_TTL_MS = 5 * 60 * 1000;
+const OTP_RESEND_COOLDOWN_MS = 30 * 1000;
+const OTP_MAX_ATTEMPTS = 5;
+const ACCESS_TOKEN_TTL = process.env.AUTH_ACCESS_TOKEN_TTL || '1h';
+const REFRESH_TOKEN_TTL = process.env.AUTH_REFRESH_TOKEN_TTL || '30d';
+
+// Login and token errors answer 401 unless told otherwise
+class AuthError extends ServiceError {
+    constructor(message, status = 401) {
+        super(message, status);
+    }
+}
+
+class AuthService {
+    // repository holds pending OTPs (pending_otps) so any instance can verify a code another sent
+    constructor(repository = createRepository(), profileManager = null, smsSender = createSmsSender()) {
+        this.repository = repository;
+        this.profileManager = profileManager;
+        this.smsSender = smsSender;
+        this.secret = process.env.AUTH_TOKEN_SECRET;
+
+        if (!this.secret) {
+            console.warn('⚠️ AUTH_TOKEN_SECRET is not set - using a random secret, tokens will not survive a restart');
+            this.secret = crypto.randomBytes(32).toString('hex');
+        }
+
+        // Numbers allowed to use the admin API, comma-separated in ADMIN_MOBILE_NUMBERS
+        this.adminNumbers = new Set((process.env.ADMIN_MOBILE_NUMBERS || '')
+            .split(',')
+            .map(number => this.normalizeMobileNumber(number.trim()))
+            .filter(Boolean));
+    }
+
+    isAdmin(mobile_number) {
+        return this.adminNumbers.has(mobile_number);
+    }
+
+    // Normalize to E.164, assuming India for bare 10-digit numbers
+    normalizeMobileNumber(mobile_number) {
+        if (!mobile_number) return null;
+
+        const digits = String(mobile_number).replace(/[\s\-()]/g, '');
+        if (/^[6-9]\d{9}$/.test(digits)) return `+91${digits}`;
+        if (/^\+?[1-9]\d{9,14}$/.test(digits)) return digits.startsWith('+') ? digits : `+${digits}`;
+        return null;
+    }
+
+    hashOtp(mobile_number, otp) {
+        return crypto.createHmac('sha256', this.secret).update(`${mobile_number}:${otp}`).digest('hex');
+    }
+
+    // Generate an OTP and send it over SMS
+    async requestOtp(rawMobileNumber) {
+        const mobile_number = this.normalizeMobileNumber(rawMobileNumber);
+        if (!mobile_number) {
+            throw new AuthError('A valid mobile_number is required', 400);
+        }
+
+        const existing = await this.repository.findOne('pending_otps', { mobile_number });
+        if (existing && Date.now() - new Date(existing.sent_at).getTime() < OTP_RESEND_COOLDOWN_MS) {
+            throw new AuthError('Please wait a few seconds before requesting another OTP', 429);
+        }
+
+        const otp = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+        const pending = {
+            otp_hash: this.hashOtp(mobile_number, otp),
+            attempts: 0,
+            sent_at: new Date().toISOString(),
+            expires_at: new Date(Date.now() + OTP_TTL_MS).toISOString()
+        };
+        try {
+            if (existing) {
+                // Matching on the old sent_at keeps two simultaneous requests from both sending
+                const replaced = await this.repository.update('pending_otps', { mobile_number, sent_at: existing.sent_at }, pending);
+                if (!replaced) throw new Error('OTP replaced by a concurrent request');
+            } else {
+                await this.repository.insert('pending_otps', { mobile_number, ...pending });
+            }
+        } catch (error) {
+            console.error('Error storing OTP:', error.message);
+            throw new AuthError('Please wait a few seconds before requesting another OTP', 429);
+        }
+
+        await this.smsSender.send(mobile_number, `${otp} is your Partnur login code. It expires in 5 minutes.`);
+
+        return {
+            mobile_number,
+            expires_in: OTP_TTL_MS / 1000,
+            // Lets local clients log in without reading the server console
+            dev_otp: this.smsSender.name === 'console' && process.env.NODE_ENV === 'development' ? otp : undefined
+        };
+    }
+
+    // Check the OTP and issue tokens for the matching profile
+    async verifyOtp(rawMobileNumber, otp) {
+        const mobile_number = this.normalizeMobileNumber(rawMobileNumber);
+        const pending = mobile_number && await this.repository.findOne('pending_otps', { mobile_number });
+
+        if (!pending || new Date(pending.expires_at).getTime() < Date.now()) {
+            if (pending) await this.repository.remove('pending_otps', { mobile_number });
+            throw new AuthError('OTP expired or not requested. Please request a new one.');
+        }
+
+        // Count the attempt before checking it. Matching on the old count means two guesses
+        // racing on different instances can't both use up the same attempt.
+        const attempts = pending.attempts + 1;
+        const counted = await this.repository.update('pending_otps', { mobile_number, attempts: pending.attempts }, { attempts });
+        if (!counted) throw new AuthError('Incorrect OTP');
+
+        const expected = Buffer.from(pending.otp_hash, 'hex');
+        const received = Buffer.from(this.hashOtp(mobile_number, String(otp || '').trim()), 'hex');
+
+        if (!crypto.timingSafeEqual(expected, received)) {
+            if (attempts >= OTP_MAX_ATTEMPTS) {
+                await this.repository.remove('pending_otps', { mobile_number });
+            }
+            throw new AuthError('Incorrect OTP');
+        }
+
+        // Only the request that removes the row gets to log in with this code
+        if (await this.repository.remove('pending_otps', { mobile_number }) === 0) {
+            throw new AuthError('OTP expired or not requested. Please request a new one.');
+        }
+
+        let userProfile = await this.profileManager.getUserProfile(mobile_number);
+        if (!userProfile) {
+            userProfile = await this.profileManager.createUserProfile(mobile_number);
+            console.log(`👤 Created new user profile for ${mobile_number}`);
+        }
+
+        return this.issueTokens(userProfile);
+    }
+
+    // Sign a fresh access/refresh token pair
+    issueTokens(userProfile) {
+        const claims = { mobile_number: userProfile.mobile_number };
+
+        const access_token = jwt.sign({ ...claims, type: 'access' }, this.secret, {
+            subject: userProfile.user_id,
+            expiresIn: ACCESS_TOKEN_TTL
+        });
+        const refresh_token = jwt.sign({ ...claims, type: 'refresh' }, this.secret, {
+            subject: userProfile.user_id,
+            expiresIn: REFRESH_TOKEN_TTL
+        });
+
+        return {
+            user_id: userProfile.user_id,
+            mobile_number: userProfile.mobile_number,
+            access_token,
+            refresh_token,
+            token_type: 'Bearer',
+            expires_in: jwt.decode(access_token).exp - Math.floor(Date.now() / 1000)
+        };
+    }
+
+    // Exchange a refresh token for a new token pair
+    async refresh(refresh_token) {
+        const payload = this.verifyToken(refresh_token, 'refresh');
+
+        const userProfile = await this.profileManager.getUserProfile(payload.mobile_number);
+        if (!userProfile || userProfile.user_id !== payload.sub) {
+            throw new AuthError('Account no longer exists');
+        }
+
+        return this.issueTokens(userProfile);
+    }
+
+    // Verify a token and return { user_id, mobile_number }
+    verifyAccessToken(token) {
+        const payload = this.verifyToken(token, 'access');
+        return { user_id: payload.sub, mobile_number: payload.mobile_number };
+    }
+
+    verifyToken(token, expectedType) {
+        let payload;
+        try {
+            payload = jwt.verify(token, this.secret);
+        } catch (error) {
+            throw new AuthError(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+        }
+
+        if (payload.type !== expectedType) {
+            throw new AuthError('Invalid token');
+        }
+        return payload;
+    }
+}
+
+module.exports = AuthService;
+module.exports.AuthError = AuthError;
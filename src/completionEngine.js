@@ -0,0 +1,87 @@
+const PlaybookLibrary = require('./playbooks');
+const { t } = require('./i18n');
+const COMPLETION_SCHEMA = require('./data/completion.json');
+
+// A field counts once it has a value; empty strings and empty lists don't
+function isFilled(value) {
+    return value !== null && value !== undefined && value !== '' &&
+        !(Array.isArray(value) && value.length === 0);
+}
+
+// Profile completion scored from src/data/completion.json, with per-business weights from
+// each playbook's completion_weights (0 leaves a field out), plus the next question to ask
+class CompletionEngine {
+    constructor(playbooks = new PlaybookLibrary(), schema = COMPLETION_SCHEMA) {
+        this.playbooks = playbooks;
+        this.schema = schema;
+    }
+
+    // Tiers with the fields and weights that apply to this profile's business category
+    fieldsFor(profile) {
+        const { category, completion_weights: overrides } = this.playbooks.playbookFor(profile || {});
+
+        const tiers = this.schema.tiers.map(tier => ({
+            id: tier.id,
+            label: tier.label,
+            fields: Object.entries(tier.fields)
+                .map(([field, spec]) => ({ field, question: spec.question, weight: overrides[field] ?? spec.weight }))
+                .filter(entry => entry.weight > 0)
+        }));
+        return { category, tiers };
+    }
+
+    // Overall completion percentage
+    score(profile) {
+        return this.breakdown(profile).score;
+    }
+
+    // Score overall and per tier, with the fields each tier is still missing
+    breakdown(profile) {
+        const { category, tiers } = this.fieldsFor(profile);
+        let earned = 0;
+        let possible = 0;
+
+        const tierScores = tiers.map(tier => {
+            const tierPossible = tier.fields.reduce((sum, entry) => sum + entry.weight, 0);
+            const filled = tier.fields.filter(entry => isFilled(profile?.[entry.field]));
+            const tierEarned = filled.reduce((sum, entry) => sum + entry.weight, 0);
+            earned += tierEarned;
+            possible += tierPossible;
+
+            return {
+                id: tier.id,
+                label: tier.label,
+                score: tierPossible > 0 ? Math.round((tierEarned / tierPossible) * 100) : 100,
+                earned: tierEarned,
+                possible: tierPossible,
+                missing: tier.fields.filter(entry => !filled.includes(entry)).map(entry => entry.field)
+            };
+        });
+
+        return {
+            score: possible > 0 ? Math.round((earned / possible) * 100) : 0,
+            category,
+            tiers: tierScores
+        };
+    }
+
+    // The single missing field worth the most for this business, with its question in the
+    // owner's language; ties go to the earlier tier. skip lists fields not to ask about.
+    nextBestQuestion(profile, { language = profile?.language_pref, skip = [] } = {}) {
+        const { tiers } = this.fieldsFor(profile);
+        let best = null;
+
+        for (const tier of tiers) {
+            for (const entry of tier.fields) {
+                if (!entry.question || skip.includes(entry.field) || isFilled(profile?.[entry.field])) continue;
+                if (!best || entry.weight > best.weight) best = { ...entry, tier: tier.id };
+            }
+        }
+
+        if (!best) return null;
+        return { field: best.field, tier: best.tier, weight: best.weight, question: t(language, best.question) };
+    }
+}
+
+module.exports = CompletionEngine;
+module.exports.isFilled = isFilled;
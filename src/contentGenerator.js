@@ -0,0 +1,322 @@
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { createRepository } = require('./storage');
+const FestivalCalendar = require('./festivalCalendar');
+const { t, normalizeLanguage } = require('./i18n');
+const { ServiceError } = require('./errors');
+
+// Length limits per format. WhatsApp template bodies stop at 1024 characters and
+// Instagram captions at 2200 with at most 30 hashtags; flyer parts have to fit an A5 page.
+const FORMATS = {
+    whatsapp: { message: 1024 },
+    instagram: { caption: 2200, hashtags: 30 },
+    flyer: { headline: 60, body: 300, offer: 80, call_to_action: 60, contact: 120 }
+};
+const FLYER_PARTS = ['headline', 'body', 'offer', 'call_to_action'];
+
+// Fonts for printed flyers, bundled in data/fonts (SIL Open Font License). Both Noto fonts
+// also carry Latin and the rupee sign, so one font prints the owner's language and the English
+// half; Tamil flyers get the Tamil one. FLYER_FONT / FLYER_FONT_BOLD override the choice.
+const FONT_DIR = path.join(__dirname, 'data', 'fonts');
+const FLYER_FONTS = {
+    devanagari: {
+        regular: path.join(FONT_DIR, 'NotoSansDevanagari-Regular.ttf'),
+        bold: path.join(FONT_DIR, 'NotoSansDevanagari-Bold.ttf'),
+        covers: /^[\u0000-\u024f\u0900-\u097f\u1cd0-\u1cff\u2000-\u206f\u20b9\ua8e0-\ua8ff]*$/
+    },
+    tamil: {
+        regular: path.join(FONT_DIR, 'NotoSansTamil-Regular.ttf'),
+        bold: path.join(FONT_DIR, 'NotoSansTamil-Bold.ttf'),
+        covers: /^[\u0000-\u024f\u0b80-\u0bff\u2000-\u206f\u20b9]*$/
+    }
+};
+const TAMIL_TEXT = /[\u0b80-\u0bff]/;
+const FLYER_FONT = process.env.FLYER_FONT || null;
+const FLYER_FONT_BOLD = process.env.FLYER_FONT_BOLD || FLYER_FONT;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class ContentError extends ServiceError {}
+
+// Cut text to max characters, at the end of a sentence when that keeps most of it,
+// otherwise at a word boundary with an ellipsis
+function fitText(text, max) {
+    const clean = String(text || '').trim();
+    if (clean.length <= max) return clean;
+
+    const cut = clean.slice(0, max);
+    const sentenceEnd = Math.max(...['. ', '! ', '? ', '। ', '\n'].map(mark => cut.lastIndexOf(mark)));
+    if (sentenceEnd >= max / 2) return cut.slice(0, sentenceEnd + 1).trim();
+
+    const wordEnd = cut.lastIndexOf(' ', max - 1);
+    return `${cut.slice(0, wordEnd > 0 ? wordEnd : max - 1).trim()}…`;
+}
+
+// "#Diwali Offers" -> "#DiwaliOffers"; null when nothing usable is left
+function normalizeHashtag(tag) {
+    const body = String(tag || '').replace(/[^\p{L}\p{M}\p{N}_]/gu, '');
+    return body ? `#${body}` : null;
+}
+
+// Ready-to-use WhatsApp broadcasts, Instagram captions and bilingual flyers written from
+// the profile and festival calendar, saved as drafts the owner can edit and reuse
+class ContentGenerator {
+    // aiService writes the copy; calendar supplies the festival context
+    constructor(repository = createRepository(), aiService = null, calendar = new FestivalCalendar()) {
+        this.repository = repository;
+        this.aiService = aiService;
+        this.calendar = calendar;
+    }
+
+    // Copy language(s) for a format. Flyers are bilingual: the owner's language plus
+    // English, or English plus Hindi.
+    languagesFor(profile, format) {
+        const language = normalizeLanguage(profile.language_pref);
+        if (format !== 'flyer') return [language];
+        return [language, language === 'English' ? 'Hindi' : 'English'];
+    }
+
+    // festival_id: an upcoming festival's id, null for none, or left out for the next
+    // relevant festival within a month
+    festivalFor(profile, festival_id) {
+        if (festival_id === null) return null;
+        if (festival_id === undefined) return this.calendar.upcomingFor(profile, { withinDays: 30 })[0] || null;
+
+        const festival = this.calendar.upcomingFor(profile, { withinDays: 60 }).find(entry => entry.id === festival_id);
+        if (!festival) throw new ContentError('festival_id is not an upcoming festival for this business');
+        return festival;
+    }
+
+    // Content in the stored shape. Generated copy is trimmed to the limits; with
+    // strict=true (owner edits) anything over a limit is rejected instead.
+    cleanContent(format, raw, { strict = false } = {}) {
+        const limits = FORMATS[format];
+        const problems = [];
+        const text = (value, field, max) => {
+            const clean = String(value ?? '').trim();
+            if (strict && clean.length > max) problems.push(`${field} is ${clean.length} characters, the limit is ${max}`);
+            return strict ? clean : fitText(clean, max);
+        };
+        if (!raw || typeof raw !== 'object') throw new ContentError('content must be an object');
+
+        let content;
+        if (format === 'whatsapp') {
+            content = { message: text(raw.message, 'message', limits.message) };
+            if (!content.message) problems.push('message is required');
+        } else if (format === 'instagram') {
+            const hashtags = [...new Map((Array.isArray(raw.hashtags) ? raw.hashtags : [])
+                .map(normalizeHashtag).filter(Boolean)
+                .map(tag => [tag.toLowerCase(), tag])).values()];
+            if (strict && hashtags.length > limits.hashtags) problems.push(`${hashtags.length} hashtags, the limit is ${limits.hashtags}`);
+
+            const tags = hashtags.slice(0, limits.hashtags);
+            // Caption and hashtags share Instagram's limit; the hashtags go on their own line
+            const room = limits.caption - (tags.length > 0 ? tags.join(' ').length + 2 : 0);
+            content = { caption: text(raw.caption, 'caption', room), hashtags: tags };
+            if (!content.caption) problems.push('caption is required');
+        } else {
+            content = { contact: raw.contact ? text(raw.contact, 'contact', limits.contact) : null };
+            for (const version of ['primary', 'secondary']) {
+                const copy = raw[version] || {};
+                content[version] = Object.fromEntries(FLYER_PARTS.map(part =>
+                    [part, text(copy[part], `${version}.${part}`, limits[part])]));
+                if (!content[version].headline) problems.push(`${version}.headline is required`);
+            }
+        }
+
+        if (problems.length > 0) throw new ContentError('Content does not fit the format', 400, problems);
+        return content;
+    }
+
+    // The copy as one block of text, ready to paste
+    readyText(format, content) {
+        if (format === 'whatsapp') return content.message;
+        if (format === 'instagram') {
+            return content.hashtags.length > 0 ? `${content.caption}\n\n${content.hashtags.join(' ')}` : content.caption;
+        }
+        return ['primary', 'secondary']
+            .map(version => FLYER_PARTS.map(part => content[version][part]).filter(Boolean).join('\n'))
+            .concat(content.contact ? [content.contact] : [])
+            .join('\n\n');
+    }
+
+    formatDraft(draft) {
+        return {
+            id: draft.id,
+            format: draft.format,
+            title: draft.title,
+            language: draft.language,
+            brief: draft.brief,
+            festival_id: draft.festival_id,
+            content: draft.content,
+            text: this.readyText(draft.format, draft.content),
+            limits: FORMATS[draft.format],
+            created_at: draft.created_at,
+            updated_at: draft.updated_at
+        };
+    }
+
+    // Write content for a format and save it as a draft.
+    // input: { format, brief, festival_id, title }
+    async generate(profile, input = {}) {
+        const { format, brief, festival_id, title } = input;
+        if (!FORMATS[format]) throw new ContentError(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+        if (brief !== undefined && brief !== null && typeof brief !== 'string') throw new ContentError('brief must be text');
+
+        const festival = this.festivalFor(profile, festival_id);
+        const languages = this.languagesFor(profile, format);
+
+        if (this.aiService.usageTracker && await this.aiService.usageTracker.getBudgetStatus(profile.user_id) === 'exceeded') {
+            throw new ContentError(t(profile.language_pref, 'budget_limit_reached'), 429);
+        }
+        const raw = await this.aiService.generateMarketingContent(profile, {
+            format,
+            brief: brief ? brief.trim().slice(0, 500) : null,
+            festival,
+            languages,
+            limits: FORMATS[format]
+        });
+        if (!raw) throw new ContentError('Could not write the content right now, please try again', 503);
+
+        const content = this.cleanContent(format, { ...raw, contact: null });
+        const draft = await this.repository.insert('marketing_drafts', {
+            user_id: profile.user_id,
+            format,
+            title: typeof title === 'string' && title.trim()
+                ? title.trim().slice(0, 120)
+                : `${festival ? festival.name : 'Promotion'} - ${format}`,
+            language: languages.join('+'),
+            brief: brief ? brief.trim().slice(0, 500) : null,
+            festival_id: festival ? festival.id : null,
+            content
+        });
+
+        console.log(`📣 Wrote ${format} content for user ${profile.user_id}`);
+        return this.formatDraft(draft);
+    }
+
+    // Drafts newest first (?format=whatsapp)
+    async listDrafts(user_id, { format } = {}) {
+        if (format !== undefined && !FORMATS[format]) throw new ContentError(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+
+        const filters = { user_id };
+        if (format) filters.format = format;
+        const drafts = await this.repository.findMany('marketing_drafts', {
+            filters,
+            orderBy: 'updated_at',
+            ascending: false
+        });
+        return drafts.map(draft => this.formatDraft(draft));
+    }
+
+    // The caller's draft row, or a 404
+    async getDraft(user_id, draft_id) {
+        if (!UUID_PATTERN.test(draft_id || '')) throw new ContentError('Draft not found', 404);
+
+        const draft = await this.repository.findOne('marketing_drafts', { id: draft_id, user_id });
+        if (!draft) throw new ContentError('Draft not found', 404);
+        return draft;
+    }
+
+    // Edit a draft's title or content. Content replaces the old one and must fit the limits.
+    async updateDraft(user_id, draft_id, input = {}) {
+        const draft = await this.getDraft(user_id, draft_id);
+        const patch = {};
+
+        if (input.title !== undefined) {
+            if (typeof input.title !== 'string' || !input.title.trim()) throw new ContentError('title must be non-empty text');
+            patch.title = input.title.trim().slice(0, 120);
+        }
+        if (input.content !== undefined) {
+            patch.content = this.cleanContent(draft.format, input.content, { strict: true });
+        }
+        if (Object.keys(patch).length === 0) throw new ContentError('Nothing to update');
+
+        patch.updated_at = new Date().toISOString();
+        return this.formatDraft(await this.repository.update('marketing_drafts', { id: draft.id }, patch));
+    }
+
+    async deleteDraft(user_id, draft_id) {
+        const draft = await this.getDraft(user_id, draft_id);
+        await this.repository.remove('marketing_drafts', { id: draft.id });
+        return { id: draft.id };
+    }
+
+    // Flyer text without emoji, which no flyer font draws
+    printable(text) {
+        return String(text || '').replace(/\p{Extended_Pictographic}|\u200d|\ufe0f/gu, '').trim();
+    }
+
+    // Regular and bold font files for the given flyer text: the FLYER_FONT override when set,
+    // otherwise the bundled font for its script. Text in a script neither covers is refused
+    // rather than printed as empty boxes.
+    flyerFonts(texts) {
+        if (FLYER_FONT) return { regular: FLYER_FONT, bold: FLYER_FONT_BOLD };
+
+        const fonts = texts.some(text => TAMIL_TEXT.test(text)) ? FLYER_FONTS.tamil : FLYER_FONTS.devanagari;
+        if (!texts.every(text => fonts.covers.test(text))) {
+            throw new ContentError('This flyer has text in a script the flyer fonts cannot print', 422);
+        }
+        return fonts;
+    }
+
+    // Printable A5 PDF of a flyer draft; resolves with the file as a Buffer
+    async renderFlyer(user_id, draft_id) {
+        const draft = await this.getDraft(user_id, draft_id);
+        if (draft.format !== 'flyer') throw new ContentError('Only flyer drafts can be printed');
+
+        const { primary, secondary, contact } = draft.content;
+        const parts = version => Object.fromEntries(FLYER_PARTS.map(part => [part, this.printable(version[part])]));
+        const first = parts(primary);
+        const second = parts(secondary);
+        const footer = this.printable(contact);
+
+        const fonts = this.flyerFonts([first, second].flatMap(Object.values).concat(footer));
+
+        const doc = new PDFDocument({ size: 'A5', margin: 36, info: { Title: draft.title } });
+        doc.registerFont('regular', fonts.regular);
+        doc.registerFont('bold', fonts.bold);
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        const done = new Promise((resolve, reject) => {
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+        });
+
+        const width = doc.page.width - 72;
+        const block = (copy, scale) => {
+            doc.font('bold').fontSize(26 * scale).fillColor('#b23a00').text(copy.headline, { align: 'center' });
+            doc.moveDown(0.4 * scale);
+            if (copy.offer) {
+                const top = doc.y;
+                doc.font('bold').fontSize(16 * scale);
+                const height = doc.heightOfString(copy.offer, { width: width - 16 }) + 12;
+                doc.rect(36, top, width, height).fill('#ffd54f');
+                doc.fillColor('#222222').text(copy.offer, 44, top + 6, { width: width - 16, align: 'center' });
+                doc.y = top + height;
+                doc.moveDown(0.4 * scale);
+            }
+            doc.font('regular').fontSize(13 * scale).fillColor('#222222').text(copy.body, 36, doc.y, { width, align: 'center' });
+            doc.moveDown(0.5 * scale);
+            doc.font('bold').fontSize(14 * scale).fillColor('#1b5e20').text(copy.call_to_action, { width, align: 'center' });
+        };
+
+        block(first, 1);
+        doc.moveDown(1);
+        doc.moveTo(72, doc.y).lineTo(doc.page.width - 72, doc.y).strokeColor('#bbbbbb').stroke();
+        doc.moveDown(1);
+        block(second, 0.75);
+        if (footer) {
+            doc.font('regular').fontSize(11).fillColor('#555555')
+                .text(footer, 36, doc.page.height - 60, { width, align: 'center', lineBreak: false });
+        }
+        doc.end();
+
+        return done;
+    }
+}
+
+module.exports = ContentGenerator;
+module.exports.ContentError = ContentError;
+module.exports.FORMATS = FORMATS;
@@ -0,0 +1,31 @@
+// Calendar-date helpers. Dates travel as 'YYYY-MM-DD' strings (UTC) between services and storage.
+
+// DATE columns come back as 'YYYY-MM-DD' strings, or as Dates from some drivers
+function toDateString(value) {
+    if (value === null || value === undefined) return null;
+    return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+function today(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+}
+
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+// Whole days from one 'YYYY-MM-DD' to another (negative if `to` is earlier)
+function daysBetween(from, to) {
+    return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+// Parse user input into 'YYYY-MM-DD', or null if it isn't a real date
+function parseDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) return null;
+    const date = new Date(`${value.slice(0, 10)}T00:00:00Z`);
+    return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value.slice(0, 10) ? null : value.slice(0, 10);
+}
+
+module.exports = { toDateString, today, addDays, daysBetween, parseDate };
@@ -0,0 +1,25 @@
+// Errors a route can answer directly. status is the HTTP status to answer with; details is
+// optional extra information for the client, such as the fields that were rejected.
+// Each service subclasses it (GoalError, LedgerError...) so callers can still tell them apart.
+class ServiceError extends Error {
+    constructor(message, status = 400, details = undefined) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Answer a ServiceError with its status, anything else as a logged 500
+function sendServiceError(res, error, fallbackMessage) {
+    if (error instanceof ServiceError) {
+        return res.status(error.status).json({ error: error.message, details: error.details });
+    }
+    console.error(`❌ ${fallbackMessage}:`, error);
+    res.status(500).json({
+        error: fallbackMessage,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+}
+
+module.exports = { ServiceError, sendServiceError };
@@ -0,0 +1,66 @@
+const FESTIVALS = require('./data/festivals.json').festivals;
+const CITIES = require('./data/cities.json');
+const { today, daysBetween } = require('./dateUtils');
+
+// Dated Indian festival calendar (src/data/festivals.json), filtered per business
+class FestivalCalendar {
+    constructor(festivals = FESTIVALS, cities = CITIES) {
+        this.festivals = festivals;
+        // Case-insensitive city -> state lookup
+        this.cityStates = new Map(Object.entries(cities).map(([city, info]) => [city.toLowerCase(), info.state]));
+    }
+
+    // The profile's state, falling back to the state of a known city
+    stateFor(profile) {
+        if (profile.location_state) return profile.location_state;
+        return profile.location_city ? this.cityStates.get(profile.location_city.trim().toLowerCase()) || null : null;
+    }
+
+    // Celebrated where the business is, and something its customers buy for.
+    // Regional festivals are skipped when the state is unknown.
+    isRelevant(festival, profile) {
+        if (!festival.regions.includes('all')) {
+            const state = this.stateFor(profile);
+            if (!state || !festival.regions.some(region => region.toLowerCase() === state.toLowerCase())) return false;
+        }
+
+        if (festival.business_types.includes('all')) return true;
+        const businessType = (profile.business_type || '').toLowerCase();
+        return businessType !== '' && festival.business_types.some(keyword => businessType.includes(keyword));
+    }
+
+    // Relevant festivals that haven't ended, starting within `withinDays`, soonest first
+    upcomingFor(profile, { from = today(), withinDays = 30 } = {}) {
+        const upcoming = [];
+
+        for (const festival of this.festivals) {
+            if (!this.isRelevant(festival, profile)) continue;
+
+            for (const date of festival.dates) {
+                const daysUntil = daysBetween(from, date.start);
+                if (daysBetween(from, date.end || date.start) < 0 || daysUntil > withinDays) continue;
+
+                upcoming.push({
+                    id: festival.id,
+                    name: festival.name,
+                    start: date.start,
+                    end: date.end || date.start,
+                    days_until: Math.max(daysUntil, 0),
+                    lead_days: festival.lead_days,
+                    ideas: festival.ideas,
+                    approximate: Boolean(festival.approximate)
+                });
+            }
+        }
+
+        return upcoming.sort((a, b) => a.start.localeCompare(b.start));
+    }
+
+    // Festivals whose campaign window (lead_days before the start) is open today
+    campaignWindowFor(profile, { from = today() } = {}) {
+        return this.upcomingFor(profile, { from, withinDays: 60 })
+            .filter(festival => festival.days_until > 0 && festival.days_until <= festival.lead_days);
+    }
+}
+
+module.exports = FestivalCalendar;
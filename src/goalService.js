@@ -0,0 +1,373 @@
+const { createRepository } = require('./storage');
+const { METRIC_TYPES, parseAmount } = require('./profileSchema');
+const { toDateString, today, addDays, parseDate } = require('./dateUtils');
+const { t } = require('./i18n');
+const { ServiceError } = require('./errors');
+
+const GOAL_STATUSES = ['active', 'completed', 'abandoned'];
+const STEP_STATUSES = ['pending', 'done', 'skipped'];
+
+// Ask about the same overdue step at most once a day, and about a few steps at a time
+const CHECK_IN_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const MAX_CHECK_IN_STEPS = 3;
+
+class GoalError extends ServiceError {}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Goals with target metrics, deadlines and AI action plans
+class GoalService {
+    // aiService writes action plans; metricsService supplies baseline and current values
+    constructor(repository = createRepository(), aiService = null, metricsService = null) {
+        this.repository = repository;
+        this.aiService = aiService;
+        this.metricsService = metricsService;
+    }
+
+    // Check goal fields from the API. partial=true for updates.
+    validateGoal(input, { partial = false } = {}) {
+        const goal = {};
+
+        if (input.title !== undefined || !partial) {
+            if (typeof input.title !== 'string' || !input.title.trim()) throw new GoalError('title is required');
+            goal.title = input.title.trim().slice(0, 200);
+        }
+        if (input.target_metric !== undefined) {
+            if (input.target_metric !== null && !METRIC_TYPES[input.target_metric]) {
+                throw new GoalError(`target_metric must be one of ${Object.keys(METRIC_TYPES).join(', ')}`);
+            }
+            goal.target_metric = input.target_metric;
+        }
+        if (input.target_value !== undefined) {
+            const value = input.target_value === null ? null : parseAmount(input.target_value);
+            if (input.target_value !== null && (value === null || value <= 0)) {
+                throw new GoalError('target_value must be a positive number');
+            }
+            goal.target_value = value;
+        }
+        if (input.deadline !== undefined) {
+            const deadline = input.deadline === null ? null : parseDate(input.deadline);
+            if (input.deadline !== null && !deadline) throw new GoalError('deadline must be a YYYY-MM-DD date');
+            goal.deadline = deadline;
+        }
+        if (input.status !== undefined) {
+            if (!GOAL_STATUSES.includes(input.status)) throw new GoalError(`status must be one of ${GOAL_STATUSES.join(', ')}`);
+            goal.status = input.status;
+        }
+
+        return goal;
+    }
+
+    // A target needs a value to aim for
+    checkTarget(goal) {
+        if (goal.target_metric && !goal.target_value) {
+            throw new GoalError('target_value is required with target_metric');
+        }
+    }
+
+    // The metric's latest value, where the goal starts from
+    async baselineFor(user_id, metric) {
+        if (!metric || !this.metricsService) return null;
+        const trends = await this.metricsService.getTrendSummary(user_id);
+        return trends.find(trend => trend.metric === metric)?.value ?? null;
+    }
+
+    // Action plans need the LLM, so none are written once the monthly budget is spent
+    async canPlan(userProfile) {
+        const usageTracker = this.aiService?.usageTracker;
+        return !usageTracker || await usageTracker.getBudgetStatus(userProfile.user_id) !== 'exceeded';
+    }
+
+    // Create a goal and, unless plan=false, its action plan
+    async createGoal(userProfile, input, { source = 'user', plan = true } = {}) {
+        const fields = this.validateGoal(input);
+        this.checkTarget(fields);
+
+        const goal = await this.repository.insert('business_goals', {
+            user_id: userProfile.user_id,
+            ...fields,
+            baseline_value: await this.baselineFor(userProfile.user_id, fields.target_metric),
+            source
+        });
+        console.log(`🎯 Goal created for ${userProfile.user_id}: ${goal.title}`);
+
+        const steps = plan && await this.canPlan(userProfile) ? await this.planGoal(userProfile, goal) : [];
+        return { ...this.formatGoal(goal), steps };
+    }
+
+    // Plan goals created from chat once the reply has gone out, one at a time
+    planInBackground(userProfile, goals) {
+        if (goals.length === 0) return;
+
+        (async () => {
+            for (const goal of goals) {
+                try {
+                    if (!await this.canPlan(userProfile)) return;
+                    await this.planGoal(userProfile, goal);
+                } catch (error) {
+                    console.error('Error planning goal in the background:', error);
+                }
+            }
+        })();
+    }
+
+    // Turn new profile goal strings from chat into goal objects. Plans are left to the caller
+    // (planInBackground) so they don't hold up the reply.
+    async syncProfileGoals(userProfile, titles = []) {
+        try {
+            const existing = await this.repository.findMany('business_goals', {
+                filters: { user_id: userProfile.user_id },
+                columns: 'title'
+            });
+            const known = new Set(existing.map(goal => goal.title.toLowerCase()));
+
+            const created = [];
+            for (const title of titles) {
+                if (known.has(title.toLowerCase())) continue;
+                known.add(title.toLowerCase());
+                created.push(await this.createGoal(userProfile, { title }, { source: 'ai', plan: false }));
+            }
+            return created;
+        } catch (error) {
+            console.error('Error syncing profile goals:', error);
+            return [];
+        }
+    }
+
+    // (Re)write the plan: pending steps are replaced, finished ones kept
+    async planGoal(userProfile, goal) {
+        if (!this.aiService) return [];
+        if (!await this.canPlan(userProfile)) {
+            throw new GoalError(t(userProfile.language_pref, 'budget_limit_reached'), 429);
+        }
+
+        const plan = await this.aiService.generateActionPlan(this.formatGoal(goal), userProfile);
+        if (plan.length === 0) return this.getSteps(goal.id);
+
+        await this.repository.remove('goal_steps', { goal_id: goal.id, status: 'pending' });
+        const kept = await this.getSteps(goal.id);
+        const start = today();
+
+        for (const [index, step] of plan.entries()) {
+            let dueDate = addDays(start, step.due_in_days);
+            const deadline = toDateString(goal.deadline);
+            if (deadline && dueDate > deadline) dueDate = deadline;
+
+            await this.repository.insert('goal_steps', {
+                goal_id: goal.id,
+                user_id: goal.user_id,
+                position: kept.length + index + 1,
+                description: step.description,
+                due_date: dueDate
+            });
+        }
+
+        return this.getSteps(goal.id);
+    }
+
+    async getSteps(goal_id) {
+        const steps = await this.repository.findMany('goal_steps', {
+            filters: { goal_id },
+            orderBy: 'position'
+        });
+        return steps.map(step => this.formatStep(step));
+    }
+
+    // The caller's goal, or a 404
+    async getGoal(user_id, goal_id) {
+        if (!UUID_PATTERN.test(goal_id || '')) throw new GoalError('Goal not found', 404);
+
+        const goal = await this.repository.findOne('business_goals', { id: goal_id, user_id });
+        if (!goal) throw new GoalError('Goal not found', 404);
+        return goal;
+    }
+
+    // Goals with their steps, newest first
+    async listGoals(user_id, { status } = {}) {
+        const filters = { user_id };
+        if (status) filters.status = status;
+
+        const goals = await this.repository.findMany('business_goals', {
+            filters,
+            orderBy: 'created_at',
+            ascending: false
+        });
+        if (goals.length === 0) return [];
+
+        const steps = await this.repository.findMany('goal_steps', {
+            filters: { goal_id: { in: goals.map(goal => goal.id) } },
+            orderBy: 'position'
+        });
+
+        return goals.map(goal => ({
+            ...this.formatGoal(goal),
+            steps: steps.filter(step => step.goal_id === goal.id).map(step => this.formatStep(step))
+        }));
+    }
+
+    async updateGoal(user_id, goal_id, input) {
+        const goal = await this.getGoal(user_id, goal_id);
+        const patch = this.validateGoal(input, { partial: true });
+        if (Object.keys(patch).length === 0) throw new GoalError('Nothing to update');
+
+        // Same rules as createGoal, applied to the goal as it will be after the update
+        this.checkTarget({ ...goal, ...patch });
+        if (patch.target_metric !== undefined && patch.target_metric !== goal.target_metric) {
+            patch.baseline_value = await this.baselineFor(user_id, patch.target_metric);
+        }
+
+        patch.updated_at = new Date().toISOString();
+        if (patch.status) {
+            patch.completed_at = patch.status === 'completed' ? new Date().toISOString() : null;
+        }
+
+        const updated = await this.repository.update('business_goals', { id: goal.id }, patch);
+        return { ...this.formatGoal(updated), steps: await this.getSteps(goal.id) };
+    }
+
+    async updateStep(user_id, goal_id, step_id, input) {
+        const goal = await this.getGoal(user_id, goal_id);
+        if (!UUID_PATTERN.test(step_id || '')) throw new GoalError('Step not found', 404);
+
+        const step = await this.repository.findOne('goal_steps', { id: step_id, goal_id: goal.id });
+        if (!step) throw new GoalError('Step not found', 404);
+
+        const patch = {};
+        if (input.status !== undefined) {
+            if (!STEP_STATUSES.includes(input.status)) throw new GoalError(`status must be one of ${STEP_STATUSES.join(', ')}`);
+            patch.status = input.status;
+            patch.completed_at = input.status === 'done' ? new Date().toISOString() : null;
+        }
+        if (input.due_date !== undefined) {
+            const dueDate = parseDate(input.due_date);
+            if (!dueDate) throw new GoalError('due_date must be a YYYY-MM-DD date');
+            patch.due_date = dueDate;
+        }
+        if (Object.keys(patch).length === 0) throw new GoalError('Nothing to update');
+
+        await this.repository.update('goal_steps', { id: step.id }, patch);
+        await this.repository.update('business_goals', { id: goal.id }, { updated_at: new Date().toISOString() });
+
+        return { ...this.formatGoal(goal), steps: await this.getSteps(goal.id) };
+    }
+
+    // Pending steps of active goals that are past due and weren't asked about today.
+    // markReminded records the check-in so the advisor doesn't ask again straight away.
+    async getOverdueSteps(user_id, { markReminded = false } = {}) {
+        try {
+            const steps = await this.repository.findMany('goal_steps', {
+                filters: { user_id, status: 'pending', due_date: { lt: today() } },
+                orderBy: 'due_date'
+            });
+            const cutoff = Date.now() - CHECK_IN_INTERVAL_MS;
+            const due = steps.filter(step => !step.last_reminded_at || new Date(step.last_reminded_at).getTime() < cutoff);
+            if (due.length === 0) return [];
+
+            const goals = await this.repository.findMany('business_goals', {
+                filters: { id: { in: [...new Set(due.map(step => step.goal_id))] }, status: 'active' },
+                columns: 'id, title'
+            });
+            const titles = new Map(goals.map(goal => [goal.id, goal.title]));
+
+            const overdue = due
+                .filter(step => titles.has(step.goal_id))
+                .slice(0, MAX_CHECK_IN_STEPS)
+                .map(step => ({ ...this.formatStep(step), goal_title: titles.get(step.goal_id) }));
+
+            if (markReminded) {
+                for (const step of overdue) {
+                    await this.repository.update('goal_steps', { id: step.id }, { last_reminded_at: new Date().toISOString() });
+                }
+            }
+            return overdue;
+        } catch (error) {
+            console.error('Error fetching overdue goal steps:', error);
+            return [];
+        }
+    }
+
+    // Step and metric progress per goal, for analytics
+    async getProgress(user_id) {
+        try {
+            const goals = await this.listGoals(user_id);
+            const trends = this.metricsService ? await this.metricsService.getTrendSummary(user_id) : [];
+            const currentValues = new Map(trends.map(trend => [trend.metric, trend.value]));
+            const now = today();
+
+            const progress = goals.map(goal => {
+                const done = goal.steps.filter(step => step.status === 'done').length;
+                const counted = goal.steps.filter(step => step.status !== 'skipped').length;
+                const current = goal.target_metric ? currentValues.get(goal.target_metric) ?? null : null;
+
+                return {
+                    id: goal.id,
+                    title: goal.title,
+                    status: goal.status,
+                    deadline: goal.deadline,
+                    steps_total: goal.steps.length,
+                    steps_done: done,
+                    steps_overdue: goal.steps.filter(step => step.status === 'pending' && step.due_date && step.due_date < now).length,
+                    step_progress_pct: counted > 0 ? Math.round((done / counted) * 100) : 0,
+                    target_metric: goal.target_metric,
+                    target_value: goal.target_value,
+                    baseline_value: goal.baseline_value,
+                    current_value: current,
+                    metric_progress_pct: this.metricProgress(goal, current)
+                };
+            });
+
+            return {
+                active: goals.filter(goal => goal.status === 'active').length,
+                completed: goals.filter(goal => goal.status === 'completed').length,
+                abandoned: goals.filter(goal => goal.status === 'abandoned').length,
+                goals: progress
+            };
+        } catch (error) {
+            console.error('Error getting goal progress:', error);
+            return { active: 0, completed: 0, abandoned: 0, goals: [] };
+        }
+    }
+
+    // How far the metric has moved from baseline toward target, 0-100
+    metricProgress(goal, current) {
+        if (!goal.target_value || current === null) return null;
+
+        const baseline = goal.baseline_value || 0;
+        if (goal.target_value === baseline) return current >= goal.target_value ? 100 : 0;
+
+        const pct = ((current - baseline) / (goal.target_value - baseline)) * 100;
+        return Math.round(Math.min(Math.max(pct, 0), 100));
+    }
+
+    formatGoal(goal) {
+        return {
+            id: goal.id,
+            user_id: goal.user_id,
+            title: goal.title,
+            target_metric: goal.target_metric,
+            target_value: goal.target_value === null ? null : Number(goal.target_value),
+            baseline_value: goal.baseline_value === null ? null : Number(goal.baseline_value),
+            deadline: toDateString(goal.deadline),
+            status: goal.status,
+            source: goal.source,
+            created_at: goal.created_at,
+            updated_at: goal.updated_at,
+            completed_at: goal.completed_at
+        };
+    }
+
+    formatStep(step) {
+        return {
+            id: step.id,
+            goal_id: step.goal_id,
+            position: step.position,
+            description: step.description,
+            due_date: toDateString(step.due_date),
+            status: step.status,
+            completed_at: step.completed_at
+        };
+    }
+}
+
+module.exports = GoalService;
+module.exports.GoalError = GoalError;
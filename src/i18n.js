@@ -0,0 +1,367 @@
+// Language detection and localized static strings (suggestions, tips, insights, errors).
+// language_pref values: Hindi, Hinglish, English, Marathi, Tamil
+
+const DEFAULT_LANGUAGE = 'Hinglish';
+const LANGUAGES = ['Hindi', 'Hinglish', 'English', 'Marathi', 'Tamil'];
+
+// ISO-639-1 codes for speech services; Hinglish is left to auto-detection
+const LANGUAGE_CODES = {
+    Hindi: 'hi',
+    English: 'en',
+    Marathi: 'mr',
+    Tamil: 'ta'
+};
+
+// How the model should write in each language
+const PROMPT_INSTRUCTIONS = {
+    Hindi: 'Reply in simple Hindi written in Devanagari script. Keep common business words like UPI, GST, Instagram in English.',
+    Hinglish: 'Reply in Hinglish - conversational Hindi written in Roman script, mixed naturally with English business terms.',
+    English: 'Reply in simple Indian English. Avoid jargon; an occasional familiar Hindi word is fine.',
+    Marathi: 'Reply in simple Marathi written in Devanagari script. Keep common business words like UPI, GST, Instagram in English.',
+    Tamil: 'Reply in simple Tamil written in Tamil script. Keep common business words like UPI, GST, Instagram in English.'
+};
+
+const STRINGS = {
+    // Follow-up suggestions
+    ask_business_type: {
+        English: 'Tell me about your business type',
+        Hinglish: 'Apne business ke baare mein bataiye',
+        Hindi: 'अपने व्यवसाय के बारे में बताइए',
+        Marathi: 'तुमच्या व्यवसायाबद्दल सांगा',
+        Tamil: 'உங்கள் தொழில் பற்றி சொல்லுங்கள்'
+    },
+    ask_revenue_range: {
+        English: 'Share your monthly revenue range',
+        Hinglish: 'Apni monthly kamai ka andaza bataiye',
+        Hindi: 'अपनी मासिक आमदनी का अंदाज़ा बताइए',
+        Marathi: 'तुमच्या मासिक उत्पन्नाचा अंदाज सांगा',
+        Tamil: 'உங்கள் மாத வருமானம் சுமார் எவ்வளவு என்று சொல்லுங்கள்'
+    },
+    ask_biggest_challenge: {
+        English: "What's your biggest business challenge?",
+        Hinglish: 'Business mein sabse badi pareshani kya hai?',
+        Hindi: 'व्यवसाय में सबसे बड़ी परेशानी क्या है?',
+        Marathi: 'व्यवसायातील सर्वात मोठी अडचण कोणती आहे?',
+        Tamil: 'உங்கள் தொழிலில் மிகப் பெரிய சவால் என்ன?'
+    },
+
+    // Smart questions
+    q_business_type: {
+        English: 'What type of business do you run?',
+        Hinglish: 'Aap kis type ka business chalate hain?',
+        Hindi: 'आप किस तरह का व्यवसाय चलाते हैं?',
+        Marathi: 'तुम्ही कोणत्या प्रकारचा व्यवसाय चालवता?',
+        Tamil: 'நீங்கள் எந்த வகையான தொழில் நடத்துகிறீர்கள்?'
+    },
+    q_city: {
+        English: 'Which city is your business located in?',
+        Hinglish: 'Aapka business kis shehar mein hai?',
+        Hindi: 'आपका व्यवसाय किस शहर में है?',
+        Marathi: 'तुमचा व्यवसाय कोणत्या शहरात आहे?',
+        Tamil: 'உங்கள் தொழில் எந்த நகரத்தில் உள்ளது?'
+    },
+    q_revenue: {
+        English: "What's your approximate monthly revenue range?",
+        Hinglish: 'Mahine ki kamai lagbhag kitni hoti hai?',
+        Hindi: 'महीने की कमाई लगभग कितनी होती है?',
+        Marathi: 'महिन्याचे उत्पन्न साधारण किती असते?',
+        Tamil: 'மாத வருமானம் தோராயமாக எவ்வளவு?'
+    },
+    q_peak_hours: {
+        English: 'What are your busiest hours of the day?',
+        Hinglish: 'Din mein sabse zyada bheed kis time hoti hai?',
+        Hindi: 'दिन में सबसे ज़्यादा भीड़ किस समय होती है?',
+        Marathi: 'दिवसात सर्वात जास्त गर्दी कोणत्या वेळी असते?',
+        Tamil: 'நாளில் எந்த நேரத்தில் அதிக கூட்டம் இருக்கும்?'
+    },
+    q_staff_count: {
+        English: 'How many people work in your business?',
+        Hinglish: 'Aapke business mein kitne log kaam karte hain?',
+        Hindi: 'आपके व्यवसाय में कितने लोग काम करते हैं?',
+        Marathi: 'तुमच्या व्यवसायात किती लोक काम करतात?',
+        Tamil: 'உங்கள் தொழிலில் எத்தனை பேர் வேலை செய்கிறார்கள்?'
+    },
+    q_inventory_source: {
+        English: 'Where do you source your products/inventory from?',
+        Hinglish: 'Aap apna maal/stock kahan se lete hain?',
+        Hindi: 'आप अपना माल/स्टॉक कहाँ से लेते हैं?',
+        Marathi: 'तुम्ही तुमचा माल/स्टॉक कुठून घेता?',
+        Tamil: 'உங்கள் பொருட்களை/சரக்கை எங்கிருந்து வாங்குகிறீர்கள்?'
+    },
+    q_challenge: {
+        English: "What's your biggest business challenge right now?",
+        Hinglish: 'Abhi business mein sabse badi challenge kya hai?',
+        Hindi: 'अभी व्यवसाय में सबसे बड़ी चुनौती क्या है?',
+        Marathi: 'सध्या व्यवसायात सर्वात मोठे आव्हान कोणते आहे?',
+        Tamil: 'இப்போது உங்கள் தொழிலில் மிகப் பெரிய சவால் என்ன?'
+    },
+    q_goals: {
+        English: 'What are your main business goals for this year?',
+        Hinglish: 'Is saal business ke liye aapke main goals kya hain?',
+        Hindi: 'इस साल व्यवसाय के लिए आपके मुख्य लक्ष्य क्या हैं?',
+        Marathi: 'या वर्षासाठी तुमची मुख्य व्यावसायिक उद्दिष्टे कोणती आहेत?',
+        Tamil: 'இந்த ஆண்டுக்கான உங்கள் முக்கிய தொழில் இலக்குகள் என்ன?'
+    },
+    q_state: {
+        English: 'Which state is your business in?',
+        Hinglish: 'Aapka business kis state mein hai?',
+        Hindi: 'आपका व्यवसाय किस राज्य में है?',
+        Marathi: 'तुमचा व्यवसाय कोणत्या राज्यात आहे?',
+        Tamil: 'உங்கள் தொழில் எந்த மாநிலத்தில் உள்ளது?'
+    },
+    q_peak_days: {
+        English: 'Which days of the week are busiest for you?',
+        Hinglish: 'Hafte mein kaun se din sabse zyada kaam hota hai?',
+        Hindi: 'हफ़्ते में कौन से दिन सबसे ज़्यादा काम होता है?',
+        Marathi: 'आठवड्यातील कोणते दिवस सर्वात जास्त कामाचे असतात?',
+        Tamil: 'வாரத்தில் எந்த நாட்கள் உங்களுக்கு அதிக வியாபாரம் நடக்கும்?'
+    },
+    q_top_products: {
+        English: 'What are your best-selling products or services?',
+        Hinglish: 'Aapke sabse zyada bikne wale products ya services kaun se hain?',
+        Hindi: 'आपके सबसे ज़्यादा बिकने वाले उत्पाद या सेवाएँ कौन सी हैं?',
+        Marathi: 'तुमची सर्वात जास्त विकली जाणारी उत्पादने किंवा सेवा कोणत्या?',
+        Tamil: 'உங்களிடம் அதிகம் விற்கும் பொருட்கள் அல்லது சேவைகள் எவை?'
+    },
+    q_staff_roles: {
+        English: 'What roles do your staff have, like helper, cashier or manager?',
+        Hinglish: 'Aapke staff kya kaam karte hain - helper, cashier ya manager?',
+        Hindi: 'आपके कर्मचारी क्या काम करते हैं - हेल्पर, कैशियर या मैनेजर?',
+        Marathi: 'तुमचे कर्मचारी कोणते काम करतात - हेल्पर, कॅशियर की मॅनेजर?',
+        Tamil: 'உங்கள் ஊழியர்கள் என்ன வேலை செய்கிறார்கள் - உதவியாளர், காசாளர் அல்லது மேலாளர்?'
+    },
+    q_supplier: {
+        English: 'Who is your main supplier?',
+        Hinglish: 'Aapka main supplier kaun hai?',
+        Hindi: 'आपका मुख्य सप्लायर कौन है?',
+        Marathi: 'तुमचा मुख्य पुरवठादार कोण आहे?',
+        Tamil: 'உங்கள் முக்கிய சப்ளையர் யார்?'
+    },
+    q_payment_methods: {
+        English: 'How do customers pay you - cash, UPI or card?',
+        Hinglish: 'Customers payment kaise karte hain - cash, UPI ya card?',
+        Hindi: 'ग्राहक भुगतान कैसे करते हैं - नकद, UPI या कार्ड?',
+        Marathi: 'ग्राहक पैसे कसे देतात - रोख, UPI की कार्ड?',
+        Tamil: 'வாடிக்கையாளர்கள் எப்படி பணம் செலுத்துகிறார்கள் - ரொக்கம், UPI அல்லது கார்டு?'
+    },
+    q_ad_channels: {
+        English: 'How do you advertise your business today?',
+        Hinglish: 'Abhi aap apne business ka prachar kaise karte hain?',
+        Hindi: 'अभी आप अपने व्यवसाय का प्रचार कैसे करते हैं?',
+        Marathi: 'सध्या तुम्ही तुमच्या व्यवसायाची जाहिरात कशी करता?',
+        Tamil: 'இப்போது உங்கள் தொழிலை எப்படி விளம்பரம் செய்கிறீர்கள்?'
+    },
+    q_platforms: {
+        English: 'Which apps or online platforms do you use for the business?',
+        Hinglish: 'Business ke liye aap kaun se apps ya online platforms use karte hain?',
+        Hindi: 'व्यवसाय के लिए आप कौन से ऐप या ऑनलाइन प्लेटफ़ॉर्म इस्तेमाल करते हैं?',
+        Marathi: 'व्यवसायासाठी तुम्ही कोणती ॲप्स किंवा ऑनलाइन प्लॅटफॉर्म वापरता?',
+        Tamil: 'தொழிலுக்கு எந்த ஆப்கள் அல்லது ஆன்லைன் தளங்களைப் பயன்படுத்துகிறீர்கள்?'
+    },
+    q_past_campaigns: {
+        English: 'What offers or promotions have you tried before?',
+        Hinglish: 'Pehle aapne kaun se offers ya promotions try kiye hain?',
+        Hindi: 'पहले आपने कौन से ऑफ़र या प्रमोशन आज़माए हैं?',
+        Marathi: 'यापूर्वी तुम्ही कोणत्या ऑफर किंवा जाहिराती करून पाहिल्या आहेत?',
+        Tamil: 'இதற்கு முன் என்ன சலுகைகள் அல்லது விளம்பரங்களை முயற்சி செய்துள்ளீர்கள்?'
+    },
+    q_pricing_model: {
+        English: 'Are your prices fixed, or do they change with the season or discounts?',
+        Hinglish: 'Aapke daam fixed hain ya season aur discount ke hisaab se badalte hain?',
+        Hindi: 'आपके दाम तय हैं या मौसम और छूट के हिसाब से बदलते हैं?',
+        Marathi: 'तुमचे दर ठरलेले आहेत की हंगाम आणि सवलतीनुसार बदलतात?',
+        Tamil: 'உங்கள் விலைகள் நிலையானவையா, அல்லது பருவம் மற்றும் தள்ளுபடிக்கு ஏற்ப மாறுமா?'
+    },
+
+    // Seasonal context
+    season_festival_ahead: {
+        English: '{festival} is {days} days away - plan your offers and stock now.',
+        Hinglish: '{festival} mein {days} din baaki hain - offers aur stock ki planning abhi kijiye.',
+        Hindi: '{festival} में {days} दिन बाकी हैं - ऑफ़र और स्टॉक की तैयारी अभी कीजिए।',
+        Marathi: '{festival} ला {days} दिवस उरले आहेत - ऑफर आणि स्टॉकची तयारी आत्ताच करा.',
+        Tamil: '{festival} வர இன்னும் {days} நாட்கள் உள்ளன - சலுகைகளையும் சரக்கையும் இப்போதே திட்டமிடுங்கள்.'
+    },
+    season_festival_now: {
+        English: "It's {festival} - make the most of the festive rush today.",
+        Hinglish: 'Aaj {festival} hai - festive rush ka poora fayda uthaiye.',
+        Hindi: 'आज {festival} है - त्योहार की भीड़ का पूरा फ़ायदा उठाइए।',
+        Marathi: 'आज {festival} आहे - सणाच्या गर्दीचा पुरेपूर फायदा घ्या.',
+        Tamil: 'இன்று {festival} - பண்டிகைக் கூட்டத்தை முழுமையாகப் பயன்படுத்துங்கள்.'
+    },
+    season_monsoon: {
+        English: 'Monsoon season can affect business - plan accordingly.',
+        Hinglish: 'Monsoon mein business par asar pad sakta hai - pehle se planning kijiye.',
+        Hindi: 'बारिश के मौसम में व्यवसाय पर असर पड़ सकता है - पहले से योजना बनाइए।',
+        Marathi: 'पावसाळ्यात व्यवसायावर परिणाम होऊ शकतो - आधीच नियोजन करा.',
+        Tamil: 'மழைக்காலம் தொழிலை பாதிக்கலாம் - அதற்கேற்ப திட்டமிடுங்கள்.'
+    },
+    season_summer: {
+        English: 'Summer season - consider how weather affects your business.',
+        Hinglish: 'Garmi ka season hai - dekhiye mausam aapke business par kaise asar karta hai.',
+        Hindi: 'गर्मी का मौसम है - देखिए मौसम आपके व्यवसाय पर कैसे असर डालता है।',
+        Marathi: 'उन्हाळा आहे - हवामानाचा तुमच्या व्यवसायावर कसा परिणाम होतो ते पाहा.',
+        Tamil: 'கோடைக்காலம் - வானிலை உங்கள் தொழிலை எப்படி பாதிக்கிறது என்று யோசியுங்கள்.'
+    },
+
+    // Business insights
+    insight_complete_profile: {
+        English: 'Complete your profile to get personalized business advice',
+        Hinglish: 'Personal business advice ke liye apni profile poori kijiye',
+        Hindi: 'अपने लिए खास सलाह पाने के लिए अपनी प्रोफ़ाइल पूरी कीजिए',
+        Marathi: 'तुमच्यासाठी खास सल्ला मिळवण्यासाठी तुमची प्रोफाइल पूर्ण करा',
+        Tamil: 'தனிப்பட்ட தொழில் ஆலோசனை பெற உங்கள் சுயவிவரத்தை நிறைவு செய்யுங்கள்'
+    },
+    insight_revenue_goal: {
+        English: 'Setting revenue growth goals could help focus your efforts',
+        Hinglish: 'Kamai badhane ka clear goal rakhne se mehnat sahi disha mein lagegi',
+        Hindi: 'कमाई बढ़ाने का साफ़ लक्ष्य रखने से मेहनत सही दिशा में लगेगी',
+        Marathi: 'उत्पन्न वाढवण्याचे स्पष्ट उद्दिष्ट ठेवल्याने प्रयत्न योग्य दिशेने जातील',
+        Tamil: 'வருமான வளர்ச்சி இலக்கை அமைப்பது உங்கள் முயற்சிகளை கவனம் செலுத்த உதவும்'
+    },
+
+
+    // Errors and channel text
+    error_ai_unavailable: {
+        English: "I'm having trouble processing your request right now. Please try again in a moment.",
+        Hinglish: 'Abhi aapki request process karne mein dikkat aa rahi hai. Thodi der mein phir try kijiye.',
+        Hindi: 'अभी आपका अनुरोध पूरा करने में दिक्कत आ रही है। थोड़ी देर में फिर कोशिश कीजिए।',
+        Marathi: 'सध्या तुमची विनंती पूर्ण करण्यात अडचण येत आहे. थोड्या वेळाने पुन्हा प्रयत्न करा.',
+        Tamil: 'இப்போது உங்கள் கோரிக்கையைச் செயலாக்குவதில் சிக்கல் உள்ளது. சிறிது நேரம் கழித்து மீண்டும் முயற்சிக்கவும்.'
+    },
+    error_generic: {
+        English: 'Something went wrong. Please try again.',
+        Hinglish: 'Kuch gadbad ho gayi. Kripya phir se try kijiye.',
+        Hindi: 'कुछ गड़बड़ हो गई। कृपया फिर से कोशिश कीजिए।',
+        Marathi: 'काहीतरी चूक झाली. कृपया पुन्हा प्रयत्न करा.',
+        Tamil: 'ஏதோ தவறு நடந்தது. மீண்டும் முயற்சிக்கவும்.'
+    },
+    whatsapp_next_question: {
+        English: 'What would you like to know next?',
+        Hinglish: 'Aap aage kya jaanna chahenge?',
+        Hindi: 'आप आगे क्या जानना चाहेंगे?',
+        Marathi: 'तुम्हाला पुढे काय जाणून घ्यायला आवडेल?',
+        Tamil: 'அடுத்து என்ன தெரிந்துகொள்ள விரும்புகிறீர்கள்?'
+    },
+    budget_limit_reached: {
+        English: "You've reached this month's limit for advisor replies. Your messages are still saved, and full replies will resume next month.",
+        Hinglish: 'Is mahine ke advisor replies ki limit poori ho gayi hai. Aapke messages save ho rahe hain, agle mahine se poore jawab phir milenge.',
+        Hindi: 'इस महीने के सलाहकार जवाबों की सीमा पूरी हो गई है। आपके संदेश सहेजे जा रहे हैं, अगले महीने से पूरे जवाब फिर मिलेंगे।',
+        Marathi: 'या महिन्याची सल्लागार उत्तरांची मर्यादा पूर्ण झाली आहे. तुमचे संदेश जतन होत आहेत, पुढच्या महिन्यापासून पूर्ण उत्तरे पुन्हा मिळतील.',
+        Tamil: 'இந்த மாதத்திற்கான ஆலோசகர் பதில்களின் வரம்பை அடைந்துவிட்டீர்கள். உங்கள் செய்திகள் சேமிக்கப்படுகின்றன, அடுத்த மாதம் முதல் முழு பதில்கள் மீண்டும் கிடைக்கும்.'
+    },
+    nudges_opted_out: {
+        English: "You won't get reminders from Partnur any more. Send START to turn them back on.",
+        Hinglish: 'Ab aapko Partnur se reminders nahi aayenge. Wapas chalu karne ke liye START bhejiye.',
+        Hindi: 'अब आपको Partnur से रिमाइंडर नहीं आएंगे। फिर से चालू करने के लिए START भेजिए।',
+        Marathi: 'आता तुम्हाला Partnur कडून रिमाइंडर येणार नाहीत. पुन्हा सुरू करण्यासाठी START पाठवा.',
+        Tamil: 'இனி Partnur இலிருந்து நினைவூட்டல்கள் வராது. மீண்டும் இயக்க START அனுப்புங்கள்.'
+    },
+    nudges_opted_in: {
+        English: "Festival and campaign reminders are on. Send STOP any time to turn them off.",
+        Hinglish: 'Festival aur campaign reminders chalu hain. Band karne ke liye kabhi bhi STOP bhejiye.',
+        Hindi: 'त्योहार और कैंपेन रिमाइंडर चालू हैं। बंद करने के लिए कभी भी STOP भेजिए।',
+        Marathi: 'सण आणि कॅम्पेन रिमाइंडर सुरू आहेत. बंद करण्यासाठी कधीही STOP पाठवा.',
+        Tamil: 'பண்டிகை மற்றும் பிரச்சார நினைவூட்டல்கள் இயக்கத்தில் உள்ளன. நிறுத்த எப்போது வேண்டுமானாலும் STOP அனுப்புங்கள்.'
+    },
+    rate_limited: {
+        English: "You're sending messages faster than I can answer. Please wait a minute and try again.",
+        Hinglish: 'Aap bahut jaldi messages bhej rahe hain. Ek minute ruk kar phir try kijiye.',
+        Hindi: 'आप बहुत जल्दी संदेश भेज रहे हैं। एक मिनट रुककर फिर कोशिश कीजिए।',
+        Marathi: 'तुम्ही खूप पटापट संदेश पाठवत आहात. एक मिनिट थांबून पुन्हा प्रयत्न करा.',
+        Tamil: 'நீங்கள் மிக வேகமாக செய்திகளை அனுப்புகிறீர்கள். ஒரு நிமிடம் காத்திருந்து மீண்டும் முயற்சிக்கவும்.'
+    },
+    stock_low: {
+        English: '{item} is running low - only {quantity} left. Time to reorder.',
+        Hinglish: '{item} khatam hone wala hai - sirf {quantity} bache hain. Order kar dijiye.',
+        Hindi: '{item} खत्म होने वाला है - सिर्फ {quantity} बचे हैं। ऑर्डर कर दीजिए।',
+        Marathi: '{item} संपत आले आहे - फक्त {quantity} उरले आहेत. ऑर्डर करून घ्या.',
+        Tamil: '{item} குறைந்து வருகிறது - {quantity} மட்டுமே உள்ளது. மீண்டும் ஆர்டர் செய்யுங்கள்.'
+    }
+};
+
+// Function words that give a language away
+const DEVANAGARI_MARKERS = {
+    Hindi: ['है', 'हैं', 'हूँ', 'हूं', 'मेरा', 'मेरी', 'मेरे', 'नहीं', 'क्या', 'और', 'का', 'की', 'के', 'में', 'कैसे', 'मुझे'],
+    Marathi: ['आहे', 'आहेत', 'माझा', 'माझी', 'माझे', 'मला', 'नाही', 'काय', 'आणि', 'आम्ही', 'तुम्ही', 'करतो', 'करते', 'कसे', 'मध्ये', 'चा', 'ची', 'चे']
+};
+const HINGLISH_MARKERS = ['hai', 'hain', 'hoon', 'hu', 'mera', 'meri', 'mere', 'kya', 'nahi', 'nahin', 'aur', 'kaise',
+    'karna', 'karte', 'karta', 'karti', 'chahiye', 'mujhe', 'humara', 'hamara', 'dukaan', 'dukan', 'bahut', 'kitna',
+    'kitni', 'accha', 'achha', 'theek', 'bhai', 'ji', 'mein', 'se', 'ko', 'wala', 'wali', 'kaam', 'paisa', 'kamai', 'yaar'];
+const ENGLISH_MARKERS = ['the', 'is', 'are', 'my', 'and', 'how', 'what', 'i', 'we', 'to', 'can', 'do', 'of', 'in',
+    'for', 'should', 'want', 'have', 'with', 'business', 'sales'];
+
+// Guess the language of a message. Returns { language, confidence } or null when unsure.
+function detectLanguage(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    const tamilChars = (text.match(/[஀-௿]/g) || []).length;
+    const devanagariChars = (text.match(/[ऀ-ॿ]/g) || []).length;
+    const latinChars = (text.match(/[A-Za-z]/g) || []).length;
+    const total = tamilChars + devanagariChars + latinChars;
+    if (total < 4) return null;
+
+    if (tamilChars / total > 0.5) {
+        return { language: 'Tamil', confidence: tamilChars / total };
+    }
+
+    if (devanagariChars / total > 0.5) {
+        const words = text.split(/[\s,.!?।]+/).filter(Boolean);
+        const hindi = words.filter(w => DEVANAGARI_MARKERS.Hindi.includes(w)).length;
+        const marathi = words.filter(w => DEVANAGARI_MARKERS.Marathi.includes(w)).length;
+        if (marathi > hindi) return { language: 'Marathi', confidence: marathi / (hindi + marathi) };
+        if (hindi > 0) return { language: 'Hindi', confidence: hindi / (hindi + marathi) };
+        return { language: 'Hindi', confidence: 0.5 };
+    }
+
+    const words = text.toLowerCase().match(/[a-z']+/g) || [];
+    if (words.length < 3) return null;
+
+    const hinglish = words.filter(w => HINGLISH_MARKERS.includes(w)).length;
+    const english = words.filter(w => ENGLISH_MARKERS.includes(w)).length;
+    if (hinglish === 0 && english === 0) return null;
+
+    if (hinglish >= 2 && hinglish >= english * 0.5) {
+        return { language: 'Hinglish', confidence: hinglish / (hinglish + english) };
+    }
+    if (hinglish === 0) {
+        return { language: 'English', confidence: Math.min(1, english / words.length + 0.5) };
+    }
+    return { language: 'English', confidence: english / (hinglish + english) };
+}
+
+function normalizeLanguage(language) {
+    return LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+}
+
+// Pick the language's text from { English, Hinglish, ... }, falling back to English.
+// Plain strings pass through. {name} placeholders are filled from params.
+function localize(entry, language, params = {}) {
+    const text = typeof entry === 'string' ? entry : entry[normalizeLanguage(language)] || entry.English;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// Look up a localized string by key
+function t(language, key, params = {}) {
+    const entry = STRINGS[key];
+    if (!entry) return key;
+    return localize(entry, language, params);
+}
+
+function languageCode(language) {
+    return LANGUAGE_CODES[language] || null;
+}
+
+function promptInstruction(language) {
+    return PROMPT_INSTRUCTIONS[normalizeLanguage(language)];
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    LANGUAGES,
+    detectLanguage,
+    normalizeLanguage,
+    languageCode,
+    promptInstruction,
+    localize,
+    t
+};
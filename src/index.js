@@ -1,13 +1,73 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
+const multer = require('multer');
 require('dotenv').config();
 
 const ProfileManager = require('./profileManager');
 const AIService = require('./aiService');
+const WhatsAppService = require('./whatsappService');
+const AuthService = require('./authService');
+const RateLimiter = require('./rateLimiter');
+const UsageTracker = require('./usageTracker');
+const MetricsService = require('./metricsService');
+const { TREND_MONTHS } = require('./metricsService');
+const GoalService = require('./goalService');
+const NudgeScheduler = require('./nudgeScheduler');
+const FestivalCalendar = require('./festivalCalendar');
+const AdminAnalytics = require('./adminAnalytics');
+const PeerBenchmarks = require('./peerBenchmarks');
+const KnowledgeBase = require('./knowledgeBase');
+const SchemeMatcher = require('./schemeMatcher');
+const PlaybookLibrary = require('./playbooks');
+const CompletionEngine = require('./completionEngine');
+const ContentGenerator = require('./contentGenerator');
+const LedgerService = require('./ledgerService');
+const InventoryService = require('./inventoryService');
+const { createRepository } = require('./storage');
+const { sendServiceError } = require('./errors');
+const { createSpeechProviders } = require('./speechProviders');
+const { validateProfileEdit, validateMetricObservations } = require('./profileSchema');
+const { detectLanguage, languageCode, t } = require('./i18n');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind Render/nginx req.ip should be the client, not the proxy (e.g. TRUST_PROXY=1)
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+// Only switch a user's language_pref when detection is this sure, on this many messages
+// in a row (the current one included). A single "ok thanks" only changes that one reply.
+const LANGUAGE_SWITCH_CONFIDENCE = 0.7;
+const LANGUAGE_SWITCH_MESSAGES = 3;
+
+// Extracted values rated below this are held for the owner to confirm (0 turns confirmation off)
+const PROFILE_CONFIRM_BELOW = parseConfirmThreshold(process.env.PROFILE_CONFIRM_BELOW);
+
+// A typo such as "70%" would otherwise turn into NaN and save every guess without asking
+function parseConfirmThreshold(value) {
+    if (value === undefined) return 0.7;
+    const threshold = Number(value);
+    if (value.trim() === '' || !(threshold >= 0 && threshold <= 1)) {
+        throw new Error(`PROFILE_CONFIRM_BELOW must be a number from 0 to 1 like 0.7, got "${value}"`);
+    }
+    return threshold;
+}
+
+// Voice notes are kept in memory just long enough to transcribe
+const audioUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 25 * 1024 * 1024 }
+});
+
+// Knowledge base uploads (markdown or PDF) from the admin API
+const documentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 20 * 1024 * 1024 }
+});
+
 // Enhanced CORS configuration
 app.use(cors({
     origin: [
@@ -17,7 +77,7 @@ app.use(cors({
         'https://partnur-backend.onrender.com',
         '*' // Allow all origins for testing (remove in production)
     ],
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
     credentials: false
 }));
@@ -26,7 +86,15 @@ app.use(cors({
 app.options('*', cors());
 
 // Middleware
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+    limit: '50mb',
+    // Keep the raw body for webhook signature checks
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/webhooks/')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Add timestamp middleware
@@ -39,14 +107,367 @@ app.use((req, res, next) => {
 // Add response headers
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
     res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
     next();
 });
 
 // Initialize services
-const profileManager = new ProfileManager();
-const aiService = new AIService();
+const repository = createRepository();
+const festivalCalendar = new FestivalCalendar();
+const playbooks = new PlaybookLibrary();
+const completionEngine = new CompletionEngine(playbooks);
+const profileManager = new ProfileManager(repository, completionEngine);
+const usageTracker = new UsageTracker(repository);
+const metricsService = new MetricsService(repository);
+const ledgerService = new LedgerService(repository, profileManager);
+const inventoryService = new InventoryService(repository);
+const aiService = new AIService(undefined, usageTracker, festivalCalendar, playbooks, completionEngine);
+const rateLimiter = new RateLimiter();
+const goalService = new GoalService(repository, aiService, metricsService);
+const nudgeScheduler = new NudgeScheduler({ repository, aiService, calendar: festivalCalendar });
+const adminAnalytics = new AdminAnalytics(repository);
+const peerBenchmarks = new PeerBenchmarks(repository);
+const knowledgeBase = new KnowledgeBase(repository, aiService);
+const schemeMatcher = new SchemeMatcher();
+const contentGenerator = new ContentGenerator(repository, aiService, festivalCalendar);
+const whatsappService = new WhatsAppService();
+const authService = new AuthService(repository, profileManager);
+const speech = createSpeechProviders();
+
+// Require a valid access token and bind the request to the caller's profile
+function requireAuth(req, res, next) {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ error: 'Authorization: Bearer <access_token> header is required' });
+    }
+
+    try {
+        req.user = authService.verifyAccessToken(token);
+        next();
+    } catch (error) {
+        res.status(error.status || 401).json({ error: error.message });
+    }
+}
+
+// Only let callers read their own :mobile_number routes
+function requireOwnProfile(req, res, next) {
+    const requested = authService.normalizeMobileNumber(req.params.mobile_number);
+    if (requested !== req.user.mobile_number) {
+        return res.status(403).json({ error: 'You can only access your own profile' });
+    }
+    next();
+}
+
+// Only let ADMIN_MOBILE_NUMBERS use the admin routes (after requireAuth)
+function requireAdmin(req, res, next) {
+    if (!authService.isAdmin(req.user.mobile_number)) {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+}
+
+// Whether detection is sure enough that text is in language to count towards a switch
+function isWrittenIn(text, language) {
+    const detected = detectLanguage(text);
+    return Boolean(detected) && detected.confidence >= LANGUAGE_SWITCH_CONFIDENCE && detected.language === language;
+}
+
+// The language of the owner's last few messages when they all agree, else null
+async function settledLanguage(user_id) {
+    const recent = await profileManager.getRecentMessages(user_id, LANGUAGE_SWITCH_MESSAGES);
+    const detected = detectLanguage(recent[0]);
+    if (recent.length < LANGUAGE_SWITCH_MESSAGES || !detected) return null;
+    return recent.every(text => isWrittenIn(text, detected.language)) ? detected.language : null;
+}
+
+// Shared chat pipeline: profile lookup, extraction, response generation and logging
+// Pass onToken to stream the reply as it is generated; voice notes pass input_type and transcript
+async function processChatMessage({ user_id, mobile_number, message, session_id, enhanced = false, startTime = Date.now(), onToken, input_type = 'text', transcript = null }) {
+    // Step 1: Get or create user profile
+    let userProfile = user_id
+        ? await profileManager.getUserProfileById(user_id)
+        : await profileManager.getUserProfile(mobile_number);
+    if (!userProfile) {
+        if (user_id) throw new Error(`Profile ${user_id} not found`);
+        userProfile = await profileManager.createUserProfile(mobile_number);
+        console.log(`👤 Created new user profile for ${mobile_number}`);
+    }
+
+    // Follow the language the owner is actually writing in: this reply right away, the
+    // stored preference once the last few messages agree
+    let turnLanguage = null;
+    const detected = detectLanguage(message);
+    if (detected && detected.confidence >= LANGUAGE_SWITCH_CONFIDENCE && detected.language !== userProfile.language_pref) {
+        const earlier = await profileManager.getRecentMessages(userProfile.user_id, LANGUAGE_SWITCH_MESSAGES - 1);
+        if (earlier.length === LANGUAGE_SWITCH_MESSAGES - 1 && earlier.every(text => isWrittenIn(text, detected.language))) {
+            userProfile = await profileManager.setLanguagePreference(userProfile.user_id, detected.language) || userProfile;
+            console.log(`🗣️ Language preference set to ${detected.language}`);
+        } else {
+            turnLanguage = detected.language;
+        }
+    }
+    // The profile as the reply should see it
+    const replyProfile = (profile = userProfile) => (turnLanguage ? { ...profile, language_pref: turnLanguage } : profile);
+
+    // Past the monthly budget the turn is still logged, but no model is called
+    const budgetStatus = await usageTracker.getBudgetStatus(userProfile.user_id);
+    if (budgetStatus === 'exceeded') {
+        console.warn(`💸 Monthly LLM budget spent for ${userProfile.mobile_number}`);
+        const aiResponse = aiService.budgetExceededResponse(replyProfile());
+        if (onToken) onToken(aiResponse.content);
+
+        await profileManager.logConversation({
+            user_id: userProfile.user_id,
+            user_message: message,
+            ai_response: aiResponse.content,
+            extracted_info: {},
+            profile_updates: [],
+            context_used: aiResponse.contextUsed,
+            response_time_ms: Date.now() - startTime,
+            session_id: session_id || null,
+            input_type,
+            transcript
+        });
+
+        const completionScore = profileManager.calculateProfileCompletion(userProfile);
+        return { userProfile, extractedInfo: {}, aiResponse, completionScore, pendingConfirmations: [], ledgerEntries: [], inventoryUpdates: [] };
+    }
+
+    // Step 2: Extract any new information from the message
+    const { data: extracted, confidence, metrics, insights, ledger, inventory, error: extractionError } = await aiService.extractProfileInfo(message, userProfile, {
+        inventoryItems: await inventoryService.itemNames(userProfile.user_id)
+    });
+    console.log('🔍 Extracted info:', extracted);
+
+    // Unsure values wait for the owner instead of going straight into the profile
+    const extractedInfo = {};
+    const uncertain = {};
+    for (const [field, value] of Object.entries(extracted)) {
+        if (confidence[field] < PROFILE_CONFIRM_BELOW) {
+            uncertain[field] = value;
+        } else {
+            extractedInfo[field] = value;
+        }
+    }
+
+    // Step 3: Work out what the message changes. Nothing is stored until the reply has gone out
+    // (step 6), so a client retrying a failed message doesn't record anything twice. Everything
+    // is tagged with this turn's log id for undo.
+    const conversation_log_id = crypto.randomUUID();
+
+    // Keep dated numbers so trends survive monthly_revenue being overwritten
+    const observations = [...metrics];
+    if (extractedInfo.monthly_revenue && !observations.some(o => o.metric === 'revenue')) {
+        observations.push(...validateMetricObservations([{ metric: 'revenue', value: extractedInfo.monthly_revenue, period: 'month' }]).data);
+    }
+
+    // Step 4: Generate AI response using full context, recent turns, trends, their ledger and stock
+    // (with margins when they ask about pricing), peer benchmarks and knowledge base passages, plus matching schemes when the owner asks about funding.
+    // Enhanced replies also check in on overdue action plan steps. The profile, trends, ledger and
+    // stock already count what this message says, though it is only stored in step 6.
+    const advisorProfile = replyProfile(profileManager.previewProfile(userProfile, extractedInfo));
+    const history = await profileManager.getConversationHistory(userProfile.user_id, session_id);
+    const advisorContext = {
+        historySummary: await profileManager.getHistorySummary(userProfile.user_id, session_id),
+        trends: await metricsService.getTrendSummary(userProfile.user_id, TREND_MONTHS, { pending: observations }),
+        ledger: await ledgerService.getAdvisorSummary(userProfile.user_id, { pending: ledger }),
+        inventory: await inventoryService.getAdvisorSummary(advisorProfile, { message, pending: inventory }),
+        benchmark: await peerBenchmarks.getBenchmark(advisorProfile),
+        knowledge: knowledgeBase.isKnowledgeQuery(message) ? await knowledgeBase.retrieve(message, advisorProfile) : [],
+        schemes: schemeMatcher.isFundingQuestion(message) ? schemeMatcher.match(advisorProfile, { limit: 5 }) : [],
+        overdueSteps: enhanced ? await goalService.getOverdueSteps(userProfile.user_id, { markReminded: true }) : []
+    };
+    let aiResponse;
+    if (onToken) {
+        aiResponse = await aiService.streamResponse(message, advisorProfile, history, onToken, { enhanced, advisorContext });
+    } else {
+        aiResponse = enhanced
+            ? await aiService.generateEnhancedResponse(message, advisorProfile, history, advisorContext)
+            : await aiService.generateResponse(message, advisorProfile, history, advisorContext);
+    }
+
+    // Step 5: Log the conversation. When the reply failed nothing from the message is stored,
+    // so the turn keeps it in pending_extraction instead; an extraction that failed is noted there too.
+    const stored = !aiResponse.failed;
+    const extractedAnything = Object.keys(extracted).length > 0 || observations.length > 0 || ledger.length > 0 || inventory.length > 0;
+    let pending_extraction = null;
+    if (extractionError) {
+        pending_extraction = { error: extractionError };
+    } else if (!stored && extractedAnything) {
+        pending_extraction = { profile: extracted, confidence, metrics: observations, ledger, inventory };
+    }
+    await profileManager.logConversation({
+        id: conversation_log_id,
+        user_id: userProfile.user_id,
+        user_message: message,
+        ai_response: aiResponse.content,
+        extracted_info: stored ? extractedInfo : {},
+        profile_updates: stored ? Object.keys(extractedInfo) : [],
+        pending_extraction,
+        context_used: aiResponse.contextUsed,
+        response_time_ms: Date.now() - startTime,
+        session_id: session_id || null,
+        input_type,
+        transcript,
+        topics: insights.topics,
+        sentiment: insights.sentiment,
+        acted_on_suggestion: insights.acted_on_suggestion
+    });
+    if (aiResponse.historySummary) {
+        await profileManager.saveHistorySummary(userProfile.user_id, session_id, aiResponse.historySummary);
+    }
+
+    // Step 6: Store what the message changed now that the reply has gone out: unsure values wait
+    // for the owner, the rest goes into the profile, metrics, goals, ledger and stock. Ledger
+    // sales keep monthly_revenue current unless the owner just stated it.
+    let pendingConfirmations = [];
+    let ledgerEntries = [];
+    let inventoryUpdates = [];
+    if (!stored) {
+        if (extractedAnything) console.warn(`⚠️ Reply failed, extracted facts kept on turn ${conversation_log_id} only`);
+    } else {
+        if (Object.keys(uncertain).length > 0) {
+            pendingConfirmations = await profileManager.holdForConfirmation(userProfile.user_id, uncertain, confidence, { conversation_log_id });
+            console.log(`⏳ ${pendingConfirmations.length} low-confidence fields held for confirmation`);
+        }
+        if (Object.keys(extractedInfo).length > 0) {
+            userProfile = await profileManager.updateProfile(userProfile.user_id, extractedInfo, { source: 'ai', conversation_log_id });
+            console.log(`📝 Profile updated with ${Object.keys(extractedInfo).length} new fields`);
+        }
+        if (extractedInfo.goals) {
+            goalService.planInBackground(userProfile, await goalService.syncProfileGoals(userProfile, extractedInfo.goals));
+        }
+        if (observations.length > 0) {
+            await metricsService.recordObservations(userProfile.user_id, observations, { source: 'ai', conversation_log_id });
+        }
+        if (ledger.length > 0) {
+            ledgerEntries = await ledgerService.recordEntries(userProfile.user_id, ledger, { source: 'ai', conversation_log_id });
+            if (!extractedInfo.monthly_revenue) {
+                userProfile = await ledgerService.syncMonthlyRevenue(userProfile, { conversation_log_id }) || userProfile;
+            }
+        }
+        if (inventory.length > 0) {
+            inventoryUpdates = await inventoryService.applyUpdates(userProfile.user_id, inventory, { source: 'ai', conversation_log_id });
+        }
+    }
+
+    // Step 7: Calculate profile completion
+    const completionScore = profileManager.calculateProfileCompletion(userProfile);
+
+    return { userProfile, extractedInfo: stored ? extractedInfo : {}, aiResponse, completionScore, conversation_log_id, pendingConfirmations, ledgerEntries, inventoryUpdates };
+}
+
+// Generic error text in the language the message was written in
+function localizedError(message) {
+    return t(detectLanguage(message)?.language, 'error_generic');
+}
+
+// Smart features and analytics preview returned by the enhanced chat routes
+async function buildSmartFeatures(userProfile, aiResponse) {
+    // Get quick analytics preview
+    const recentAnalytics = await profileManager.getAnalytics(userProfile.user_id, 7);
+    const lowStock = await inventoryService.getLowStock(userProfile);
+
+    return {
+        smart_features: {
+            business_category: playbooks.categorize(userProfile.business_type),
+            smart_questions: aiResponse.suggestions || [],
+            seasonal_tip: aiResponse.seasonalTip,
+            business_insights: aiService.getBusinessInsights(userProfile),
+            contextual_tips: aiService.generateContextualTips(userProfile),
+            stock_alerts: lowStock.map(item => t(userProfile.language_pref, 'stock_low', {
+                item: item.name,
+                quantity: item.unit ? `${item.quantity} ${item.unit}` : item.quantity
+            }))
+        },
+        analytics_preview: {
+            total_conversations: recentAnalytics.total_conversations,
+            avg_response_time: recentAnalytics.avg_response_time_ms
+        }
+    };
+}
+
+// Write one Server-Sent Event
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Streaming chat: tokens go out as `token` events, then one `done` event with the usual extras
+function streamChatHandler({ enhanced }) {
+    return async (req, res) => {
+        const startTime = Date.now();
+        const { user_id, mobile_number } = req.user;
+        const message = req.body.message || req.query.message;
+        const session_id = req.body.session_id || req.query.session_id;
+
+        if (!message) {
+            return res.status(400).json({ error: 'message is required' });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        // Keep generating after a disconnect so the full turn still gets logged.
+        // Listen on res: req emits 'close' as soon as the body has been read.
+        let clientGone = false;
+        res.on('close', () => { clientGone = true; });
+
+        console.log(`💬 Streaming ${enhanced ? 'enhanced ' : ''}chat from ${mobile_number}: ${message}`);
+
+        try {
+            const { userProfile, extractedInfo, aiResponse, completionScore, conversation_log_id, pendingConfirmations, ledgerEntries, inventoryUpdates } = await processChatMessage({
+                user_id,
+                message,
+                session_id,
+                enhanced,
+                startTime,
+                onToken: token => {
+                    if (!clientGone) sendEvent(res, 'token', { text: token });
+                }
+            });
+
+            if (clientGone) return res.end();
+
+            const done = {
+                success: true,
+                response: aiResponse.content,
+                profile_completion: completionScore,
+                extracted_info: extractedInfo,
+                conversation_log_id: conversation_log_id,
+                pending_confirmations: pendingConfirmations,
+                ledger_entries: ledgerEntries,
+                inventory_updates: inventoryUpdates,
+                suggestions: aiResponse.suggestions || [],
+                citations: aiResponse.citations || []
+            };
+            if (enhanced) {
+                Object.assign(done, await buildSmartFeatures(userProfile, aiResponse), {
+                    context_used: aiResponse.contextUsed
+                });
+            }
+            done.response_time_ms = Date.now() - startTime;
+
+            sendEvent(res, 'done', done);
+        } catch (error) {
+            console.error('❌ Streaming chat error:', error);
+            if (!clientGone) {
+                sendEvent(res, 'error', {
+                    error: localizedError(message),
+                    details: process.env.NODE_ENV === 'development' ? error.message : undefined
+                });
+            }
+        }
+        res.end();
+    };
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -56,11 +477,65 @@ app.get('/health', (req, res) => {
         cors: 'enabled',
         endpoints: [
             'GET /health',
+            'POST /auth/otp/request',
+            'POST /auth/otp/verify',
+            'POST /auth/refresh',
             'POST /chat',
             'POST /chat/enhanced',
+            'POST /chat/stream',
+            'POST /chat/enhanced/stream',
+            'POST /chat/voice',
             'GET /profile/:mobile_number',
+            'GET /profile/:mobile_number/history',
+            'POST /profile/:mobile_number/history/:change_id/revert',
+            'POST /profile/:mobile_number/conversations/:conversation_log_id/revert',
+            'PATCH /profile/:mobile_number',
+            'DELETE /profile/:mobile_number/fields/:field',
+            'DELETE /profile/:mobile_number/fields/:field/items/:item',
+            'GET /profile/:mobile_number/pending',
+            'POST /profile/:mobile_number/pending/:pending_id/accept',
+            'POST /profile/:mobile_number/pending/:pending_id/reject',
             'GET /analytics/:mobile_number',
-            'GET /trends'
+            'GET /benchmarks/:mobile_number',
+            'GET /schemes/:mobile_number',
+            'GET /metrics/:mobile_number',
+            'POST /metrics/:mobile_number',
+            'GET /goals/:mobile_number',
+            'POST /goals/:mobile_number',
+            'PATCH /goals/:mobile_number/:goal_id',
+            'POST /goals/:mobile_number/:goal_id/plan',
+            'PATCH /goals/:mobile_number/:goal_id/steps/:step_id',
+            'GET /nudges/:mobile_number',
+            'PUT /nudges/:mobile_number/preferences',
+            'GET /festivals/:mobile_number',
+            'POST /marketing/:mobile_number/generate',
+            'GET /marketing/:mobile_number/drafts',
+            'GET /marketing/:mobile_number/drafts/:draft_id',
+            'PATCH /marketing/:mobile_number/drafts/:draft_id',
+            'DELETE /marketing/:mobile_number/drafts/:draft_id',
+            'GET /marketing/:mobile_number/drafts/:draft_id/flyer.pdf',
+            'GET /ledger/:mobile_number/entries',
+            'POST /ledger/:mobile_number/entries',
+            'DELETE /ledger/:mobile_number/entries/:entry_id',
+            'GET /ledger/:mobile_number/summary',
+            'GET /ledger/:mobile_number/credit',
+            'GET /inventory/:mobile_number/items',
+            'POST /inventory/:mobile_number/items',
+            'PATCH /inventory/:mobile_number/items/:item_id',
+            'DELETE /inventory/:mobile_number/items/:item_id',
+            'POST /inventory/:mobile_number/items/:item_id/stock',
+            'GET /inventory/:mobile_number/reorder',
+            'GET /inventory/:mobile_number/margins',
+            'GET /trends',
+            'GET /admin/analytics',
+            'GET /admin/analytics/export/:report',
+            'GET /admin/knowledge',
+            'POST /admin/knowledge',
+            'DELETE /admin/knowledge/:document_id',
+            'GET /admin/playbooks',
+            'POST /admin/playbooks/reload',
+            'GET /webhooks/whatsapp',
+            'POST /webhooks/whatsapp'
         ]
     });
 });
@@ -75,93 +550,107 @@ app.get('/test', (req, res) => {
     });
 });
 
+// Request a login OTP over SMS. Counted per normalized number, so "+91 98765 43210"
+// and "9876543210" share one limit.
+app.post('/auth/otp/request', rateLimiter.middleware('auth', { userKey: req => authService.normalizeMobileNumber(req.body?.mobile_number) }), async (req, res) => {
+    try {
+        const result = await authService.requestOtp(req.body.mobile_number);
+        console.log(`🔑 OTP sent to ${result.mobile_number}`);
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to send OTP');
+    }
+});
+
+// Verify the OTP and issue access/refresh tokens. Guesses per number are already capped by
+// the OTP's attempt counter, so only the IP is rate limited here.
+app.post('/auth/otp/verify', rateLimiter.middleware('auth', { userKey: null }), async (req, res) => {
+    try {
+        const tokens = await authService.verifyOtp(req.body.mobile_number, req.body.otp);
+        console.log(`🔓 ${tokens.mobile_number} logged in`);
+
+        res.json({ success: true, ...tokens });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to verify OTP');
+    }
+});
+
+// Exchange a refresh token for a new token pair
+app.post('/auth/refresh', rateLimiter.middleware('auth'), async (req, res) => {
+    try {
+        const tokens = await authService.refresh(req.body.refresh_token);
+        res.json({ success: true, ...tokens });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to refresh token');
+    }
+});
+
 // Main chat endpoint - This is where the magic happens!
-app.post('/chat', async (req, res) => {
+app.post('/chat', requireAuth, rateLimiter.middleware('chat'), async (req, res) => {
     try {
         console.log('📨 Chat request body:', req.body);
         
-        // Accept parameters from either body OR query string
-        const mobile_number = req.body.mobile_number || req.query.mobile_number;
+        // Accept parameters from either body OR query string; the user comes from the token
+        const { user_id, mobile_number } = req.user;
         const message = req.body.message || req.query.message;
         const session_id = req.body.session_id || req.query.session_id;
         
-        if (!mobile_number || !message) {
+        if (!message) {
             return res.status(400).json({ 
-                error: 'mobile_number and message are required',
-                received: { mobile_number, message, session_id }
+                error: 'message is required',
+                received: { message, session_id }
             });
         }
 
         console.log(`💬 New message from ${mobile_number}: ${message}`);
         
-        // Step 1: Get or create user profile
-        let userProfile = await profileManager.getUserProfile(mobile_number);
-        if (!userProfile) {
-            userProfile = await profileManager.createUserProfile(mobile_number);
-            console.log(`👤 Created new user profile for ${mobile_number}`);
-        }
-
-        // Step 2: Extract any new information from the message
-        const extractedInfo = await aiService.extractProfileInfo(message, userProfile);
-        console.log('🔍 Extracted info:', extractedInfo);
-
-        // Step 3: Update profile with new information
-        if (Object.keys(extractedInfo).length > 0) {
-            userProfile = await profileManager.updateProfile(userProfile.user_id, extractedInfo);
-            console.log('📝 Profile updated with new info');
-        }
-
-        // Step 4: Generate AI response using full context
-        const aiResponse = await aiService.generateResponse(message, userProfile);
-        
-        // Step 5: Log the conversation
-        await profileManager.logConversation({
-            user_id: userProfile.user_id,
-            user_message: message,
-            ai_response: aiResponse.content,
-            extracted_info: extractedInfo,
-            profile_updates: Object.keys(extractedInfo),
-            context_used: aiResponse.contextUsed,
-            response_time_ms: Date.now() - req.startTime,
-            session_id: session_id || null
+        const { extractedInfo, aiResponse, completionScore, conversation_log_id, pendingConfirmations, ledgerEntries, inventoryUpdates } = await processChatMessage({
+            user_id,
+            message,
+            session_id,
+            startTime: req.startTime
         });
-
-        // Step 6: Calculate profile completion
-        const completionScore = profileManager.calculateProfileCompletion(userProfile);
         
         res.json({
             success: true,
             response: aiResponse.content,
             profile_completion: completionScore,
             extracted_info: extractedInfo,
-            suggestions: aiResponse.suggestions || []
+            conversation_log_id: conversation_log_id,
+            pending_confirmations: pendingConfirmations,
+            ledger_entries: ledgerEntries,
+            inventory_updates: inventoryUpdates,
+            suggestions: aiResponse.suggestions || [],
+            citations: aiResponse.citations || []
         });
 
     } catch (error) {
         console.error('❌ Chat endpoint error:', error);
         res.status(500).json({ 
-            error: 'Something went wrong. Please try again.',
+            error: localizedError(req.body.message || req.query.message),
             details: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
 });
 
 // Get user profile endpoint
-app.get('/profile/:mobile_number', async (req, res) => {
+app.get('/profile/:mobile_number', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
     try {
-        const { mobile_number } = req.params;
-        const profile = await profileManager.getUserProfile(mobile_number);
+        const profile = await profileManager.getUserProfileById(req.user.user_id);
         
         if (!profile) {
             return res.status(404).json({ error: 'Profile not found' });
         }
 
-        const completionScore = profileManager.calculateProfileCompletion(profile);
+        const completion = profileManager.getCompletionBreakdown(profile);
         
         res.json({
             success: true,
             profile: profile,
-            completion_score: completionScore
+            completion_score: completion.score,
+            completion: completion,
+            next_question: completionEngine.nextBestQuestion(profile)
         });
     } catch (error) {
         console.error('❌ Profile fetch error:', error);
@@ -169,27 +658,172 @@ app.get('/profile/:mobile_number', async (req, res) => {
     }
 });
 
+// Profile change history - ?field=monthly_revenue&conversation_log_id=...&limit=50
+app.get('/profile/:mobile_number/history', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const { field, conversation_log_id, limit } = req.query;
+        const history = await profileManager.getProfileHistory(req.user.user_id, {
+            field,
+            conversation_log_id,
+            limit: Math.min(parseInt(limit) || 50, 200)
+        });
+
+        res.json({
+            success: true,
+            history: history,
+            count: history.length
+        });
+    } catch (error) {
+        console.error('❌ Profile history error:', error);
+        res.status(500).json({ error: 'Failed to fetch profile history' });
+    }
+});
+
+// Undo a single profile change
+app.post('/profile/:mobile_number/history/:change_id/revert', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const result = await profileManager.revertChange(req.user.user_id, req.params.change_id);
+        res.json({
+            success: true,
+            profile: result.profile,
+            reverted: result.reverted,
+            skipped: result.skipped,
+            completion_score: result.profile.profile_completion_score
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to revert change');
+    }
+});
+
+// Undo every profile change one conversation turn made
+app.post('/profile/:mobile_number/conversations/:conversation_log_id/revert', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const result = await profileManager.revertConversation(req.user.user_id, req.params.conversation_log_id);
+        res.json({
+            success: true,
+            profile: result.profile,
+            reverted: result.reverted,
+            skipped: result.skipped,
+            completion_score: result.profile.profile_completion_score
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to revert conversation');
+    }
+});
+
+// Edit profile fields - body is a partial profile; null or "" clears a field, arrays replace the list
+app.patch('/profile/:mobile_number', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const { data, rejected } = validateProfileEdit(req.body);
+        if (rejected.length > 0) {
+            return res.status(400).json({ error: 'Invalid profile fields', rejected });
+        }
+        if (Object.keys(data).length === 0) {
+            return res.status(400).json({ error: 'No profile fields to update' });
+        }
+
+        const profile = await profileManager.editProfile(req.user.user_id, data);
+        res.json({
+            success: true,
+            profile: profile,
+            updated_fields: Object.keys(data),
+            completion_score: profile.profile_completion_score
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update profile');
+    }
+});
+
+// Clear one profile field
+app.delete('/profile/:mobile_number/fields/:field', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const { data, rejected } = validateProfileEdit({ [req.params.field]: null });
+        if (rejected.length > 0) {
+            return res.status(400).json({ error: 'Invalid profile field', rejected });
+        }
+
+        const profile = await profileManager.editProfile(req.user.user_id, data);
+        res.json({
+            success: true,
+            profile: profile,
+            completion_score: profile.profile_completion_score
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to clear profile field');
+    }
+});
+
+// Remove one item from a list field, e.g. DELETE /profile/:mobile_number/fields/challenges/items/low%20footfall
+app.delete('/profile/:mobile_number/fields/:field/items/:item', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const profile = await profileManager.removeArrayItems(req.user.user_id, req.params.field, [req.params.item]);
+        res.json({
+            success: true,
+            profile: profile,
+            completion_score: profile.profile_completion_score
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to remove item');
+    }
+});
+
+// Extracted values waiting for the owner to confirm
+app.get('/profile/:mobile_number/pending', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const pending = await profileManager.getPendingUpdates(req.user.user_id);
+        res.json({
+            success: true,
+            pending: pending,
+            count: pending.length
+        });
+    } catch (error) {
+        console.error('❌ Pending updates error:', error);
+        res.status(500).json({ error: 'Failed to fetch pending updates' });
+    }
+});
+
+// Accept or reject a held value
+app.post('/profile/:mobile_number/pending/:pending_id/:action(accept|reject)', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const { profile, pending } = await profileManager.resolvePendingUpdate(
+            req.user.user_id, req.params.pending_id, req.params.action === 'accept'
+        );
+        res.json({
+            success: true,
+            pending: pending,
+            profile: profile,
+            completion_score: profileManager.calculateProfileCompletion(profile)
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to resolve pending update');
+    }
+});
+
 // Analytics endpoint - Get user conversation analytics
-app.get('/analytics/:mobile_number', async (req, res) => {
+app.get('/analytics/:mobile_number', requireAuth, requireOwnProfile, rateLimiter.middleware('analytics'), async (req, res) => {
     try {
-        const { mobile_number } = req.params;
+        const { mobile_number } = req.user;
         const { days } = req.query; // Optional: ?days=30
         
         console.log(`📊 Getting analytics for ${mobile_number}`);
         
-        const userProfile = await profileManager.getUserProfile(mobile_number);
+        const userProfile = await profileManager.getUserProfileById(req.user.user_id);
         if (!userProfile) {
             return res.status(404).json({ error: 'User not found' });
         }
         
         const analytics = await profileManager.getAnalytics(userProfile.user_id, days ? parseInt(days) : 30);
         const activitySummary = await profileManager.getUserActivitySummary(userProfile.user_id);
+        const llmUsage = await usageTracker.getMonthlyUsage(userProfile.user_id);
+        const goalProgress = await goalService.getProgress(userProfile.user_id);
         
         res.json({
             success: true,
             mobile_number: mobile_number,
             analytics: analytics,
             activity_summary: activitySummary,
+            llm_usage: llmUsage,
+            goal_progress: goalProgress,
             profile_completion: profileManager.calculateProfileCompletion(userProfile),
             generated_at: new Date().toISOString()
         });
@@ -203,131 +837,542 @@ app.get('/analytics/:mobile_number', async (req, res) => {
     }
 });
 
-// Profile trends endpoint - Get platform-wide trends
-app.get('/trends', async (req, res) => {
+// Anonymized comparison with similar businesses (same business type and city tier)
+app.get('/benchmarks/:mobile_number', requireAuth, requireOwnProfile, rateLimiter.middleware('analytics'), async (req, res) => {
     try {
-        const { limit } = req.query; // Optional: ?limit=50
-        
-        console.log(`📈 Getting profile completion trends`);
-        
-        const trends = await profileManager.getProfileCompletionTrends(limit ? parseInt(limit) : 100);
-        
-        // Calculate summary statistics
-        const totalProfiles = trends.length;
-        const averageCompletion = totalProfiles > 0 
-            ? Math.round(trends.reduce((sum, t) => sum + t.profile_completion_score, 0) / totalProfiles)
-            : 0;
-        
-        // Group by business type
-        const businessTypes = {};
-        trends.forEach(trend => {
-            if (trend.business_type) {
-                businessTypes[trend.business_type] = (businessTypes[trend.business_type] || 0) + 1;
-            }
+        const userProfile = await profileManager.getUserProfileById(req.user.user_id);
+        const benchmark = await peerBenchmarks.getBenchmark(userProfile);
+        res.json({ success: true, benchmark: benchmark });
+    } catch (error) {
+        console.error('❌ Benchmark endpoint error:', error);
+        res.status(500).json({ error: 'Failed to get benchmark' });
+    }
+});
+
+// Government schemes and loans the owner likely qualifies for, with reasons and the
+// details still needed to be sure. ?all=true also lists ruled-out schemes and why.
+app.get('/schemes/:mobile_number', requireAuth, requireOwnProfile, rateLimiter.middleware('analytics'), async (req, res) => {
+    try {
+        const userProfile = await profileManager.getUserProfileById(req.user.user_id);
+        const schemes = schemeMatcher.match(userProfile, { includeRuledOut: req.query.all === 'true' });
+
+        res.json({
+            success: true,
+            schemes: schemes,
+            missing_profile_fields: schemeMatcher.missingProfileFields(schemes.filter(scheme => scheme.status === 'possible')),
+            disclaimer: 'Based on your profile only. Check the conditions and apply on the official portal or at a bank branch.'
         });
-        
+    } catch (error) {
+        console.error('❌ Schemes endpoint error:', error);
+        res.status(500).json({ error: 'Failed to match schemes' });
+    }
+});
+
+// Business metrics - record dated numbers directly.
+// Body: { metric, value, period, observed_on } or { observations: [...] }
+app.post('/metrics/:mobile_number', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const input = Array.isArray(req.body.observations) ? req.body.observations : [req.body];
+        const { data, rejected } = validateMetricObservations(input);
+        if (rejected.length > 0 || data.length === 0) {
+            return res.status(400).json({ error: 'Invalid metric observations', rejected });
+        }
+
+        const saved = await metricsService.recordObservations(req.user.user_id, data, { source: 'user' });
+        const trends = await metricsService.getTrendSummary(req.user.user_id);
+
+        res.status(201).json({
+            success: true,
+            recorded: saved.length,
+            trends: trends
+        });
+    } catch (error) {
+        console.error('❌ Metrics record error:', error);
+        res.status(500).json({ error: 'Failed to record metrics' });
+    }
+});
+
+// Business metrics - observations, monthly series and month-over-month trends (?metric=revenue&months=6)
+app.get('/metrics/:mobile_number', requireAuth, requireOwnProfile, rateLimiter.middleware('analytics'), async (req, res) => {
+    try {
+        const months = Math.min(Math.max(parseInt(req.query.months) || TREND_MONTHS, 2), 24);
+        const [observations, series, trends] = await Promise.all([
+            metricsService.getObservations(req.user.user_id, {
+                metric: req.query.metric,
+                since: metricsService.monthStart(months - 1)
+            }),
+            metricsService.getMonthlySeries(req.user.user_id, months),
+            metricsService.getTrendSummary(req.user.user_id, months)
+        ]);
+
         res.json({
             success: true,
+            observations: observations,
+            monthly_series: req.query.metric ? { [req.query.metric]: series[req.query.metric] || [] } : series,
+            trends: trends
+        });
+    } catch (error) {
+        console.error('❌ Metrics fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch metrics' });
+    }
+});
+
+// Goals with action plans (?status=active)
+app.get('/goals/:mobile_number', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const goals = await goalService.listGoals(req.user.user_id, { status: req.query.status });
+        res.json({
+            success: true,
+            goals: goals,
+            count: goals.length
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch goals');
+    }
+});
+
+// Create a goal - body: { title, target_metric, target_value, deadline }. The action plan is generated by AI.
+app.post('/goals/:mobile_number', requireAuth, requireOwnProfile, rateLimiter.middleware('chat'), async (req, res) => {
+    try {
+        const userProfile = await profileManager.getUserProfileById(req.user.user_id);
+        const goal = await goalService.createGoal(userProfile, req.body);
+        res.status(201).json({ success: true, goal: goal });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to create goal');
+    }
+});
+
+// Update a goal - title, target_metric, target_value, deadline or status
+app.patch('/goals/:mobile_number/:goal_id', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const goal = await goalService.updateGoal(req.user.user_id, req.params.goal_id, req.body);
+        res.json({ success: true, goal: goal });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update goal');
+    }
+});
+
+// Regenerate the remaining steps of a goal's action plan
+app.post('/goals/:mobile_number/:goal_id/plan', requireAuth, requireOwnProfile, rateLimiter.middleware('chat'), async (req, res) => {
+    try {
+        const goal = await goalService.getGoal(req.user.user_id, req.params.goal_id);
+        const userProfile = await profileManager.getUserProfileById(req.user.user_id);
+        const steps = await goalService.planGoal(userProfile, goal);
+        res.json({ success: true, goal: { ...goalService.formatGoal(goal), steps } });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to plan goal');
+    }
+});
+
+// Mark a step done/skipped or move its due date
+app.patch('/goals/:mobile_number/:goal_id/steps/:step_id', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const goal = await goalService.updateStep(req.user.user_id, req.params.goal_id, req.params.step_id, req.body);
+        res.json({ success: true, goal: goal });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update step');
+    }
+});
+
+// Proactive nudges sent to this owner and their delivery preferences
+app.get('/nudges/:mobile_number', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const userProfile = await profileManager.getUserProfileById(req.user.user_id);
+        const nudges = await nudgeScheduler.listNudges(req.user.user_id);
+        res.json({
+            success: true,
+            preferences: nudgeScheduler.preferencesOf(userProfile),
+            nudges: nudges,
+            count: nudges.length
+        });
+    } catch (error) {
+        console.error('❌ Nudges fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch nudges' });
+    }
+});
+
+// Update nudge preferences - body: { opt_out, quiet_hours_start, quiet_hours_end } (local hours 0-23, null for the default)
+app.put('/nudges/:mobile_number/preferences', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const preferences = await nudgeScheduler.setPreferences(req.user.user_id, req.body || {});
+        res.json({ success: true, preferences: preferences });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update nudge preferences');
+    }
+});
+
+// Festivals coming up for this business (?days=60)
+app.get('/festivals/:mobile_number', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 60, 1), 365);
+        const userProfile = await profileManager.getUserProfileById(req.user.user_id);
+        const festivals = festivalCalendar.upcomingFor(userProfile, { withinDays: days });
+        res.json({
+            success: true,
+            state: festivalCalendar.stateFor(userProfile),
+            festivals: festivals,
+            count: festivals.length
+        });
+    } catch (error) {
+        console.error('❌ Festivals fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch festivals' });
+    }
+});
+
+// Write marketing content and save it as a draft - body: { format: whatsapp|instagram|flyer,
+// brief, festival_id (null for none, left out for the next festival), title }
+app.post('/marketing/:mobile_number/generate', requireAuth, requireOwnProfile, rateLimiter.middleware('chat'), async (req, res) => {
+    try {
+        const userProfile = await profileManager.getUserProfileById(req.user.user_id);
+        const draft = await contentGenerator.generate(userProfile, req.body);
+        res.status(201).json({ success: true, draft: draft });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to generate content');
+    }
+});
+
+// Saved drafts, newest first (?format=flyer)
+app.get('/marketing/:mobile_number/drafts', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const drafts = await contentGenerator.listDrafts(req.user.user_id, { format: req.query.format });
+        res.json({
+            success: true,
+            drafts: drafts,
+            count: drafts.length
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch drafts');
+    }
+});
+
+app.get('/marketing/:mobile_number/drafts/:draft_id', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const draft = await contentGenerator.getDraft(req.user.user_id, req.params.draft_id);
+        res.json({ success: true, draft: contentGenerator.formatDraft(draft) });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch draft');
+    }
+});
+
+// Edit a draft - body: { title, content } where content replaces the old one and must fit the format's limits
+app.patch('/marketing/:mobile_number/drafts/:draft_id', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const draft = await contentGenerator.updateDraft(req.user.user_id, req.params.draft_id, req.body);
+        res.json({ success: true, draft: draft });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update draft');
+    }
+});
+
+app.delete('/marketing/:mobile_number/drafts/:draft_id', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const deleted = await contentGenerator.deleteDraft(req.user.user_id, req.params.draft_id);
+        res.json({ success: true, deleted: deleted });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to delete draft');
+    }
+});
+
+// Printable A5 PDF of a flyer draft
+app.get('/marketing/:mobile_number/drafts/:draft_id/flyer.pdf', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const pdf = await contentGenerator.renderFlyer(req.user.user_id, req.params.draft_id);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="flyer-${req.params.draft_id}.pdf"`);
+        res.send(pdf);
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to render flyer');
+    }
+});
+
+// Ledger entries, newest first (?from=YYYY-MM-DD&to=YYYY-MM-DD&type=sale&limit=100)
+app.get('/ledger/:mobile_number/entries', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const { from, to, type, limit } = req.query;
+        const entries = await ledgerService.listEntries(req.user.user_id, { from, to, type, limit });
+        res.json({
+            success: true,
+            entries: entries,
+            count: entries.length
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch ledger entries');
+    }
+});
+
+// Add an entry - body: { type, amount, payment_method, party, description, entry_date }
+app.post('/ledger/:mobile_number/entries', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const entry = await ledgerService.addEntry(req.user.user_id, req.body);
+        if (entry.type === 'sale') {
+            await ledgerService.syncMonthlyRevenue(await profileManager.getUserProfileById(req.user.user_id));
+        }
+        res.status(201).json({ success: true, entry: entry });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to add ledger entry');
+    }
+});
+
+app.delete('/ledger/:mobile_number/entries/:entry_id', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const deleted = await ledgerService.deleteEntry(req.user.user_id, req.params.entry_id);
+        res.json({ success: true, deleted: deleted });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to delete ledger entry');
+    }
+});
+
+// Totals for a day, week or month (?period=week&date=YYYY-MM-DD, default today)
+app.get('/ledger/:mobile_number/summary', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const summary = await ledgerService.getSummary(req.user.user_id, {
+            period: req.query.period,
+            date: req.query.date
+        });
+        res.json({
+            success: true,
+            summary: summary,
+            monthly_revenue_estimate: await ledgerService.estimateMonthlyRevenue(req.user.user_id)
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to build ledger summary');
+    }
+});
+
+// Udhaar still open: what customers owe and what is owed to suppliers
+app.get('/ledger/:mobile_number/credit', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const credit = await ledgerService.getOutstandingCredit(req.user.user_id);
+        res.json({ success: true, ...credit });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch outstanding credit');
+    }
+});
+
+// Tracked items with stock, prices, margin and a low-stock flag
+app.get('/inventory/:mobile_number/items', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const items = await inventoryService.listItems(req.user.user_id, await profileManager.getUserProfileById(req.user.user_id));
+        res.json({
+            success: true,
+            items: items,
+            count: items.length
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to fetch inventory');
+    }
+});
+
+// Start tracking an item - body: { name, unit, quantity, cost_price, selling_price, reorder_level, supplier }
+app.post('/inventory/:mobile_number/items', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const item = await inventoryService.createItem(req.user.user_id, req.body);
+        res.status(201).json({ success: true, item: item });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to add item');
+    }
+});
+
+// Change any of the item fields; a new quantity is logged as a stock edit
+app.patch('/inventory/:mobile_number/items/:item_id', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const item = await inventoryService.updateItem(req.user.user_id, req.params.item_id, req.body);
+        res.json({ success: true, item: item });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update item');
+    }
+});
+
+app.delete('/inventory/:mobile_number/items/:item_id', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const deleted = await inventoryService.deleteItem(req.user.user_id, req.params.item_id);
+        res.json({ success: true, deleted: deleted });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to delete item');
+    }
+});
+
+// Restock, sell or count - body: { action: 'restock' | 'sold' | 'count', quantity }
+app.post('/inventory/:mobile_number/items/:item_id/stock', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const item = await inventoryService.adjustStock(req.user.user_id, req.params.item_id, req.body);
+        res.json({ success: true, item: item });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to update stock');
+    }
+});
+
+// Low-stock items grouped by supplier with suggested order quantities
+app.get('/inventory/:mobile_number/reorder', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const reorder = await inventoryService.getReorderList(req.user.user_id, await profileManager.getUserProfileById(req.user.user_id));
+        res.json({ success: true, ...reorder });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to build reorder list');
+    }
+});
+
+// Margin per item, thin and loss-making items and stock value
+app.get('/inventory/:mobile_number/margins', requireAuth, requireOwnProfile, rateLimiter.middleware('profile'), async (req, res) => {
+    try {
+        const margins = await inventoryService.getMarginAnalysis(req.user.user_id, await profileManager.getUserProfileById(req.user.user_id));
+        res.json({ success: true, ...margins });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to analyse margins');
+    }
+});
+
+// Profile trends endpoint - admin only. Takes the same filters as /admin/analytics and ?limit=100
+app.get('/trends', requireAuth, requireAdmin, rateLimiter.middleware('trends'), async (req, res) => {
+    try {
+        console.log(`📈 Getting profile completion trends`);
+
+        const filters = adminAnalytics.parseFilters(req.query);
+        const [overview, segments, trends] = await Promise.all([
+            adminAnalytics.getOverview(filters),
+            adminAnalytics.getSegments(filters, 'business_type'),
+            adminAnalytics.getProfiles(filters, Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000))
+        ]);
+
+        res.json({
+            success: true,
+            filters: adminAnalytics.describeFilters(filters),
             summary: {
-                total_profiles: totalProfiles,
-                average_completion: averageCompletion,
-                business_types: businessTypes
+                total_profiles: overview.total_profiles,
+                average_completion: Math.round(overview.avg_completion || 0),
+                business_types: Object.fromEntries(segments.map(segment => [segment.segment, segment.profiles]))
             },
             trends: trends,
             generated_at: new Date().toISOString()
         });
-        
     } catch (error) {
-        console.error('❌ Trends endpoint error:', error);
-        res.status(500).json({ 
-            error: 'Failed to get trends',
-            details: process.env.NODE_ENV === 'development' ? error.message : undefined
-        });
+        sendServiceError(res, error, 'Failed to get trends');
+    }
+});
+
+// Segment dashboard - filters: city, state, business_type, revenue_band, signup_from, signup_to (YYYY-MM-DD);
+// segment_by: business_type | location_city | location_state | revenue_band; weeks of activity (default 12)
+app.get('/admin/analytics', requireAuth, requireAdmin, rateLimiter.middleware('admin'), async (req, res) => {
+    try {
+        console.log(`🗂️ Admin analytics requested by ${req.user.mobile_number}`);
+        const dashboard = await adminAnalytics.getDashboard(req.query);
+        res.json({ success: true, ...dashboard, generated_at: new Date().toISOString() });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to get admin analytics');
+    }
+});
+
+// CSV export of one report with the same filters: segments, completion, cohorts, active_users, challenges, goals, profiles
+app.get('/admin/analytics/export/:report', requireAuth, requireAdmin, rateLimiter.middleware('admin'), async (req, res) => {
+    try {
+        const csv = await adminAnalytics.exportCsv(req.params.report, req.query);
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="partnur-${req.params.report}-${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.send(csv);
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to export admin analytics');
+    }
+});
+
+// Documents in the knowledge base used to ground chat replies
+app.get('/admin/knowledge', requireAuth, requireAdmin, rateLimiter.middleware('admin'), async (req, res) => {
+    try {
+        const documents = await knowledgeBase.listDocuments();
+        res.json({ success: true, documents: documents });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to list knowledge documents');
+    }
+});
+
+// Add or replace a document: multipart field "file" (.md or .pdf). Re-uploading the same
+// file name replaces the old version; an identical file is left alone.
+app.post('/admin/knowledge', requireAuth, requireAdmin, rateLimiter.middleware('admin'), documentUpload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'file is required (multipart field "file")' });
+        }
+
+        console.log(`📚 Knowledge document ${req.file.originalname} uploaded by ${req.user.mobile_number}`);
+        const result = await knowledgeBase.ingest(req.file.buffer, req.file.originalname);
+        res.status(result.status === 'added' ? 201 : 200).json({ success: true, ...result });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to ingest knowledge document');
+    }
+});
+
+app.delete('/admin/knowledge/:document_id', requireAuth, requireAdmin, rateLimiter.middleware('admin'), async (req, res) => {
+    try {
+        await knowledgeBase.removeDocument(req.params.document_id);
+        res.json({ success: true });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to remove knowledge document');
+    }
+});
+
+// Business-type taxonomy and playbooks in use. ?business_type=beauty parlour shows how a type is categorized.
+app.get('/admin/playbooks', requireAuth, requireAdmin, rateLimiter.middleware('admin'), (req, res) => {
+    const result = { success: true, ...playbooks.describe() };
+    if (req.query.business_type) {
+        result.categorized = { business_type: req.query.business_type, category: playbooks.categorize(req.query.business_type) };
+    }
+    res.json(result);
+});
+
+// Re-read the playbook files after editing them; invalid files are rejected and the old playbooks kept
+app.post('/admin/playbooks/reload', requireAuth, requireAdmin, rateLimiter.middleware('admin'), (req, res) => {
+    try {
+        res.json({ success: true, ...playbooks.reload() });
+    } catch (error) {
+        sendServiceError(res, error, 'Failed to reload playbooks');
     }
 });
 
 // Enhanced chat endpoint with smart features
-app.post('/chat/enhanced', async (req, res) => {
+app.post('/chat/enhanced', requireAuth, rateLimiter.middleware('chat'), async (req, res) => {
     const startTime = Date.now();
     
     try {
         console.log('📨 Enhanced chat request:', req.body);
         
-        const mobile_number = req.body.mobile_number || req.query.mobile_number;
+        const { user_id, mobile_number } = req.user;
         const message = req.body.message || req.query.message;
         const session_id = req.body.session_id || req.query.session_id;
         
-        if (!mobile_number || !message) {
+        if (!message) {
             return res.status(400).json({ 
-                error: 'mobile_number and message are required',
+                error: 'message is required',
                 example: {
-                    mobile_number: '+919876543210',
                     message: 'How can I increase my restaurant sales?',
                     session_id: 'optional-session-id'
                 },
-                received: { mobile_number, message, session_id }
+                received: { message, session_id }
             });
         }
 
         console.log(`💬 Enhanced chat from ${mobile_number}: ${message}`);
         
-        // Get or create user profile
-        let userProfile = await profileManager.getUserProfile(mobile_number);
-        if (!userProfile) {
-            console.log(`👤 Creating new user profile for ${mobile_number}`);
-            userProfile = await profileManager.createUserProfile(mobile_number);
-        }
-
-        // Extract information from the message
-        const extractedInfo = await aiService.extractProfileInfo(message, userProfile);
-        console.log(`📝 Extracted info:`, extractedInfo);
-        
-        // Update profile if new information was extracted
-        if (Object.keys(extractedInfo).length > 0) {
-            userProfile = await profileManager.updateProfile(userProfile.user_id, extractedInfo);
-            console.log(`🔄 Profile updated with ${Object.keys(extractedInfo).length} new fields`);
-        }
-
-        // Generate enhanced AI response with smart features
-        const aiResponse = await aiService.generateEnhancedResponse(message, userProfile);
-        console.log(`🤖 AI response generated with smart features`);
-        
-        // Log the conversation
-        await profileManager.logConversation({
-            user_id: userProfile.user_id,
-            user_message: message,
-            ai_response: aiResponse.content,
-            extracted_info: extractedInfo,
-            profile_updates: Object.keys(extractedInfo),
-            context_used: aiResponse.contextUsed,
-            response_time_ms: Date.now() - startTime,
-            session_id: session_id || null
+        const { userProfile, extractedInfo, aiResponse, completionScore, conversation_log_id, pendingConfirmations, ledgerEntries, inventoryUpdates } = await processChatMessage({
+            user_id,
+            message,
+            session_id,
+            enhanced: true,
+            startTime
         });
-
-        const completionScore = profileManager.calculateProfileCompletion(userProfile);
-        
-        // Get quick analytics preview
-        const recentAnalytics = await profileManager.getAnalytics(userProfile.user_id, 7);
+        console.log(`🤖 AI response generated with smart features`);
         
-        // Generate business insights
-        const businessInsights = aiService.getBusinessInsights(userProfile);
-        const contextualTips = aiService.generateContextualTips(userProfile);
+        const smartFeatures = await buildSmartFeatures(userProfile, aiResponse);
         
         res.json({
             success: true,
             response: aiResponse.content,
             profile_completion: completionScore,
             extracted_info: extractedInfo,
-            smart_features: {
-                smart_questions: aiResponse.suggestions || [],
-                seasonal_tip: aiResponse.seasonalTip,
-                business_insights: businessInsights,
-                contextual_tips: contextualTips
-            },
-            analytics_preview: {
-                total_conversations: recentAnalytics.total_conversations,
-                avg_response_time: recentAnalytics.avg_response_time_ms
-            },
+            conversation_log_id: conversation_log_id,
+            pending_confirmations: pendingConfirmations,
+            ledger_entries: ledgerEntries,
+            inventory_updates: inventoryUpdates,
+            citations: aiResponse.citations || [],
+            ...smartFeatures,
             context_used: aiResponse.contextUsed,
             response_time_ms: Date.now() - startTime,
             timestamp: new Date().toISOString()
@@ -336,20 +1381,187 @@ app.post('/chat/enhanced', async (req, res) => {
     } catch (error) {
         console.error('❌ Enhanced chat endpoint error:', error);
         res.status(500).json({ 
-            error: 'Something went wrong. Please try again.',
+            error: localizedError(req.body.message || req.query.message),
             details: process.env.NODE_ENV === 'development' ? error.message : undefined,
             response_time_ms: Date.now() - startTime
         });
     }
 });
 
-// Start server (KEEP THIS AT THE VERY END)
-app.listen(PORT, () => {
+// Streaming variants of the chat endpoints (Server-Sent Events)
+app.post('/chat/stream', requireAuth, rateLimiter.middleware('chat'), streamChatHandler({ enhanced: false }));
+app.post('/chat/enhanced/stream', requireAuth, rateLimiter.middleware('chat'), streamChatHandler({ enhanced: true }));
+
+// Voice-note chat: multipart form with an `audio` file, optional session_id and reply_audio=true
+app.post('/chat/voice', requireAuth, rateLimiter.middleware('voice'), audioUpload.single('audio'), async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const { user_id, mobile_number } = req.user;
+        const session_id = req.body.session_id || req.query.session_id;
+        const wantsAudio = String(req.body.reply_audio || req.query.reply_audio) === 'true';
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'audio file is required (multipart field "audio")' });
+        }
+
+        const transcription = await speech.transcription.transcribe(req.file.buffer, {
+            filename: req.file.originalname,
+            mimetype: req.file.mimetype,
+            languageHint: languageCode(await settledLanguage(user_id))
+        });
+        console.log(`🎙️ Voice note from ${mobile_number}: ${transcription.text}`);
+
+        if (!transcription.text) {
+            return res.status(422).json({ error: 'Could not understand the voice note. Please try again.' });
+        }
+
+        const result = await processChatMessage({
+            user_id,
+            message: transcription.text,
+            session_id,
+            enhanced: true,
+            startTime,
+            input_type: 'voice',
+            transcript: transcription.text
+        });
+
+        // The turn is already logged, so a TTS failure only drops the audio
+        let replyAudio;
+        if (wantsAudio) {
+            try {
+                const spoken = await speech.tts.synthesize(result.aiResponse.content);
+                replyAudio = {
+                    mime_type: spoken.mimeType,
+                    base64: spoken.audio.toString('base64')
+                };
+            } catch (error) {
+                console.error('❌ Reply audio failed, sending text only:', error.message);
+            }
+        }
+
+        res.json({
+            success: true,
+            transcript: transcription.text,
+            response: result.aiResponse.content,
+            profile_completion: result.completionScore,
+            extracted_info: result.extractedInfo,
+            conversation_log_id: result.conversation_log_id,
+            pending_confirmations: result.pendingConfirmations,
+            ledger_entries: result.ledgerEntries,
+            inventory_updates: result.inventoryUpdates,
+            citations: result.aiResponse.citations || [],
+            ...await buildSmartFeatures(result.userProfile, result.aiResponse),
+            reply_audio: replyAudio,
+            response_time_ms: Date.now() - startTime
+        });
+    } catch (error) {
+        console.error('❌ Voice chat endpoint error:', error);
+        res.status(500).json({
+            error: t(undefined, 'error_generic'),
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// WhatsApp webhook verification handshake
+app.get('/webhooks/whatsapp', (req, res) => {
+    const challenge = whatsappService.verifyWebhook(req.query);
+    if (challenge === null) {
+        console.warn('⚠️ WhatsApp webhook verification failed');
+        return res.sendStatus(403);
+    }
+    res.status(200).send(challenge);
+});
+
+// WhatsApp keywords that opt out of (true) or back into (false) proactive nudges
+const NUDGE_KEYWORDS = { STOP: true, UNSUBSCRIBE: true, START: false, SUBSCRIBE: false };
+
+// WhatsApp incoming messages
+app.post('/webhooks/whatsapp', async (req, res) => {
+    if (!whatsappService.verifySignature(req.rawBody, req.get('X-Hub-Signature-256'))) {
+        console.warn('⚠️ Rejected WhatsApp webhook with invalid signature');
+        return res.sendStatus(401);
+    }
+
+    // Acknowledge straight away - Meta retries slow webhooks
+    res.sendStatus(200);
+
+    const messages = whatsappService.parseIncomingMessages(req.body);
+    for (const incoming of messages) {
+        const startTime = Date.now();
+        try {
+            console.log(`💬 WhatsApp message from ${incoming.mobile_number}: ${incoming.text}`);
+
+            if (!rateLimiter.consume('whatsapp', { user: incoming.mobile_number }).allowed) {
+                console.warn(`🚦 Rate limit hit on whatsapp for ${incoming.mobile_number}`);
+                await whatsappService.sendText(incoming.wa_id, t(detectLanguage(incoming.text)?.language, 'rate_limited'));
+                continue;
+            }
+
+            // STOP / START toggle proactive nudges instead of going to the advisor
+            const keyword = incoming.text.trim().toUpperCase();
+            if (NUDGE_KEYWORDS[keyword] !== undefined) {
+                const userProfile = await profileManager.getUserProfile(incoming.mobile_number);
+                if (userProfile) {
+                    const optOut = NUDGE_KEYWORDS[keyword];
+                    await nudgeScheduler.setPreferences(userProfile.user_id, { opt_out: optOut });
+                    await whatsappService.sendText(incoming.wa_id, t(userProfile.language_pref, optOut ? 'nudges_opted_out' : 'nudges_opted_in'));
+                    continue;
+                }
+            }
+
+            const { userProfile, aiResponse } = await processChatMessage({
+                mobile_number: incoming.mobile_number,
+                message: incoming.text,
+                session_id: `whatsapp:${incoming.wa_id}`,
+                enhanced: true,
+                startTime
+            });
+
+            await whatsappService.sendReply(incoming.wa_id, whatsappService.withSources(aiResponse.content, aiResponse.citations), aiResponse.suggestions || [], userProfile.language_pref);
+        } catch (error) {
+            console.error('❌ WhatsApp message handling error:', error);
+            try {
+                await whatsappService.sendText(incoming.wa_id, localizedError(incoming.text));
+            } catch (sendError) {
+                console.error('❌ WhatsApp error reply failed:', sendError);
+            }
+        }
+    }
+});
+
+// Tests drive the app and the chat pipeline without a server
+module.exports = { app, processChatMessage };
+
+// Start server (KEEP THIS AT THE VERY END) when run directly, not when required by tests
+if (require.main === module) app.listen(PORT, () => {
     console.log(`🚀 Partnur Backend running on port ${PORT}`);
+    console.log(`🔑 Auth endpoints: http://localhost:${PORT}/auth/otp/request, /auth/otp/verify, /auth/refresh`);
     console.log(`📱 Chat endpoint: http://localhost:${PORT}/chat`);
     console.log(`🧠 Enhanced chat: http://localhost:${PORT}/chat/enhanced`);
+    console.log(`🌊 Streaming chat: http://localhost:${PORT}/chat/stream, /chat/enhanced/stream`);
+    console.log(`🎙️ Voice chat: http://localhost:${PORT}/chat/voice`);
     console.log(`👤 Profile endpoint: http://localhost:${PORT}/profile/:mobile_number`);
+    console.log(`↩️ Profile history: http://localhost:${PORT}/profile/:mobile_number/history`);
     console.log(`📊 Analytics endpoint: http://localhost:${PORT}/analytics/:mobile_number`);
+    console.log(`🏛️ Schemes endpoint: http://localhost:${PORT}/schemes/:mobile_number`);
+    console.log(`👥 Benchmarks endpoint: http://localhost:${PORT}/benchmarks/:mobile_number`);
+    console.log(`📐 Metrics endpoint: http://localhost:${PORT}/metrics/:mobile_number`);
+    console.log(`🎯 Goals endpoint: http://localhost:${PORT}/goals/:mobile_number`);
+    console.log(`🪔 Nudges endpoint: http://localhost:${PORT}/nudges/:mobile_number, /festivals/:mobile_number`);
+    console.log(`📒 Ledger endpoint: http://localhost:${PORT}/ledger/:mobile_number/summary, /ledger/:mobile_number/credit`);
+    console.log(`📦 Inventory endpoint: http://localhost:${PORT}/inventory/:mobile_number/items, /inventory/:mobile_number/reorder, /inventory/:mobile_number/margins`);
+    console.log(`📣 Marketing content: http://localhost:${PORT}/marketing/:mobile_number/generate, /marketing/:mobile_number/drafts`);
     console.log(`📈 Trends endpoint: http://localhost:${PORT}/trends`);
+    console.log(`🗂️ Admin analytics: http://localhost:${PORT}/admin/analytics, /admin/analytics/export/:report`);
+    console.log(`📚 Knowledge base: http://localhost:${PORT}/admin/knowledge`);
+    console.log(`📘 Playbooks: http://localhost:${PORT}/admin/playbooks, /admin/playbooks/reload`);
     console.log(`🔧 Test endpoint: http://localhost:${PORT}/test`);
+    console.log(`💚 WhatsApp webhook: http://localhost:${PORT}/webhooks/whatsapp`);
+
+    if (process.env.NUDGES_ENABLED === 'true') {
+        nudgeScheduler.start();
+        nudgeScheduler.runOnce();
+    }
 });
@@ -0,0 +1,354 @@
+const { createRepository } = require('./storage');
+const { INVENTORY_ACTIONS, parseAmount, parseQuantity } = require('./profileSchema');
+const { normalizeText } = require('./playbooks');
+const { ServiceError } = require('./errors');
+
+// Reorders top stock back up to this many times the reorder level
+const REORDER_TARGET_MULTIPLE = 2;
+
+// Margins below this share of the selling price are flagged as thin
+const THIN_MARGIN_PCT = parseFloat(process.env.INVENTORY_THIN_MARGIN_PCT) || 10;
+
+// Questions about prices, margins or profit (English, Hinglish and Hindi)
+const PRICING_PATTERN = /\b(price|prices|pricing|margin|margins|profit|mrp|rate|rates|discount|daam|dam|kimat|keemat|munafa|fayda|mehenga|sasta)\b|दाम|कीमत|मुनाफा|मार्जिन/i;
+
+const ITEM_FIELDS = ['name', 'unit', 'quantity', 'cost_price', 'selling_price', 'reorder_level', 'supplier'];
+const NUMBER_FIELDS = ['quantity', 'cost_price', 'selling_price', 'reorder_level'];
+const COUNT_FIELDS = ['quantity', 'reorder_level'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class InventoryError extends ServiceError {}
+
+// Stock, prices and reorder levels per item, updated by chat ("5 packet Maggi aur aaye")
+// or the API, with low-stock alerts, supplier-wise reorder lists and margin analysis
+class InventoryService {
+    constructor(repository = createRepository()) {
+        this.repository = repository;
+    }
+
+    isPricingQuestion(message) {
+        return PRICING_PATTERN.test(message || '');
+    }
+
+    // Items are matched by name ignoring case, spaces and punctuation
+    itemKey(name) {
+        return normalizeText(name);
+    }
+
+    isLow(row) {
+        const quantity = Number(row.quantity);
+        return quantity <= 0 || (row.reorder_level !== null && quantity <= Number(row.reorder_level));
+    }
+
+    // Selling price minus cost per unit, and as a share of the selling price
+    marginOf(row) {
+        if (row.cost_price === null || row.selling_price === null || Number(row.selling_price) <= 0) return null;
+
+        const perUnit = Number(row.selling_price) - Number(row.cost_price);
+        const pct = Math.round((perUnit / Number(row.selling_price)) * 1000) / 10;
+        return { per_unit: Math.round(perUnit * 100) / 100, pct, status: perUnit < 0 ? 'loss' : pct < THIN_MARGIN_PCT ? 'thin' : 'ok' };
+    }
+
+    // topProducts: the profile's top_products, to flag the items that matter most
+    formatItem(row, topProducts = []) {
+        const nullable = value => (value === null || value === undefined ? null : Number(value));
+        return {
+            id: row.id,
+            name: row.name,
+            unit: row.unit,
+            quantity: Number(row.quantity),
+            cost_price: nullable(row.cost_price),
+            selling_price: nullable(row.selling_price),
+            reorder_level: nullable(row.reorder_level),
+            supplier: row.supplier,
+            low_stock: this.isLow(row),
+            top_product: topProducts.some(product => this.itemKey(product) === row.name_key),
+            margin: this.marginOf(row),
+            updated_at: row.updated_at
+        };
+    }
+
+    async getRows(user_id) {
+        return this.repository.findMany('inventory_items', { filters: { user_id }, orderBy: 'name' });
+    }
+
+    // pending updates from validateInventoryUpdates show as if already applied
+    async listItems(user_id, profile = {}, { pending = [] } = {}) {
+        return this.withUpdates(await this.getRows(user_id), pending).map(row => this.formatItem(row, profile.top_products));
+    }
+
+    // Names of tracked items, for the extraction prompt
+    async itemNames(user_id) {
+        try {
+            return (await this.getRows(user_id)).map(row => row.name);
+        } catch (error) {
+            console.error('Error fetching inventory item names:', error);
+            return [];
+        }
+    }
+
+    // The caller's item row, or a 404
+    async getItem(user_id, item_id) {
+        if (!UUID_PATTERN.test(item_id || '')) throw new InventoryError('Item not found', 404);
+
+        const item = await this.repository.findOne('inventory_items', { id: item_id, user_id });
+        if (!item) throw new InventoryError('Item not found', 404);
+        return item;
+    }
+
+    // Check item fields from the API. partial=true for updates.
+    validateItem(input, { partial = false } = {}) {
+        if (!input || typeof input !== 'object') throw new InventoryError('Expected an object of item fields');
+
+        const item = {};
+        const problems = [];
+        for (const field of Object.keys(input)) {
+            if (!ITEM_FIELDS.includes(field)) problems.push({ field, reason: 'unknown field' });
+        }
+
+        if (input.name !== undefined || !partial) {
+            if (typeof input.name !== 'string' || !this.itemKey(input.name)) problems.push({ field: 'name', reason: 'name is required' });
+            else item.name = input.name.trim().slice(0, 100);
+        }
+        for (const field of NUMBER_FIELDS) {
+            if (input[field] === undefined) continue;
+            if (input[field] === null && field !== 'quantity') {
+                item[field] = null;
+                continue;
+            }
+            const value = COUNT_FIELDS.includes(field) ? parseQuantity(input[field]) : parseAmount(input[field]);
+            if (!Number.isFinite(value) || value < 0) problems.push({ field, reason: 'must be a number, 0 or more' });
+            else item[field] = Math.round(value * 100) / 100;
+        }
+        for (const field of ['unit', 'supplier']) {
+            if (input[field] === undefined) continue;
+            item[field] = typeof input[field] === 'string' && input[field].trim() ? input[field].trim().slice(0, 100) : null;
+        }
+
+        if (problems.length > 0) throw new InventoryError('Invalid item', 400, problems);
+        return item;
+    }
+
+    async recordMovement(row, action, change, { source, conversation_log_id = null }) {
+        await this.repository.insert('inventory_movements', {
+            item_id: row.id,
+            user_id: row.user_id,
+            action,
+            change,
+            quantity_after: Number(row.quantity),
+            source,
+            conversation_log_id
+        });
+    }
+
+    async createItem(user_id, input) {
+        const item = this.validateItem(input);
+        const name_key = this.itemKey(item.name);
+        if (await this.repository.findOne('inventory_items', { user_id, name_key })) {
+            throw new InventoryError(`${item.name} is already tracked`, 409);
+        }
+
+        const row = await this.repository.insert('inventory_items', { ...item, user_id, name_key, quantity: item.quantity || 0 });
+        if (row.quantity > 0) await this.recordMovement(row, 'count', Number(row.quantity), { source: 'user' });
+        return this.formatItem(row);
+    }
+
+    // Edit item details; a new quantity is recorded as an edit of the stock
+    async updateItem(user_id, item_id, input) {
+        const current = await this.getItem(user_id, item_id);
+        const patch = this.validateItem(input, { partial: true });
+        if (Object.keys(patch).length === 0) throw new InventoryError('Nothing to update');
+
+        if (patch.name) {
+            patch.name_key = this.itemKey(patch.name);
+            const clash = await this.repository.findOne('inventory_items', { user_id, name_key: patch.name_key });
+            if (clash && clash.id !== current.id) throw new InventoryError(`${patch.name} is already tracked`, 409);
+        }
+        patch.updated_at = new Date().toISOString();
+
+        const row = await this.repository.update('inventory_items', { id: current.id }, patch);
+        if (patch.quantity !== undefined && patch.quantity !== Number(current.quantity)) {
+            await this.recordMovement(row, 'edit', patch.quantity - Number(current.quantity), { source: 'user' });
+        }
+        return this.formatItem(row);
+    }
+
+    async deleteItem(user_id, item_id) {
+        const item = await this.getItem(user_id, item_id);
+        await this.repository.remove('inventory_items', { id: item.id });
+        return { id: item.id, name: item.name };
+    }
+
+    // Stock after an action; sold never takes stock below zero
+    nextQuantity(current, action, quantity) {
+        if (action === 'restock') return current + quantity;
+        if (action === 'sold') return Math.max(current - quantity, 0);
+        return quantity;
+    }
+
+    // Restock, sell or count one item - body: { action, quantity }
+    async adjustStock(user_id, item_id, { action, quantity } = {}) {
+        if (!INVENTORY_ACTIONS.includes(action)) throw new InventoryError(`action must be one of ${INVENTORY_ACTIONS.join(', ')}`);
+        const amount = parseQuantity(quantity);
+        if (!Number.isFinite(amount) || amount < 0) throw new InventoryError('quantity must be a number, 0 or more');
+
+        const current = await this.getItem(user_id, item_id);
+        const before = Number(current.quantity);
+        const row = await this.repository.update('inventory_items', { id: current.id }, {
+            quantity: this.nextQuantity(before, action, amount),
+            updated_at: new Date().toISOString()
+        });
+        await this.recordMovement(row, action, Number(row.quantity) - before, { source: 'user' });
+        return this.formatItem(row);
+    }
+
+    // Fields an update from validateInventoryUpdates writes to an item row (null for a new
+    // item): prices and suppliers overwrite the old ones, and restock/sold/count change the stock
+    updatedFields(row, update) {
+        const fields = {};
+        for (const field of ['unit', 'cost_price', 'selling_price', 'reorder_level', 'supplier']) {
+            if (update[field] !== null) fields[field] = update[field];
+        }
+        const before = row ? Number(row.quantity) : 0;
+        fields.quantity = update.action ? this.nextQuantity(before, update.action, update.quantity) : before;
+        return fields;
+    }
+
+    // Item rows as they would be after updates, without storing anything
+    withUpdates(rows, updates) {
+        const byKey = new Map(rows.map(row => [row.name_key, row]));
+        for (const update of updates) {
+            const name_key = this.itemKey(update.item);
+            const row = byKey.get(name_key) || {
+                id: null, name: update.item, name_key, unit: null, quantity: 0,
+                cost_price: null, selling_price: null, reorder_level: null, supplier: null
+            };
+            byKey.set(name_key, { ...row, ...this.updatedFields(row, update) });
+        }
+        return [...byKey.values()];
+    }
+
+    // Apply updates from validateInventoryUpdates, creating items not tracked yet
+    async applyUpdates(user_id, updates, { source = 'ai', conversation_log_id = null } = {}) {
+        const applied = [];
+
+        for (const update of updates) {
+            try {
+                const name_key = this.itemKey(update.item);
+                let row = await this.repository.findOne('inventory_items', { user_id, name_key });
+                const before = row ? Number(row.quantity) : 0;
+                const fields = this.updatedFields(row, update);
+                const { quantity } = fields;
+
+                if (row) {
+                    row = await this.repository.update('inventory_items', { id: row.id }, {
+                        ...fields,
+                        updated_at: new Date().toISOString()
+                    });
+                } else {
+                    row = await this.repository.insert('inventory_items', { user_id, name: update.item, name_key, ...fields });
+                }
+                if (update.action) {
+                    await this.recordMovement(row, update.action, quantity - before, { source, conversation_log_id });
+                }
+
+                applied.push({ action: update.action, change: quantity - before, item: this.formatItem(row) });
+            } catch (error) {
+                console.error('Error applying inventory update:', error);
+            }
+        }
+
+        if (applied.length > 0) console.log(`📦 Applied ${applied.length} inventory updates for ${user_id}`);
+        return applied;
+    }
+
+    // Low items grouped by supplier (the item's own, else the profile's supplier_name or
+    // inventory_source), top products first, with how much to order and roughly what it costs
+    async getReorderList(user_id, profile = {}) {
+        const items = (await this.listItems(user_id, profile)).filter(item => item.low_stock);
+        const fallback = profile.supplier_name || profile.inventory_source || null;
+        const groups = new Map();
+
+        for (const item of items) {
+            const suggested = item.reorder_level
+                ? Math.max(Math.ceil(item.reorder_level * REORDER_TARGET_MULTIPLE - item.quantity), 0)
+                : null;
+            const line = {
+                ...item,
+                suggested_quantity: suggested,
+                estimated_cost: suggested !== null && item.cost_price !== null ? Math.round(suggested * item.cost_price * 100) / 100 : null
+            };
+
+            const supplier = item.supplier || fallback;
+            const key = supplier ? supplier.toLowerCase() : '';
+            const group = groups.get(key) || { supplier, items: [], estimated_cost: 0 };
+            group.items.push(line);
+            group.estimated_cost += line.estimated_cost || 0;
+            groups.set(key, group);
+        }
+
+        const suppliers = [...groups.values()];
+        for (const group of suppliers) {
+            group.items.sort((a, b) => Number(b.top_product) - Number(a.top_product) || a.quantity - b.quantity);
+        }
+        // Named suppliers first, the biggest orders first
+        suppliers.sort((a, b) => Number(!a.supplier) - Number(!b.supplier) || b.estimated_cost - a.estimated_cost);
+        return { low_stock_count: items.length, suppliers };
+    }
+
+    // Margin per item and overall stock value, flagging thin and loss-making items
+    async getMarginAnalysis(user_id, profile = {}, { pending = [] } = {}) {
+        const items = await this.listItems(user_id, profile, { pending });
+        const priced = items.filter(item => item.margin);
+
+        const value = field => Math.round(items.reduce((sum, item) => sum + item.quantity * (item[field] || 0), 0));
+        return {
+            pricing_model: profile.pricing_model || null,
+            thin_margin_pct: THIN_MARGIN_PCT,
+            average_margin_pct: priced.length > 0
+                ? Math.round((priced.reduce((sum, item) => sum + item.margin.pct, 0) / priced.length) * 10) / 10
+                : null,
+            stock_value_at_cost: value('cost_price'),
+            stock_value_at_price: value('selling_price'),
+            items: priced
+                .map(item => ({ id: item.id, name: item.name, cost_price: item.cost_price, selling_price: item.selling_price, ...item.margin, top_product: item.top_product }))
+                .sort((a, b) => a.pct - b.pct),
+            missing_prices: items.filter(item => !item.margin).map(item => item.name)
+        };
+    }
+
+    // Items at or below their reorder level (or out of stock), top products first
+    async getLowStock(userProfile) {
+        try {
+            return (await this.listItems(userProfile.user_id, userProfile))
+                .filter(item => item.low_stock)
+                .sort((a, b) => Number(b.top_product) - Number(a.top_product));
+        } catch (error) {
+            console.error('Error fetching low stock:', error);
+            return [];
+        }
+    }
+
+    // Low stock always, margins when the owner asks about pricing; null when nothing is tracked.
+    // pending holds updates from the message being answered, stored once the reply has gone out.
+    async getAdvisorSummary(userProfile, { message, pending = [] } = {}) {
+        try {
+            const items = await this.listItems(userProfile.user_id, userProfile, { pending });
+            if (items.length === 0) return null;
+
+            const tracked = new Set(items.map(item => this.itemKey(item.name)));
+            return {
+                low_stock: items.filter(item => item.low_stock),
+                margins: this.isPricingQuestion(message) ? await this.getMarginAnalysis(userProfile.user_id, userProfile, { pending }) : null,
+                untracked_top_products: (userProfile.top_products || []).filter(product => !tracked.has(this.itemKey(product)))
+            };
+        } catch (error) {
+            console.error('Error building inventory summary:', error);
+            return null;
+        }
+    }
+}
+
+module.exports = InventoryService;
+module.exports.InventoryError = InventoryError;
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+// The package entry point runs a self-test when it isn't require()d from a parent module
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { createRepository } = require('./storage');
+const { ServiceError } = require('./errors');
+
+// Default folder of curated documents, ingested with `npm run ingest-knowledge`
+const KNOWLEDGE_DIR = path.join(__dirname, '..', 'knowledge');
+const SUPPORTED_EXTENSIONS = ['.md', '.markdown', '.pdf'];
+
+// Roughly 250-300 tokens per chunk keeps passages focused and the prompt small
+const CHUNK_CHARS = 1200;
+const EMBED_BATCH = 64;
+const MATCH_COUNT = parseInt(process.env.KB_MATCH_COUNT) || 4;
+const MIN_SIMILARITY = parseFloat(process.env.KB_MIN_SIMILARITY) || 0.3;
+// Greetings and one-word replies aren't worth a retrieval round trip
+const MIN_QUESTION_CHARS = 12;
+
+// Retrieval costs an embedding call, so only questions and messages about the topics the
+// documents cover get one - not "aaj 4500 ki sale hui" or "20 packet Maggi aaye"
+const QUESTION_PATTERN = /\?|\b(how|what|which|why|when|where|who|should|can i|could|is it|do i|tips?|help|suggest|advice|kya|kaise|kitna|kitni|kitne|kab|kahan|kyun|kyon|kaun|konsa|kaunsa|chahiye|batao|bataiye)\b|क्या|कैसे|कितना|कितनी|कब|कहाँ|क्यों|कौन|काय|कसे|किती|என்ன|எப்படி|ஏன்|எவ்வளவு/i;
+const TOPIC_PATTERN = /\b(gst|udyam|msme|registration|register|licen[cs]e|fssai|ondc|mudra|pmegp|loans?|schemes?|yojana|subsid(y|ies)|tax|compliance|certificate|export)\b|योजना|लोन|पंजीकरण|जीएसटी/i;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class KnowledgeBaseError extends ServiceError {}
+
+// Markdown/PDF documents chunked and embedded into pgvector, and retrieval of
+// the passages closest to a question
+class KnowledgeBase {
+    // aiService provides embed(); retrieval embeddings are billed to the asking user
+    constructor(repository = createRepository(), aiService) {
+        this.repository = repository;
+        this.aiService = aiService;
+    }
+
+    // Optional front matter at the top of a markdown file:
+    //   ---
+    //   title: Udyam registration
+    //   url: https://udyamregistration.gov.in
+    //   ---
+    parseFrontMatter(text) {
+        const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+        if (!match) return { meta: {}, body: text };
+
+        const meta = {};
+        for (const line of match[1].split(/\r?\n/)) {
+            const [key, ...rest] = line.split(':');
+            if (key && rest.length > 0) meta[key.trim().toLowerCase()] = rest.join(':').trim();
+        }
+        return { meta, body: text.slice(match[0].length) };
+    }
+
+    // Split markdown at headings, then pack paragraphs into chunks of about CHUNK_CHARS.
+    // Each chunk remembers the heading path it sits under ("Mudra loans > Tarun").
+    chunkMarkdown(body) {
+        const sections = [];
+        const headings = [];
+        let current = { heading: null, lines: [] };
+
+        for (const line of body.split(/\r?\n/)) {
+            const heading = line.match(/^(#{1,4})\s+(.*)$/);
+            if (heading) {
+                sections.push(current);
+                headings.length = heading[1].length - 1;
+                headings[heading[1].length - 1] = heading[2].trim();
+                current = { heading: headings.filter(Boolean).join(' > '), lines: [] };
+            } else {
+                current.lines.push(line);
+            }
+        }
+        sections.push(current);
+
+        return sections.flatMap(section => this.packParagraphs(section.lines.join('\n'))
+            .map(content => ({ heading: section.heading, content })));
+    }
+
+    // Pack blank-line separated paragraphs into chunks; oversized paragraphs split at sentences
+    packParagraphs(text) {
+        const pieces = text.split(/\n\s*\n/)
+            .map(paragraph => paragraph.trim())
+            .filter(Boolean)
+            .flatMap(paragraph => paragraph.length <= CHUNK_CHARS
+                ? [paragraph]
+                : paragraph.match(/[^.!?]+[.!?]+\s*|[^.!?]+$/g).map(sentence => sentence.trim()));
+
+        const chunks = [];
+        let current = '';
+        for (const piece of pieces) {
+            if (current && current.length + piece.length + 2 > CHUNK_CHARS) {
+                chunks.push(current);
+                current = '';
+            }
+            current = current ? `${current}\n\n${piece}` : piece;
+        }
+        if (current) chunks.push(current);
+        return chunks;
+    }
+
+    // { title, url, chunks } for a markdown or PDF file's contents
+    async parseDocument(buffer, fileName) {
+        const extension = path.extname(fileName).toLowerCase();
+        const fallbackTitle = path.basename(fileName, extension).replace(/[-_]+/g, ' ');
+
+        if (extension === '.pdf') {
+            const pdf = await pdfParse(buffer).catch(error => {
+                throw new KnowledgeBaseError(`Could not read ${fileName}: ${error.message}`);
+            });
+            return {
+                title: pdf.info?.Title || fallbackTitle,
+                url: null,
+                chunks: this.packParagraphs(pdf.text).map(content => ({ heading: null, content }))
+            };
+        }
+        if (extension === '.md' || extension === '.markdown') {
+            const { meta, body } = this.parseFrontMatter(buffer.toString('utf8'));
+            const firstHeading = body.match(/^#\s+(.*)$/m);
+            const title = meta.title || (firstHeading ? firstHeading[1].trim() : fallbackTitle);
+            // The top heading usually repeats the title; keep only the part below it
+            const chunks = this.chunkMarkdown(body).map(chunk => {
+                const heading = chunk.heading === title ? null : chunk.heading?.replace(`${title} > `, '');
+                return { ...chunk, heading: heading || null };
+            });
+            return { title, url: meta.url || null, chunks };
+        }
+        throw new KnowledgeBaseError(`Unsupported file type ${extension || fileName}. Use ${SUPPORTED_EXTENSIONS.join(', ')}`);
+    }
+
+    // Add or replace one document. Unchanged documents (same checksum) are skipped.
+    async ingest(buffer, source) {
+        const checksum = crypto.createHash('sha256').update(buffer).digest('hex');
+        const existing = await this.repository.findOne('kb_documents', { source });
+        if (existing && existing.checksum === checksum) {
+            return { source, status: 'unchanged', chunks: existing.chunk_count };
+        }
+
+        const { title, url, chunks } = await this.parseDocument(buffer, source);
+        if (chunks.length === 0) throw new KnowledgeBaseError(`No text found in ${source}`);
+
+        // Embed everything before touching the tables so a failed call leaves the old version
+        const embeddings = [];
+        for (let i = 0; i < chunks.length; i += EMBED_BATCH) {
+            const batch = chunks.slice(i, i + EMBED_BATCH);
+            embeddings.push(...await this.aiService.embed(batch.map(chunk => this.embeddingText(title, chunk))));
+        }
+
+        // The checksum is written only after every chunk is in, so a write that fails half way
+        // leaves a checksum that doesn't match and the next ingest redoes the document
+        const document = existing || await this.repository.insert('kb_documents', { source, title, url, checksum: '', chunk_count: 0 });
+
+        await this.repository.remove('kb_chunks', { document_id: document.id });
+        for (const [position, chunk] of chunks.entries()) {
+            await this.repository.insert('kb_chunks', {
+                document_id: document.id,
+                position,
+                heading: chunk.heading,
+                content: chunk.content,
+                embedding: embeddings[position]
+            });
+        }
+        await this.repository.update('kb_documents', { id: document.id }, {
+            title, url, checksum, chunk_count: chunks.length, updated_at: new Date().toISOString()
+        });
+
+        console.log(`📚 Ingested ${source}: ${chunks.length} chunks`);
+        return { source, status: existing ? 'updated' : 'added', chunks: chunks.length };
+    }
+
+    // Title and heading go into the vector too, so "Mudra" finds chunks that only say "Tarun"
+    embeddingText(title, chunk) {
+        return [title, chunk.heading, chunk.content].filter(Boolean).join('\n');
+    }
+
+    // Ingest every supported file under a folder. prune=true deletes documents whose file is gone.
+    async ingestDirectory(directory = KNOWLEDGE_DIR, { prune = false } = {}) {
+        const files = this.listFiles(directory);
+        const results = [];
+
+        for (const file of files) {
+            const source = path.relative(directory, file).split(path.sep).join('/');
+            try {
+                results.push(await this.ingest(fs.readFileSync(file), source));
+            } catch (error) {
+                console.error(`Error ingesting ${source}:`, error.message);
+                results.push({ source, status: 'failed', error: error.message });
+            }
+        }
+
+        if (prune) {
+            const sources = new Set(results.map(result => result.source));
+            const documents = await this.repository.findMany('kb_documents', { columns: 'id, source' });
+            for (const document of documents.filter(doc => !sources.has(doc.source))) {
+                await this.repository.remove('kb_documents', { id: document.id });
+                results.push({ source: document.source, status: 'removed', chunks: 0 });
+            }
+        }
+
+        return results;
+    }
+
+    listFiles(directory) {
+        return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+            const full = path.join(directory, entry.name);
+            if (entry.isDirectory()) return this.listFiles(full);
+            return SUPPORTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [full] : [];
+        }).sort();
+    }
+
+    async listDocuments() {
+        return this.repository.findMany('kb_documents', {
+            columns: 'id, source, title, url, chunk_count, created_at, updated_at',
+            orderBy: 'source'
+        });
+    }
+
+    async removeDocument(document_id) {
+        if (!UUID_PATTERN.test(document_id || '')) throw new KnowledgeBaseError('Document not found', 404);
+
+        const removed = await this.repository.remove('kb_documents', { id: document_id });
+        if (removed === 0) throw new KnowledgeBaseError('Document not found', 404);
+    }
+
+    // Whether a chat message is worth a retrieval: a question, or about a documented topic
+    isKnowledgeQuery(message) {
+        if (!message || message.trim().length < MIN_QUESTION_CHARS) return false;
+        return QUESTION_PATTERN.test(message) || TOPIC_PATTERN.test(message);
+    }
+
+    // Passages closest to the question, best first. Never throws - advice works without them.
+    async retrieve(question, userProfile = null, { limit = MATCH_COUNT } = {}) {
+        if (!question || question.trim().length < MIN_QUESTION_CHARS) return [];
+
+        try {
+            const [embedding] = await this.aiService.embed([question], userProfile);
+            const rows = await this.repository.rpc('match_kb_chunks', {
+                p_query_embedding: embedding,
+                p_match_count: limit,
+                p_min_similarity: MIN_SIMILARITY
+            });
+
+            return rows.map((row, index) => ({
+                ref: index + 1,
+                chunk_id: row.id,
+                document_id: row.document_id,
+                title: row.title,
+                url: row.url,
+                source: row.source,
+                heading: row.heading,
+                content: row.content,
+                similarity: Math.round(Number(row.similarity) * 1000) / 1000
+            }));
+        } catch (error) {
+            console.error('Error retrieving knowledge passages:', error);
+            return [];
+        }
+    }
+}
+
+module.exports = KnowledgeBase;
+module.exports.KnowledgeBaseError = KnowledgeBaseError;
+module.exports.KNOWLEDGE_DIR = KNOWLEDGE_DIR;
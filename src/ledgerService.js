@@ -0,0 +1,290 @@
+const { createRepository } = require('./storage');
+const { LEDGER_TYPES, validateLedgerEntries } = require('./profileSchema');
+const { toDateString, today, addDays, daysBetween, parseDate } = require('./dateUtils');
+const { ServiceError } = require('./errors');
+
+const PERIODS = ['day', 'week', 'month'];
+
+// monthly_revenue is estimated from the ledger once sales are logged on this many of the
+// last 30 days, and only rewritten when the estimate moves by at least REVENUE_CHANGE_PCT
+const LEDGER_MIN_DAYS = parseInt(process.env.LEDGER_MIN_DAYS) || 7;
+const REVENUE_CHANGE_PCT = 10;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class LedgerError extends ServiceError {}
+
+// Rupee totals by entry type, with sales split by payment method
+function totalsOf(entries) {
+    const totals = Object.fromEntries(Object.keys(LEDGER_TYPES).map(type => [type, 0]));
+    const salesByMethod = {};
+
+    for (const entry of entries) {
+        const amount = Number(entry.amount);
+        totals[entry.entry_type] += amount;
+        if (entry.entry_type === 'sale') {
+            const method = entry.payment_method || 'unknown';
+            salesByMethod[method] = (salesByMethod[method] || 0) + amount;
+        }
+    }
+
+    return {
+        sales: totals.sale,
+        expenses: totals.expense,
+        net: totals.sale - totals.expense,
+        sales_by_payment_method: salesByMethod,
+        credit_given: totals.credit_given,
+        credit_received: totals.credit_received,
+        credit_taken: totals.credit_taken,
+        credit_repaid: totals.credit_repaid,
+        entries: entries.length
+    };
+}
+
+// Sales, expenses and udhaar logged by chat ("aaj 4500 ki sale hui") or the API, with
+// daily/weekly/monthly summaries, outstanding credit and a monthly revenue estimate
+class LedgerService {
+    // profileManager receives the monthly_revenue estimate
+    constructor(repository = createRepository(), profileManager = null) {
+        this.repository = repository;
+        this.profileManager = profileManager;
+    }
+
+    // Store entries from validateLedgerEntries
+    async recordEntries(user_id, entries, { source = 'ai', conversation_log_id = null } = {}) {
+        const saved = [];
+
+        for (const entry of entries) {
+            try {
+                saved.push(this.formatEntry(await this.repository.insert('ledger_entries', {
+                    user_id,
+                    ...entry,
+                    source,
+                    conversation_log_id
+                })));
+            } catch (error) {
+                console.error('Error recording ledger entry:', error);
+            }
+        }
+
+        if (saved.length > 0) console.log(`📒 Recorded ${saved.length} ledger entries for ${user_id}`);
+        return saved;
+    }
+
+    // One entry typed in by the owner - body: { type, amount, payment_method, party, description, entry_date }
+    async addEntry(user_id, input) {
+        const { data, rejected } = validateLedgerEntries([input]);
+        if (rejected.length > 0) throw new LedgerError('Invalid ledger entry', 400, rejected);
+
+        const [entry] = await this.recordEntries(user_id, data, { source: 'user' });
+        if (!entry) throw new LedgerError('Could not save the entry', 500);
+        return entry;
+    }
+
+    formatEntry(row) {
+        return {
+            id: row.id,
+            type: row.entry_type,
+            amount: Number(row.amount),
+            payment_method: row.payment_method,
+            party: row.party,
+            description: row.description,
+            entry_date: toDateString(row.entry_date),
+            source: row.source,
+            conversation_log_id: row.conversation_log_id,
+            created_at: row.created_at
+        };
+    }
+
+    // Entries newest first. Optional filters: from, to (YYYY-MM-DD), type
+    async listEntries(user_id, { from, to, type, limit = 100 } = {}) {
+        const filters = { user_id };
+        const range = {};
+        for (const [op, value, name] of [['gte', from, 'from'], ['lte', to, 'to']]) {
+            if (value === undefined) continue;
+            if (!parseDate(value)) throw new LedgerError(`${name} must be a YYYY-MM-DD date`);
+            range[op] = value;
+        }
+        if (Object.keys(range).length > 0) filters.entry_date = range;
+        if (type !== undefined) {
+            if (!LEDGER_TYPES[type]) throw new LedgerError(`type must be one of ${Object.keys(LEDGER_TYPES).join(', ')}`);
+            filters.entry_type = type;
+        }
+
+        const rows = await this.repository.findMany('ledger_entries', {
+            filters,
+            orderBy: 'entry_date',
+            ascending: false,
+            limit: Math.min(Math.max(parseInt(limit) || 100, 1), 500)
+        });
+        return rows.map(row => this.formatEntry(row));
+    }
+
+    async deleteEntry(user_id, entry_id) {
+        if (!UUID_PATTERN.test(entry_id || '')) throw new LedgerError('Entry not found', 404);
+
+        const entry = await this.repository.findOne('ledger_entries', { id: entry_id, user_id });
+        if (!entry) throw new LedgerError('Entry not found', 404);
+
+        await this.repository.remove('ledger_entries', { id: entry.id });
+        return this.formatEntry(entry);
+    }
+
+    // First and last day of the day, week (Monday to Sunday) or month containing date
+    periodRange(period, date) {
+        if (period === 'day') return { from: date, to: date };
+        if (period === 'week') {
+            const weekday = (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+            const from = addDays(date, -weekday);
+            return { from, to: addDays(from, 6) };
+        }
+        const from = `${date.slice(0, 7)}-01`;
+        const next = new Date(`${from}T00:00:00Z`);
+        next.setUTCMonth(next.getUTCMonth() + 1);
+        return { from, to: addDays(next.toISOString().slice(0, 10), -1) };
+    }
+
+    async entriesBetween(user_id, from, to) {
+        return this.repository.findMany('ledger_entries', {
+            filters: { user_id, entry_date: { gte: from, lte: to } },
+            orderBy: 'entry_date'
+        });
+    }
+
+    // Totals for the day, week or month containing date, compared with the period before.
+    // Weeks and months also get a per-day breakdown. pending entries from validateLedgerEntries
+    // that are not stored yet count as if they were.
+    async getSummary(user_id, { period = 'day', date = today(), pending = [] } = {}) {
+        if (!PERIODS.includes(period)) throw new LedgerError(`period must be one of ${PERIODS.join(', ')}`);
+        if (!parseDate(date)) throw new LedgerError('date must be a YYYY-MM-DD date');
+
+        const { from, to } = this.periodRange(period, date);
+        const previousRange = this.periodRange(period, addDays(from, -1));
+        const entries = (await this.entriesBetween(user_id, previousRange.from, to))
+            .concat(pending.filter(entry => entry.entry_date >= previousRange.from && entry.entry_date <= to));
+        const current = entries.filter(entry => toDateString(entry.entry_date) >= from);
+        const previous = entries.filter(entry => toDateString(entry.entry_date) < from);
+
+        const summary = { period, from, to, ...totalsOf(current) };
+        const before = totalsOf(previous);
+        summary.previous = { from: previousRange.from, to: previousRange.to, sales: before.sales, expenses: before.expenses, net: before.net };
+
+        if (period !== 'day') {
+            const days = {};
+            for (const entry of current) {
+                const day = toDateString(entry.entry_date);
+                days[day] = days[day] || { date: day, sales: 0, expenses: 0 };
+                if (entry.entry_type === 'sale') days[day].sales += Number(entry.amount);
+                if (entry.entry_type === 'expense') days[day].expenses += Number(entry.amount);
+            }
+            summary.daily = Object.values(days).sort((a, b) => a.date.localeCompare(b.date));
+        }
+        return summary;
+    }
+
+    // Udhaar still open, per party: what customers owe the owner (receivable) and what
+    // the owner owes suppliers or lenders (payable). Unnamed entries share one line.
+    // pending entries are counted as in getSummary.
+    async getOutstandingCredit(user_id, { pending = [] } = {}) {
+        const creditTypes = ['credit_given', 'credit_received', 'credit_taken', 'credit_repaid'];
+        const stored = await this.repository.findMany('ledger_entries', {
+            filters: { user_id, entry_type: { in: creditTypes } },
+            orderBy: 'entry_date'
+        });
+        const entries = stored.concat(pending.filter(entry => creditTypes.includes(entry.entry_type)))
+            .sort((a, b) => toDateString(a.entry_date).localeCompare(toDateString(b.entry_date)));
+
+        const sides = { receivable: new Map(), payable: new Map() };
+        for (const entry of entries) {
+            const side = ['credit_given', 'credit_received'].includes(entry.entry_type) ? 'receivable' : 'payable';
+            const opens = entry.entry_type === 'credit_given' || entry.entry_type === 'credit_taken';
+            const key = (entry.party || '').trim().toLowerCase();
+            const line = sides[side].get(key) || { party: entry.party ? entry.party.trim() : null, amount: 0, since: null };
+
+            line.amount += opens ? Number(entry.amount) : -Number(entry.amount);
+            if (opens && !line.since) line.since = toDateString(entry.entry_date);
+            if (line.amount <= 0) {
+                // Settled (or overpaid, if an earlier entry was never logged); start afresh
+                line.amount = 0;
+                line.since = null;
+            }
+            sides[side].set(key, line);
+        }
+
+        const describe = lines => {
+            const open = [...lines.values()]
+                .filter(line => line.amount > 0)
+                .map(line => ({ ...line, days_outstanding: daysBetween(line.since, today()) }))
+                .sort((a, b) => b.amount - a.amount);
+            return { total: open.reduce((sum, line) => sum + line.amount, 0), parties: open };
+        };
+        return { receivable: describe(sides.receivable), payable: describe(sides.payable) };
+    }
+
+    // Monthly sales projected from the last 30 days: sales per day over the days since the
+    // owner started logging (at most 30), x 30. Days with no sale logged count as zero, so a
+    // few busy days don't stand in for the whole month. null until sales are logged on
+    // LEDGER_MIN_DAYS different days.
+    async estimateMonthlyRevenue(user_id) {
+        const to = today();
+        const [first] = await this.repository.findMany('ledger_entries', {
+            filters: { user_id },
+            columns: 'entry_date',
+            orderBy: 'entry_date',
+            limit: 1
+        });
+        if (!first) return null;
+
+        const from = [addDays(to, -29), toDateString(first.entry_date)].sort()[1];
+        const sales = (await this.entriesBetween(user_id, from, to)).filter(entry => entry.entry_type === 'sale');
+
+        const days = new Set(sales.map(entry => toDateString(entry.entry_date)));
+        if (days.size < LEDGER_MIN_DAYS) return null;
+
+        const total = sales.reduce((sum, entry) => sum + Number(entry.amount), 0);
+        const windowDays = daysBetween(from, to) + 1;
+        return { value: Math.round((total / windowDays) * 30), days_logged: days.size, from, to };
+    }
+
+    // Write the ledger's estimate into monthly_revenue when it has moved enough.
+    // Returns the updated profile, or null when nothing changed.
+    async syncMonthlyRevenue(userProfile, { conversation_log_id = null } = {}) {
+        try {
+            const estimate = await this.estimateMonthlyRevenue(userProfile.user_id);
+            if (!estimate || !this.profileManager) return null;
+
+            const current = Number(userProfile.monthly_revenue) || 0;
+            if (current > 0 && Math.abs(estimate.value - current) / current * 100 < REVENUE_CHANGE_PCT) return null;
+
+            console.log(`📒 monthly_revenue estimated at ₹${estimate.value} from ${estimate.days_logged} logged days`);
+            return await this.profileManager.updateProfile(userProfile.user_id, { monthly_revenue: estimate.value },
+                { source: 'ledger', conversation_log_id });
+        } catch (error) {
+            console.error('Error estimating monthly revenue from ledger:', error);
+            return null;
+        }
+    }
+
+    // Today, this week and this month plus open udhaar for the advisor prompt, or null
+    // when nothing was logged in the last month. pending holds entries from the message being
+    // answered, which are only stored once the reply has gone out.
+    async getAdvisorSummary(user_id, { pending = [] } = {}) {
+        try {
+            const recent = await this.entriesBetween(user_id, addDays(today(), -30), today());
+            if (recent.length === 0 && pending.length === 0) return null;
+
+            return {
+                today: await this.getSummary(user_id, { period: 'day', pending }),
+                week: await this.getSummary(user_id, { period: 'week', pending }),
+                month: await this.getSummary(user_id, { period: 'month', pending }),
+                credit: await this.getOutstandingCredit(user_id, { pending })
+            };
+        } catch (error) {
+            console.error('Error building ledger summary:', error);
+            return null;
+        }
+    }
+}
+
+module.exports = LedgerService;
+module.exports.LedgerError = LedgerError;
@@ -0,0 +1,423 @@
+const { OpenAI, AzureOpenAI } = require('openai');
+
+// Tasks AIService asks a model to do. Each can point at its own provider/model.
+// 'economy' answers replies for users close to their monthly budget.
+// 'embedding' turns text into vectors for the knowledge base.
+const TASKS = ['extraction', 'response', 'enhanced_response', 'economy', 'embedding'];
+
+// Model used when LLM_<TASK>_MODEL and LLM_MODEL are both unset
+const DEFAULT_MODELS = {
+    economy: 'gpt-4o-mini',
+    embedding: 'text-embedding-3-small'
+};
+
+// Vector size of the knowledge base column (migrations/012_knowledge_base.sql)
+const EMBEDDING_DIMENSIONS = 1536;
+
+// OpenAI, Azure OpenAI and any OpenAI-compatible endpoint (vLLM, Ollama, LM Studio...)
+class OpenAICompatibleProvider {
+    constructor({ name = 'openai', model, apiKey, baseURL, azure } = {}) {
+        this.name = name;
+        this.model = model;
+
+        if (azure) {
+            this.client = new AzureOpenAI({
+                apiKey,
+                endpoint: azure.endpoint,
+                deployment: azure.deployment || model,
+                apiVersion: azure.apiVersion
+            });
+        } else {
+            this.client = new OpenAI({
+                apiKey,
+                baseURL: baseURL || undefined
+            });
+        }
+    }
+
+    // Single completion; returns { content, toolCalls, finishReason, usage, model }.
+    // finishReason is 'length' when max_tokens cut the answer (or tool call) short.
+    async chat({ messages, temperature, max_tokens, tools, tool_choice }) {
+        const response = await this.client.chat.completions.create({
+            model: this.model,
+            messages,
+            temperature,
+            max_tokens,
+            ...(tools && { tools, tool_choice })
+        });
+
+        const [choice] = response.choices;
+        const message = choice.message;
+        return {
+            content: message.content || '',
+            toolCalls: (message.tool_calls || []).map(call => ({
+                name: call.function.name,
+                arguments: call.function.arguments
+            })),
+            finishReason: choice.finish_reason || null,
+            usage: response.usage || null,
+            model: response.model || this.model
+        };
+    }
+
+    // Streaming completion; calls onToken per chunk and resolves with { content, usage, model }
+    async stream({ messages, temperature, max_tokens }, onToken) {
+        const stream = await this.client.chat.completions.create({
+            model: this.model,
+            messages,
+            temperature,
+            max_tokens,
+            stream: true,
+            // Not every OpenAI-compatible server understands stream_options
+            ...(this.name !== 'openai-compatible' && { stream_options: { include_usage: true } })
+        });
+
+        let content = '';
+        let usage = null;
+        for await (const chunk of stream) {
+            const token = chunk.choices[0]?.delta?.content;
+            if (token) {
+                content += token;
+                onToken(token);
+            }
+            if (chunk.usage) usage = chunk.usage;
+        }
+
+        return { content, usage, model: this.model };
+    }
+
+    // Embed several texts at once; returns { vectors, usage, model }
+    async embed(texts) {
+        const response = await this.client.embeddings.create({
+            model: this.model,
+            input: texts,
+            // text-embedding-3 models can be shortened to the column size
+            ...(this.model.startsWith('text-embedding-3') && { dimensions: EMBEDDING_DIMENSIONS })
+        });
+
+        return {
+            vectors: response.data.sort((a, b) => a.index - b.index).map(item => item.embedding),
+            usage: response.usage ? { prompt_tokens: response.usage.prompt_tokens, completion_tokens: 0 } : null,
+            model: response.model || this.model
+        };
+    }
+}
+
+// Deterministic offline provider for tests and demos - no network, same input, same output
+class MockProvider {
+    constructor({ model = 'mock' } = {}) {
+        this.name = 'mock';
+        this.model = model;
+    }
+
+    async chat({ messages, tools }) {
+        const userMessage = this.lastUserMessage(messages);
+
+        if (tools && tools.length > 0) {
+            const args = this.toolArguments(tools[0].function.name, userMessage, tools[0].function.parameters);
+            return {
+                content: '',
+                toolCalls: [{ name: tools[0].function.name, arguments: JSON.stringify(args) }],
+                finishReason: 'tool_calls',
+                usage: this.usage(messages, JSON.stringify(args)),
+                model: this.model
+            };
+        }
+
+        const content = this.reply(messages, userMessage);
+        return { content, toolCalls: [], finishReason: 'stop', usage: this.usage(messages, content), model: this.model };
+    }
+
+    async stream(options, onToken) {
+        const { content, usage, model } = await this.chat(options);
+        for (const piece of content.match(/\S+\s*/g) || []) {
+            onToken(piece);
+        }
+        return { content, usage, model };
+    }
+
+    // Canned arguments for each tool AIService declares
+    toolArguments(toolName, userMessage, parameters) {
+        if (toolName === 'record_marketing_content') {
+            return this.marketingContent(userMessage, parameters);
+        }
+        if (toolName === 'record_action_plan') {
+            return {
+                steps: [
+                    { description: 'Write down daily sales for two weeks to get a baseline', due_in_days: 7 },
+                    { description: 'Run one small offer for regular customers on WhatsApp', due_in_days: 14 },
+                    { description: 'Compare sales before and after the offer and keep what worked', due_in_days: 30 }
+                ]
+            };
+        }
+
+        const text = this.quotedMessage(userMessage);
+        const args = this.extractFacts(text);
+        // Hedged wording ("maybe", "shayad") gets low confidence so confirmations can be exercised
+        if (/\b(maybe|probably|around|shayad|lagbhag)\b/i.test(text)) {
+            args.field_confidence = Object.fromEntries(Object.keys(args).map(field => [field, 0.5]));
+        }
+        args.message_insights = this.classifyMessage(text);
+        return args;
+    }
+
+    // Marketing copy built from the prompt's product and city lines, in the shape the tool asks for
+    marketingContent(prompt, parameters) {
+        const products = (prompt.match(/Top products: (.*)/) || [])[1] || 'not known';
+        const city = (prompt.match(/City: (.*)/) || [])[1] || 'not known';
+        const what = products === 'not known' ? 'our products' : products;
+        const where = city === 'not known' ? '' : ` in ${city}`;
+
+        if (parameters.properties.message) {
+            return { message: `Namaste! 🙏 Fresh stock of ${what} is here${where}. Visit us this week or reply to this message to order. (offline mock content)` };
+        }
+        if (parameters.properties.hashtags) {
+            const tags = [city, ...products.split(',')].filter(tag => tag && tag !== 'not known')
+                .map(tag => `#${tag.replace(/[^\p{L}\p{N}]/gu, '')}`);
+            return {
+                caption: `New week, new favourites ✨\nCome try ${what}${where}. DM us to order! (offline mock content)`,
+                hashtags: [...tags, '#ShopLocal', '#SmallBusiness']
+            };
+        }
+        const copy = {
+            headline: 'Now Open - Come Visit!',
+            body: `Try ${what}${where}.`,
+            offer: 'Special price this week',
+            call_to_action: 'Visit us today'
+        };
+        return { primary: copy, secondary: { ...copy, headline: 'Aaiye, zaroor aaiye!' } };
+    }
+
+    // Keyword topics and sentiment for message_insights
+    classifyMessage(text) {
+        const lower = text.toLowerCase();
+        const keywords = {
+            marketing: /instagram|whatsapp|offer|promot|advert|campaign|marketing/,
+            pricing: /price|pricing|discount|rate|daam|kimat/,
+            sales: /sales|revenue|income|kamai|bikri/,
+            customers: /customer|grahak|footfall|review/,
+            staffing: /staff|employee|hire|salary|worker/,
+            inventory: /stock|inventory|supplier|maal/,
+            finance: /loan|credit|profit|expense|kharcha/,
+            compliance: /gst|license|licence|tax|fssai|permit/
+        };
+        const topics = Object.keys(keywords).filter(topic => keywords[topic].test(lower)).slice(0, 3);
+
+        let sentiment = 'neutral';
+        if (/\b(good|great|happy|thanks|thank you|accha|badhiya|worked)\b/.test(lower)) sentiment = 'positive';
+        if (/\b(bad|low|problem|worried|loss|slow|kam|pareshan|not working)\b/.test(lower)) sentiment = 'negative';
+
+        return {
+            topics: topics.length > 0 ? topics : ['other'],
+            sentiment,
+            acted_on_suggestion: /\b(i tried|we tried|i did|i started|tried your|did what you|kar diya|try kiya)\b/.test(lower)
+        };
+    }
+
+    lastUserMessage(messages) {
+        const last = [...messages].reverse().find(m => m.role === 'user');
+        return last ? last.content : '';
+    }
+
+    // Extraction prompts embed the owner's words as User message: "..."
+    quotedMessage(prompt) {
+        const match = prompt.match(/User message: "([\s\S]*?)"\n/);
+        return match ? match[1] : prompt;
+    }
+
+    // Keyword extraction good enough to exercise the profile pipeline offline
+    extractFacts(text) {
+        const lower = text.toLowerCase();
+        const facts = {};
+
+        const businessTypes = ['salon', 'restaurant', 'grocery store', 'kirana', 'boutique', 'bakery', 'pharmacy', 'retail'];
+        const businessType = businessTypes.find(type => lower.includes(type));
+        if (businessType) facts.business_type = businessType;
+
+        const cityMatch = text.match(/\b(?:in|from|at)\s+([A-Z][a-z]+)/);
+        if (cityMatch && !['Meesho', 'Zomato', 'Swiggy'].includes(cityMatch[1])) {
+            facts.location_city = cityMatch[1];
+        }
+
+        const revenueMatch = lower.match(/(\d[\d,.]*\s*(?:k|lakh|lac|thousand)?)\s*(?:rupees\s*)?(?:per|a|every|\/)\s*month/);
+        if (revenueMatch) facts.monthly_revenue = revenueMatch[1].trim();
+
+        const staffMatch = lower.match(/(\d+)\s*(?:staff|employees|people work|workers)/);
+        if (staffMatch) facts.staff_count = parseInt(staffMatch[1]);
+
+        const platforms = ['Meesho', 'Zomato', 'Swiggy', 'Instagram', 'Amazon', 'Flipkart'];
+        const usedPlatforms = platforms.filter(p => lower.includes(p.toLowerCase()));
+        if (usedPlatforms.length > 0) facts.platforms_used = usedPlatforms;
+
+        if (/weekend/.test(lower) && /(good|busy|rush|peak|zyada)/.test(lower)) {
+            facts.peak_days = ['Saturday', 'Sunday'];
+        }
+        if (/increase (my )?sales|sales badhani/.test(lower)) {
+            facts.goals = ['increase sales'];
+        }
+
+        // Dated numbers; "last month" is dated to the 15th of the previous month
+        const metrics = [];
+        let observedOn;
+        if (/last month|pichhle mahine/.test(lower)) {
+            const date = new Date();
+            date.setUTCDate(15);
+            date.setUTCMonth(date.getUTCMonth() - 1);
+            observedOn = date.toISOString().slice(0, 10);
+        }
+        if (revenueMatch) {
+            metrics.push({ metric: 'revenue', value: revenueMatch[1].trim(), period: 'month', observed_on: observedOn });
+        }
+        for (const [metric, pattern] of [['footfall', /(\d+)\s*(?:customers|grahak)\s*(?:a|per|every)\s*(day|week|month)/], ['orders', /(\d+)\s*orders\s*(?:a|per|every)\s*(day|week|month)/]]) {
+            const match = lower.match(pattern);
+            if (match) metrics.push({ metric, value: parseInt(match[1]), period: match[2], observed_on: observedOn });
+        }
+        if (metrics.length > 0) facts.business_metrics = metrics;
+
+        // "4500 ki sale", "1200 ka maal liya", "500 udhaar diya" and their English forms
+        const ledger = [];
+        const ledgerPatterns = [
+            ['sale', /(\d[\d,]*)\s*(?:ki|ka)\s*(?:sale|bikri)|(?:sold|sales? of)\s*(?:rs\.?\s*)?(\d[\d,]*)/g],
+            ['expense', /(\d[\d,]*)\s*(?:ka|ki)\s*(?:maal|saaman|kharcha)|(?:spent|paid)\s*(?:rs\.?\s*)?(\d[\d,]*)/g],
+            ['credit_given', /(\d[\d,]*)\s*(?:ka|ki)?\s*udh?aa?r\s*diya|(?:gave|sold)\s*(\d[\d,]*)\s*on credit/g],
+            ['credit_taken', /(\d[\d,]*)\s*(?:ka|ki)?\s*udh?aa?r\s*liya|(?:took|bought)\s*(\d[\d,]*)\s*on credit/g]
+        ];
+        for (const [type, pattern] of ledgerPatterns) {
+            for (const match of lower.matchAll(pattern)) {
+                const entry = { type, amount: parseInt((match[1] || match[2]).replace(/,/g, '')) };
+                if (/upi|gpay|phonepe|paytm/.test(lower) && type === 'sale') entry.payment_method = 'upi';
+                if (/\bkal\b|yesterday/.test(lower)) {
+                    entry.entry_date = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+                }
+                ledger.push(entry);
+            }
+        }
+        if (ledger.length > 0) facts.ledger_entries = ledger;
+
+        // "5 packet Maggi aur aaye", "3 Maggi bik gaye", "Maggi 2 bache"
+        const inventory = [];
+        const unit = '(?:(packets?|kg|box(?:es)?|pieces?|pcs|dozen|bottles?)\\s+)?';
+        for (const [action, pattern] of [
+            ['restock', new RegExp(`(\\d+)\\s*${unit}([a-z][a-z-]*)\\s+(?:aur\\s+)?(?:aaye|aaya|aayi|aa gaye|came in)`, 'g')],
+            ['sold', new RegExp(`(\\d+)\\s*${unit}([a-z][a-z-]*)\\s+(?:bik gaye|bika|biki|sold)`, 'g')]
+        ]) {
+            for (const match of lower.matchAll(pattern)) {
+                inventory.push({ item: match[3], action, quantity: parseInt(match[1]), ...(match[2] ? { unit: match[2] } : {}) });
+            }
+        }
+        for (const match of lower.matchAll(/([a-z][a-z-]*)\s+(?:sirf\s+)?(\d+)\s+(?:bache|bacha|left)/g)) {
+            inventory.push({ item: match[1], action: 'count', quantity: parseInt(match[2]) });
+        }
+        if (inventory.length > 0) facts.inventory_updates = inventory;
+
+        return facts;
+    }
+
+    reply(messages, userMessage) {
+        const system = messages.find(m => m.role === 'system')?.content || '';
+        const business = system.match(/The user runs a ([^.]+?)(?: located|\.| with)/);
+        const priorTurns = messages.filter(m => m.role === 'assistant').length;
+        const note = system.match(/REFERENCE NOTES[^\n]*\n\[1\] ([^\n]+)/);
+
+        return [
+            `Namaste! (offline mock reply${business ? ` for your ${business[1]}` : ''})`,
+            `You said: "${userMessage.slice(0, 200)}".`,
+            `1. Write down this week's sales every evening.`,
+            `2. Ask your regular customers to share your WhatsApp number with friends.`,
+            `3. Try one small weekday offer and compare footfall.`,
+            note ? `See "${note[1]}" for the official details [1].` : '',
+            priorTurns > 0 ? `(I remember ${priorTurns} earlier replies in this chat.)` : '',
+            `What is your biggest challenge right now?`
+        ].filter(Boolean).join('\n');
+    }
+
+    // Hashed bag of words, so texts sharing words come out similar
+    async embed(texts) {
+        const vectors = texts.map(text => {
+            const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+            for (const word of text.toLowerCase().match(/[a-z0-9]{3,}/g) || []) {
+                let hash = 0;
+                for (const char of word) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+                vector[hash % EMBEDDING_DIMENSIONS] += 1;
+            }
+            const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+            return vector.map(value => value / norm);
+        });
+        const prompt_tokens = Math.ceil(texts.join(' ').length / 4);
+        return { vectors, usage: { prompt_tokens, completion_tokens: 0, total_tokens: prompt_tokens }, model: this.model };
+    }
+
+    usage(messages, completion) {
+        const promptChars = messages.reduce((sum, m) => sum + (m.content || '').length, 0);
+        const prompt_tokens = Math.ceil(promptChars / 4);
+        const completion_tokens = Math.ceil(completion.length / 4);
+        return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens };
+    }
+}
+
+// Read LLM_<TASK>_<SETTING>, falling back to LLM_<SETTING>
+function taskSetting(task, setting) {
+    return process.env[`LLM_${task.toUpperCase()}_${setting}`] || process.env[`LLM_${setting}`];
+}
+
+// Build the provider for one task from the environment, e.g.
+//   LLM_PROVIDER=openai LLM_MODEL=gpt-4
+//   LLM_EXTRACTION_MODEL=gpt-4o-mini
+//   LLM_RESPONSE_PROVIDER=openai-compatible LLM_RESPONSE_BASE_URL=http://localhost:11434/v1
+//   LLM_ECONOMY_MODEL=gpt-4o-mini   (cheaper replies near the monthly budget)
+//   LLM_EMBEDDING_MODEL=text-embedding-3-small   (knowledge base vectors)
+//   LLM_PROVIDER=mock   (offline, deterministic)
+function createProvider(task) {
+    const provider = taskSetting(task, 'PROVIDER') || 'openai';
+    // LLM_MODEL names a chat model, so embeddings only take LLM_EMBEDDING_MODEL
+    const model = (task === 'embedding' ? process.env.LLM_EMBEDDING_MODEL : taskSetting(task, 'MODEL'))
+        || DEFAULT_MODELS[task] || 'gpt-4';
+
+    switch (provider) {
+        case 'openai':
+            return new OpenAICompatibleProvider({
+                model,
+                apiKey: taskSetting(task, 'API_KEY') || process.env.OPENAI_API_KEY
+            });
+        case 'openai-compatible':
+            return new OpenAICompatibleProvider({
+                name: 'openai-compatible',
+                model,
+                apiKey: taskSetting(task, 'API_KEY') || 'not-needed',
+                baseURL: taskSetting(task, 'BASE_URL')
+            });
+        case 'azure':
+            return new OpenAICompatibleProvider({
+                name: 'azure',
+                model,
+                apiKey: taskSetting(task, 'API_KEY') || process.env.AZURE_OPENAI_API_KEY,
+                azure: {
+                    endpoint: taskSetting(task, 'BASE_URL') || process.env.AZURE_OPENAI_ENDPOINT,
+                    deployment: taskSetting(task, 'DEPLOYMENT'),
+                    apiVersion: taskSetting(task, 'API_VERSION') || process.env.OPENAI_API_VERSION || '2024-06-01'
+                }
+            });
+        case 'mock':
+            return new MockProvider({ model: taskSetting(task, 'MODEL') || 'mock' });
+        default:
+            throw new Error(`Unknown LLM provider "${provider}" for task ${task}`);
+    }
+}
+
+// One provider per task
+function createProviders() {
+    const providers = {};
+    for (const task of TASKS) {
+        providers[task] = createProvider(task);
+    }
+    return providers;
+}
+
+module.exports = {
+    TASKS,
+    EMBEDDING_DIMENSIONS,
+    OpenAICompatibleProvider,
+    MockProvider,
+    createProvider,
+    createProviders
+};
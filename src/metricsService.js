@@ -0,0 +1,144 @@
+const { createRepository } = require('./storage');
+const { METRIC_TYPES } = require('./profileSchema');
+const { toDateString } = require('./dateUtils');
+
+// Scale a day/week observation up to a month. avg_ticket is per order and never scaled.
+const PERIODS_PER_MONTH = { day: 30, week: 30 / 7, month: 1 };
+
+// Changes smaller than this (either way) count as flat
+const FLAT_CHANGE_PCT = 5;
+
+// Months of history behind series and trends unless the caller asks for more
+const TREND_MONTHS = 6;
+
+// Dated business numbers (revenue, footfall, orders, average ticket) and their month-over-month trends
+class MetricsService {
+    constructor(repository = createRepository()) {
+        this.repository = repository;
+    }
+
+    // Store validated observations from validateMetricObservations
+    async recordObservations(user_id, observations, { source = 'ai', conversation_log_id = null } = {}) {
+        const saved = [];
+
+        for (const observation of observations) {
+            try {
+                saved.push(await this.repository.insert('business_metrics', {
+                    user_id,
+                    metric: observation.metric,
+                    value: observation.value,
+                    period: observation.period,
+                    observed_on: observation.observed_on,
+                    source,
+                    conversation_log_id
+                }));
+            } catch (error) {
+                console.error('Error recording business metric:', error);
+            }
+        }
+
+        if (saved.length > 0) console.log(`📈 Recorded ${saved.length} business metrics for ${user_id}`);
+        return saved;
+    }
+
+    // Raw observations, newest first
+    async getObservations(user_id, { metric, since, limit = 100 } = {}) {
+        try {
+            const filters = { user_id };
+            if (metric) filters.metric = metric;
+            if (since) filters.observed_on = { gte: since };
+
+            return await this.repository.findMany('business_metrics', {
+                filters,
+                orderBy: 'observed_on',
+                ascending: false,
+                limit
+            });
+        } catch (error) {
+            console.error('Error fetching business metrics:', error);
+            return [];
+        }
+    }
+
+    // First day of the month `monthsBack` months ago as YYYY-MM-DD
+    monthStart(monthsBack = 0, date = new Date()) {
+        const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - monthsBack, 1));
+        return start.toISOString().slice(0, 10);
+    }
+
+    // Monthly values per metric: { revenue: [{ month: '2024-09', value, observations }], ... } oldest first.
+    // Several observations in one month are averaged after scaling to a monthly figure.
+    // pending holds validated observations not stored yet, counted as if they were.
+    async getMonthlySeries(user_id, months = TREND_MONTHS, { pending = [] } = {}) {
+        const since = this.monthStart(months - 1);
+        const observations = [
+            ...await this.getObservations(user_id, { since, limit: 1000 }),
+            ...pending.filter(observation => toDateString(observation.observed_on) >= since)
+        ];
+
+        const buckets = {};
+        for (const row of observations) {
+            const month = toDateString(row.observed_on).slice(0, 7);
+            const monthly = row.metric === 'avg_ticket'
+                ? Number(row.value)
+                : Number(row.value) * (PERIODS_PER_MONTH[row.period] || 1);
+
+            buckets[row.metric] = buckets[row.metric] || {};
+            const bucket = buckets[row.metric][month] || (buckets[row.metric][month] = { total: 0, count: 0 });
+            bucket.total += monthly;
+            bucket.count += 1;
+        }
+
+        const series = {};
+        for (const [metric, byMonth] of Object.entries(buckets)) {
+            series[metric] = Object.keys(byMonth).sort().map(month => ({
+                month,
+                value: Math.round(byMonth[month].total / byMonth[month].count),
+                observations: byMonth[month].count
+            }));
+        }
+        return series;
+    }
+
+    // Latest month vs the month before it, per metric (pending as for getMonthlySeries)
+    async getTrendSummary(user_id, months = TREND_MONTHS, { pending = [] } = {}) {
+        try {
+            const series = await this.getMonthlySeries(user_id, months, { pending });
+            const trends = [];
+
+            for (const metric of Object.keys(METRIC_TYPES)) {
+                const points = series[metric];
+                if (!points || points.length === 0) continue;
+
+                const current = points[points.length - 1];
+                const previous = points.length > 1 ? points[points.length - 2] : null;
+                const trend = {
+                    metric,
+                    month: current.month,
+                    value: current.value,
+                    previous_month: null,
+                    previous_value: null,
+                    change_pct: null,
+                    direction: 'unknown'
+                };
+
+                if (previous && previous.value > 0) {
+                    const change = ((current.value - previous.value) / previous.value) * 100;
+                    trend.previous_month = previous.month;
+                    trend.previous_value = previous.value;
+                    trend.change_pct = Math.round(change * 10) / 10;
+                    trend.direction = Math.abs(change) < FLAT_CHANGE_PCT ? 'flat' : (change > 0 ? 'up' : 'down');
+                }
+                trends.push(trend);
+            }
+
+            return trends;
+        } catch (error) {
+            console.error('Error building trend summary:', error);
+            return [];
+        }
+    }
+}
+
+module.exports = MetricsService;
+module.exports.TREND_MONTHS = TREND_MONTHS;
@@ -0,0 +1,252 @@
+const { createRepository } = require('./storage');
+const FestivalCalendar = require('./festivalCalendar');
+const { createOutboundChannel } = require('./outboundChannels');
+const { today, toDateString } = require('./dateUtils');
+const { ServiceError } = require('./errors');
+
+// How often the scheduler wakes up to plan and deliver
+const NUDGE_INTERVAL_MS = parseInt(process.env.NUDGE_INTERVAL_MS) || 60 * 60 * 1000;
+// Default quiet hours in local time, e.g. "21-9" means 9pm to 9am
+const [DEFAULT_QUIET_START, DEFAULT_QUIET_END] = parseQuietHours(process.env.NUDGE_QUIET_HOURS || '21-9');
+const NUDGE_TIMEZONE = process.env.NUDGE_TIMEZONE || 'Asia/Kolkata';
+const MAX_ATTEMPTS = 3;
+const DELIVERY_BATCH = 100;
+// Supabase returns at most 1000 rows per query, so owners are read in pages
+const PROFILE_PAGE = 500;
+// Campaign suggestions generated per run; owners past the cap are planned on the next run
+const MAX_SUGGESTIONS_PER_RUN = parseInt(process.env.NUDGE_MAX_SUGGESTIONS_PER_RUN) || 200;
+
+class NudgeError extends ServiceError {}
+
+// "21-9" as [21, 9]. Anything else, such as "22:00-07:00", would turn into NaN and switch
+// quiet hours off, so it stops startup instead.
+function parseQuietHours(value) {
+    const match = String(value).match(/^\s*(\d{1,2})\s*-\s*(\d{1,2})\s*$/);
+    const hours = match ? [parseInt(match[1]), parseInt(match[2])] : [];
+    if (hours.length !== 2 || hours.some(hour => hour > 23)) {
+        throw new Error(`NUDGE_QUIET_HOURS must be two whole hours from 0 to 23 like "21-9", got "${value}"`);
+    }
+    return hours;
+}
+
+// Plans festival campaign suggestions ahead of time and delivers them outside quiet hours
+class NudgeScheduler {
+    constructor({
+        repository = createRepository(),
+        aiService,
+        calendar = new FestivalCalendar(),
+        channel = createOutboundChannel(),
+        maxSuggestionsPerRun = MAX_SUGGESTIONS_PER_RUN,
+        profilePage = PROFILE_PAGE
+    } = {}) {
+        this.repository = repository;
+        this.aiService = aiService;
+        this.calendar = calendar;
+        this.channel = channel;
+        this.maxSuggestionsPerRun = maxSuggestionsPerRun;
+        this.profilePage = profilePage;
+        this.timer = null;
+        this.running = false;
+    }
+
+    // Run every NUDGE_INTERVAL_MS until stop()
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.runOnce(), NUDGE_INTERVAL_MS);
+        this.timer.unref();
+        console.log(`⏰ Nudge scheduler running every ${Math.round(NUDGE_INTERVAL_MS / 60000)} min via ${this.channel.name}`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // One planning and delivery pass; overlapping runs are skipped
+    async runOnce(now = new Date()) {
+        if (this.running) return { planned: 0, sent: 0 };
+        this.running = true;
+
+        try {
+            const planned = await this.planCampaigns(now);
+            const sent = await this.deliverDue(now);
+            if (planned > 0 || sent > 0) console.log(`⏰ Nudges: ${planned} planned, ${sent} sent`);
+            return { planned, sent };
+        } catch (error) {
+            console.error('Error running nudge scheduler:', error);
+            return { planned: 0, sent: 0 };
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // Queue a campaign suggestion for every festival whose lead window just opened for a user
+    async planCampaigns(now = new Date()) {
+        let planned = 0;
+        let suggestions = 0;
+        let after = null;
+
+        while (true) {
+            const users = await this.campaignUsers(after);
+            for (const user of users) {
+                for (const festival of this.calendar.campaignWindowFor(user, { from: today(now) })) {
+                    const existing = await this.repository.findOne('nudges', {
+                        user_id: user.user_id,
+                        festival_id: festival.id,
+                        occasion_date: festival.start
+                    });
+                    if (existing) continue;
+
+                    if (suggestions >= this.maxSuggestionsPerRun) {
+                        console.warn(`⚠️ Nudge planning stopped at ${suggestions} suggestions, the rest wait for the next run`);
+                        return planned;
+                    }
+                    suggestions += 1;
+                    const message = await this.aiService.generateCampaignSuggestion(festival, user);
+                    if (!message) continue;
+
+                    await this.repository.insert('nudges', {
+                        user_id: user.user_id,
+                        kind: 'festival_campaign',
+                        festival_id: festival.id,
+                        occasion_date: festival.start,
+                        message,
+                        scheduled_for: now.toISOString()
+                    });
+                    planned += 1;
+                }
+            }
+            if (users.length < this.profilePage) return planned;
+            after = users[users.length - 1].user_id;
+        }
+    }
+
+    // One page of owners who can get nudges, in user_id order after the given id
+    async campaignUsers(after = null) {
+        const filters = { nudges_opt_out: false, business_type: { neq: null } };
+        if (after) filters.user_id = { gt: after };
+        return this.repository.findMany('user_profiles', {
+            filters,
+            orderBy: 'user_id',
+            limit: this.profilePage
+        });
+    }
+
+    // Send queued nudges that are due; quiet hours push them to the morning
+    async deliverDue(now = new Date()) {
+        const due = await this.repository.findMany('nudges', {
+            filters: { status: 'queued', scheduled_for: { lte: now.toISOString() } },
+            orderBy: 'scheduled_for',
+            limit: DELIVERY_BATCH
+        });
+        let sent = 0;
+
+        for (const nudge of due) {
+            const user = await this.repository.findOne('user_profiles', { user_id: nudge.user_id });
+            if (!user || user.nudges_opt_out) {
+                await this.repository.update('nudges', { id: nudge.id }, { status: 'cancelled' });
+                continue;
+            }
+
+            const quietUntil = this.quietUntil(user, now);
+            if (quietUntil) {
+                await this.repository.update('nudges', { id: nudge.id }, { scheduled_for: quietUntil.toISOString() });
+                continue;
+            }
+
+            try {
+                await this.channel.send(user, nudge.message);
+                await this.repository.update('nudges', { id: nudge.id }, {
+                    status: 'sent',
+                    channel: this.channel.name,
+                    sent_at: new Date().toISOString(),
+                    attempts: nudge.attempts + 1
+                });
+                sent += 1;
+            } catch (error) {
+                console.error(`Error sending nudge ${nudge.id}:`, error.message);
+                const attempts = nudge.attempts + 1;
+                await this.repository.update('nudges', { id: nudge.id }, {
+                    status: attempts >= MAX_ATTEMPTS ? 'failed' : 'queued',
+                    attempts,
+                    last_error: error.message,
+                    // Back off 15 min, then 30 min
+                    scheduled_for: new Date(now.getTime() + attempts * 15 * 60 * 1000).toISOString()
+                });
+            }
+        }
+
+        return sent;
+    }
+
+    // When quiet hours end if `now` is inside them for this user, else null
+    quietUntil(user, now = new Date()) {
+        const start = user.quiet_hours_start ?? DEFAULT_QUIET_START;
+        const end = user.quiet_hours_end ?? DEFAULT_QUIET_END;
+        if (start === end) return null;
+
+        const parts = new Intl.DateTimeFormat('en-GB', {
+            timeZone: NUDGE_TIMEZONE, hour: 'numeric', minute: 'numeric', hourCycle: 'h23'
+        }).formatToParts(now);
+        const hour = parseInt(parts.find(part => part.type === 'hour').value);
+        const minute = parseInt(parts.find(part => part.type === 'minute').value);
+
+        const quiet = start < end ? hour >= start && hour < end : hour >= start || hour < end;
+        if (!quiet) return null;
+
+        const hoursLeft = (end - hour + 24) % 24;
+        return new Date(now.getTime() + (hoursLeft * 60 - minute) * 60 * 1000);
+    }
+
+    // Opt out/in and quiet hours. Opting out cancels anything still queued.
+    async setPreferences(user_id, { opt_out, quiet_hours_start, quiet_hours_end } = {}) {
+        const patch = {};
+        if (opt_out !== undefined) patch.nudges_opt_out = Boolean(opt_out);
+        for (const [field, value] of [['quiet_hours_start', quiet_hours_start], ['quiet_hours_end', quiet_hours_end]]) {
+            if (value === undefined) continue;
+            if (value !== null && !(Number.isInteger(value) && value >= 0 && value <= 23)) {
+                throw new NudgeError(`${field} must be an hour from 0 to 23`);
+            }
+            patch[field] = value;
+        }
+
+        const profile = Object.keys(patch).length > 0
+            ? await this.repository.update('user_profiles', { user_id }, { ...patch, updated_at: new Date().toISOString() })
+            : await this.repository.findOne('user_profiles', { user_id });
+
+        if (patch.nudges_opt_out) {
+            await this.repository.update('nudges', { user_id, status: 'queued' }, { status: 'cancelled' });
+            console.log(`🔕 ${user_id} opted out of nudges`);
+        }
+
+        return this.preferencesOf(profile);
+    }
+
+    preferencesOf(profile) {
+        return {
+            opt_out: Boolean(profile?.nudges_opt_out),
+            quiet_hours_start: profile?.quiet_hours_start ?? DEFAULT_QUIET_START,
+            quiet_hours_end: profile?.quiet_hours_end ?? DEFAULT_QUIET_END,
+            timezone: NUDGE_TIMEZONE
+        };
+    }
+
+    async listNudges(user_id, limit = 50) {
+        try {
+            const nudges = await this.repository.findMany('nudges', {
+                filters: { user_id },
+                orderBy: 'created_at',
+                ascending: false,
+                limit
+            });
+            return nudges.map(nudge => ({ ...nudge, occasion_date: toDateString(nudge.occasion_date) }));
+        } catch (error) {
+            console.error('Error fetching nudges:', error);
+            return [];
+        }
+    }
+}
+
+module.exports = NudgeScheduler;
+module.exports.NudgeError = NudgeError;
+module.exports.parseQuietHours = parseQuietHours;
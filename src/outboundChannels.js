@@ -0,0 +1,58 @@
+const WhatsAppService = require('./whatsappService');
+const { languageCode } = require('./i18n');
+
+// Channels for messages Partnur starts (nudges), as opposed to replies.
+// Each channel has a name and send(recipient, text) where recipient is a user profile.
+
+// Logs instead of sending - default for development
+class ConsoleChannel {
+    constructor() {
+        this.name = 'console';
+    }
+
+    async send(recipient, text) {
+        console.log(`📣 [Nudge to ${recipient.mobile_number}] ${text}`);
+    }
+}
+
+// WhatsApp Cloud API. Business-initiated messages need an approved template
+// (WHATSAPP_NUDGE_TEMPLATE) whose body is a single {{1}} parameter.
+class WhatsAppChannel {
+    constructor(whatsappService = new WhatsAppService(), templateName = process.env.WHATSAPP_NUDGE_TEMPLATE) {
+        this.name = 'whatsapp';
+        this.whatsappService = whatsappService;
+        this.templateName = templateName;
+        if (!templateName) {
+            console.warn('⚠️ WHATSAPP_NUDGE_TEMPLATE is not set - nudges go out as plain text, which WhatsApp only delivers within 24 hours of the owner\'s last message');
+        }
+    }
+
+    async send(recipient, text) {
+        if (!this.templateName) {
+            return this.whatsappService.sendText(recipient.mobile_number, text);
+        }
+        const code = languageCode(recipient.language_pref) || 'en';
+        return this.whatsappService.sendTemplate(recipient.mobile_number, this.templateName, code, [templateParameter(text)]);
+    }
+}
+
+// WhatsApp rejects template parameters with newlines, tabs or more than four spaces in a row
+function templateParameter(text) {
+    return String(text).replace(/\s+/g, ' ').trim();
+}
+
+const CHANNELS = {
+    console: ConsoleChannel,
+    whatsapp: WhatsAppChannel
+};
+
+// Pick the nudge channel with NUDGE_CHANNEL (defaults to console)
+function createOutboundChannel(name = process.env.NUDGE_CHANNEL || 'console') {
+    const Channel = CHANNELS[name];
+    if (!Channel) {
+        throw new Error(`Unknown NUDGE_CHANNEL "${name}". Use one of: ${Object.keys(CHANNELS).join(', ')}`);
+    }
+    return new Channel();
+}
+
+module.exports = { ConsoleChannel, WhatsAppChannel, createOutboundChannel, templateParameter };
@@ -0,0 +1,180 @@
+const { createRepository } = require('./storage');
+const CITIES = require('./data/cities.json');
+
+// Fewer peers than this and nothing is shown, so no single business can be picked out
+const MIN_COHORT_SIZE = parseInt(process.env.BENCHMARK_MIN_COHORT) || 10;
+// Cohort aggregates change slowly; cache them instead of querying on every chat turn
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 5000;
+// Only call something "typical" when at least this share of peers does it
+const TYPICAL_SHARE_PCT = 30;
+
+const ITEM_FIELDS = ['platforms_used', 'payment_methods', 'ad_channels', 'peak_days'];
+
+// Tier from src/data/cities.json (1 = metro, 2 = the larger cities);
+// any other named city counts as tier 3
+function cityTier(city, cities = CITIES) {
+    if (!city) return null;
+    const name = city.trim().toLowerCase();
+    const entry = Object.entries(cities).find(([known]) => known.toLowerCase() === name);
+    return entry ? entry[1].tier : 3;
+}
+
+// Compares one business with anonymized aggregates of the same business type
+// in the same city tier (and revenue band, when that cohort is big enough)
+class PeerBenchmarks {
+    constructor(repository = createRepository(), cities = CITIES) {
+        this.repository = repository;
+        this.cities = cities;
+        // Lowercase city names per tier, as sent to the SQL functions
+        this.tierCities = { 1: [], 2: [] };
+        for (const [city, info] of Object.entries(cities)) {
+            if (this.tierCities[info.tier]) this.tierCities[info.tier].push(city.toLowerCase());
+        }
+        // cohort key -> { expiresAt, value }
+        this.cache = new Map();
+    }
+
+    // SQL arguments selecting the cities of a tier. Tier 3 is "none of the tier 1/2 cities".
+    cityFilter(tier) {
+        return tier === 3
+            ? { p_cities: [...this.tierCities[1], ...this.tierCities[2]], p_in_cities: false }
+            : { p_cities: this.tierCities[tier], p_in_cities: true };
+    }
+
+    // Same bands as admin_revenue_band() in migrations/010_admin_analytics.sql
+    revenueBand(revenue) {
+        if (revenue === null || revenue === undefined) return null;
+        if (revenue < 50000) return 'under_50k';
+        if (revenue < 200000) return '50k_2l';
+        if (revenue < 1000000) return '2l_10l';
+        return '10l_plus';
+    }
+
+    // Benchmark for a profile: { available, reason } or the full comparison
+    async getBenchmark(profile) {
+        if (!profile.business_type) return { available: false, reason: 'business_type is not known yet' };
+        const tier = cityTier(profile.location_city, this.cities);
+        if (!tier) return { available: false, reason: 'location_city is not known yet' };
+
+        try {
+            // Prefer peers of a similar size, falling back to the whole type-and-tier cohort
+            const band = this.revenueBand(profile.monthly_revenue);
+            let cohort = band ? await this.getCohort(profile, tier, band) : null;
+            if (!cohort || cohort.size < MIN_COHORT_SIZE) cohort = await this.getCohort(profile, tier, null);
+
+            if (cohort.size < MIN_COHORT_SIZE) {
+                return { available: false, reason: `fewer than ${MIN_COHORT_SIZE} similar businesses yet`, cohort_size: cohort.size };
+            }
+
+            return {
+                available: true,
+                cohort: {
+                    business_type: profile.business_type.toLowerCase(),
+                    city_tier: tier,
+                    revenue_band: cohort.revenue_band,
+                    size: cohort.size
+                },
+                revenue: {
+                    ...cohort.revenue,
+                    yours: profile.monthly_revenue ?? null,
+                    position: this.position(profile.monthly_revenue, cohort.revenue)
+                },
+                staff: { median: cohort.staff_median, yours: profile.staff_count ?? null },
+                common: this.withYours(cohort.common, profile),
+                summary: this.describe(profile, tier, cohort)
+            };
+        } catch (error) {
+            console.error('Error building peer benchmark:', error);
+            return { available: false, reason: 'benchmark unavailable' };
+        }
+    }
+
+    // Aggregates for one cohort, cached per business type, tier and band
+    async getCohort(profile, tier, band) {
+        const key = [profile.business_type.toLowerCase(), tier, band || 'any', profile.user_id].join('|');
+        const cached = this.cache.get(key);
+        if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+        const params = {
+            p_business_type: profile.business_type,
+            ...this.cityFilter(tier),
+            p_min_cohort: MIN_COHORT_SIZE,
+            p_revenue_band: band,
+            p_exclude_user: profile.user_id
+        };
+        const [summary] = await this.repository.rpc('peer_benchmark_summary', params);
+        const size = Number(summary?.cohort_size) || 0;
+
+        const common = {};
+        if (size >= MIN_COHORT_SIZE) {
+            for (const field of ITEM_FIELDS) {
+                const rows = await this.repository.rpc('peer_benchmark_items', { p_field: field, ...params });
+                common[field] = rows.map(row => ({ item: row.item, label: row.label, share_pct: Number(row.share_pct) }));
+            }
+        }
+
+        const number = value => (value === null || value === undefined ? null : Math.round(Number(value)));
+        const value = {
+            size,
+            revenue_band: band,
+            revenue: {
+                p25: number(summary?.revenue_p25),
+                median: number(summary?.revenue_median),
+                p75: number(summary?.revenue_p75)
+            },
+            staff_median: number(summary?.staff_median),
+            common
+        };
+
+        if (this.cache.size >= CACHE_MAX_ENTRIES) this.cache.delete(this.cache.keys().next().value);
+        this.cache.set(key, { expiresAt: Date.now() + CACHE_TTL_MS, value });
+        return value;
+    }
+
+    position(value, revenue) {
+        if (value === null || value === undefined || revenue.p25 === null) return null;
+        if (value < revenue.p25) return 'below_typical';
+        if (value > revenue.p75) return 'above_typical';
+        return 'typical';
+    }
+
+    // Mark which common items this business already has
+    withYours(common, profile) {
+        const result = {};
+        for (const [field, items] of Object.entries(common)) {
+            const own = new Set((profile[field] || []).map(item => String(item).toLowerCase()));
+            result[field] = items.map(item => ({ ...item, you_use: own.has(item.item) }));
+        }
+        return result;
+    }
+
+    // "Salon businesses in tier 2 cities like Kanpur with similar revenue typically use Instagram and UPI ..."
+    describe(profile, tier, cohort) {
+        const typical = field => (cohort.common[field] || [])
+            .filter(item => item.share_pct >= TYPICAL_SHARE_PCT)
+            .slice(0, 3)
+            .map(item => item.label);
+        const list = items => (items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0]);
+
+        const who = `${profile.business_type.toLowerCase()} businesses in tier ${tier} cities like ${profile.location_city}` +
+            (cohort.revenue_band ? ' with similar revenue' : '');
+        const facts = [];
+
+        const tools = [...typical('platforms_used'), ...typical('payment_methods')];
+        if (tools.length > 0) facts.push(`typically use ${list(tools)}`);
+        const ads = typical('ad_channels');
+        if (ads.length > 0) facts.push(`advertise on ${list(ads)}`);
+        const days = typical('peak_days');
+        if (days.length > 0) facts.push(`are busiest on ${list(days)}`);
+        if (cohort.revenue.median !== null) facts.push(`make about ₹${cohort.revenue.median.toLocaleString('en-IN')} a month (middle half ₹${cohort.revenue.p25.toLocaleString('en-IN')}-₹${cohort.revenue.p75.toLocaleString('en-IN')})`);
+        if (cohort.staff_median !== null) facts.push(`have around ${cohort.staff_median} staff`);
+
+        if (facts.length === 0) return null;
+        return `${who[0].toUpperCase()}${who.slice(1)} ${list(facts)}. (${cohort.size} businesses)`;
+    }
+}
+
+module.exports = PeerBenchmarks;
+module.exports.cityTier = cityTier;
+module.exports.MIN_COHORT_SIZE = MIN_COHORT_SIZE;
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const { localize } = require('./i18n');
+const { PROFILE_FIELDS } = require('./profileSchema');
+const { ServiceError } = require('./errors');
+
+// Taxonomy and one playbook per category; PLAYBOOKS_DIR points at an edited copy
+// so playbooks can change without a deploy (then POST /admin/playbooks/reload)
+const PLAYBOOKS_DIR = process.env.PLAYBOOKS_DIR || path.join(__dirname, 'data', 'playbooks');
+const COMMON_PLAYBOOK = 'common';
+const ITEM_LISTS = ['questions', 'tips', 'insights'];
+
+// Invalid playbook files; details lists what is wrong with each
+class PlaybookError extends ServiceError {
+    constructor(message, details = [], status = 400) {
+        super(message, status, details);
+    }
+}
+
+// Lowercase, strip punctuation and collapse spaces, keeping Devanagari and other scripts
+function normalizeText(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ').trim();
+}
+
+// Business-type taxonomy plus per-category questions, tips, insights, KPIs and prompt
+// notes, all loaded from JSON files instead of hard-coded per business type
+class PlaybookLibrary {
+    constructor(directory = PLAYBOOKS_DIR) {
+        this.directory = directory;
+        this.load();
+    }
+
+    // Read and validate every file; the current playbooks stay in place if anything is wrong
+    load() {
+        const problems = [];
+        const read = file => {
+            try {
+                return JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+            } catch (error) {
+                problems.push(`${file}: ${error.message}`);
+                return null;
+            }
+        };
+
+        const taxonomy = read('taxonomy.json');
+        const categories = taxonomy?.categories || [];
+        const playbooks = {};
+        const synonyms = [];
+
+        for (const id of [COMMON_PLAYBOOK, ...categories.map(category => category.id)]) {
+            const playbook = read(`${id}.json`);
+            if (!playbook) continue;
+            problems.push(...this.validate(playbook, `${id}.json`));
+            playbooks[id] = playbook;
+        }
+        for (const category of categories) {
+            for (const synonym of category.synonyms || []) {
+                synonyms.push({ text: normalizeText(synonym), category: category.id });
+            }
+        }
+
+        if (problems.length > 0) throw new PlaybookError('Playbooks are invalid', problems);
+
+        // Longest first, so "general store" is tried before "store"
+        this.synonyms = synonyms.sort((a, b) => b.text.length - a.text.length);
+        this.categories = categories;
+        this.playbooks = playbooks;
+        this.loadedAt = new Date().toISOString();
+        return this.describe();
+    }
+
+    reload() {
+        const summary = this.load();
+        console.log(`📘 Reloaded ${summary.categories.length} playbooks`);
+        return summary;
+    }
+
+    validate(playbook, file) {
+        const problems = [];
+        for (const list of ITEM_LISTS) {
+            for (const [index, item] of (playbook[list] || []).entries()) {
+                const where = `${file} ${list}[${index}]`;
+                if (!item.id) problems.push(`${where}: id is required`);
+                if (!item.text || (typeof item.text !== 'string' && !item.text.English)) {
+                    problems.push(`${where}: text needs at least an English version`);
+                }
+                for (const key of ['when', 'unless']) {
+                    if (item[key] && !item[key].field) problems.push(`${where}: ${key} needs a field`);
+                }
+            }
+        }
+        for (const [index, kpi] of (playbook.kpis || []).entries()) {
+            if (!kpi.id || !kpi.label) problems.push(`${file} kpis[${index}]: id and label are required`);
+        }
+        for (const [field, weight] of Object.entries(playbook.completion_weights || {})) {
+            if (!PROFILE_FIELDS[field]) problems.push(`${file} completion_weights: unknown profile field ${field}`);
+            if (typeof weight !== 'number' || weight < 0) problems.push(`${file} completion_weights.${field}: must be a number >= 0`);
+        }
+        return problems;
+    }
+
+    // Canonical category id for a free-text business type, or null when nothing matches
+    categorize(businessType) {
+        const text = ` ${normalizeText(businessType)} `;
+        if (text.trim() === '') return null;
+
+        // Whole words or phrases only, allowing a plural ("salons", "boutiques")
+        const match = this.synonyms.find(synonym =>
+            text.includes(` ${synonym.text} `) || text.includes(` ${synonym.text}s `) || text.includes(` ${synonym.text}es `));
+        return match ? match.category : null;
+    }
+
+    // The category's playbook merged after the common one. completion_weights come
+    // from the category only (see completionEngine.js).
+    playbookFor(profile) {
+        const category = this.categorize(profile.business_type);
+        const common = this.playbooks[COMMON_PLAYBOOK] || {};
+        const specific = (category && this.playbooks[category]) || {};
+        const info = this.categories.find(entry => entry.id === category);
+
+        return {
+            category,
+            name: info ? info.name : null,
+            questions: [...(specific.questions || []), ...(common.questions || [])],
+            tips: [...(specific.tips || []), ...(common.tips || [])],
+            insights: [...(specific.insights || []), ...(common.insights || [])],
+            kpis: [...(specific.kpis || []), ...(common.kpis || [])],
+            prompt: [specific.prompt, common.prompt].filter(Boolean).join(' '),
+            completion_weights: specific.completion_weights || {}
+        };
+    }
+
+    // { field, has_any: [...] } matches array items or text containing any value;
+    // { field, present: true|false } checks whether the profile has the field at all
+    matches(condition, profile) {
+        const value = profile[condition.field];
+        const values = (Array.isArray(value) ? value : value ? [value] : []).map(item => String(item).toLowerCase());
+
+        if (condition.present !== undefined) return (values.length > 0) === condition.present;
+        if (condition.has_any) {
+            return condition.has_any.some(wanted => values.some(item => item.includes(wanted.toLowerCase())));
+        }
+        return false;
+    }
+
+    // Localized texts of the items in a list that apply to this profile
+    itemsFor(profile, list, language = profile.language_pref) {
+        return this.playbookFor(profile)[list]
+            .filter(item => (!item.when || this.matches(item.when, profile)) && (!item.unless || !this.matches(item.unless, profile)))
+            .map(item => localize(item.text, language));
+    }
+
+    // Categories with their synonyms and item counts, for the admin API
+    describe() {
+        return {
+            directory: this.directory,
+            loaded_at: this.loadedAt,
+            categories: this.categories.map(category => ({
+                id: category.id,
+                name: category.name,
+                synonyms: category.synonyms || [],
+                ...Object.fromEntries([...ITEM_LISTS, 'kpis'].map(list => [list, (this.playbooks[category.id]?.[list] || []).length]))
+            }))
+        };
+    }
+}
+
+module.exports = PlaybookLibrary;
+module.exports.PlaybookError = PlaybookError;
+module.exports.normalizeText = normalizeText;
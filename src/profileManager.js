@@ -1,198 +1,480 @@
-const { createClient } = require('@supabase/supabase-js');
+const { createRepository } = require('./storage');
+const { toDateString } = require('./dateUtils');
+const CompletionEngine = require('./completionEngine');
+const { ServiceError } = require('./errors');
+
+// JSONB array fields: new items are merged in instead of replacing the list
+const ARRAY_FIELDS = ['peak_hours', 'peak_days', 'top_products', 'staff_roles',
+                      'payment_methods', 'ad_channels', 'platforms_used',
+                      'goals', 'challenges'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Profile history values are stored JSON-encoded so every type round-trips
+function encodeValue(value) {
+    return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+function decodeValue(value) {
+    return value === null || value === undefined ? null : JSON.parse(value);
+}
+
+class ProfileError extends ServiceError {}
 
 class ProfileManager {
-    constructor() {
-        this.supabase = createClient(
-            process.env.SUPABASE_URL,
-            process.env.SUPABASE_SERVICE_KEY
-        );
+    // repository: any storage backend from ./storage (Supabase by default)
+    // completion: scores profile completion (completionEngine.js)
+    constructor(repository = createRepository(), completion = new CompletionEngine()) {
+        this.repository = repository;
+        this.completion = completion;
     }
 
     // Get user profile by mobile number
     async getUserProfile(mobile_number) {
         try {
-            const { data, error } = await this.supabase
-                .from('user_profiles')
-                .select('*')
-                .eq('mobile_number', mobile_number)
-                .single();
-
-            if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
-                throw error;
-            }
-
-            return data;
+            return await this.repository.findOne('user_profiles', { mobile_number });
         } catch (error) {
             console.error('Error fetching user profile:', error);
             return null;
         }
     }
 
+    // Get user profile by user_id
+    async getUserProfileById(user_id) {
+        try {
+            return await this.repository.findOne('user_profiles', { user_id });
+        } catch (error) {
+            console.error('Error fetching user profile by id:', error);
+            return null;
+        }
+    }
+
     // Create new user profile
     async createUserProfile(mobile_number) {
         try {
-            const { data, error } = await this.supabase
-                .from('user_profiles')
-                .insert([{
-                    mobile_number: mobile_number,
-                    language_pref: 'Hinglish',
-                    profile_completion_score: 5 // Just mobile number = 5%
-                }])
-                .select()
-                .single();
-
-            if (error) throw error;
-            return data;
+            return await this.repository.insert('user_profiles', {
+                mobile_number: mobile_number,
+                language_pref: 'Hinglish',
+                profile_completion_score: this.calculateProfileCompletion({ mobile_number })
+            });
         } catch (error) {
             console.error('Error creating user profile:', error);
             throw error;
         }
     }
 
-    // Update user profile with extracted information
-    async updateProfile(user_id, extractedInfo) {
+    // Update user profile with extracted information.
+    // source is 'ai', 'user' or 'ledger'; conversation_log_id ties AI and ledger changes to the message behind them.
+    async updateProfile(user_id, extractedInfo, { source = 'ai', conversation_log_id = null } = {}) {
         try {
-            // Prepare update object, merging arrays properly
-            const updateData = { ...extractedInfo };
-            
-            // Handle JSONB arrays (merge instead of replace)
-            const arrayFields = ['peak_hours', 'peak_days', 'top_products', 'staff_roles', 
-                                'payment_methods', 'ad_channels', 'platforms_used', 
-                                'goals', 'challenges'];
-            
-            for (const field of arrayFields) {
-                if (extractedInfo[field] && Array.isArray(extractedInfo[field])) {
-                    // Get current profile to merge arrays
-                    const { data: currentProfile } = await this.supabase
-                        .from('user_profiles')
-                        .select(field)
-                        .eq('user_id', user_id)
-                        .single();
-                    
-                    if (currentProfile && currentProfile[field]) {
-                        // Merge arrays and remove duplicates
-                        const merged = [...new Set([
-                            ...currentProfile[field], 
-                            ...extractedInfo[field]
-                        ])];
-                        updateData[field] = merged;
-                    }
+            const currentProfile = await this.repository.findOne('user_profiles', { user_id });
+            const updateData = this.mergeExtracted(currentProfile, extractedInfo);
+
+            return await this.applyProfileChanges(user_id, currentProfile, updateData, { source, conversation_log_id });
+        } catch (error) {
+            console.error('Error updating profile:', error);
+            throw error;
+        }
+    }
+
+    // The fields updateProfile would write: extracted values, with array fields merged
+    // into what the profile already has and duplicates removed
+    mergeExtracted(currentProfile, extractedInfo) {
+        const updateData = { ...extractedInfo };
+
+        for (const field of ARRAY_FIELDS) {
+            if (extractedInfo[field] && Array.isArray(extractedInfo[field])) {
+                if (currentProfile && currentProfile[field]) {
+                    updateData[field] = [...new Set([
+                        ...currentProfile[field],
+                        ...extractedInfo[field]
+                    ])];
                 }
             }
+        }
+        return updateData;
+    }
+
+    // The profile as it will be once extractedInfo is stored, without storing anything
+    previewProfile(userProfile, extractedInfo) {
+        const fields = this.mergeExtracted(userProfile, extractedInfo);
+        const preview = { ...userProfile, ...fields };
+        return { ...preview, profile_completion_score: this.calculateProfileCompletion(preview) };
+    }
 
-            updateData.updated_at = new Date().toISOString();
-            updateData.last_profile_update = new Date().toISOString();
+    // Write new field values and the refreshed score in one update, and record each real
+    // change in profile_changes. reverts maps field -> profile_changes.id when the write
+    // undoes an earlier change.
+    async applyProfileChanges(user_id, currentProfile, fields, { source, conversation_log_id = null, reverts = {} }) {
+        const now = new Date().toISOString();
+        const data = await this.repository.update('user_profiles', { user_id }, {
+            ...fields,
+            profile_completion_score: this.calculateProfileCompletion({ ...currentProfile, ...fields }),
+            updated_at: now,
+            last_profile_update: now
+        });
 
-            const { data, error } = await this.supabase
-                .from('user_profiles')
-                .update(updateData)
-                .eq('user_id', user_id)
-                .select()
-                .single();
+        for (const [field, value] of Object.entries(fields)) {
+            const oldValue = encodeValue(currentProfile?.[field]);
+            const newValue = encodeValue(value);
+            if (oldValue === newValue) continue;
 
-            if (error) throw error;
+            await this.repository.insert('profile_changes', {
+                user_id,
+                field,
+                old_value: oldValue,
+                new_value: newValue,
+                source,
+                conversation_log_id,
+                reverts_change_id: reverts[field] || null
+            });
+        }
+
+        return data;
+    }
+
+    // Apply a user's own edit (already checked with validateProfileEdit).
+    // Arrays are replaced as given, not merged; pending AI values for these fields are dropped.
+    async editProfile(user_id, fields) {
+        const currentProfile = await this.repository.findOne('user_profiles', { user_id });
+        if (!currentProfile) throw new ProfileError('Profile not found', 404);
+
+        const profile = await this.applyProfileChanges(user_id, currentProfile, fields, { source: 'user' });
+        await this.supersedePending(user_id, Object.keys(fields));
+
+        console.log(`✏️ ${Object.keys(fields).length} profile fields edited by user ${user_id}`);
+        return profile;
+    }
+
+    // Remove items from a JSONB array field (case-insensitive match)
+    async removeArrayItems(user_id, field, items) {
+        if (!ARRAY_FIELDS.includes(field)) {
+            throw new ProfileError(`${field} is not a list field`, 400);
+        }
 
-            // Update completion score
-            const completionScore = this.calculateProfileCompletion(data);
-            await this.supabase
-                .from('user_profiles')
-                .update({ profile_completion_score: completionScore })
-                .eq('user_id', user_id);
+        const currentProfile = await this.repository.findOne('user_profiles', { user_id });
+        if (!currentProfile) throw new ProfileError('Profile not found', 404);
 
-            return data;
+        const current = currentProfile[field] || [];
+        const toRemove = items.map(item => String(item).trim().toLowerCase());
+        const remaining = current.filter(item => !toRemove.includes(String(item).toLowerCase()));
+        if (remaining.length === current.length) {
+            throw new ProfileError(`No matching items in ${field}`, 404, { current_value: current });
+        }
+
+        return this.applyProfileChanges(user_id, currentProfile, { [field]: remaining }, { source: 'user' });
+    }
+
+    // Hold extracted values for the owner to confirm. Returns the pending rows.
+    async holdForConfirmation(user_id, fields, confidence = {}, { conversation_log_id = null } = {}) {
+        const pending = [];
+
+        try {
+            await this.supersedePending(user_id, Object.keys(fields));
+
+            for (const [field, value] of Object.entries(fields)) {
+                const row = await this.repository.insert('pending_profile_updates', {
+                    user_id,
+                    field,
+                    value: encodeValue(value),
+                    confidence: confidence[field] ?? null,
+                    conversation_log_id
+                });
+                pending.push(this.formatPending(row));
+            }
         } catch (error) {
-            console.error('Error updating profile:', error);
-            throw error;
+            console.error('Error holding profile updates for confirmation:', error);
         }
+
+        return pending;
     }
 
-    // Calculate profile completion percentage
-    calculateProfileCompletion(profile) {
-        const fields = {
-            // Tier 1 - Basic Identity (30 points)
-            mobile_number: 5,
-            business_type: 10,
-            location_city: 8,
-            location_state: 7,
-            
-            // Tier 2 - Operational (35 points)
-            monthly_revenue: 8,
-            peak_hours: 5,
-            peak_days: 5,
-            top_products: 7,
-            staff_count: 5,
-            inventory_source: 5,
-            
-            // Tier 3 - Tools & Platforms (20 points)
-            payment_methods: 5,
-            ad_channels: 5,
-            platforms_used: 5,
-            past_campaigns: 5,
-            
-            // Tier 4 - Strategy (15 points)
-            goals: 8,
-            challenges: 7
+    // Values still waiting for the owner, newest first
+    async getPendingUpdates(user_id) {
+        try {
+            const rows = await this.repository.findMany('pending_profile_updates', {
+                filters: { user_id, status: 'pending' },
+                orderBy: 'created_at',
+                ascending: false
+            });
+            return rows.map(row => this.formatPending(row));
+        } catch (error) {
+            console.error('Error fetching pending profile updates:', error);
+            return [];
+        }
+    }
+
+    // Accept (write to the profile) or reject a held value
+    async resolvePendingUpdate(user_id, pending_id, accept) {
+        if (!UUID_PATTERN.test(pending_id || '')) {
+            throw new ProfileError('Pending update not found', 404);
+        }
+
+        const pending = await this.repository.findOne('pending_profile_updates', { id: pending_id, user_id });
+        if (!pending) throw new ProfileError('Pending update not found', 404);
+        if (pending.status !== 'pending') {
+            throw new ProfileError(`Pending update was already ${pending.status}`, 409);
+        }
+
+        await this.repository.update('pending_profile_updates', { id: pending.id }, {
+            status: accept ? 'accepted' : 'rejected',
+            resolved_at: new Date().toISOString()
+        });
+
+        // Accepted values go through the normal merge, credited to the owner
+        const profile = accept
+            ? await this.updateProfile(user_id, { [pending.field]: decodeValue(pending.value) }, {
+                source: 'user',
+                conversation_log_id: pending.conversation_log_id
+            })
+            : await this.repository.findOne('user_profiles', { user_id });
+
+        console.log(`${accept ? '✅' : '🚫'} Pending ${pending.field} ${accept ? 'accepted' : 'rejected'} for ${user_id}`);
+        return { profile, pending: { ...this.formatPending(pending), status: accept ? 'accepted' : 'rejected' } };
+    }
+
+    // Older pending values for these fields are replaced by newer information
+    async supersedePending(user_id, fields) {
+        for (const field of fields) {
+            await this.repository.update('pending_profile_updates', { user_id, field, status: 'pending' }, {
+                status: 'superseded',
+                resolved_at: new Date().toISOString()
+            });
+        }
+    }
+
+    formatPending(row) {
+        return {
+            id: row.id,
+            field: row.field,
+            value: decodeValue(row.value),
+            confidence: row.confidence === null ? null : Number(row.confidence),
+            conversation_log_id: row.conversation_log_id,
+            status: row.status,
+            created_at: row.created_at
         };
+    }
+
+    // Profile change history, newest first. Optional filters: field, conversation_log_id
+    async getProfileHistory(user_id, { field, conversation_log_id, limit = 50 } = {}) {
+        try {
+            const filters = { user_id };
+            if (field) filters.field = field;
+            if (conversation_log_id) filters.conversation_log_id = conversation_log_id;
+
+            const rows = await this.repository.findMany('profile_changes', {
+                filters,
+                orderBy: 'created_at',
+                ascending: false,
+                limit
+            });
 
-        let completedPoints = 0;
-        let totalPoints = Object.values(fields).reduce((sum, points) => sum + points, 0);
+            return rows.map(row => ({
+                ...row,
+                old_value: decodeValue(row.old_value),
+                new_value: decodeValue(row.new_value)
+            }));
+        } catch (error) {
+            console.error('Error fetching profile history:', error);
+            return [];
+        }
+    }
+
+    // Undo one change by putting the field back to its old value.
+    // Refuses if the field has changed again since, so later edits aren't lost.
+    async revertChange(user_id, change_id) {
+        if (!UUID_PATTERN.test(change_id || '')) {
+            throw new ProfileError('Change not found', 404);
+        }
+
+        const change = await this.repository.findOne('profile_changes', { id: change_id, user_id });
+        if (!change) throw new ProfileError('Change not found', 404);
+        if (change.reverted_at) throw new ProfileError('Change was already reverted', 409);
+
+        const currentProfile = await this.repository.findOne('user_profiles', { user_id });
+        if (encodeValue(currentProfile?.[change.field]) !== change.new_value) {
+            throw new ProfileError(`${change.field} has changed since; revert the newer change first`, 409, {
+                field: change.field,
+                current_value: currentProfile?.[change.field] ?? null
+            });
+        }
 
-        for (const [field, points] of Object.entries(fields)) {
-            const value = profile[field];
-            if (value !== null && value !== undefined && value !== '' && 
-                !(Array.isArray(value) && value.length === 0)) {
-                completedPoints += points;
+        const profile = await this.applyProfileChanges(user_id, currentProfile,
+            { [change.field]: decodeValue(change.old_value) },
+            { source: 'user', reverts: { [change.field]: change.id } });
+        await this.repository.update('profile_changes', { id: change.id }, { reverted_at: new Date().toISOString() });
+
+        console.log(`↩️ Reverted ${change.field} for ${user_id}`);
+        return { profile, reverted: [change.id], skipped: [] };
+    }
+
+    // Undo everything one conversation turn changed. Fields edited again since are skipped.
+    async revertConversation(user_id, conversation_log_id) {
+        if (!UUID_PATTERN.test(conversation_log_id || '')) {
+            throw new ProfileError('No changes found for this conversation', 404);
+        }
+
+        const changes = await this.repository.findMany('profile_changes', {
+            filters: { user_id, conversation_log_id, reverted_at: null },
+            orderBy: 'created_at',
+            ascending: false
+        });
+        if (changes.length === 0) {
+            throw new ProfileError('No changes found for this conversation', 404);
+        }
+
+        let currentProfile = await this.repository.findOne('user_profiles', { user_id });
+        const revertedIds = [];
+        const skipped = [];
+
+        for (const change of changes) {
+            if (encodeValue(currentProfile?.[change.field]) !== change.new_value) {
+                skipped.push({ id: change.id, field: change.field, reason: 'changed since' });
+                continue;
             }
+
+            currentProfile = await this.applyProfileChanges(user_id, currentProfile,
+                { [change.field]: decodeValue(change.old_value) },
+                { source: 'user', reverts: { [change.field]: change.id } });
+            await this.repository.update('profile_changes', { id: change.id }, { reverted_at: new Date().toISOString() });
+            revertedIds.push(change.id);
+        }
+
+        console.log(`↩️ Reverted ${revertedIds.length} changes from conversation ${conversation_log_id}`);
+        return { profile: currentProfile, reverted: revertedIds, skipped };
+    }
+
+    // Set the language replies should be written in
+    async setLanguagePreference(user_id, language_pref) {
+        try {
+            return await this.repository.update('user_profiles', { user_id }, {
+                language_pref,
+                updated_at: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error updating language preference:', error);
+            return null;
         }
+    }
+
+    // Calculate profile completion percentage, weighted for the business type
+    calculateProfileCompletion(profile) {
+        return this.completion.score(profile);
+    }
 
-        return Math.round((completedPoints / totalPoints) * 100);
+    // Completion per tier with the fields still missing
+    getCompletionBreakdown(profile) {
+        return this.completion.breakdown(profile);
     }
 
     // Log conversation
     async logConversation(logData) {
         try {
-            const { error } = await this.supabase
-                .from('conversation_logs')
-                .insert([logData]);
-
-            if (error) throw error;
+            await this.repository.insert('conversation_logs', logData);
         } catch (error) {
             console.error('Error logging conversation:', error);
             // Don't throw - logging shouldn't break the main flow
         }
     }
 
-    // Get conversation analytics
-    async getAnalytics(user_id, days = 30) {
+    // Get recent conversation turns for a user session (oldest first)
+    async getConversationHistory(user_id, session_id, limit = 20) {
         try {
-            const cutoffDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
-            
-            const { data, error } = await this.supabase
-                .from('conversation_logs')
-                .select('*')
-                .eq('user_id', user_id)
-                .gte('created_at', cutoffDate);
-            
-            if (error) throw error;
-            
-            const totalConversations = data?.length || 0;
-            const avgResponseTime = totalConversations > 0 
-                ? data.reduce((sum, log) => sum + (log.response_time_ms || 0), 0) / totalConversations
-                : 0;
-            
-            // Extract topics from conversation data
-            const topics = data?.map(log => log.extracted_info).filter(Boolean) || [];
-            const topicCounts = {};
-            topics.forEach(info => {
-                if (info.business_type) topicCounts[info.business_type] = (topicCounts[info.business_type] || 0) + 1;
-                if (info.location_city) topicCounts[info.location_city] = (topicCounts[info.location_city] || 0) + 1;
+            const data = await this.repository.findMany('conversation_logs', {
+                filters: { user_id, session_id: session_id || null },
+                columns: 'id, user_message, ai_response, created_at',
+                orderBy: 'created_at',
+                ascending: false,
+                limit
             });
-            
+
+            return data.reverse();
+        } catch (error) {
+            console.error('Error fetching conversation history:', error);
+            return [];
+        }
+    }
+
+    // The owner's latest messages across sessions, newest first
+    async getRecentMessages(user_id, limit = 5) {
+        try {
+            const rows = await this.repository.findMany('conversation_logs', {
+                filters: { user_id },
+                columns: 'user_message',
+                orderBy: 'created_at',
+                ascending: false,
+                limit
+            });
+            return rows.map(row => row.user_message);
+        } catch (error) {
+            console.error('Error fetching recent messages:', error);
+            return [];
+        }
+    }
+
+    // Stored summary of the session's older turns: { last_log_id, summary } or null
+    async getHistorySummary(user_id, session_id) {
+        try {
+            return await this.repository.findOne('conversation_summaries', { user_id, session_key: session_id || '' },
+                { columns: 'last_log_id, summary' });
+        } catch (error) {
+            console.error('Error fetching conversation summary:', error);
+            return null;
+        }
+    }
+
+    async saveHistorySummary(user_id, session_id, { last_log_id, summary }) {
+        try {
+            const key = { user_id, session_key: session_id || '' };
+            const patch = { last_log_id, summary, updated_at: new Date().toISOString() };
+            if (!await this.repository.update('conversation_summaries', key, patch)) {
+                await this.repository.insert('conversation_summaries', { ...key, ...patch });
+            }
+        } catch (error) {
+            console.error('Error saving conversation summary:', error);
+        }
+    }
+
+    // Get conversation analytics. Aggregation happens in SQL (migrations/009_conversation_insights.sql);
+    // only the five most recent turns are read as rows.
+    async getAnalytics(user_id, days = 30) {
+        try {
+            const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+            const params = { p_user_id: user_id, p_since: since.toISOString() };
+
+            const [[summary], topicRows, weeks, recentActivity] = await Promise.all([
+                this.repository.rpc('conversation_engagement_summary', params),
+                this.repository.rpc('conversation_topic_counts', params),
+                this.repository.rpc('conversation_weekly_activity', params),
+                this.repository.findMany('conversation_logs', {
+                    filters: { user_id, created_at: { gte: params.p_since } },
+                    columns: 'id, user_message, topics, sentiment, input_type, created_at',
+                    orderBy: 'created_at',
+                    ascending: false,
+                    limit: 5
+                })
+            ]);
+
+            const totalConversations = Number(summary?.total_conversations) || 0;
+            const topics = {};
+            for (const row of topicRows) topics[row.topic] = Number(row.conversations);
+
             return {
                 total_conversations: totalConversations,
-                avg_response_time_ms: Math.round(avgResponseTime),
-                topics: topicCounts,
-                recent_activity: data?.slice(0, 5) || []
+                avg_response_time_ms: Math.round(Number(summary?.avg_response_time_ms) || 0),
+                topics: topics,
+                sentiment: {
+                    positive: Number(summary?.positive) || 0,
+                    neutral: Number(summary?.neutral) || 0,
+                    negative: Number(summary?.negative) || 0,
+                    trend: weeks.map(week => ({
+                        week: toDateString(week.week),
+                        avg_sentiment: week.avg_sentiment === null ? null : Number(week.avg_sentiment)
+                    }))
+                },
+                engagement: this.summarizeEngagement(weeks, summary, since),
+                suggestions_acted_on: Number(summary?.suggestions_acted_on) || 0,
+                recent_activity: recentActivity
             };
         } catch (error) {
             console.error('Error getting analytics:', error);
@@ -200,27 +482,44 @@ class ProfileManager {
                 total_conversations: 0,
                 avg_response_time_ms: 0,
                 topics: {},
+                sentiment: { positive: 0, neutral: 0, negative: 0, trend: [] },
+                engagement: null,
+                suggestions_acted_on: 0,
                 recent_activity: []
             };
         }
     }
 
-    // Get profile completion trends
-    async getProfileCompletionTrends(limit = 100) {
-        try {
-            const { data, error } = await this.supabase
-                .from('user_profiles')
-                .select('profile_completion_score, created_at, business_type, location_city')
-                .order('created_at', { ascending: false })
-                .limit(limit);
-            
-            if (error) throw error;
-            
-            return data || [];
-        } catch (error) {
-            console.error('Error getting profile trends:', error);
-            return [];
-        }
+    // Sessions per week and retention from the weekly activity rows.
+    // Retention is the share of weeks since the user's first message (within the window) they came back in.
+    summarizeEngagement(weeks, summary, since) {
+        const firstSeen = summary?.first_seen_at ? new Date(summary.first_seen_at) : null;
+        const lastSeen = summary?.last_seen_at ? new Date(summary.last_seen_at) : null;
+        const weekMs = 7 * 24 * 60 * 60 * 1000;
+
+        const observedFrom = firstSeen && firstSeen > since ? firstSeen : since;
+        const weeksObserved = firstSeen ? Math.max(1, Math.ceil((Date.now() - observedFrom.getTime()) / weekMs)) : 0;
+        const sessions = weeks.reduce((sum, week) => sum + Number(week.sessions), 0);
+
+        return {
+            sessions: sessions,
+            sessions_per_week: weeksObserved > 0 ? Math.round((sessions / weeksObserved) * 10) / 10 : 0,
+            weekly: weeks.map(week => ({
+                week: toDateString(week.week),
+                conversations: Number(week.conversations),
+                sessions: Number(week.sessions),
+                active_days: Number(week.active_days),
+                suggestions_acted_on: Number(week.suggestions_acted_on)
+            })),
+            retention: {
+                active_weeks: weeks.length,
+                weeks_observed: weeksObserved,
+                weekly_retention_pct: weeksObserved > 0 ? Math.round((Math.min(weeks.length, weeksObserved) / weeksObserved) * 100) : 0,
+                first_seen_at: firstSeen ? firstSeen.toISOString() : null,
+                last_seen_at: lastSeen ? lastSeen.toISOString() : null,
+                days_since_last_active: lastSeen ? Math.floor((Date.now() - lastSeen.getTime()) / (24 * 60 * 60 * 1000)) : null
+            }
+        };
     }
 
     // Get user activity summary
@@ -249,13 +548,7 @@ class ProfileManager {
     // Helper method to get user by user_id
     async getUserByUserId(user_id) {
         try {
-            const { data, error } = await this.supabase
-                .from('user_profiles')
-                .select('mobile_number')
-                .eq('user_id', user_id)
-                .single();
-            
-            if (error) throw error;
+            const data = await this.repository.findOne('user_profiles', { user_id }, { columns: 'mobile_number' });
             return data?.mobile_number;
         } catch (error) {
             console.error('Error getting user by ID:', error);
@@ -265,3 +558,4 @@ class ProfileManager {
 }
 
 module.exports = ProfileManager;
+module.exports.ProfileError = ProfileError;
@@ -0,0 +1,567 @@
+// Declared schema for profile fields the extractor may write, with coercion
+// and validation applied before anything reaches user_profiles.
+
+const { parseDate } = require('./dateUtils');
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const WEEKDAY_ALIASES = {
+    mon: 'Monday', monday: 'Monday', somvar: 'Monday', somvaar: 'Monday',
+    tue: 'Tuesday', tues: 'Tuesday', tuesday: 'Tuesday', mangalvar: 'Tuesday', mangalwar: 'Tuesday',
+    wed: 'Wednesday', wednesday: 'Wednesday', budhvar: 'Wednesday', budhwar: 'Wednesday',
+    thu: 'Thursday', thur: 'Thursday', thurs: 'Thursday', thursday: 'Thursday', guruvar: 'Thursday', guruwar: 'Thursday',
+    fri: 'Friday', friday: 'Friday', shukravar: 'Friday', shukrawar: 'Friday',
+    sat: 'Saturday', saturday: 'Saturday', shanivar: 'Saturday', shaniwar: 'Saturday',
+    sun: 'Sunday', sunday: 'Sunday', ravivar: 'Sunday', raviwar: 'Sunday', itwar: 'Sunday'
+};
+
+const WEEKDAY_GROUPS = {
+    weekend: ['Saturday', 'Sunday'],
+    weekends: ['Saturday', 'Sunday'],
+    weekday: WEEKDAYS.slice(0, 5),
+    weekdays: WEEKDAYS.slice(0, 5)
+};
+
+// Multipliers for Indian shorthand amounts ("80k", "1.5 lakh", "2 cr")
+const AMOUNT_UNITS = {
+    k: 1000, thousand: 1000, hazar: 1000, hazaar: 1000, hajar: 1000,
+    l: 100000, lac: 100000, lakh: 100000, lakhs: 100000, lacs: 100000,
+    cr: 10000000, crore: 10000000, crores: 10000000
+};
+
+const PRICING_MODELS = ['fixed', 'seasonal', 'discount-based'];
+
+// Extra tool property where the model rates how sure it is of each field (0-1)
+const CONFIDENCE_FIELD = 'field_confidence';
+
+// Extra tool property for dated business numbers (see metricsService.js)
+const METRICS_FIELD = 'business_metrics';
+
+// Numbers tracked over time. amount metrics are rupees; avg_ticket is per order, not per period.
+const METRIC_TYPES = {
+    revenue: { type: 'amount', description: 'Sales in rupees for the period' },
+    footfall: { type: 'integer', description: 'Customers who came in during the period' },
+    orders: { type: 'integer', description: 'Orders or bills during the period' },
+    avg_ticket: { type: 'amount', description: 'Average rupees spent per order' }
+};
+const METRIC_PERIODS = ['day', 'week', 'month'];
+
+// Extra tool property for money coming in or going out (see ledgerService.js)
+const LEDGER_FIELD = 'ledger_entries';
+
+// credit_given: sold on udhaar; credit_received: a customer paid udhaar back.
+// credit_taken: bought on udhaar or borrowed; credit_repaid: paid a supplier or lender back.
+const LEDGER_TYPES = {
+    sale: 'Sales the owner made (cash, UPI or card)',
+    expense: 'Money spent: stock bought for cash, rent, salaries, bills',
+    credit_given: 'Goods sold or money lent on udhaar, to be collected later',
+    credit_received: 'Udhaar a customer paid back',
+    credit_taken: 'Stock bought or money borrowed on udhaar, to be paid later',
+    credit_repaid: 'Udhaar the owner paid back to a supplier or lender'
+};
+const LEDGER_PAYMENT_METHODS = ['cash', 'upi', 'card', 'bank'];
+
+// Spoken names for payment methods
+const PAYMENT_METHOD_ALIASES = {
+    cash: 'cash', nakad: 'cash', nagad: 'cash', naqad: 'cash',
+    upi: 'upi', gpay: 'upi', 'google pay': 'upi', phonepe: 'upi', paytm: 'upi', bhim: 'upi', qr: 'upi', online: 'upi',
+    card: 'card', 'debit card': 'card', 'credit card': 'card', swipe: 'card',
+    bank: 'bank', neft: 'bank', imps: 'bank', rtgs: 'bank', cheque: 'bank', 'bank transfer': 'bank'
+};
+
+// Single entries above this are taken as misheard numbers
+const MAX_LEDGER_AMOUNT = 10000000;
+
+// Extra tool property for stock changes (see inventoryService.js)
+const INVENTORY_FIELD = 'inventory_updates';
+
+// restock adds to stock, sold takes away, count sets what is on the shelf now
+const INVENTORY_ACTIONS = ['restock', 'sold', 'count'];
+
+// Extra tool property classifying the message itself, for analytics (see migrations/009)
+const INSIGHTS_FIELD = 'message_insights';
+const MESSAGE_TOPICS = [
+    'marketing', 'pricing', 'sales', 'customers', 'staffing', 'inventory',
+    'finance', 'compliance', 'operations', 'technology', 'expansion', 'other'
+];
+// Stored as -1/0/1 so the database can average it
+const SENTIMENTS = { negative: -1, neutral: 0, positive: 1 };
+
+const PROFILE_FIELDS = {
+    business_type: { type: 'string', description: 'Kind of business, e.g. "salon", "restaurant", "grocery store"' },
+    location_city: { type: 'string', description: 'City the business operates in' },
+    location_state: { type: 'string', description: 'Indian state the business operates in' },
+    monthly_revenue: { type: 'amount', description: 'Monthly revenue in rupees as a plain number' },
+    peak_hours: { type: 'array', items: 'time_range', description: 'Busy time ranges like "09:00-12:00"' },
+    peak_days: { type: 'array', items: 'weekday', description: 'Busy days of the week like "Saturday"' },
+    top_products: { type: 'array', items: 'string', description: 'Best-selling products or services' },
+    staff_count: { type: 'integer', min: 0, max: 10000, description: 'Number of people working in the business' },
+    staff_roles: { type: 'array', items: 'string', description: 'Staff roles like "Manager", "Helper"' },
+    supplier_name: { type: 'string', description: 'Main supplier name' },
+    inventory_source: { type: 'string', description: 'Where stock comes from, e.g. "Meesho", "local wholesale market"' },
+    payment_methods: { type: 'array', items: 'string', description: 'Accepted payments like "Cash", "UPI", "Card"' },
+    ad_channels: { type: 'array', items: 'string', description: 'Advertising channels like "WhatsApp", "Facebook", "Flyers"' },
+    platforms_used: { type: 'array', items: 'string', description: 'Platforms like "Zomato", "Swiggy", "Meesho"' },
+    past_campaigns: { type: 'array', items: 'string', description: 'Short descriptions of past promotions' },
+    goals: { type: 'array', items: 'string', description: 'Business goals like "increase sales", "hire staff"' },
+    challenges: { type: 'array', items: 'string', description: 'Problems like "low footfall", "competition"' },
+    pricing_model: { type: 'enum', values: PRICING_MODELS, description: 'How prices are set' }
+};
+
+// JSON schema for the extraction tool call
+function buildExtractionToolSchema() {
+    const properties = {};
+
+    for (const [field, spec] of Object.entries(PROFILE_FIELDS)) {
+        if (spec.type === 'array') {
+            properties[field] = { type: 'array', items: { type: 'string' }, description: spec.description };
+        } else if (spec.type === 'enum') {
+            properties[field] = { type: 'string', enum: spec.values, description: spec.description };
+        } else if (spec.type === 'integer' || spec.type === 'amount') {
+            // Accept strings too so "80k" can be coerced on our side
+            properties[field] = { type: ['number', 'string'], description: spec.description };
+        } else {
+            properties[field] = { type: 'string', description: spec.description };
+        }
+    }
+
+    properties[METRICS_FIELD] = {
+        type: 'array',
+        description: 'Numbers the owner reports about a period, e.g. "500 customers a week" or "last month we did 90k". Also include monthly revenue here.',
+        items: {
+            type: 'object',
+            properties: {
+                metric: { type: 'string', enum: Object.keys(METRIC_TYPES) },
+                value: { type: ['number', 'string'] },
+                period: { type: 'string', enum: METRIC_PERIODS },
+                observed_on: { type: 'string', description: 'YYYY-MM-DD inside the period, if the owner names one ("last month"); omit for now' }
+            },
+            required: ['metric', 'value', 'period']
+        }
+    };
+    properties[LEDGER_FIELD] = {
+        type: 'array',
+        description: 'Money the owner says came in or went out on a specific day, e.g. "aaj 4500 ki sale hui, 1200 ka maal liya" or "Sharma ji ko 500 udhaar diya". Not monthly averages - those go in business_metrics.',
+        items: {
+            type: 'object',
+            properties: {
+                type: { type: 'string', enum: Object.keys(LEDGER_TYPES), description: Object.entries(LEDGER_TYPES).map(([type, text]) => `${type}: ${text}`).join('; ') },
+                amount: { type: ['number', 'string'] },
+                payment_method: { type: 'string', enum: LEDGER_PAYMENT_METHODS },
+                party: { type: 'string', description: 'Customer, supplier or lender named, for udhaar' },
+                description: { type: 'string', description: 'What it was for, in a few words' },
+                entry_date: { type: 'string', description: 'YYYY-MM-DD; "kal" is yesterday; omit for today' }
+            },
+            required: ['type', 'amount']
+        }
+    };
+    properties[INVENTORY_FIELD] = {
+        type: 'array',
+        description: 'Stock changes or item details the owner mentions, e.g. "5 packet Maggi aur aaye" (restock), "Parle-G khatam, 2 bache" (count), "Maggi 12 ka aata hai, 14 mein bechte hain" (prices only). Use the known item name when the owner clearly means one.',
+        items: {
+            type: 'object',
+            properties: {
+                item: { type: 'string', description: 'Product name' },
+                action: { type: 'string', enum: INVENTORY_ACTIONS, description: 'restock: more came in; sold: went out; count: how many are left now. Omit when only prices or the supplier are given.' },
+                quantity: { type: ['number', 'string'] },
+                unit: { type: 'string', description: 'packet, kg, box, piece...' },
+                cost_price: { type: ['number', 'string'], description: 'Rupees the owner pays per unit' },
+                selling_price: { type: ['number', 'string'], description: 'Rupees the owner sells one unit for' },
+                reorder_level: { type: ['number', 'string'], description: 'Stock at or below which to reorder' },
+                supplier: { type: 'string' }
+            },
+            required: ['item']
+        }
+    };
+    properties[INSIGHTS_FIELD] = {
+        type: 'object',
+        description: 'Always fill this: what the message is about and how the owner feels',
+        properties: {
+            topics: { type: 'array', items: { type: 'string', enum: MESSAGE_TOPICS }, description: 'One to three topics the owner is asking or talking about' },
+            sentiment: { type: 'string', enum: Object.keys(SENTIMENTS) },
+            acted_on_suggestion: { type: 'boolean', description: 'True only if the owner says they tried or did something the advisor suggested earlier' }
+        },
+        required: ['topics', 'sentiment']
+    };
+    properties[CONFIDENCE_FIELD] = {
+        type: 'object',
+        additionalProperties: { type: 'number', minimum: 0, maximum: 1 },
+        description: 'For every field you set, how sure you are it is right, from 0 to 1'
+    };
+
+    return {
+        type: 'function',
+        function: {
+            name: 'update_business_profile',
+            description: 'Record only NEW business profile facts stated in the user message. Omit anything not mentioned.',
+            parameters: {
+                type: 'object',
+                properties,
+                additionalProperties: false
+            }
+        }
+    };
+}
+
+// Parse rupee amounts like 80000, "80,000", "80k", "1.5 lakh", "₹2 cr"
+function parseAmount(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+
+    const match = value
+        .toLowerCase()
+        .replace(/[₹,]|rs\.?|inr|rupees?/g, '')
+        .trim()
+        .match(/^(\d+(?:\.\d+)?)\s*([a-z]+)?$/);
+    if (!match) return null;
+
+    const number = parseFloat(match[1]);
+    const unit = match[2];
+    if (!unit) return number;
+
+    const multiplier = AMOUNT_UNITS[unit];
+    return multiplier ? number * multiplier : null;
+}
+
+// Parse stock counts like 5, "1,200", "5 packet" or "2 l": the leading number, whatever
+// the unit follows it. Unlike parseAmount, "2 l" is two litres, not two lakh.
+function parseQuantity(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+
+    const match = value.replace(/,/g, '').match(/^\s*(\d+(?:\.\d+)?)(?![\d.])/);
+    return match ? parseFloat(match[1]) : null;
+}
+
+// Normalize a day name (English, short or Hindi) to "Monday".."Sunday";
+// "weekend"/"weekdays" expand to several days
+function normalizeWeekday(value) {
+    if (typeof value !== 'string') return null;
+    const key = value.trim().toLowerCase().replace(/\.$/, '');
+    return WEEKDAY_ALIASES[key] || WEEKDAY_GROUPS[key] || null;
+}
+
+// Normalize "9am-12pm", "9:00 - 12:00" and similar into "09:00-12:00"
+function normalizeTimeRange(value) {
+    if (typeof value !== 'string') return null;
+
+    const parts = value.toLowerCase().split(/\s*(?:-|–|to)\s*/);
+    if (parts.length !== 2) return null;
+
+    const times = parts.map(part => {
+        const match = part.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+        if (!match) return null;
+
+        let hours = parseInt(match[1]);
+        const minutes = match[2] ? parseInt(match[2]) : 0;
+        if (match[3] === 'pm' && hours < 12) hours += 12;
+        if (match[3] === 'am' && hours === 12) hours = 0;
+        if (hours > 23 || minutes > 59) return null;
+
+        return { hours, minutes, meridiem: match[3] };
+    });
+    if (times.includes(null)) return null;
+
+    // "6 to 9pm" means 18:00-21:00
+    const [start, end] = times;
+    if (!start.meridiem && end.meridiem === 'pm' && start.hours < 12 && start.hours + 12 < end.hours) {
+        start.hours += 12;
+    }
+
+    return times
+        .map(time => `${String(time.hours).padStart(2, '0')}:${String(time.minutes).padStart(2, '0')}`)
+        .join('-');
+}
+
+function coerceItem(itemType, value) {
+    if (itemType === 'weekday') return normalizeWeekday(value);
+    if (itemType === 'time_range') return normalizeTimeRange(value);
+    if (typeof value !== 'string') return null;
+    const trimmed = value.trim();
+    return trimmed ? trimmed.slice(0, 200) : null;
+}
+
+// Coerce a single field; returns { value } or { error }
+function coerceField(field, value) {
+    const spec = PROFILE_FIELDS[field];
+
+    switch (spec.type) {
+        case 'string': {
+            if (typeof value !== 'string' || !value.trim()) return { error: 'expected a non-empty string' };
+            return { value: value.trim().slice(0, 200) };
+        }
+        case 'amount': {
+            const amount = parseAmount(value);
+            if (amount === null || amount <= 0) return { error: `could not read "${value}" as a rupee amount` };
+            return { value: Math.round(amount) };
+        }
+        case 'integer': {
+            const number = typeof value === 'string' ? parseFloat(value.replace(/,/g, '')) : value;
+            if (!Number.isFinite(number)) return { error: `"${value}" is not a number` };
+            const rounded = Math.round(number);
+            if (rounded < spec.min || rounded > spec.max) {
+                return { error: `${rounded} is outside ${spec.min}-${spec.max}` };
+            }
+            return { value: rounded };
+        }
+        case 'enum': {
+            const normalized = typeof value === 'string' ? value.trim().toLowerCase() : value;
+            if (!spec.values.includes(normalized)) return { error: `must be one of ${spec.values.join(', ')}` };
+            return { value: normalized };
+        }
+        case 'array': {
+            const items = Array.isArray(value) ? value : [value];
+            const coerced = [];
+            const rejectedItems = [];
+
+            for (const item of items) {
+                const result = coerceItem(spec.items, item);
+                if (result === null) {
+                    rejectedItems.push(item);
+                    continue;
+                }
+                for (const entry of [].concat(result)) {
+                    if (!coerced.includes(entry)) coerced.push(entry);
+                }
+            }
+
+            if (coerced.length === 0) return { error: `no valid ${spec.items} values in ${JSON.stringify(value)}` };
+            return { value: coerced, rejectedItems };
+        }
+        default:
+            return { error: `unsupported field type ${spec.type}` };
+    }
+}
+
+// Validate raw extractor output. Returns { data, rejected: [{ field, value, reason }] }
+function validateProfileUpdate(raw) {
+    const data = {};
+    const rejected = [];
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { data, rejected };
+    }
+
+    for (const [field, value] of Object.entries(raw)) {
+        if (value === null || value === undefined || value === '') continue;
+
+        if (!PROFILE_FIELDS[field]) {
+            rejected.push({ field, value, reason: 'unknown field' });
+            continue;
+        }
+
+        const result = coerceField(field, value);
+        if (result.error) {
+            rejected.push({ field, value, reason: result.error });
+            continue;
+        }
+
+        data[field] = result.value;
+        if (result.rejectedItems && result.rejectedItems.length > 0) {
+            rejected.push({ field, value: result.rejectedItems, reason: `invalid ${PROFILE_FIELDS[field].items} values dropped` });
+        }
+    }
+
+    return { data, rejected };
+}
+
+// Validate reported business numbers. Returns { data: [{ metric, value, period, observed_on }], rejected }
+function validateMetricObservations(raw, today = new Date()) {
+    const data = [];
+    const rejected = [];
+
+    for (const entry of Array.isArray(raw) ? raw : []) {
+        const spec = METRIC_TYPES[entry?.metric];
+        if (!spec) {
+            rejected.push({ field: entry?.metric, value: entry?.value, reason: 'unknown metric' });
+            continue;
+        }
+
+        const period = METRIC_PERIODS.includes(entry.period) ? entry.period : 'month';
+        const value = spec.type === 'amount'
+            ? parseAmount(entry.value)
+            : (typeof entry.value === 'string' ? parseFloat(entry.value.replace(/,/g, '')) : entry.value);
+        if (!Number.isFinite(value) || value < 0) {
+            rejected.push({ field: entry.metric, value: entry.value, reason: 'must be 0 or more' });
+            continue;
+        }
+
+        let observedOn = today.toISOString().slice(0, 10);
+        if (entry.observed_on) {
+            const parsed = new Date(entry.observed_on);
+            if (Number.isNaN(parsed.getTime()) || parsed > today) {
+                rejected.push({ field: entry.metric, value: entry.observed_on, reason: 'invalid observed_on date' });
+                continue;
+            }
+            observedOn = parsed.toISOString().slice(0, 10);
+        }
+
+        data.push({
+            metric: entry.metric,
+            value: spec.type === 'integer' ? Math.round(value) : Math.round(value * 100) / 100,
+            period,
+            observed_on: observedOn
+        });
+    }
+
+    return { data, rejected };
+}
+
+// "GPay" -> "upi"; null for anything unrecognized
+function normalizePaymentMethod(value) {
+    if (typeof value !== 'string') return null;
+    return PAYMENT_METHOD_ALIASES[value.trim().toLowerCase()] || null;
+}
+
+// Validate money entries. Returns { data: [{ entry_type, amount, payment_method, party, description, entry_date }], rejected }
+function validateLedgerEntries(raw, today = new Date()) {
+    const data = [];
+    const rejected = [];
+    const todayString = today.toISOString().slice(0, 10);
+
+    for (const entry of Array.isArray(raw) ? raw : []) {
+        if (!LEDGER_TYPES[entry?.type]) {
+            rejected.push({ field: 'type', value: entry?.type, reason: `must be one of ${Object.keys(LEDGER_TYPES).join(', ')}` });
+            continue;
+        }
+
+        const amount = parseAmount(entry.amount);
+        if (!Number.isFinite(amount) || amount <= 0 || amount > MAX_LEDGER_AMOUNT) {
+            rejected.push({ field: 'amount', value: entry.amount, reason: 'not a positive rupee amount' });
+            continue;
+        }
+
+        const entryDate = entry.entry_date ? parseDate(entry.entry_date) : todayString;
+        if (!entryDate || entryDate > todayString) {
+            rejected.push({ field: 'entry_date', value: entry.entry_date, reason: 'invalid or future date' });
+            continue;
+        }
+
+        const text = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null);
+        data.push({
+            entry_type: entry.type,
+            amount: Math.round(amount * 100) / 100,
+            payment_method: normalizePaymentMethod(entry.payment_method),
+            party: text(entry.party, 100),
+            description: text(entry.description, 200),
+            entry_date: entryDate
+        });
+    }
+
+    return { data, rejected };
+}
+
+// Validate stock updates. Returns { data: [{ item, action, quantity, unit, cost_price, selling_price, reorder_level, supplier }], rejected }
+// with null for anything not given
+function validateInventoryUpdates(raw) {
+    const data = [];
+    const rejected = [];
+
+    for (const entry of Array.isArray(raw) ? raw : []) {
+        const item = typeof entry?.item === 'string' ? entry.item.trim().slice(0, 100) : '';
+        if (!item) {
+            rejected.push({ field: 'item', value: entry?.item, reason: 'item name is required' });
+            continue;
+        }
+
+        const update = { item, action: null, quantity: null, unit: null, cost_price: null, selling_price: null, reorder_level: null, supplier: null };
+        const problems = [];
+        for (const field of ['quantity', 'cost_price', 'selling_price', 'reorder_level']) {
+            if (entry[field] === undefined || entry[field] === null || entry[field] === '') continue;
+            // "5 packet" counts as 5; prices may use shorthand ("1.5k"), counts never do
+            const value = ['quantity', 'reorder_level'].includes(field)
+                ? parseQuantity(entry[field])
+                : parseAmount(entry[field]) ?? parseAmount(String(entry[field]).match(/^\s*₹?[\d.,]+/)?.[0] || '');
+            if (!Number.isFinite(value) || value < 0) problems.push({ field, value: entry[field], reason: 'must be 0 or more' });
+            else update[field] = Math.round(value * 100) / 100;
+        }
+        if (entry.action !== undefined && entry.action !== null) {
+            if (!INVENTORY_ACTIONS.includes(entry.action)) problems.push({ field: 'action', value: entry.action, reason: `must be one of ${INVENTORY_ACTIONS.join(', ')}` });
+            else if (entry.quantity === undefined || entry.quantity === null || entry.quantity === '') problems.push({ field: 'quantity', value: null, reason: `needed for ${entry.action}` });
+            else update.action = entry.action;
+        }
+        for (const field of ['unit', 'supplier']) {
+            if (typeof entry[field] === 'string' && entry[field].trim()) update[field] = entry[field].trim().slice(0, 100);
+        }
+
+        if (problems.length > 0) rejected.push(...problems.map(problem => ({ ...problem, field: `${item}.${problem.field}` })));
+        else data.push(update);
+    }
+
+    return { data, rejected };
+}
+
+// Validate the message classification. Returns { topics, sentiment (-1/0/1 or null), acted_on_suggestion }
+function validateMessageInsights(raw) {
+    const topics = Array.isArray(raw?.topics)
+        ? [...new Set(raw.topics.map(topic => String(topic).toLowerCase()).filter(topic => MESSAGE_TOPICS.includes(topic)))].slice(0, 3)
+        : [];
+    const sentiment = typeof raw?.sentiment === 'string' && raw.sentiment.toLowerCase() in SENTIMENTS
+        ? SENTIMENTS[raw.sentiment.toLowerCase()]
+        : null;
+
+    return { topics, sentiment, acted_on_suggestion: raw?.acted_on_suggestion === true };
+}
+
+// Validate a user's own edit. Unlike extraction, null or "" clears a field
+// (arrays become []) and unknown fields are rejected instead of skipped.
+function validateProfileEdit(raw) {
+    const data = {};
+    const rejected = [];
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { data, rejected: [{ field: null, value: raw, reason: 'expected an object of profile fields' }] };
+    }
+
+    for (const [field, value] of Object.entries(raw)) {
+        const spec = PROFILE_FIELDS[field];
+        if (!spec) {
+            rejected.push({ field, value, reason: 'unknown field' });
+            continue;
+        }
+
+        if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+            data[field] = spec.type === 'array' ? [] : null;
+            continue;
+        }
+
+        const result = coerceField(field, value);
+        if (result.error) {
+            rejected.push({ field, value, reason: result.error });
+        } else if (result.rejectedItems && result.rejectedItems.length > 0) {
+            rejected.push({ field, value: result.rejectedItems, reason: `invalid ${spec.items} values` });
+        } else {
+            data[field] = result.value;
+        }
+    }
+
+    return { data, rejected };
+}
+
+module.exports = {
+    PROFILE_FIELDS,
+    WEEKDAYS,
+    CONFIDENCE_FIELD,
+    METRICS_FIELD,
+    METRIC_TYPES,
+    METRIC_PERIODS,
+    INSIGHTS_FIELD,
+    LEDGER_FIELD,
+    LEDGER_TYPES,
+    LEDGER_PAYMENT_METHODS,
+    INVENTORY_FIELD,
+    INVENTORY_ACTIONS,
+    MESSAGE_TOPICS,
+    SENTIMENTS,
+    buildExtractionToolSchema,
+    validateProfileUpdate,
+    validateProfileEdit,
+    validateMetricObservations,
+    validateMessageInsights,
+    validateLedgerEntries,
+    validateInventoryUpdates,
+    parseAmount,
+    parseQuantity,
+    normalizeWeekday,
+    normalizeTimeRange
+};
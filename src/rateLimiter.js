@@ -0,0 +1,119 @@
+// In-memory fixed-window rate limits per route group, keyed by IP and by mobile number.
+
+// Requests allowed per window. Override any value with RATE_LIMIT_<GROUP>_<FIELD>,
+// e.g. RATE_LIMIT_CHAT_PER_USER=20 or RATE_LIMIT_TRENDS_WINDOW_MS=300000
+const DEFAULT_LIMITS = {
+    chat: { windowMs: 60 * 1000, perUser: 10, perIp: 30 },
+    voice: { windowMs: 60 * 1000, perUser: 4, perIp: 12 },
+    whatsapp: { windowMs: 60 * 1000, perUser: 10 },
+    profile: { windowMs: 60 * 1000, perUser: 30, perIp: 60 },
+    analytics: { windowMs: 60 * 1000, perUser: 10, perIp: 30 },
+    trends: { windowMs: 60 * 1000, perIp: 10 },
+    admin: { windowMs: 60 * 1000, perUser: 30, perIp: 60 },
+    auth: { windowMs: 15 * 60 * 1000, perUser: 10, perIp: 30 }
+};
+
+function loadLimits() {
+    const limits = {};
+    for (const [group, defaults] of Object.entries(DEFAULT_LIMITS)) {
+        limits[group] = { ...defaults };
+        for (const [field, envName] of [['windowMs', 'WINDOW_MS'], ['perUser', 'PER_USER'], ['perIp', 'PER_IP']]) {
+            const name = `RATE_LIMIT_${group.toUpperCase()}_${envName}`;
+            const override = process.env[name];
+            if (override === undefined) continue;
+            // A typo would otherwise turn into NaN and refuse every request on the route
+            if (!/^\s*\d+\s*$/.test(override) || parseInt(override) <= 0) {
+                throw new Error(`${name} must be a positive whole number, got "${override}"`);
+            }
+            limits[group][field] = parseInt(override);
+        }
+    }
+    return limits;
+}
+
+function defaultUserKey(req) {
+    return req.user?.mobile_number || req.body?.mobile_number;
+}
+
+class RateLimiter {
+    constructor(limits = loadLimits()) {
+        this.limits = limits;
+        // "group:scope:key" -> { count, resetAt }
+        this.counters = new Map();
+
+        // Drop expired windows now and then so the map doesn't grow forever
+        this.cleanupTimer = setInterval(() => this.cleanup(), 5 * 60 * 1000);
+        this.cleanupTimer.unref();
+    }
+
+    // Count one hit; returns { allowed, limit, remaining, resetAt }
+    hit(group, scope, key, max) {
+        const limit = this.limits[group];
+        const now = Date.now();
+        const counterKey = `${group}:${scope}:${key}`;
+
+        let counter = this.counters.get(counterKey);
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + limit.windowMs };
+            this.counters.set(counterKey, counter);
+        }
+        counter.count += 1;
+
+        return {
+            allowed: counter.count <= max,
+            limit: max,
+            remaining: Math.max(0, max - counter.count),
+            resetAt: counter.resetAt
+        };
+    }
+
+    // Check every configured scope for a request; the tightest result wins
+    consume(group, { ip, user } = {}) {
+        const limit = this.limits[group];
+        if (!limit) throw new Error(`Unknown rate limit group: ${group}`);
+
+        const results = [];
+        if (limit.perIp && ip) results.push(this.hit(group, 'ip', ip, limit.perIp));
+        if (limit.perUser && user) results.push(this.hit(group, 'user', user, limit.perUser));
+        if (results.length === 0) return { allowed: true };
+
+        const blocked = results.find(r => !r.allowed);
+        if (blocked) return blocked;
+        return results.reduce((tightest, r) => (r.remaining < tightest.remaining ? r : tightest));
+    }
+
+    // Express middleware. Place it after requireAuth so req.user is known.
+    // userKey(req) picks the number a request counts against; pass null to limit by IP only.
+    middleware(group, { userKey = defaultUserKey } = {}) {
+        return (req, res, next) => {
+            const user = userKey ? userKey(req) : null;
+            const result = this.consume(group, { ip: req.ip, user });
+
+            if (result.limit !== undefined) {
+                res.set('RateLimit-Limit', String(result.limit));
+                res.set('RateLimit-Remaining', String(result.remaining));
+                res.set('RateLimit-Reset', String(Math.ceil((result.resetAt - Date.now()) / 1000)));
+            }
+
+            if (!result.allowed) {
+                const retryAfter = Math.ceil((result.resetAt - Date.now()) / 1000);
+                res.set('Retry-After', String(retryAfter));
+                console.warn(`🚦 Rate limit hit on ${group} for ${user || req.ip}`);
+                return res.status(429).json({
+                    error: 'Too many requests. Please slow down and try again shortly.',
+                    retry_after_seconds: retryAfter
+                });
+            }
+            next();
+        };
+    }
+
+    cleanup() {
+        const now = Date.now();
+        for (const [key, counter] of this.counters) {
+            if (counter.resetAt <= now) this.counters.delete(key);
+        }
+    }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,124 @@
+const SCHEMES = require('./data/schemes.json').schemes;
+const CITIES = require('./data/cities.json');
+
+// Profile fields a criterion can need, and how to ask the owner for them
+const FIELD_QUESTIONS = {
+    business_type: 'What does the business do?',
+    location_state: 'Which state is the business in?',
+    monthly_revenue: 'Roughly how much does the business sell in a month?',
+    staff_count: 'How many people work in the business?'
+};
+
+// Questions about loans, schemes or funding (English, Hinglish and Hindi). Words for day-to-day
+// credit (udhaar, karz liya/diya) are left out - those are ledger entries, not funding questions.
+const FUNDING_PATTERN = /\b(schemes?|yojana|loans?|subsid(y|ies)|mudra|pmegp|cgtmse|svanidhi|funding|finance|grant|karza? chahiye|paisa chahiye|capital)\b|योजना|लोन|ऋण|सब्सिडी/i;
+
+// Rule engine over src/data/schemes.json: which central and state schemes a profile
+// likely qualifies for, why, and what is still missing to be sure
+class SchemeMatcher {
+    constructor(schemes = SCHEMES, cities = CITIES) {
+        this.schemes = schemes;
+        // Case-insensitive city -> state lookup
+        this.cityStates = new Map(Object.entries(cities).map(([city, info]) => [city.toLowerCase(), info.state]));
+    }
+
+    isFundingQuestion(message) {
+        return FUNDING_PATTERN.test(message || '');
+    }
+
+    // Values criteria are checked against; annual_turnover is derived from monthly_revenue
+    factsFor(profile) {
+        const state = profile.location_state ||
+            (profile.location_city ? this.cityStates.get(profile.location_city.trim().toLowerCase()) : null);
+        const revenue = profile.monthly_revenue ?? null;
+
+        return {
+            business_type: profile.business_type || null,
+            location_state: state || null,
+            monthly_revenue: revenue,
+            annual_turnover: revenue === null ? null : revenue * 12,
+            staff_count: profile.staff_count ?? null
+        };
+    }
+
+    // One criterion: { status: 'met' | 'not_met' | 'unknown', ... }
+    evaluate(criterion, facts) {
+        const value = facts[criterion.field];
+        if (value === null || value === undefined) {
+            const field = criterion.field === 'annual_turnover' ? 'monthly_revenue' : criterion.field;
+            return { status: 'unknown', field, question: FIELD_QUESTIONS[field] };
+        }
+
+        const text = String(value).toLowerCase();
+        let met = true;
+        if (criterion.min !== undefined && value < criterion.min) met = false;
+        if (criterion.max !== undefined && value > criterion.max) met = false;
+        if (criterion.in && !criterion.in.some(option => option.toLowerCase() === text)) met = false;
+        if (criterion.includes && !criterion.includes.some(keyword => text.includes(keyword))) met = false;
+        if (criterion.excludes && criterion.excludes.some(keyword => text.includes(keyword))) met = false;
+
+        return { status: met ? 'met' : 'not_met', reason: `${criterion.label} (${this.describeValue(criterion.field, value)})` };
+    }
+
+    describeValue(field, value) {
+        if (field === 'annual_turnover') return `yours: about ₹${value.toLocaleString('en-IN')} a year`;
+        if (field === 'monthly_revenue') return `yours: ₹${value.toLocaleString('en-IN')} a month`;
+        return `yours: ${value}`;
+    }
+
+    // Schemes the profile likely qualifies for, best first. status is 'likely' when every
+    // criterion is met, 'possible' when some can't be checked yet. includeRuledOut also
+    // returns schemes a criterion rules out, with the reason.
+    match(profile, { includeRuledOut = false, limit } = {}) {
+        const facts = this.factsFor(profile);
+        const results = [];
+
+        for (const scheme of this.schemes) {
+            const checks = scheme.criteria.map(criterion => this.evaluate(criterion, facts));
+            const failed = checks.filter(check => check.status === 'not_met');
+            if (failed.length > 0 && !includeRuledOut) continue;
+
+            const unknown = checks.filter(check => check.status === 'unknown');
+            const missing = [...new Map(unknown.map(check => [check.field, { field: check.field, question: check.question }])).values()];
+
+            results.push({
+                id: scheme.id,
+                name: scheme.name,
+                level: scheme.level,
+                kind: scheme.kind,
+                benefit: scheme.benefit,
+                url: scheme.url,
+                status: failed.length > 0 ? 'ruled_out' : (missing.length > 0 ? 'possible' : 'likely'),
+                reasons: checks.filter(check => check.status === 'met').map(check => check.reason),
+                ruled_out_by: failed.map(check => check.reason),
+                missing_data: missing,
+                to_confirm: scheme.confirm || []
+            });
+        }
+
+        // Likely before possible before ruled out, then the fewest unknowns; state schemes
+        // go first among equals, being more specific
+        const rank = { likely: 0, possible: 1, ruled_out: 2 };
+        results.sort((a, b) => rank[a.status] - rank[b.status] ||
+            a.missing_data.length - b.missing_data.length ||
+            (a.level === 'state' ? 0 : 1) - (b.level === 'state' ? 0 : 1) ||
+            b.reasons.length - a.reasons.length);
+
+        return limit ? results.slice(0, limit) : results;
+    }
+
+    // Profile fields that would settle the most 'possible' matches, most useful first
+    missingProfileFields(matches) {
+        const counts = new Map();
+        for (const match of matches) {
+            for (const { field, question } of match.missing_data) {
+                const entry = counts.get(field) || { field, question, schemes: 0 };
+                entry.schemes += 1;
+                counts.set(field, entry);
+            }
+        }
+        return [...counts.values()].sort((a, b) => b.schemes - a.schemes);
+    }
+}
+
+module.exports = SchemeMatcher;
@@ -0,0 +1,57 @@
+// SMS senders used for OTP delivery. Pick one with SMS_PROVIDER.
+
+// Development sender - prints the message to the server console
+class ConsoleSmsSender {
+    constructor() {
+        this.name = 'console';
+    }
+
+    async send(to, body) {
+        console.log(`📲 [SMS to ${to}] ${body}`);
+        return { id: `console-${Date.now()}` };
+    }
+}
+
+// Twilio Messages API sender
+class TwilioSmsSender {
+    constructor() {
+        this.name = 'twilio';
+        this.accountSid = process.env.TWILIO_ACCOUNT_SID;
+        this.authToken = process.env.TWILIO_AUTH_TOKEN;
+        this.from = process.env.TWILIO_FROM_NUMBER;
+        this.apiUrl = (process.env.TWILIO_API_URL || 'https://api.twilio.com').replace(/\/$/, '');
+    }
+
+    async send(to, body) {
+        const response = await fetch(`${this.apiUrl}/2010-04-01/Accounts/${this.accountSid}/Messages.json`, {
+            method: 'POST',
+            headers: {
+                'Authorization': 'Basic ' + Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64'),
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: new URLSearchParams({ To: to, From: this.from, Body: body })
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`Twilio send failed (${response.status}): ${data.message || 'unknown error'}`);
+        }
+        return { id: data.sid };
+    }
+}
+
+const SENDERS = {
+    console: ConsoleSmsSender,
+    twilio: TwilioSmsSender
+};
+
+// Build the sender named by SMS_PROVIDER (defaults to console)
+function createSmsSender(provider = process.env.SMS_PROVIDER || 'console') {
+    const Sender = SENDERS[provider];
+    if (!Sender) {
+        throw new Error(`Unknown SMS_PROVIDER "${provider}". Use one of: ${Object.keys(SENDERS).join(', ')}`);
+    }
+    return new Sender();
+}
+
+module.exports = { createSmsSender, ConsoleSmsSender, TwilioSmsSender };
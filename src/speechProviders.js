@@ -0,0 +1,105 @@
+const { OpenAI, toFile } = require('openai');
+
+// OpenAI Whisper transcription and text-to-speech
+class OpenAISpeechProvider {
+    constructor({ apiKey = process.env.OPENAI_API_KEY, baseURL, sttModel, ttsModel, voice } = {}) {
+        this.name = 'openai';
+        this.client = new OpenAI({ apiKey, baseURL: baseURL || undefined });
+        this.sttModel = sttModel || process.env.SPEECH_STT_MODEL || 'whisper-1';
+        this.ttsModel = ttsModel || process.env.SPEECH_TTS_MODEL || 'tts-1';
+        this.voice = voice || process.env.SPEECH_TTS_VOICE || 'alloy';
+    }
+
+    // Returns { text, language }. Whisper detects the language itself; languageHint is only
+    // passed when the caller is sure what the owner speaks, since it forces the output language.
+    async transcribe(audio, { filename = 'voice-note.ogg', mimetype, languageHint } = {}) {
+        const result = await this.client.audio.transcriptions.create({
+            file: await toFile(audio, filename, { type: mimetype }),
+            model: this.sttModel,
+            ...(languageHint && { language: languageHint })
+        });
+        return { text: result.text.trim(), language: languageHint || null };
+    }
+
+    // Returns { audio: Buffer, mimeType }
+    async synthesize(text) {
+        const response = await this.client.audio.speech.create({
+            model: this.ttsModel,
+            voice: this.voice,
+            input: text.slice(0, 4096),
+            response_format: 'mp3'
+        });
+        return { audio: Buffer.from(await response.arrayBuffer()), mimeType: 'audio/mpeg' };
+    }
+}
+
+// Offline stand-in for tests: text uploads are "transcribed" as-is and replies become silent WAVs
+class MockSpeechProvider {
+    constructor() {
+        this.name = 'mock';
+    }
+
+    async transcribe(audio, { mimetype } = {}) {
+        if (process.env.SPEECH_MOCK_TRANSCRIPT) {
+            return { text: process.env.SPEECH_MOCK_TRANSCRIPT, language: null };
+        }
+        if (mimetype && mimetype.startsWith('text/')) {
+            return { text: audio.toString('utf8').trim(), language: null };
+        }
+        return { text: `Voice note received (${audio.length} bytes)`, language: null };
+    }
+
+    // Silent 8kHz mono WAV, a tenth of a second per word
+    async synthesize(text) {
+        const words = (text.match(/\S+/g) || []).length;
+        const samples = Math.max(800, words * 800);
+        const header = Buffer.alloc(44);
+
+        header.write('RIFF', 0);
+        header.writeUInt32LE(36 + samples, 4);
+        header.write('WAVE', 8);
+        header.write('fmt ', 12);
+        header.writeUInt32LE(16, 16);
+        header.writeUInt16LE(1, 20);      // PCM
+        header.writeUInt16LE(1, 22);      // mono
+        header.writeUInt32LE(8000, 24);   // sample rate
+        header.writeUInt32LE(8000, 28);   // byte rate
+        header.writeUInt16LE(1, 32);      // block align
+        header.writeUInt16LE(8, 34);      // bits per sample
+        header.write('data', 36);
+        header.writeUInt32LE(samples, 40);
+
+        return { audio: Buffer.concat([header, Buffer.alloc(samples, 128)]), mimeType: 'audio/wav' };
+    }
+}
+
+const PROVIDERS = {
+    openai: OpenAISpeechProvider,
+    mock: MockSpeechProvider
+};
+
+function createSpeechProvider(name) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown speech provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return new Provider();
+}
+
+// Transcription and TTS can use different providers:
+//   SPEECH_STT_PROVIDER=openai SPEECH_TTS_PROVIDER=mock
+// SPEECH_PROVIDER sets both (defaults to openai)
+function createSpeechProviders() {
+    const fallback = process.env.SPEECH_PROVIDER || 'openai';
+    return {
+        transcription: createSpeechProvider(process.env.SPEECH_STT_PROVIDER || fallback),
+        tts: createSpeechProvider(process.env.SPEECH_TTS_PROVIDER || fallback)
+    };
+}
+
+module.exports = {
+    OpenAISpeechProvider,
+    MockSpeechProvider,
+    createSpeechProvider,
+    createSpeechProviders
+};
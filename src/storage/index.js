@@ -0,0 +1,31 @@
+// Storage layer used by ProfileManager and the other services.
+//
+// Every repository implements the same table-level interface:
+//   findOne(table, filters, { columns })                          -> row | null
+//   findMany(table, { filters, columns, orderBy, ascending, limit }) -> rows
+//   insert(table, row)                                            -> inserted row
+//   update(table, filters, patch)                                 -> first updated row | null
+//   remove(table, filters)                                        -> number of deleted rows
+//   rpc(fn, params)                                               -> result of a SQL function
+//
+// filters map columns to a value (equality), null (IS NULL) or an operator
+// object such as { gte: '2024-01-01', lt: '2024-02-01' } or { in: [...] }.
+// The schema lives in /migrations and is shared by both backends.
+const SupabaseRepository = require('./supabaseRepository');
+const PostgresRepository = require('./postgresRepository');
+
+const DRIVERS = {
+    supabase: SupabaseRepository,
+    postgres: PostgresRepository
+};
+
+// Pick a backend with STORAGE_DRIVER (defaults to supabase)
+function createRepository(driver = process.env.STORAGE_DRIVER || 'supabase') {
+    const Repository = DRIVERS[driver];
+    if (!Repository) {
+        throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    return new Repository();
+}
+
+module.exports = { createRepository, SupabaseRepository, PostgresRepository };
@@ -0,0 +1,140 @@
+const { Pool, types } = require('pg');
+
+// Return numeric and bigint columns (counts, sums) as JS numbers
+types.setTypeParser(1700, value => value === null ? null : parseFloat(value));
+types.setTypeParser(20, value => value === null ? null : parseInt(value));
+// Keep DATE columns as 'YYYY-MM-DD' strings, like Supabase, instead of local-midnight Dates
+types.setTypeParser(1082, value => value);
+
+const OPERATORS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'LIKE', ilike: 'ILIKE' };
+
+// Only plain identifiers may be interpolated into SQL
+function identifier(name) {
+    if (!/^[a-z_][a-z0-9_]*$/i.test(name)) {
+        throw new Error(`Invalid SQL identifier: ${name}`);
+    }
+    return `"${name}"`;
+}
+
+// Objects and arrays are stored in jsonb columns
+function toParam(value) {
+    if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+        return JSON.stringify(value);
+    }
+    return value;
+}
+
+// Repository backed by a plain Postgres database (DATABASE_URL). See storage/index.js for the interface.
+class PostgresRepository {
+    constructor(pool = new Pool({ connectionString: process.env.DATABASE_URL })) {
+        this.name = 'postgres';
+        this.pool = pool;
+    }
+
+    buildWhere(filters = {}, params = []) {
+        const clauses = [];
+
+        for (const [column, condition] of Object.entries(filters)) {
+            const col = identifier(column);
+
+            if (condition === null) {
+                clauses.push(`${col} IS NULL`);
+            } else if (typeof condition === 'object' && !Array.isArray(condition) && !(condition instanceof Date)) {
+                for (const [op, value] of Object.entries(condition)) {
+                    if (op === 'in') {
+                        params.push(value);
+                        clauses.push(`${col} = ANY($${params.length})`);
+                    } else if (op === 'neq' && value === null) {
+                        clauses.push(`${col} IS NOT NULL`);
+                    } else if (OPERATORS[op]) {
+                        params.push(toParam(value));
+                        clauses.push(`${col} ${OPERATORS[op]} $${params.length}`);
+                    } else {
+                        throw new Error(`Unsupported filter operator: ${op}`);
+                    }
+                }
+            } else {
+                params.push(toParam(condition));
+                clauses.push(`${col} = $${params.length}`);
+            }
+        }
+
+        return clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '';
+    }
+
+    buildColumns(columns) {
+        if (!columns || columns === '*') return '*';
+        return columns.split(',').map(c => identifier(c.trim())).join(', ');
+    }
+
+    async query(sql, params = []) {
+        const { rows } = await this.pool.query(sql, params);
+        return rows;
+    }
+
+    async findOne(table, filters, { columns = '*' } = {}) {
+        const params = [];
+        const where = this.buildWhere(filters, params);
+        const rows = await this.query(
+            `SELECT ${this.buildColumns(columns)} FROM ${identifier(table)}${where} LIMIT 1`,
+            params
+        );
+        return rows[0] || null;
+    }
+
+    async findMany(table, { filters, columns = '*', orderBy, ascending = true, limit } = {}) {
+        const params = [];
+        let sql = `SELECT ${this.buildColumns(columns)} FROM ${identifier(table)}${this.buildWhere(filters, params)}`;
+        if (orderBy) sql += ` ORDER BY ${identifier(orderBy)} ${ascending ? 'ASC' : 'DESC'}`;
+        if (limit) {
+            params.push(limit);
+            sql += ` LIMIT $${params.length}`;
+        }
+        return this.query(sql, params);
+    }
+
+    async insert(table, row) {
+        const columns = Object.keys(row);
+        const params = columns.map(c => toParam(row[c]));
+        const rows = await this.query(
+            `INSERT INTO ${identifier(table)} (${columns.map(identifier).join(', ')})
+             VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+            params
+        );
+        return rows[0];
+    }
+
+    // Update matching rows and return the first updated row (or null)
+    async update(table, filters, patch) {
+        const columns = Object.keys(patch);
+        const params = columns.map(c => toParam(patch[c]));
+        const sets = columns.map((c, i) => `${identifier(c)} = $${i + 1}`).join(', ');
+        const rows = await this.query(
+            `UPDATE ${identifier(table)} SET ${sets}${this.buildWhere(filters, params)} RETURNING *`,
+            params
+        );
+        return rows[0] || null;
+    }
+
+    async remove(table, filters) {
+        const params = [];
+        const rows = await this.query(
+            `DELETE FROM ${identifier(table)}${this.buildWhere(filters, params)} RETURNING 1`,
+            params
+        );
+        return rows.length;
+    }
+
+    // Call a SQL function from the migrations using named arguments, like Supabase rpc()
+    async rpc(fn, params = {}) {
+        const names = Object.keys(params);
+        const args = names.map((name, i) => `${identifier(name)} => $${i + 1}`).join(', ');
+        const rows = await this.query(
+            `SELECT * FROM ${identifier(fn)}(${args})`,
+            names.map(name => toParam(params[name]))
+        );
+        return rows;
+    }
+}
+
+module.exports = PostgresRepository;
@@ -0,0 +1,92 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Repository backed by Supabase (PostgREST). See storage/index.js for the interface.
+class SupabaseRepository {
+    constructor(client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY)) {
+        this.name = 'supabase';
+        this.supabase = client;
+    }
+
+    // Apply { column: value | null | { eq, neq, gt, gte, lt, lte, in, like, ilike } } filters
+    applyFilters(query, filters = {}) {
+        for (const [column, condition] of Object.entries(filters)) {
+            if (condition === null) {
+                query = query.is(column, null);
+            } else if (typeof condition === 'object' && !Array.isArray(condition) && !(condition instanceof Date)) {
+                for (const [op, value] of Object.entries(condition)) {
+                    if (op === 'in') {
+                        query = query.in(column, value);
+                    } else if (op === 'neq' && value === null) {
+                        query = query.not(column, 'is', null);
+                    } else {
+                        query = query[op](column, value);
+                    }
+                }
+            } else {
+                query = query.eq(column, condition);
+            }
+        }
+        return query;
+    }
+
+    async findOne(table, filters, { columns = '*' } = {}) {
+        const { data, error } = await this.applyFilters(
+            this.supabase.from(table).select(columns),
+            filters
+        ).limit(1).maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    async findMany(table, { filters, columns = '*', orderBy, ascending = true, limit } = {}) {
+        let query = this.applyFilters(this.supabase.from(table).select(columns), filters);
+        if (orderBy) query = query.order(orderBy, { ascending });
+        if (limit) query = query.limit(limit);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data || [];
+    }
+
+    async insert(table, row) {
+        const { data, error } = await this.supabase
+            .from(table)
+            .insert([row])
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    // Update matching rows and return the first updated row (or null)
+    async update(table, filters, patch) {
+        const { data, error } = await this.applyFilters(
+            this.supabase.from(table).update(patch),
+            filters
+        ).select();
+
+        if (error) throw error;
+        return data?.[0] || null;
+    }
+
+    async remove(table, filters) {
+        const { data, error } = await this.applyFilters(
+            this.supabase.from(table).delete(),
+            filters
+        ).select();
+
+        if (error) throw error;
+        return data?.length || 0;
+    }
+
+    // Call a SQL function from the migrations
+    async rpc(fn, params = {}) {
+        const { data, error } = await this.supabase.rpc(fn, params);
+        if (error) throw error;
+        return data;
+    }
+}
+
+module.exports = SupabaseRepository;
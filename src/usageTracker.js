@@ -0,0 +1,100 @@
+const { createRepository } = require('./storage');
+
+// USD per 1M tokens [prompt, completion]. Unknown models are priced like gpt-4 to stay safe.
+const MODEL_PRICES = {
+    'gpt-4': [30, 60],
+    'gpt-4-turbo': [10, 30],
+    'gpt-4o': [2.5, 10],
+    'gpt-4o-mini': [0.15, 0.6],
+    'gpt-3.5-turbo': [0.5, 1.5],
+    'text-embedding-3-small': [0.02, 0],
+    'text-embedding-3-large': [0.13, 0],
+    'mock': [0, 0]
+};
+
+// Monthly spend per user. Past the soft share of the budget replies use the
+// economy model; past the full budget the advisor stops calling the LLM.
+const MONTHLY_BUDGET_USD = parseFloat(process.env.LLM_MONTHLY_BUDGET_USD) || 2;
+const SOFT_BUDGET_RATIO = parseFloat(process.env.LLM_SOFT_BUDGET_RATIO) || 0.8;
+const STATUS_CACHE_MS = 60 * 1000;
+
+class UsageTracker {
+    constructor(repository = createRepository()) {
+        this.repository = repository;
+        // user_id -> { status, expiresAt }
+        this.statusCache = new Map();
+    }
+
+    // First day of the current month as YYYY-MM-DD
+    currentMonth(date = new Date()) {
+        return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-01`;
+    }
+
+    estimateCost(model, usage) {
+        const key = Object.keys(MODEL_PRICES)
+            .sort((a, b) => b.length - a.length)
+            .find(name => (model || '').startsWith(name));
+        const [promptPrice, completionPrice] = MODEL_PRICES[key] || MODEL_PRICES['gpt-4'];
+
+        return ((usage.prompt_tokens || 0) * promptPrice + (usage.completion_tokens || 0) * completionPrice) / 1e6;
+    }
+
+    // Add one LLM call to the user's monthly rollup
+    async record(user_id, { model, usage }) {
+        if (!user_id || !usage) return;
+
+        try {
+            const cost = this.estimateCost(model, usage);
+            await this.repository.rpc('record_llm_usage', {
+                p_user_id: user_id,
+                p_month: this.currentMonth(),
+                p_prompt_tokens: usage.prompt_tokens || 0,
+                p_completion_tokens: usage.completion_tokens || 0,
+                p_cost_usd: cost
+            });
+            this.statusCache.delete(user_id);
+        } catch (error) {
+            console.error('Error recording LLM usage:', error);
+            // Don't throw - accounting shouldn't break the chat
+        }
+    }
+
+    // This month's totals for a user
+    async getMonthlyUsage(user_id, month = this.currentMonth()) {
+        try {
+            const row = await this.repository.findOne('llm_usage_monthly', { user_id, month });
+            return {
+                month,
+                prompt_tokens: row?.prompt_tokens || 0,
+                completion_tokens: row?.completion_tokens || 0,
+                request_count: row?.request_count || 0,
+                cost_usd: Number(row?.cost_usd || 0),
+                budget_usd: MONTHLY_BUDGET_USD
+            };
+        } catch (error) {
+            console.error('Error getting LLM usage:', error);
+            return { month, prompt_tokens: 0, completion_tokens: 0, request_count: 0, cost_usd: 0, budget_usd: MONTHLY_BUDGET_USD };
+        }
+    }
+
+    // 'ok', 'economy' (use the cheaper model) or 'exceeded' (stop calling the LLM)
+    async getBudgetStatus(user_id) {
+        if (!user_id) return 'ok';
+
+        const cached = this.statusCache.get(user_id);
+        if (cached && cached.expiresAt > Date.now()) return cached.status;
+
+        const { cost_usd } = await this.getMonthlyUsage(user_id);
+        let status = 'ok';
+        if (cost_usd >= MONTHLY_BUDGET_USD) {
+            status = 'exceeded';
+        } else if (cost_usd >= MONTHLY_BUDGET_USD * SOFT_BUDGET_RATIO) {
+            status = 'economy';
+        }
+
+        this.statusCache.set(user_id, { status, expiresAt: Date.now() + STATUS_CACHE_MS });
+        return status;
+    }
+}
+
+module.exports = UsageTracker;
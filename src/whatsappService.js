@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const { t } = require('./i18n');
+
+// WhatsApp limits for interactive reply buttons
+const MAX_BUTTONS = 3;
+const MAX_BUTTON_TITLE = 20;
+const MAX_BODY_LENGTH = 1024;
+const SUGGESTION_ID_PREFIX = 'suggestion:';
+
+class WhatsAppService {
+    constructor() {
+        this.accessToken = process.env.WHATSAPP_ACCESS_TOKEN;
+        this.phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+        this.verifyToken = process.env.WHATSAPP_VERIFY_TOKEN;
+        this.appSecret = process.env.WHATSAPP_APP_SECRET;
+        // Point this at a local stub (see scripts/graphApiStub.js) for testing
+        this.apiUrl = (process.env.WHATSAPP_API_URL || 'https://graph.facebook.com/v19.0').replace(/\/$/, '');
+
+        // Meta retries deliveries it thinks failed, so remember recent message ids
+        this.seenMessageIds = new Set();
+    }
+
+    // Handle the GET verification handshake; returns the challenge or null
+    verifyWebhook(query) {
+        const mode = query['hub.mode'];
+        const token = query['hub.verify_token'];
+        const challenge = query['hub.challenge'];
+
+        if (mode === 'subscribe' && this.verifyToken && token === this.verifyToken) {
+            return challenge;
+        }
+        return null;
+    }
+
+    // Check the X-Hub-Signature-256 header against the raw request body
+    verifySignature(rawBody, signatureHeader) {
+        if (!this.appSecret) {
+            console.error('WHATSAPP_APP_SECRET is not set - rejecting webhook payload');
+            return false;
+        }
+        if (!rawBody || !signatureHeader || !signatureHeader.startsWith('sha256=')) {
+            return false;
+        }
+
+        const expected = crypto
+            .createHmac('sha256', this.appSecret)
+            .update(rawBody)
+            .digest('hex');
+        const received = signatureHeader.slice('sha256='.length);
+
+        const expectedBuffer = Buffer.from(expected, 'hex');
+        const receivedBuffer = Buffer.from(received, 'hex');
+        return expectedBuffer.length === receivedBuffer.length &&
+            crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+    }
+
+    // Pull text, button and list replies out of a webhook payload
+    parseIncomingMessages(payload) {
+        const messages = [];
+
+        for (const entry of payload?.entry || []) {
+            for (const change of entry.changes || []) {
+                const value = change.value || {};
+                const contacts = value.contacts || [];
+
+                for (const msg of value.messages || []) {
+                    const text = this.getMessageText(msg);
+                    if (!text) continue;
+
+                    if (this.seenMessageIds.has(msg.id)) continue;
+                    this.rememberMessageId(msg.id);
+
+                    const contact = contacts.find(c => c.wa_id === msg.from);
+                    messages.push({
+                        message_id: msg.id,
+                        mobile_number: this.normalizeNumber(msg.from),
+                        wa_id: msg.from,
+                        name: contact?.profile?.name || null,
+                        type: msg.type,
+                        text: text
+                    });
+                }
+            }
+        }
+
+        return messages;
+    }
+
+    // Get the user's text from a supported message type
+    getMessageText(msg) {
+        if (msg.type === 'text') {
+            return msg.text?.body?.trim() || null;
+        }
+        if (msg.type === 'interactive') {
+            const reply = msg.interactive?.button_reply || msg.interactive?.list_reply;
+            if (!reply) return null;
+            // Our suggestion buttons carry the full text in the id, titles may be truncated
+            if (reply.id && reply.id.startsWith(SUGGESTION_ID_PREFIX)) {
+                return reply.id.slice(SUGGESTION_ID_PREFIX.length);
+            }
+            return reply.title || null;
+        }
+        if (msg.type === 'button') {
+            // Template quick-reply buttons
+            return msg.button?.text || msg.button?.payload || null;
+        }
+        return null;
+    }
+
+    rememberMessageId(id) {
+        this.seenMessageIds.add(id);
+        if (this.seenMessageIds.size > 1000) {
+            const oldest = this.seenMessageIds.values().next().value;
+            this.seenMessageIds.delete(oldest);
+        }
+    }
+
+    // WhatsApp sends numbers without the leading +, profiles store them with it
+    normalizeNumber(waId) {
+        return waId.startsWith('+') ? waId : `+${waId}`;
+    }
+
+    // Reply text followed by the knowledge base sources it cites, one per line
+    withSources(text, citations = []) {
+        if (!citations || citations.length === 0) return text;
+
+        const sources = citations.map(citation => `[${citation.ref}] ${citation.title}${citation.url ? ` - ${citation.url}` : ''}`);
+        return `${text}\n\n📚 ${sources.join('\n')}`;
+    }
+
+    // Send a reply, rendering suggestions as quick-reply buttons when there are any
+    async sendReply(to, text, suggestions = [], language) {
+        if (!suggestions || suggestions.length === 0) {
+            return this.sendText(to, text);
+        }
+
+        const body = text.length > MAX_BODY_LENGTH ? text.slice(0, MAX_BODY_LENGTH - 1) + '…' : text;
+
+        // Long answers go out as plain text first so nothing is cut off
+        if (body !== text) {
+            await this.sendText(to, text);
+        }
+
+        return this.sendMessage({
+            to: to.replace(/^\+/, ''),
+            type: 'interactive',
+            interactive: {
+                type: 'button',
+                body: { text: body !== text ? t(language, 'whatsapp_next_question') : body },
+                action: { buttons: this.buildButtons(suggestions) }
+            }
+        });
+    }
+
+    // Quick-reply buttons for the first suggestions. WhatsApp refuses the whole message when two
+    // buttons share a title, so a suggestion that shortens to an earlier title is skipped.
+    buildButtons(suggestions) {
+        const buttons = [];
+        const titles = new Set();
+        for (const suggestion of suggestions) {
+            const title = suggestion.length > MAX_BUTTON_TITLE
+                ? suggestion.slice(0, MAX_BUTTON_TITLE - 1) + '…'
+                : suggestion;
+            if (titles.has(title)) continue;
+            titles.add(title);
+            buttons.push({
+                type: 'reply',
+                reply: { id: `${SUGGESTION_ID_PREFIX}${suggestion}`.slice(0, 256), title }
+            });
+            if (buttons.length === MAX_BUTTONS) break;
+        }
+        return buttons;
+    }
+
+    // Send a plain text message
+    async sendText(to, text) {
+        return this.sendMessage({
+            to: to.replace(/^\+/, ''),
+            type: 'text',
+            text: { preview_url: false, body: text }
+        });
+    }
+
+    // Send an approved template; needed for business-initiated messages outside the 24h window.
+    // bodyParams fill {{1}}, {{2}}... in the template body.
+    async sendTemplate(to, name, languageCode, bodyParams = []) {
+        return this.sendMessage({
+            to: to.replace(/^\+/, ''),
+            type: 'template',
+            template: {
+                name,
+                language: { code: languageCode },
+                components: bodyParams.length > 0
+                    ? [{ type: 'body', parameters: bodyParams.map(text => ({ type: 'text', text })) }]
+                    : []
+            }
+        });
+    }
+
+    // Post a message through the Graph send-message API
+    async sendMessage(message) {
+        const response = await fetch(`${this.apiUrl}/${this.phoneNumberId}/messages`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.accessToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                messaging_product: 'whatsapp',
+                recipient_type: 'individual',
+                ...message
+            })
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`WhatsApp send failed (${response.status}): ${data.error?.message || 'unknown error'}`);
+        }
+        return data;
+    }
+}
+
+module.exports = WhatsAppService;
@@ -11,25 +11,35 @@ async function testBackend() {
         const health = await axios.get(`${BASE_URL}/health`);
         console.log('✅ Health check:', health.data);
 
-        // Test 2: First conversation (profile creation)
+        // Test 2: OTP login (needs NODE_ENV=development and SMS_PROVIDER=console on the server)
+        console.log('\n🔑 Testing OTP login...');
+        const otpRequest = await axios.post(`${BASE_URL}/auth/otp/request`, {
+            mobile_number: TEST_MOBILE
+        });
+        const login = await axios.post(`${BASE_URL}/auth/otp/verify`, {
+            mobile_number: TEST_MOBILE,
+            otp: otpRequest.data.dev_otp
+        });
+        console.log('✅ Logged in as:', login.data.user_id);
+        const auth = { headers: { Authorization: `Bearer ${login.data.access_token}` } };
+
+        // Test 3: First conversation (profile creation)
         console.log('\n💬 Testing first conversation...');
         const firstChat = await axios.post(`${BASE_URL}/chat`, {
-            mobile_number: TEST_MOBILE,
             message: "Hi, I run a small salon in Kanpur and want to increase my sales"
-        });
+        }, auth);
         console.log('✅ First chat response:', firstChat.data);
 
-        // Test 3: Second conversation (more info)
+        // Test 4: Second conversation (more info)
         console.log('\n💬 Testing second conversation...');
         const secondChat = await axios.post(`${BASE_URL}/chat`, {
-            mobile_number: TEST_MOBILE,
             message: "I earn around 80,000 rupees per month and get my stock from Meesho. Business is slow on weekdays."
-        });
+        }, auth);
         console.log('✅ Second chat response:', secondChat.data);
 
-        // Test 4: Get profile
+        // Test 5: Get profile
         console.log('\n👤 Testing profile fetch...');
-        const profile = await axios.get(`${BASE_URL}/profile/${TEST_MOBILE}`);
+        const profile = await axios.get(`${BASE_URL}/profile/${encodeURIComponent(TEST_MOBILE)}`, auth);
         console.log('✅ User profile:', JSON.stringify(profile.data, null, 2));
 
     } catch (error) {
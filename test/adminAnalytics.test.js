@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AdminAnalytics = require('../src/adminAnalytics');
+const MemoryRepository = require('./helpers/memoryRepository');
+
+describe('AdminAnalytics', () => {
+    it('turns the query string into SQL arguments and rejects unknown values', () => {
+        const admin = new AdminAnalytics(new MemoryRepository());
+        const filters = admin.parseFilters({ city: 'Kanpur', revenue_band: '50k_2l', signup_to: '2026-10-18' });
+
+        assert.equal(filters.p_city, 'Kanpur');
+        assert.equal(filters.p_signup_to, '2026-10-19');
+        assert.equal(admin.describeFilters(filters).signup_to, '2026-10-18');
+        assert.throws(() => admin.parseFilters({ revenue_band: 'loads' }), { status: 400 });
+        assert.throws(() => admin.parseFilters({ signup_from: '18-10-2026' }), /signup_from must be/);
+        assert.throws(() => admin.parseSegmentBy('mobile_number'), /segment_by must be/);
+    });
+
+    it('fills every completion bucket and groups cohorts by signup week', async () => {
+        const admin = new AdminAnalytics(new MemoryRepository({
+            rpc: {
+                admin_completion_distribution: () => [{ bucket_start: 30, profiles: '4' }, { bucket_start: 100, profiles: '1' }],
+                admin_signup_cohorts: () => [
+                    { cohort_week: '2026-10-05', signups: '4', week_offset: 0, active_users: '4' },
+                    { cohort_week: '2026-10-05', signups: '4', week_offset: 1, active_users: '1' },
+                    { cohort_week: '2026-10-12', signups: '2', week_offset: null, active_users: null }
+                ]
+            }
+        }));
+
+        const buckets = await admin.getCompletionDistribution({});
+        assert.equal(buckets.length, 11);
+        assert.deepEqual(buckets[3], { bucket: '30-39', profiles: 4 });
+        assert.deepEqual(buckets[10], { bucket: '100', profiles: 1 });
+
+        const cohorts = await admin.getSignupCohorts({});
+        assert.deepEqual(cohorts.map(cohort => [cohort.cohort_week, cohort.weeks.map(week => week.retention_pct)]), [
+            ['2026-10-05', [100, 25]],
+            ['2026-10-12', []]
+        ]);
+    });
+
+    it('exports a report as CSV with quoted cells where needed', async () => {
+        const admin = new AdminAnalytics(new MemoryRepository({
+            rpc: {
+                admin_top_profile_items: () => [
+                    { segment: 'salon', item: 'rent, "high"', profiles: '3' },
+                    { segment: 'salon', item: 'staff', profiles: '2' }
+                ]
+            }
+        }));
+
+        assert.equal(await admin.exportCsv('challenges'),
+            'segment,item,profiles\nsalon,"rent, ""high""",3\nsalon,staff,2\n');
+        await assert.rejects(admin.exportCsv('users'), { status: 404 });
+    });
+
+    it('keeps export limits at one row or more', async () => {
+        const repository = new MemoryRepository({ rpc: { admin_top_profile_items: () => [], admin_segment_profile_list: () => [] } });
+        const admin = new AdminAnalytics(repository);
+
+        await admin.exportCsv('challenges', { limit: '-5' });
+        await admin.exportCsv('profiles', { limit: '-1' });
+        await admin.exportCsv('profiles', { limit: '50000' });
+
+        assert.deepEqual(repository.rpcCalls.map(call => call.params.p_limit), [1, 1, 10000]);
+    });
+
+    it('keeps spreadsheets from running chat text as formulas', () => {
+        const admin = new AdminAnalytics(new MemoryRepository());
+        const rows = ['=HYPERLINK("x")', '+91 calls', '@sum', '\tTab', '-5', '-2.5', 'plain'].map(item => ({ item }));
+
+        assert.equal(admin.toCsv(['item'], rows),
+            'item\n"\'=HYPERLINK(""x"")"\n\'+91 calls\n\'@sum\n\'\tTab\n-5\n-2.5\nplain\n');
+    });
+});
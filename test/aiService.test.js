@@ -0,0 +1,113 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AIService = require('../src/aiService');
+
+// Every turn costs 20 tokens, so a budget of 40 replays the last two
+const turn = id => ({ id, user_message: `question ${id}`.padEnd(40, '.'), ai_response: `answer ${id}`.padEnd(40, '.') });
+const BUDGET = 40;
+
+describe('AIService.buildHistoryMessages', () => {
+    let ai;
+    let summarized;
+
+    beforeEach(() => {
+        ai = new AIService({});
+        summarized = [];
+        mock.method(ai, 'summarizeTurns', async (turns, userProfile, previousSummary) => {
+            summarized.push([turns.map(t => t.id), previousSummary]);
+            return `summary to ${turns[turns.length - 1].id}`;
+        });
+    });
+
+    it('replays recent turns verbatim and summarizes the rest', async () => {
+        const { messages, summary } = await ai.buildHistoryMessages([1, 2, 3, 4].map(turn), {}, null, BUDGET);
+
+        assert.equal(messages.length, 5);
+        assert.match(messages[0].content, /summary to 2$/);
+        assert.match(messages[1].content, /^question 3/);
+        assert.deepEqual(summary, { last_log_id: 2, summary: 'summary to 2' });
+        assert.deepEqual(summarized, [[[1, 2], null]]);
+    });
+
+    it('reuses the cached summary while no more turns fall out of the window', async () => {
+        const { messages, summary } = await ai.buildHistoryMessages([1, 2, 3, 4].map(turn), {}, { last_log_id: 2, summary: 'cached' }, BUDGET);
+
+        assert.match(messages[0].content, /cached$/);
+        assert.equal(summary, null);
+        assert.deepEqual(summarized, []);
+    });
+
+    it('extends the cached summary with only the turns that fell out since', async () => {
+        const { summary } = await ai.buildHistoryMessages([1, 2, 3, 4, 5, 6].map(turn), {}, { last_log_id: 2, summary: 'cached' }, BUDGET);
+
+        assert.deepEqual(summarized, [[[3, 4], 'cached']]);
+        assert.deepEqual(summary, { last_log_id: 4, summary: 'summary to 4' });
+    });
+
+    it("falls back to the owner's words without caching when summarizing fails", async () => {
+        ai.summarizeTurns.mock.mockImplementation(async () => null);
+
+        const { messages, summary } = await ai.buildHistoryMessages([1, 2, 3].map(turn), {}, null, BUDGET);
+
+        assert.match(messages[0].content, /- question 1/);
+        assert.equal(summary, null);
+    });
+});
+
+describe('AIService.extractProfileInfo', () => {
+    let ai;
+    let calls;
+
+    // A provider whose tool call comes back with the given finish reasons in turn
+    function answering(...finishReasons) {
+        calls = [];
+        ai = new AIService({
+            extraction: {
+                chat: async options => {
+                    calls.push(options.max_tokens);
+                    const finishReason = finishReasons[calls.length - 1];
+                    const args = finishReason === 'length' ? '{"business_type": "sal' : '{"business_type": "salon"}';
+                    return { content: '', toolCalls: [{ name: 'update_business_profile', arguments: args }], finishReason };
+                }
+            }
+        });
+    }
+
+    beforeEach(() => {
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('reads the tool call', async () => {
+        answering('tool_calls');
+
+        const result = await ai.extractProfileInfo('I run a salon', {});
+
+        assert.deepEqual(result.data, { business_type: 'salon' });
+        assert.equal(result.error, null);
+        assert.equal(calls.length, 1);
+    });
+
+    it('retries a tool call cut off at max_tokens with twice the room', async () => {
+        answering('length', 'tool_calls');
+
+        const result = await ai.extractProfileInfo('I run a salon', {});
+
+        assert.deepEqual(result.data, { business_type: 'salon' });
+        assert.deepEqual(calls, [calls[0], calls[0] * 2]);
+        assert.ok(calls[0] >= 1000);
+    });
+
+    it('reports a tool call that is still cut off as truncated', async () => {
+        answering('length', 'length');
+
+        const result = await ai.extractProfileInfo('I run a salon', {});
+
+        assert.deepEqual(result.data, {});
+        assert.equal(result.error, 'truncated');
+        assert.equal(console.error.mock.callCount(), 0);
+    });
+});
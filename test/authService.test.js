@@ -0,0 +1,96 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AUTH_TOKEN_SECRET = 'test-secret';
+
+const AuthService = require('../src/authService');
+const ProfileManager = require('../src/profileManager');
+const MemoryRepository = require('./helpers/memoryRepository');
+
+const MOBILE = '9876543210';
+
+describe('AuthService OTP login', () => {
+    let repository;
+    let auth;
+    let sent;
+
+    // The code from the last SMS
+    const lastOtp = () => sent[sent.length - 1].match(/^\d{6}/)[0];
+    const wrongOtp = () => String((Number(lastOtp()) + 1) % 1000000).padStart(6, '0');
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-15T10:00:00Z') });
+        mock.method(console, 'log', () => {});
+        repository = new MemoryRepository();
+        sent = [];
+        auth = new AuthService(repository, new ProfileManager(repository), {
+            name: 'test',
+            send: async (to, text) => { sent.push(text); }
+        });
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    it('sends a code, then logs in with it and creates the profile', async () => {
+        const requested = await auth.requestOtp(MOBILE);
+        assert.equal(requested.mobile_number, '+919876543210');
+        assert.equal(requested.dev_otp, undefined);
+
+        const tokens = await auth.verifyOtp(MOBILE, lastOtp());
+
+        assert.equal(tokens.mobile_number, '+919876543210');
+        assert.deepEqual(auth.verifyAccessToken(tokens.access_token), { user_id: tokens.user_id, mobile_number: '+919876543210' });
+        assert.ok(await repository.findOne('user_profiles', { mobile_number: '+919876543210' }));
+    });
+
+    it('stores only a hash of the code', async () => {
+        await auth.requestOtp(MOBILE);
+
+        const [pending] = await repository.findMany('pending_otps', {});
+        assert.notEqual(pending.otp_hash, lastOtp());
+        assert.equal(pending.attempts, 0);
+    });
+
+    it('refuses a resend inside the cooldown', async () => {
+        await auth.requestOtp(MOBILE);
+        await assert.rejects(auth.requestOtp(MOBILE), { status: 429 });
+
+        mock.timers.tick(31 * 1000);
+        await auth.requestOtp(MOBILE);
+        assert.equal(sent.length, 2);
+    });
+
+    it('lets each code log in only once', async () => {
+        await auth.requestOtp(MOBILE);
+        const otp = lastOtp();
+
+        await auth.verifyOtp(MOBILE, otp);
+        await assert.rejects(auth.verifyOtp(MOBILE, otp), { status: 401, message: /expired or not requested/ });
+    });
+
+    it('drops the code after five wrong guesses', async () => {
+        await auth.requestOtp(MOBILE);
+        const otp = lastOtp();
+
+        for (let i = 0; i < 5; i++) {
+            await assert.rejects(auth.verifyOtp(MOBILE, wrongOtp()), { status: 401, message: 'Incorrect OTP' });
+        }
+
+        await assert.rejects(auth.verifyOtp(MOBILE, otp), { message: /expired or not requested/ });
+        assert.equal((await repository.findMany('pending_otps', {})).length, 0);
+    });
+
+    it('rejects expired codes', async () => {
+        await auth.requestOtp(MOBILE);
+        mock.timers.tick(5 * 60 * 1000 + 1);
+
+        await assert.rejects(auth.verifyOtp(MOBILE, lastOtp()), { status: 401, message: /expired or not requested/ });
+    });
+
+    it('rejects invalid numbers', async () => {
+        await assert.rejects(auth.requestOtp('12345'), { status: 400 });
+    });
+});
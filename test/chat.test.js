@@ -0,0 +1,282 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const jwt = require('jsonwebtoken');
+
+// The whole chat pipeline offline: mock LLM and speech providers, an in-memory repository
+process.env.LLM_PROVIDER = 'mock';
+process.env.SPEECH_PROVIDER = 'mock';
+process.env.AUTH_TOKEN_SECRET = 'test-secret';
+
+const storage = require('../src/storage');
+const MemoryRepository = require('./helpers/memoryRepository');
+const { MockProvider } = require('../src/llmProviders');
+const { MockSpeechProvider } = require('../src/speechProviders');
+const { t, promptInstruction } = require('../src/i18n');
+
+const repository = new MemoryRepository();
+mock.method(storage, 'createRepository', () => repository);
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+const { app, processChatMessage } = require('../src/index');
+
+const MOBILE = '9876543210';
+const MESSAGE = 'I run a salon in Kanpur';
+
+// Prompts sent to the mock model, passed through to the real MockProvider
+function recordPrompts() {
+    const chat = MockProvider.prototype.chat;
+    const prompts = [];
+    mock.method(MockProvider.prototype, 'chat', function (options) {
+        prompts.push(options);
+        return chat.call(this, options);
+    });
+    return prompts;
+}
+
+describe('processChatMessage', () => {
+    beforeEach(() => {
+        repository.tables = {};
+    });
+
+    afterEach(() => {
+        MockProvider.prototype.chat.mock?.restore();
+    });
+
+    it('creates the profile, stores what the owner said and logs the turn', async () => {
+        const result = await processChatMessage({ mobile_number: MOBILE, message: MESSAGE });
+
+        assert.equal(result.userProfile.mobile_number, MOBILE);
+        assert.deepEqual(result.extractedInfo, { business_type: 'salon', location_city: 'Kanpur' });
+        assert.equal(result.userProfile.business_type, 'salon');
+        assert.match(result.aiResponse.content, /salon/);
+        assert.ok(result.completionScore > 0);
+
+        const logs = await repository.findMany('conversation_logs', {});
+        assert.equal(logs.length, 1);
+        assert.equal(logs[0].user_message, MESSAGE);
+        assert.equal(logs[0].ai_response, result.aiResponse.content);
+        assert.deepEqual(logs[0].profile_updates, ['business_type', 'location_city']);
+        assert.deepEqual([logs[0].topics, logs[0].sentiment], [['other'], 0]);
+    });
+
+    it('holds hedged facts for the owner to confirm instead of saving them', async () => {
+        const result = await processChatMessage({ mobile_number: MOBILE, message: 'maybe I run a salon in Kanpur' });
+
+        assert.deepEqual(result.extractedInfo, {});
+        assert.equal(result.userProfile.business_type, undefined);
+        assert.deepEqual(result.pendingConfirmations.map(pending => [pending.field, pending.value, pending.confidence]), [
+            ['business_type', 'salon', 0.5],
+            ['location_city', 'Kanpur', 0.5]
+        ]);
+        assert.ok(result.pendingConfirmations.every(pending => pending.conversation_log_id === result.conversation_log_id));
+    });
+
+    it('books sales mentioned in the message against the turn', async () => {
+        const result = await processChatMessage({ mobile_number: MOBILE, message: `${MESSAGE}. aaj 4500 ki sale hui` });
+
+        const entries = await repository.findMany('ledger_entries', {});
+        assert.deepEqual(entries.map(entry => [entry.entry_type, entry.amount, entry.source]), [['sale', 4500, 'ai']]);
+        assert.equal(entries[0].conversation_log_id, result.conversation_log_id);
+        assert.deepEqual(result.ledgerEntries.map(entry => entry.id), entries.map(entry => entry.id));
+    });
+
+    it('updates stock mentioned in the message', async () => {
+        const result = await processChatMessage({ mobile_number: MOBILE, message: `${MESSAGE}. 10 packet maggi aaye` });
+
+        const [item] = await repository.findMany('inventory_items', {});
+        assert.equal(item.name_key, 'maggi');
+        assert.equal(item.quantity, 10);
+        assert.deepEqual(result.inventoryUpdates.map(update => [update.item.id, update.change]), [[item.id, 10]]);
+    });
+
+    it("shows the advisor this message's sales before they are stored", async () => {
+        const prompts = recordPrompts();
+        await processChatMessage({ mobile_number: MOBILE, message: `${MESSAGE}. aaj 4500 ki sale hui` });
+
+        const reply = prompts.find(options => !options.tools);
+        assert.match(reply.messages[0].content, /THEIR BOOKS[\s\S]*Today: sales ₹4,500/);
+    });
+
+    it('stores nothing from the message when the reply fails, so a retry does not count it twice', async () => {
+        const chat = MockProvider.prototype.chat;
+        mock.method(MockProvider.prototype, 'chat', function (options) {
+            if (!options.tools) throw new Error('model unavailable');
+            return chat.call(this, options);
+        });
+        mock.method(console, 'error', () => {});
+
+        const result = await processChatMessage({
+            mobile_number: MOBILE,
+            message: `${MESSAGE}, 80k per month and I want to increase sales. aaj 4500 ki sale hui, 10 packet maggi aaye`
+        });
+        console.error.mock.restore();
+
+        assert.equal(result.aiResponse.failed, true);
+        assert.deepEqual(result.extractedInfo, {});
+        assert.deepEqual(result.ledgerEntries, []);
+        assert.deepEqual(result.inventoryUpdates, []);
+        assert.equal(result.userProfile.business_type, undefined);
+        for (const table of ['profile_changes', 'business_metrics', 'business_goals', 'ledger_entries', 'inventory_items']) {
+            assert.equal((await repository.findMany(table, {})).length, 0, table);
+        }
+
+        // The turn keeps what was said, so nothing is lost
+        const [log] = await repository.findMany('conversation_logs', {});
+        assert.deepEqual(log.profile_updates, []);
+        assert.equal(log.pending_extraction.profile.business_type, 'salon');
+        assert.deepEqual(log.pending_extraction.metrics.map(observation => observation.metric), ['revenue']);
+        assert.deepEqual(log.pending_extraction.ledger.map(entry => entry.amount), [4500]);
+        assert.deepEqual(log.pending_extraction.inventory.map(update => update.item), ['maggi']);
+    });
+
+    it('notes on the turn when nothing could be extracted', async () => {
+        const chat = MockProvider.prototype.chat;
+        mock.method(MockProvider.prototype, 'chat', function (options) {
+            if (options.tools) throw new Error('model unavailable');
+            return chat.call(this, options);
+        });
+        mock.method(console, 'error', () => {});
+
+        const result = await processChatMessage({ mobile_number: MOBILE, message: `${MESSAGE}. aaj 4500 ki sale hui` });
+        console.error.mock.restore();
+
+        assert.match(result.aiResponse.content, /./);
+        const [log] = await repository.findMany('conversation_logs', {});
+        assert.deepEqual(log.pending_extraction, { error: 'failed' });
+    });
+
+    it('stores the message once the reply has gone out', async () => {
+        const result = await processChatMessage({ mobile_number: MOBILE, message: `${MESSAGE}, 80k per month and I want to increase sales` });
+
+        assert.equal(result.userProfile.monthly_revenue, 80000);
+        const [log] = await repository.findMany('conversation_logs', {});
+        assert.equal(log.pending_extraction, null);
+        const [metric] = await repository.findMany('business_metrics', {});
+        assert.deepEqual([metric.metric, metric.value, metric.conversation_log_id], ['revenue', 80000, result.conversation_log_id]);
+        assert.deepEqual((await repository.findMany('business_goals', {})).map(goal => goal.title), ['increase sales']);
+    });
+
+    it('answers in the language of the message but switches language_pref only after a few in a row', async () => {
+        const HINDI = 'मेरी कानपुर में सैलून की दुकान है';
+        const prompts = recordPrompts();
+
+        const first = await processChatMessage({ mobile_number: MOBILE, message: HINDI });
+        const reply = prompts.find(options => !options.tools);
+        assert.ok(reply.messages[0].content.includes(promptInstruction('Hindi')));
+        assert.notEqual(first.userProfile.language_pref, 'Hindi');
+
+        await processChatMessage({ mobile_number: MOBILE, message: HINDI });
+        const third = await processChatMessage({ mobile_number: MOBILE, message: HINDI });
+        assert.equal(third.userProfile.language_pref, 'Hindi');
+    });
+
+    it('replays earlier turns of the session into the prompt', async () => {
+        const first = await processChatMessage({ mobile_number: MOBILE, message: MESSAGE, session_id: 'morning' });
+        const prompts = recordPrompts();
+
+        await processChatMessage({ mobile_number: MOBILE, message: 'What should I do this week?', session_id: 'morning' });
+
+        const reply = prompts.find(options => !options.tools);
+        assert.deepEqual(reply.messages.slice(1).map(message => [message.role, message.content.slice(0, 23)]), [
+            ['user', MESSAGE],
+            ['assistant', first.aiResponse.content.slice(0, 23)],
+            ['user', 'What should I do this w']
+        ]);
+    });
+
+    it('streams the reply through onToken', async () => {
+        const tokens = [];
+        const result = await processChatMessage({ mobile_number: MOBILE, message: MESSAGE, onToken: token => tokens.push(token) });
+
+        assert.ok(tokens.length > 1);
+        assert.equal(tokens.join(''), result.aiResponse.content);
+    });
+
+    it('gives enhanced replies from the same pipeline', async () => {
+        const result = await processChatMessage({ mobile_number: MOBILE, message: MESSAGE, enhanced: true });
+
+        assert.match(result.aiResponse.content, /salon/);
+        assert.equal((await repository.findMany('conversation_logs', {})).length, 1);
+    });
+
+    it('answers without the model once the monthly budget is spent', async () => {
+        const profile = await repository.insert('user_profiles', { mobile_number: MOBILE, language_pref: 'English' });
+        const month = new Date().toISOString().slice(0, 8) + '01';
+        await repository.insert('llm_usage_monthly', { user_id: profile.user_id, month, cost_usd: 100 });
+        const prompts = recordPrompts();
+
+        const result = await processChatMessage({ user_id: profile.user_id, message: MESSAGE });
+
+        assert.equal(result.aiResponse.content, t('English', 'budget_limit_reached'));
+        assert.equal(prompts.length, 0);
+        assert.deepEqual(result.extractedInfo, {});
+        assert.equal((await repository.findMany('conversation_logs', {})).length, 1);
+    });
+});
+
+describe('POST /chat/voice', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        repository.tables = {};
+    });
+
+    // Send text as the "audio": the mock transcriber reads text/* uploads back verbatim
+    async function sendVoiceNote(text) {
+        const profile = await repository.insert('user_profiles', { mobile_number: '+91' + MOBILE, language_pref: 'English' });
+        const token = jwt.sign({ mobile_number: profile.mobile_number, type: 'access' }, 'test-secret', { subject: profile.user_id });
+        const form = new FormData();
+        form.append('audio', new Blob([text], { type: 'text/plain' }), 'note.txt');
+        form.append('reply_audio', 'true');
+
+        const response = await fetch(`${baseUrl}/chat/voice`, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: form });
+        return { status: response.status, body: await response.json() };
+    }
+
+    it('replies with text and audio', async () => {
+        const { status, body } = await sendVoiceNote(MESSAGE);
+
+        assert.equal(status, 200);
+        assert.equal(body.transcript, MESSAGE);
+        assert.equal(body.reply_audio.mime_type, 'audio/wav');
+    });
+
+    it('keeps the text reply when speech synthesis fails', async () => {
+        mock.method(MockSpeechProvider.prototype, 'synthesize', async () => { throw new Error('tts down'); });
+        mock.method(console, 'error', () => {});
+
+        const { status, body } = await sendVoiceNote(MESSAGE);
+        MockSpeechProvider.prototype.synthesize.mock.restore();
+        console.error.mock.restore();
+
+        assert.equal(status, 200);
+        assert.match(body.response, /salon/);
+        assert.equal(body.reply_audio, undefined);
+        assert.equal((await repository.findMany('conversation_logs', {})).length, 1);
+    });
+});
+
+describe('startup settings', () => {
+    it('refuses to start on a PROFILE_CONFIRM_BELOW that is not a number from 0 to 1', () => {
+        for (const value of ['70%', '7', '-0.1', '']) {
+            const result = spawnSync(process.execPath, ['-e', "require('./src/index')"], {
+                cwd: `${__dirname}/..`,
+                env: { ...process.env, PROFILE_CONFIRM_BELOW: value },
+                encoding: 'utf8',
+                timeout: 30000
+            });
+            assert.notEqual(result.status, 0, value);
+            assert.match(result.stderr, /PROFILE_CONFIRM_BELOW must be a number from 0 to 1/);
+        }
+    });
+});
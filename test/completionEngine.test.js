@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CompletionEngine = require('../src/completionEngine');
+const { isFilled } = require('../src/completionEngine');
+
+const SCHEMA = {
+    tiers: [
+        { id: 'identity', label: 'Identity', fields: { mobile_number: { weight: 5 }, business_type: { weight: 10, question: 'q_business_type' } } },
+        { id: 'operations', label: 'Operations', fields: { supplier_name: { weight: 5, question: 'q_supplier' }, top_products: { weight: 5, question: 'q_top_products' } } }
+    ]
+};
+// Salons weigh products higher and are never asked about suppliers
+const playbooks = {
+    playbookFor: profile => (profile.business_type === 'salon'
+        ? { category: 'beauty_salon', completion_weights: { top_products: 10, supplier_name: 0 } }
+        : { category: null, completion_weights: {} })
+};
+
+describe('CompletionEngine', () => {
+    const engine = new CompletionEngine(playbooks, SCHEMA);
+
+    it('counts only filled fields', () => {
+        assert.equal(isFilled(0), true);
+        assert.equal(isFilled(''), false);
+        assert.equal(isFilled([]), false);
+        assert.equal(isFilled(null), false);
+    });
+
+    it('scores against the weights of the business category', () => {
+        const profile = { mobile_number: '9876543210', supplier_name: 'Metro' };
+        assert.equal(engine.score(profile), 40);
+
+        const salon = engine.breakdown({ ...profile, business_type: 'salon' });
+        assert.equal(salon.score, 60);
+        assert.equal(salon.category, 'beauty_salon');
+        assert.deepEqual(salon.tiers.map(tier => [tier.id, tier.score, tier.missing]), [
+            ['identity', 100, []],
+            ['operations', 0, ['top_products']]
+        ]);
+    });
+
+    it('asks the most valuable missing question, earlier tiers first on ties', () => {
+        const first = engine.nextBestQuestion({}, { language: 'English' });
+        assert.deepEqual([first.field, first.tier, first.weight], ['business_type', 'identity', 10]);
+        assert.notEqual(first.question, 'q_business_type');
+        assert.equal(engine.nextBestQuestion({ business_type: 'kirana' }).field, 'supplier_name');
+        assert.equal(engine.nextBestQuestion({ business_type: 'kirana' }, { skip: ['supplier_name'] }).field, 'top_products');
+        assert.equal(engine.nextBestQuestion({ business_type: 'salon', top_products: ['Facial'] }), null);
+    });
+
+    it('uses the bundled schema and playbooks by default', () => {
+        const bundled = new CompletionEngine();
+        assert.equal(bundled.score({}), 0);
+        const salonFields = bundled.fieldsFor({ business_type: 'salon' }).tiers.flatMap(tier => tier.fields.map(entry => entry.field));
+        assert.ok(!salonFields.includes('inventory_source'));
+        assert.ok(salonFields.includes('staff_roles'));
+    });
+});
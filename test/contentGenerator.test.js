@@ -0,0 +1,96 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ContentGenerator = require('../src/contentGenerator');
+const FestivalCalendar = require('../src/festivalCalendar');
+const MemoryRepository = require('./helpers/memoryRepository');
+
+const FLYER = {
+    primary: { headline: 'Diwali Dhamaka 🪔', body: 'Festive facials and hair spa.', offer: '20% off, ₹499 onwards', call_to_action: 'Book today' },
+    secondary: { headline: 'दिवाली धमाका', body: 'त्योहार के फेशियल', offer: '20% छूट', call_to_action: 'आज बुक करें' }
+};
+
+describe('ContentGenerator', () => {
+    let repository;
+    let aiService;
+    let generator;
+    let profile;
+
+    beforeEach(async () => {
+        mock.method(console, 'log', () => {});
+        repository = new MemoryRepository();
+        aiService = { generateMarketingContent: mock.fn(async () => FLYER) };
+        generator = new ContentGenerator(repository, aiService, new FestivalCalendar([], {}));
+        profile = await repository.insert('user_profiles', {
+            mobile_number: '9876543210', business_type: 'salon', location_city: 'Kanpur', language_pref: 'English'
+        });
+    });
+
+    it('trims generated copy to the format limits', () => {
+        const long = `${'Fresh stock every morning. '.repeat(50)}`;
+        const { message } = generator.cleanContent('whatsapp', { message: long });
+        assert.ok(message.length <= 1024);
+        assert.ok(message.endsWith('morning.'));
+
+        const { caption, hashtags } = generator.cleanContent('instagram', {
+            caption: 'New look', hashtags: ['diwalioffers', '#Diwali Offers', '#Kanpur', '!!!']
+        });
+        assert.equal(caption, 'New look');
+        assert.deepEqual(hashtags, ['#DiwaliOffers', '#Kanpur']);
+    });
+
+    it('rejects owner edits that do not fit instead of cutting them', () => {
+        assert.throws(() => generator.cleanContent('whatsapp', { message: 'x'.repeat(1025) }, { strict: true }), error => {
+            assert.equal(error.status, 400);
+            assert.deepEqual(error.details, ['message is 1025 characters, the limit is 1024']);
+            return true;
+        });
+        assert.throws(() => generator.cleanContent('flyer', { primary: {}, secondary: { headline: 'Hi' } }), /does not fit/);
+    });
+
+    it('writes a bilingual flyer draft in the owner\'s language and English or Hindi', async () => {
+        const draft = await generator.generate(profile, { format: 'flyer', festival_id: null });
+
+        assert.equal(draft.language, 'English+Hindi');
+        assert.equal(draft.title, 'Promotion - flyer');
+        assert.deepEqual(aiService.generateMarketingContent.mock.calls[0].arguments[1].languages, ['English', 'Hindi']);
+        assert.match(draft.text, /^Diwali Dhamaka 🪔\nFestive facials/);
+        assert.equal((await generator.listDrafts(profile.user_id, { format: 'flyer' })).length, 1);
+
+        await assert.rejects(generator.generate(profile, { format: 'poster' }), /format must be one of/);
+        await assert.rejects(generator.generate(profile, { format: 'flyer', festival_id: 'holi' }), /not an upcoming festival/);
+    });
+
+    it('renders flyers in the bundled fonts and refuses scripts they cannot print', async () => {
+        const render = async content => {
+            aiService.generateMarketingContent = async () => content;
+            const draft = await generator.generate(profile, { format: 'flyer', festival_id: null });
+            return generator.renderFlyer(profile.user_id, draft.id);
+        };
+        const isPdf = pdf => pdf.subarray(0, 5).toString() === '%PDF-';
+
+        assert.ok(isPdf(await render({ ...FLYER, secondary: FLYER.primary })));
+        assert.ok(isPdf(await render(FLYER)));
+        assert.ok(isPdf(await render({ ...FLYER, secondary: { headline: 'தீபாவளி சலுகை', body: 'பண்டிகை ஃபேஷியல்', offer: '20% தள்ளுபடி', call_to_action: 'இன்றே பதிவு செய்யுங்கள்' } })));
+        await assert.rejects(render({ ...FLYER, secondary: { ...FLYER.primary, headline: 'দীপাবলি অফার' } }), { status: 422 });
+        assert.equal(generator.printable('₹499 🪔'), '₹499');
+
+        aiService.generateMarketingContent = async () => ({ message: 'Diwali offers this week' });
+        const whatsapp = await generator.generate(profile, { format: 'whatsapp', festival_id: null });
+        await assert.rejects(generator.renderFlyer(profile.user_id, whatsapp.id), /Only flyer drafts/);
+    });
+
+    it('leaves the contact line for the owner to fill in', async () => {
+        const draft = await generator.generate(profile, { format: 'flyer', festival_id: null });
+        assert.equal(draft.content.contact, null);
+    });
+
+    it('keeps drafts private to their owner', async () => {
+        const draft = await generator.generate(profile, { format: 'flyer', festival_id: null });
+        const other = await repository.insert('user_profiles', { mobile_number: '9123456789' });
+
+        await assert.rejects(generator.updateDraft(other.user_id, draft.id, { title: 'Mine' }), { status: 404 });
+        assert.equal((await generator.updateDraft(profile.user_id, draft.id, { title: ' Diwali ' })).title, 'Diwali');
+        assert.deepEqual(await generator.deleteDraft(profile.user_id, draft.id), { id: draft.id });
+    });
+});
@@ -0,0 +1,47 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ServiceError, sendServiceError } = require('../src/errors');
+
+class ExampleError extends ServiceError {}
+
+// Just enough of an Express response to record what was sent
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+describe('ServiceError', () => {
+    it('names subclasses after themselves and defaults to 400', () => {
+        const error = new ExampleError('Bad input');
+
+        assert.ok(error instanceof ServiceError);
+        assert.equal(error.name, 'ExampleError');
+        assert.equal(error.status, 400);
+    });
+});
+
+describe('sendServiceError', () => {
+    it('answers service errors with their status and details', () => {
+        const res = fakeResponse();
+        sendServiceError(res, new ExampleError('Invalid fields', 422, [{ field: 'name' }]), 'Failed');
+
+        assert.equal(res.statusCode, 422);
+        assert.deepEqual(res.body, { error: 'Invalid fields', details: [{ field: 'name' }] });
+    });
+
+    it('logs anything else and answers 500 without leaking the message', () => {
+        const logged = mock.method(console, 'error', () => {});
+        const res = fakeResponse();
+        sendServiceError(res, new Error('connection refused'), 'Failed to fetch goals');
+        logged.mock.restore();
+
+        assert.equal(res.statusCode, 500);
+        assert.deepEqual(res.body, { error: 'Failed to fetch goals', details: undefined });
+        assert.equal(logged.mock.callCount(), 1);
+    });
+});
@@ -0,0 +1,113 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const GoalService = require('../src/goalService');
+const MemoryRepository = require('./helpers/memoryRepository');
+const { today, addDays } = require('../src/dateUtils');
+
+const PLAN = [
+    { description: 'Post offers on Instagram', due_in_days: 3 },
+    { description: 'Start a loyalty card', due_in_days: 30 }
+];
+
+describe('GoalService', () => {
+    let repository;
+    let goalService;
+    let userProfile;
+
+    beforeEach(async () => {
+        mock.method(console, 'log', () => {});
+        repository = new MemoryRepository();
+        const aiService = { generateActionPlan: async () => PLAN };
+        const metricsService = { getTrendSummary: async () => [{ metric: 'revenue', value: 80000 }] };
+        goalService = new GoalService(repository, aiService, metricsService);
+        userProfile = await repository.insert('user_profiles', { mobile_number: '9876543210' });
+    });
+
+    it('plans steps no later than the deadline and records the baseline', async () => {
+        const deadline = addDays(today(), 10);
+        const goal = await goalService.createGoal(userProfile, {
+            title: ' Grow revenue ', target_metric: 'revenue', target_value: '1 lakh', deadline
+        });
+
+        assert.equal(goal.title, 'Grow revenue');
+        assert.equal(goal.target_value, 100000);
+        assert.equal(goal.baseline_value, 80000);
+        assert.deepEqual(goal.steps.map(step => [step.position, step.due_date]), [
+            [1, addDays(today(), 3)],
+            [2, deadline]
+        ]);
+    });
+
+    it('rejects goals it cannot track', async () => {
+        await assert.rejects(goalService.createGoal(userProfile, { title: '' }), { status: 400 });
+        await assert.rejects(goalService.createGoal(userProfile, { title: 'x', target_metric: 'profit', target_value: 5 }),
+            /target_metric must be one of/);
+        await assert.rejects(goalService.createGoal(userProfile, { title: 'x', target_metric: 'orders' }),
+            /target_value is required/);
+        await assert.rejects(goalService.createGoal(userProfile, { title: 'x', deadline: '2026-02-30' }),
+            /deadline must be/);
+    });
+
+    it('turns new chat goals into goals once, leaving the plans for later', async () => {
+        await goalService.syncProfileGoals(userProfile, ['Open a second shop']);
+        const created = await goalService.syncProfileGoals(userProfile, ['open a second shop', 'Hire staff']);
+
+        assert.deepEqual(created.map(goal => [goal.title, goal.source, goal.steps]), [['Hire staff', 'ai', []]]);
+        assert.equal((await goalService.listGoals(userProfile.user_id)).length, 2);
+    });
+
+    it('checks in on overdue steps once a day', async () => {
+        const goal = await goalService.createGoal(userProfile, { title: 'Grow revenue' });
+        await repository.update('goal_steps', { id: goal.steps[0].id }, { due_date: addDays(today(), -1) });
+
+        const [overdue] = await goalService.getOverdueSteps(userProfile.user_id, { markReminded: true });
+        assert.equal(overdue.goal_title, 'Grow revenue');
+        assert.deepEqual(await goalService.getOverdueSteps(userProfile.user_id), []);
+    });
+
+    it('reports step and metric progress', async () => {
+        const goal = await goalService.createGoal(userProfile, { title: 'Grow revenue', target_metric: 'revenue', target_value: 80000 });
+        await goalService.updateStep(userProfile.user_id, goal.id, goal.steps[0].id, { status: 'done' });
+        await goalService.updateStep(userProfile.user_id, goal.id, goal.steps[1].id, { status: 'skipped' });
+
+        const progress = await goalService.getProgress(userProfile.user_id);
+        assert.equal(progress.active, 1);
+        assert.equal(progress.goals[0].step_progress_pct, 100);
+        assert.equal(progress.goals[0].metric_progress_pct, 100);
+
+        assert.equal(goalService.metricProgress({ target_value: 100, baseline_value: 50 }, 75), 50);
+        assert.equal(goalService.metricProgress({ target_value: 100, baseline_value: 50 }, 20), 0);
+    });
+
+    it('answers 404 for another owner\'s goal', async () => {
+        const goal = await goalService.createGoal(userProfile, { title: 'Grow revenue' });
+        const other = await repository.insert('user_profiles', { mobile_number: '9123456789' });
+
+        await assert.rejects(goalService.updateGoal(other.user_id, goal.id, { status: 'completed' }), { status: 404 });
+        const updated = await goalService.updateGoal(userProfile.user_id, goal.id, { status: 'completed' });
+        assert.ok(updated.completed_at);
+    });
+
+    it('applies the target rules to updates and rebases on a new metric', async () => {
+        const goal = await goalService.createGoal(userProfile, { title: 'Grow revenue' });
+
+        await assert.rejects(goalService.updateGoal(userProfile.user_id, goal.id, { target_metric: 'revenue' }),
+            /target_value is required/);
+        const updated = await goalService.updateGoal(userProfile.user_id, goal.id, { target_metric: 'revenue', target_value: 100000 });
+        assert.equal(updated.baseline_value, 80000);
+    });
+
+    describe('past the monthly LLM budget', () => {
+        beforeEach(() => {
+            goalService.aiService.usageTracker = { getBudgetStatus: async () => 'exceeded' };
+        });
+
+        it('creates goals without a plan and refuses to replan', async () => {
+            const goal = await goalService.createGoal(userProfile, { title: 'Grow revenue' });
+
+            assert.deepEqual(goal.steps, []);
+            await assert.rejects(goalService.planGoal(userProfile, goal), { status: 429 });
+        });
+    });
+});
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+// Column defaults from /migrations for the tables the tests write to; every table
+// also gets an id and created_at
+const TABLE_DEFAULTS = {
+    user_profiles: () => ({
+        user_id: crypto.randomUUID(),
+        language_pref: 'Hinglish',
+        peak_hours: [], peak_days: [], top_products: [], staff_roles: [], payment_methods: [],
+        ad_channels: [], platforms_used: [], past_campaigns: [], goals: [], challenges: [],
+        profile_completion_score: 0,
+        nudges_opt_out: false,
+        quiet_hours_start: null,
+        quiet_hours_end: null,
+        updated_at: new Date().toISOString()
+    }),
+    conversation_logs: () => ({
+        extracted_info: {}, profile_updates: [], pending_extraction: null, session_id: null, topics: [], sentiment: null, acted_on_suggestion: false
+    }),
+    profile_changes: () => ({ conversation_log_id: null, reverts_change_id: null, reverted_at: null }),
+    pending_profile_updates: () => ({ confidence: null, conversation_log_id: null, status: 'pending', resolved_at: null }),
+    business_goals: () => ({
+        target_metric: null, target_value: null, baseline_value: null, deadline: null, status: 'active', source: 'user',
+        updated_at: new Date().toISOString(), completed_at: null
+    }),
+    goal_steps: () => ({ due_date: null, status: 'pending', last_reminded_at: null, completed_at: null }),
+    nudges: () => ({
+        kind: 'festival_campaign', festival_id: null, occasion_date: null, status: 'queued', channel: null,
+        scheduled_for: new Date().toISOString(), attempts: 0, last_error: null, sent_at: null
+    }),
+    kb_documents: () => ({ url: null, chunk_count: 0, updated_at: new Date().toISOString() }),
+    kb_chunks: () => ({ heading: null }),
+    marketing_drafts: () => ({ brief: null, festival_id: null, updated_at: new Date().toISOString() }),
+    ledger_entries: () => ({ payment_method: null, party: null, description: null, conversation_log_id: null }),
+    inventory_items: () => ({
+        unit: null, quantity: 0, cost_price: null, selling_price: null, reorder_level: null, supplier: null,
+        updated_at: new Date().toISOString()
+    })
+};
+
+// Sort key for a column; missing values sort first, like NULLS FIRST
+const sortKey = (row, column) => row[column] ?? '';
+
+const COMPARE = {
+    eq: (a, b) => a === b,
+    neq: (a, b) => (b === null ? a !== null && a !== undefined : a !== b),
+    gt: (a, b) => a > b,
+    gte: (a, b) => a >= b,
+    lt: (a, b) => a < b,
+    lte: (a, b) => a <= b,
+    in: (a, b) => b.includes(a)
+};
+
+// In-memory stand-in for the storage repositories (see src/storage/index.js for the interface).
+// rpc calls are recorded and answered with [] unless a handler is given for the function.
+class MemoryRepository {
+    constructor({ rpc = {} } = {}) {
+        this.name = 'memory';
+        this.tables = {};
+        this.rpcHandlers = rpc;
+        this.rpcCalls = [];
+    }
+
+    rows(table) {
+        this.tables[table] = this.tables[table] || [];
+        return this.tables[table];
+    }
+
+    matches(row, filters = {}) {
+        return Object.entries(filters).every(([column, condition]) => {
+            const value = row[column] === undefined ? null : row[column];
+            if (condition === null) return value === null;
+            if (typeof condition === 'object' && !Array.isArray(condition) && !(condition instanceof Date)) {
+                return Object.entries(condition).every(([op, expected]) => {
+                    if (!COMPARE[op]) throw new Error(`Unsupported filter operator: ${op}`);
+                    return COMPARE[op](value, expected);
+                });
+            }
+            return value === condition;
+        });
+    }
+
+    pick(row, columns) {
+        const copy = structuredClone(row);
+        if (!columns || columns === '*') return copy;
+        return Object.fromEntries(columns.split(',').map(column => [column.trim(), copy[column.trim()] ?? null]));
+    }
+
+    async findOne(table, filters, { columns = '*' } = {}) {
+        const row = this.rows(table).find(candidate => this.matches(candidate, filters));
+        return row ? this.pick(row, columns) : null;
+    }
+
+    async findMany(table, { filters, columns = '*', orderBy, ascending = true, limit } = {}) {
+        let rows = this.rows(table).filter(row => this.matches(row, filters));
+        if (orderBy) {
+            rows = [...rows].sort((a, b) => {
+                const [x, y] = [sortKey(a, orderBy), sortKey(b, orderBy)];
+                return x < y ? -1 : x > y ? 1 : 0;
+            });
+            if (!ascending) rows.reverse();
+        }
+        if (limit) rows = rows.slice(0, limit);
+        return rows.map(row => this.pick(row, columns));
+    }
+
+    async insert(table, row) {
+        const defaults = TABLE_DEFAULTS[table] ? TABLE_DEFAULTS[table]() : {};
+        const stored = { id: crypto.randomUUID(), ...defaults, created_at: new Date().toISOString(), ...structuredClone(row) };
+        this.rows(table).push(stored);
+        return this.pick(stored);
+    }
+
+    async update(table, filters, patch) {
+        const rows = this.rows(table).filter(row => this.matches(row, filters));
+        for (const row of rows) Object.assign(row, structuredClone(patch));
+        return rows.length > 0 ? this.pick(rows[0]) : null;
+    }
+
+    async remove(table, filters) {
+        const kept = this.rows(table).filter(row => !this.matches(row, filters));
+        const removed = this.rows(table).length - kept.length;
+        this.tables[table] = kept;
+        return removed;
+    }
+
+    async rpc(fn, params = {}) {
+        this.rpcCalls.push({ fn, params });
+        return this.rpcHandlers[fn] ? this.rpcHandlers[fn](params) : [];
+    }
+}
+
+module.exports = MemoryRepository;
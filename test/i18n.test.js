@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectLanguage, normalizeLanguage, promptInstruction, t } = require('../src/i18n');
+
+describe('detectLanguage', () => {
+    it('reads the script first', () => {
+        assert.equal(detectLanguage('என் கடையில் விற்பனை குறைவு').language, 'Tamil');
+        assert.equal(detectLanguage('मेरी दुकान में बिक्री कम है').language, 'Hindi');
+        assert.equal(detectLanguage('माझी दुकान आहे आणि मला मदत हवी').language, 'Marathi');
+    });
+
+    it('tells Hinglish from English by function words', () => {
+        assert.equal(detectLanguage('meri dukaan mein sale kam hai').language, 'Hinglish');
+        assert.equal(detectLanguage('How can I grow my business?').language, 'English');
+    });
+
+    it('gives up on short or unknown text', () => {
+        assert.equal(detectLanguage('ok'), null);
+        assert.equal(detectLanguage('haan ji'), null);
+        assert.equal(detectLanguage('zzz qqq xxx'), null);
+        assert.equal(detectLanguage(null), null);
+    });
+});
+
+describe('localized strings', () => {
+    it('falls back to the default language and to English', () => {
+        assert.equal(normalizeLanguage('Klingon'), 'Hinglish');
+        assert.equal(t('Tamil', 'ask_business_type'), 'உங்கள் தொழில் பற்றி சொல்லுங்கள்');
+        assert.equal(t('Klingon', 'ask_business_type'), 'Apne business ke baare mein bataiye');
+        assert.equal(t('English', 'no_such_key'), 'no_such_key');
+        assert.match(promptInstruction('Hindi'), /Devanagari/);
+    });
+});
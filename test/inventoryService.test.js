@@ -0,0 +1,132 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const InventoryService = require('../src/inventoryService');
+const MemoryRepository = require('./helpers/memoryRepository');
+
+const USER = 'user-1';
+
+describe('InventoryService', () => {
+    let repository;
+    let inventory;
+
+    const addItem = input => inventory.createItem(USER, input);
+
+    beforeEach(() => {
+        repository = new MemoryRepository();
+        inventory = new InventoryService(repository);
+    });
+
+    describe('marginOf', () => {
+        it('gives the margin per unit and as a share of the selling price', () => {
+            assert.deepEqual(inventory.marginOf({ cost_price: 80, selling_price: 100 }), { per_unit: 20, pct: 20, status: 'ok' });
+            assert.deepEqual(inventory.marginOf({ cost_price: 95, selling_price: 100 }), { per_unit: 5, pct: 5, status: 'thin' });
+            assert.deepEqual(inventory.marginOf({ cost_price: 12, selling_price: 10 }), { per_unit: -2, pct: -20, status: 'loss' });
+        });
+
+        it('is null without both prices', () => {
+            assert.equal(inventory.marginOf({ cost_price: null, selling_price: 100 }), null);
+            assert.equal(inventory.marginOf({ cost_price: 10, selling_price: 0 }), null);
+        });
+    });
+
+    describe('nextQuantity', () => {
+        it('adds restocks, takes sales away without going negative and sets counts', () => {
+            assert.equal(inventory.nextQuantity(10, 'restock', 5), 15);
+            assert.equal(inventory.nextQuantity(10, 'sold', 4), 6);
+            assert.equal(inventory.nextQuantity(3, 'sold', 4), 0);
+            assert.equal(inventory.nextQuantity(10, 'count', 2), 2);
+        });
+    });
+
+    describe('validateItem', () => {
+        it('reads stock counts as plain numbers and prices with shorthand', () => {
+            assert.deepEqual(
+                inventory.validateItem({ name: ' Doodh ', quantity: '2 l', reorder_level: '5 k', cost_price: '1.5k', selling_price: 60 }),
+                { name: 'Doodh', quantity: 2, reorder_level: 5, cost_price: 1500, selling_price: 60 }
+            );
+        });
+
+        it('rejects unknown fields, missing names and negative numbers', () => {
+            assert.throws(() => inventory.validateItem({ colour: 'red', quantity: -1 }), error => {
+                assert.equal(error.status, 400);
+                assert.deepEqual(error.details.map(problem => problem.field), ['colour', 'name', 'quantity']);
+                return true;
+            });
+        });
+    });
+
+    describe('applyUpdates', () => {
+        it('creates unknown items, matches known ones by name and logs each movement', async () => {
+            await addItem({ name: 'Maggi Noodles', quantity: 4 });
+
+            const applied = await inventory.applyUpdates(USER, [
+                { item: 'maggi noodles', action: 'restock', quantity: 10, unit: null, cost_price: 12, selling_price: null, reorder_level: null, supplier: null },
+                { item: 'Parle G', action: 'count', quantity: 30, unit: 'packet', cost_price: null, selling_price: null, reorder_level: 10, supplier: null }
+            ]);
+
+            assert.deepEqual(applied.map(update => [update.item.name, update.item.quantity, update.change]), [['Maggi Noodles', 14, 10], ['Parle G', 30, 30]]);
+            assert.equal(applied[0].item.cost_price, 12);
+            assert.equal((await repository.findMany('inventory_items', {})).length, 2);
+            const movements = await repository.findMany('inventory_movements', {});
+            assert.deepEqual(movements.map(movement => [movement.action, movement.change, movement.quantity_after]), [['count', 4, 4], ['restock', 10, 14], ['count', 30, 30]]);
+        });
+
+        it('previews updates without storing them', async () => {
+            await addItem({ name: 'Maggi', quantity: 4, reorder_level: 5 });
+            const pending = [{ item: 'maggi', action: 'restock', quantity: 10, unit: null, cost_price: null, selling_price: null, reorder_level: null, supplier: null }];
+
+            const items = await inventory.listItems(USER, {}, { pending });
+
+            assert.equal(items[0].quantity, 14);
+            assert.equal(items[0].low_stock, false);
+            assert.equal((await inventory.listItems(USER))[0].quantity, 4);
+        });
+    });
+
+    describe('getReorderList', () => {
+        it('orders low items back up to twice their reorder level, grouped by supplier', async () => {
+            await addItem({ name: 'Maggi', quantity: 3, reorder_level: 10, cost_price: 12, supplier: 'Sharma Traders' });
+            await addItem({ name: 'Parle G', quantity: 0, reorder_level: 20, cost_price: 5, supplier: 'sharma traders' });
+            await addItem({ name: 'Soap', quantity: 2, reorder_level: 4 });
+            await addItem({ name: 'Rice', quantity: 50, reorder_level: 10, cost_price: 40 });
+            await addItem({ name: 'Salt', quantity: 0 });
+
+            const list = await inventory.getReorderList(USER, { top_products: ['Parle G'], supplier_name: null });
+
+            assert.equal(list.low_stock_count, 4);
+            const [sharma, unnamed] = list.suppliers;
+            assert.equal(sharma.supplier, 'Sharma Traders');
+            assert.deepEqual(sharma.items.map(item => [item.name, item.suggested_quantity, item.estimated_cost]), [['Parle G', 40, 200], ['Maggi', 17, 204]]);
+            assert.equal(sharma.estimated_cost, 404);
+            assert.equal(unnamed.supplier, null);
+            assert.deepEqual(unnamed.items.map(item => [item.name, item.suggested_quantity, item.estimated_cost]), [['Salt', null, null], ['Soap', 6, null]]);
+        });
+
+        it("falls back to the profile's supplier", async () => {
+            await addItem({ name: 'Maggi', quantity: 0 });
+
+            const list = await inventory.getReorderList(USER, { inventory_source: 'Udaan' });
+
+            assert.equal(list.suppliers[0].supplier, 'Udaan');
+        });
+    });
+
+    describe('getMarginAnalysis', () => {
+        it('averages margins, values the stock and lists the thinnest first', async () => {
+            await addItem({ name: 'Maggi', quantity: 10, cost_price: 12, selling_price: 14 });
+            await addItem({ name: 'Soap', quantity: 5, cost_price: 30, selling_price: 40 });
+            await addItem({ name: 'Oil', quantity: 2, cost_price: 150, selling_price: 140 });
+            await addItem({ name: 'Salt', quantity: 4 });
+
+            const analysis = await inventory.getMarginAnalysis(USER, { pricing_model: 'fixed' });
+
+            assert.equal(analysis.pricing_model, 'fixed');
+            assert.deepEqual(analysis.items.map(item => [item.name, item.pct, item.status]), [['Oil', -7.1, 'loss'], ['Maggi', 14.3, 'ok'], ['Soap', 25, 'ok']]);
+            assert.equal(analysis.average_margin_pct, 10.7);
+            assert.equal(analysis.stock_value_at_cost, 120 + 150 + 300);
+            assert.equal(analysis.stock_value_at_price, 140 + 200 + 280);
+            assert.deepEqual(analysis.missing_prices, ['Salt']);
+        });
+    });
+});
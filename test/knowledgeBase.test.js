@@ -0,0 +1,138 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const KnowledgeBase = require('../src/knowledgeBase');
+const MemoryRepository = require('./helpers/memoryRepository');
+
+const DOCUMENT = `---
+title: Mudra loans
+url: https://www.mudra.org.in
+---
+# Mudra loans
+
+Collateral-free loans for small businesses.
+
+## Categories
+
+### Shishu
+
+Up to ₹50,000.
+
+### Tarun
+
+₹5 lakh to ₹10 lakh.
+`;
+
+describe('KnowledgeBase chunking', () => {
+    const knowledgeBase = new KnowledgeBase(new MemoryRepository(), null);
+
+    it('keeps front matter and the heading path of each chunk', async () => {
+        const { title, url, chunks } = await knowledgeBase.parseDocument(Buffer.from(DOCUMENT), 'mudra-loans.md');
+
+        assert.equal(title, 'Mudra loans');
+        assert.equal(url, 'https://www.mudra.org.in');
+        assert.deepEqual(chunks.map(chunk => [chunk.heading, chunk.content]), [
+            [null, 'Collateral-free loans for small businesses.'],
+            ['Categories > Shishu', 'Up to ₹50,000.'],
+            ['Categories > Tarun', '₹5 lakh to ₹10 lakh.']
+        ]);
+    });
+
+    it('takes the title from the first heading or the file name', async () => {
+        assert.equal((await knowledgeBase.parseDocument(Buffer.from('# GST\n\nText'), 'x.md')).title, 'GST');
+        assert.equal((await knowledgeBase.parseDocument(Buffer.from('Text'), 'udyam_registration.md')).title, 'udyam registration');
+        await assert.rejects(knowledgeBase.parseDocument(Buffer.from('Text'), 'notes.txt'), { status: 400 });
+    });
+
+    it('packs paragraphs into chunks and splits long ones at sentences', () => {
+        const sentence = 'This sentence is exactly fifty characters long ok. ';
+        const chunks = knowledgeBase.packParagraphs(`Short intro.\n\n${sentence.repeat(40)}`);
+
+        assert.ok(chunks.length > 1);
+        assert.ok(chunks.every(chunk => chunk.length <= 1200));
+        assert.ok(chunks[0].startsWith('Short intro.\n\n'));
+        assert.equal(chunks.join(' ').split('fifty').length - 1, 40);
+    });
+});
+
+describe('KnowledgeBase ingest and retrieval', () => {
+    let repository;
+    let aiService;
+    let knowledgeBase;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+        repository = new MemoryRepository();
+        aiService = { embed: mock.fn(async texts => texts.map(() => [0.1, 0.2])) };
+        knowledgeBase = new KnowledgeBase(repository, aiService);
+    });
+
+    it('adds a document, skips it when unchanged and replaces its chunks when edited', async () => {
+        assert.deepEqual(await knowledgeBase.ingest(Buffer.from(DOCUMENT), 'mudra-loans.md'),
+            { source: 'mudra-loans.md', status: 'added', chunks: 3 });
+        assert.deepEqual(await knowledgeBase.ingest(Buffer.from(DOCUMENT), 'mudra-loans.md'),
+            { source: 'mudra-loans.md', status: 'unchanged', chunks: 3 });
+
+        const edited = DOCUMENT.replace('### Tarun\n\n₹5 lakh to ₹10 lakh.\n', '');
+        assert.equal((await knowledgeBase.ingest(Buffer.from(edited), 'mudra-loans.md')).status, 'updated');
+
+        const [document] = await repository.findMany('kb_documents', {});
+        const chunks = await repository.findMany('kb_chunks', { orderBy: 'position' });
+        assert.equal(document.chunk_count, 2);
+        assert.deepEqual(chunks.map(chunk => [chunk.document_id, chunk.position]), [[document.id, 0], [document.id, 1]]);
+        assert.equal(aiService.embed.mock.calls[0].arguments[0][1], 'Mudra loans\nCategories > Shishu\nUp to ₹50,000.');
+    });
+
+    it('leaves the stored version alone when embedding fails', async () => {
+        await knowledgeBase.ingest(Buffer.from(DOCUMENT), 'mudra-loans.md');
+        aiService.embed = async () => { throw new Error('embeddings down'); };
+
+        await assert.rejects(knowledgeBase.ingest(Buffer.from(`${DOCUMENT}\nMore.`), 'mudra-loans.md'), /embeddings down/);
+        assert.equal((await repository.findMany('kb_chunks', {})).length, 3);
+        await assert.rejects(knowledgeBase.ingest(Buffer.from('---\ntitle: Empty\n---\n'), 'empty.md'), /No text found/);
+    });
+
+    it('redoes a document whose chunks were not all written', async () => {
+        const insert = repository.insert;
+        let chunksWritten = 0;
+        repository.insert = async function (table, row) {
+            if (table === 'kb_chunks' && ++chunksWritten === 2) throw new Error('connection lost');
+            return insert.call(this, table, row);
+        };
+        await assert.rejects(knowledgeBase.ingest(Buffer.from(DOCUMENT), 'mudra-loans.md'), /connection lost/);
+        repository.insert = insert;
+
+        const [document] = await repository.findMany('kb_documents', {});
+        assert.equal(document.chunk_count, 0);
+        assert.deepEqual(await knowledgeBase.ingest(Buffer.from(DOCUMENT), 'mudra-loans.md'),
+            { source: 'mudra-loans.md', status: 'updated', chunks: 3 });
+        assert.equal((await repository.findMany('kb_chunks', {})).length, 3);
+    });
+
+    it('retrieves numbered passages and skips greetings', async () => {
+        repository.rpcHandlers.match_kb_chunks = () => [
+            { id: 'c1', document_id: 'd1', title: 'Mudra loans', source: 'mudra-loans.md', heading: 'Tarun', content: '...', similarity: '0.81234' }
+        ];
+
+        assert.deepEqual(await knowledgeBase.retrieve('hi'), []);
+        const [passage] = await knowledgeBase.retrieve('How do I get a Mudra loan?');
+        assert.deepEqual([passage.ref, passage.title, passage.similarity], [1, 'Mudra loans', 0.812]);
+        assert.equal(repository.rpcCalls[0].params.p_query_embedding.length, 2);
+    });
+
+    it('only looks up questions and messages about documented topics', () => {
+        assert.equal(knowledgeBase.isKnowledgeQuery('How do I get a Mudra loan?'), true);
+        assert.equal(knowledgeBase.isKnowledgeQuery('GST registration ke liye kya chahiye'), true);
+        assert.equal(knowledgeBase.isKnowledgeQuery('मुझे लोन के बारे में बताओ'), true);
+        assert.equal(knowledgeBase.isKnowledgeQuery('aaj 4500 ki sale hui'), false);
+        assert.equal(knowledgeBase.isKnowledgeQuery('20 packet Maggi aaye'), false);
+        assert.equal(knowledgeBase.isKnowledgeQuery('what?'), false);
+    });
+
+    it('answers 404 when removing a missing or malformed document', async () => {
+        await assert.rejects(knowledgeBase.removeDocument('00000000-0000-4000-8000-000000000000'), { status: 404 });
+        await assert.rejects(knowledgeBase.removeDocument('not-a-uuid'), { status: 404 });
+        await assert.rejects(knowledgeBase.removeDocument(undefined), { status: 404 });
+    });
+});
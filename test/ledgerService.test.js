@@ -0,0 +1,159 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const LedgerService = require('../src/ledgerService');
+const MemoryRepository = require('./helpers/memoryRepository');
+const { today, addDays } = require('../src/dateUtils');
+
+const USER = 'user-1';
+
+describe('LedgerService', () => {
+    let repository;
+    let ledger;
+
+    // Store entries as validateLedgerEntries would hand them over
+    const record = (...entries) => ledger.recordEntries(USER, entries.map(entry => ({
+        payment_method: null, party: null, description: null, entry_date: today(), ...entry
+    })), { source: 'user' });
+
+    beforeEach(() => {
+        repository = new MemoryRepository();
+        ledger = new LedgerService(repository);
+    });
+
+    describe('periodRange', () => {
+        it('spans a single day', () => {
+            assert.deepEqual(ledger.periodRange('day', '2026-03-18'), { from: '2026-03-18', to: '2026-03-18' });
+        });
+
+        it('spans Monday to Sunday for weeks', () => {
+            assert.deepEqual(ledger.periodRange('week', '2026-03-18'), { from: '2026-03-16', to: '2026-03-22' });
+            assert.deepEqual(ledger.periodRange('week', '2026-03-22'), { from: '2026-03-16', to: '2026-03-22' });
+            assert.deepEqual(ledger.periodRange('week', '2026-03-01'), { from: '2026-02-23', to: '2026-03-01' });
+        });
+
+        it('spans the calendar month, leap years included', () => {
+            assert.deepEqual(ledger.periodRange('month', '2028-02-10'), { from: '2028-02-01', to: '2028-02-29' });
+            assert.deepEqual(ledger.periodRange('month', '2026-12-31'), { from: '2026-12-01', to: '2026-12-31' });
+        });
+    });
+
+    describe('getSummary', () => {
+        it('totals the period against the one before, with a daily breakdown', async () => {
+            await record(
+                { entry_type: 'sale', amount: 1000, payment_method: 'upi', entry_date: '2026-03-16' },
+                { entry_type: 'sale', amount: 500, payment_method: 'cash', entry_date: '2026-03-18' },
+                { entry_type: 'expense', amount: 300, entry_date: '2026-03-18' },
+                { entry_type: 'sale', amount: 700, entry_date: '2026-03-10' }
+            );
+
+            const summary = await ledger.getSummary(USER, { period: 'week', date: '2026-03-18' });
+
+            assert.equal(summary.sales, 1500);
+            assert.equal(summary.expenses, 300);
+            assert.equal(summary.net, 1200);
+            assert.deepEqual(summary.sales_by_payment_method, { upi: 1000, cash: 500 });
+            assert.deepEqual(summary.previous, { from: '2026-03-09', to: '2026-03-15', sales: 700, expenses: 0, net: 700 });
+            assert.deepEqual(summary.daily, [
+                { date: '2026-03-16', sales: 1000, expenses: 0 },
+                { date: '2026-03-18', sales: 500, expenses: 300 }
+            ]);
+        });
+
+        it('counts pending entries that are not stored yet', async () => {
+            await record({ entry_type: 'sale', amount: 1000, entry_date: '2026-03-18' });
+
+            const summary = await ledger.getSummary(USER, {
+                period: 'day',
+                date: '2026-03-18',
+                pending: [{ entry_type: 'sale', amount: 250, entry_date: '2026-03-18' }, { entry_type: 'sale', amount: 99, entry_date: '2026-03-01' }]
+            });
+
+            assert.equal(summary.sales, 1250);
+        });
+
+        it('rejects unknown periods and dates', async () => {
+            await assert.rejects(ledger.getSummary(USER, { period: 'year' }), { status: 400 });
+            await assert.rejects(ledger.getSummary(USER, { date: '2026-02-30' }), { status: 400 });
+        });
+    });
+
+    describe('getOutstandingCredit', () => {
+        it('nets udhaar per party and starts afresh once settled', async () => {
+            await record(
+                { entry_type: 'credit_given', amount: 500, party: 'Gupta ji', entry_date: addDays(today(), -10) },
+                { entry_type: 'credit_received', amount: 200, party: 'gupta ji', entry_date: addDays(today(), -5) },
+                { entry_type: 'credit_given', amount: 100, party: 'Ramesh', entry_date: addDays(today(), -8) },
+                { entry_type: 'credit_received', amount: 100, party: 'Ramesh', entry_date: addDays(today(), -2) },
+                { entry_type: 'credit_taken', amount: 2000, party: 'Wholesaler', entry_date: addDays(today(), -3) }
+            );
+
+            const credit = await ledger.getOutstandingCredit(USER);
+
+            assert.deepEqual(credit.receivable, {
+                total: 300,
+                parties: [{ party: 'Gupta ji', amount: 300, since: addDays(today(), -10), days_outstanding: 10 }]
+            });
+            assert.equal(credit.payable.total, 2000);
+        });
+    });
+
+    describe('estimateMonthlyRevenue', () => {
+        const dailySales = (days, amount) => record(...Array.from({ length: days }, (_, i) => ({
+            entry_type: 'sale', amount, entry_date: addDays(today(), -i)
+        })));
+
+        it('waits until sales are logged on enough days', async () => {
+            await dailySales(6, 1000);
+            assert.equal(await ledger.estimateMonthlyRevenue(USER), null);
+        });
+
+        it('projects sales per day since logging started over 30 days', async () => {
+            await dailySales(10, 1000);
+
+            const estimate = await ledger.estimateMonthlyRevenue(USER);
+
+            assert.equal(estimate.value, 30000);
+            assert.equal(estimate.days_logged, 10);
+            assert.equal(estimate.from, addDays(today(), -9));
+        });
+
+        it('counts days without a logged sale as zero', async () => {
+            await dailySales(7, 3000);
+            await record({ entry_type: 'expense', amount: 100, entry_date: addDays(today(), -20) });
+
+            const estimate = await ledger.estimateMonthlyRevenue(USER);
+
+            // 21000 over the 21 days since the first entry
+            assert.equal(estimate.value, 30000);
+            assert.equal(estimate.from, addDays(today(), -20));
+        });
+
+        it('looks back at most 30 days', async () => {
+            await dailySales(7, 1000);
+            await record({ entry_type: 'sale', amount: 50000, entry_date: addDays(today(), -45) });
+
+            const estimate = await ledger.estimateMonthlyRevenue(USER);
+
+            assert.equal(estimate.from, addDays(today(), -29));
+            assert.equal(estimate.value, 7000);
+        });
+    });
+
+    describe('syncMonthlyRevenue', () => {
+        it('rewrites monthly_revenue only when the estimate moves enough', async () => {
+            const updates = [];
+            ledger = new LedgerService(repository, {
+                updateProfile: async (user_id, fields) => {
+                    updates.push(fields);
+                    return { user_id, ...fields };
+                }
+            });
+            await record(...Array.from({ length: 10 }, (_, i) => ({ entry_type: 'sale', amount: 1000, entry_date: addDays(today(), -i) })));
+
+            assert.equal(await ledger.syncMonthlyRevenue({ user_id: USER, monthly_revenue: 29000 }), null);
+            assert.deepEqual(await ledger.syncMonthlyRevenue({ user_id: USER, monthly_revenue: 50000 }), { user_id: USER, monthly_revenue: 30000 });
+            assert.deepEqual(updates, [{ monthly_revenue: 30000 }]);
+        });
+    });
+});
@@ -0,0 +1,69 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MetricsService = require('../src/metricsService');
+const MemoryRepository = require('./helpers/memoryRepository');
+
+describe('MetricsService', () => {
+    let repository;
+    let metricsService;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        repository = new MemoryRepository();
+        metricsService = new MetricsService(repository);
+    });
+
+    // Observations dated `monthsBack` months before this month
+    async function observe(metric, value, period, monthsBack, day = 5) {
+        const [year, month] = metricsService.monthStart(monthsBack).split('-');
+        await metricsService.recordObservations('u1', [{ metric, value, period, observed_on: `${year}-${month}-0${day}` }]);
+    }
+
+    it('scales day and week figures to a month and averages within it', async () => {
+        await observe('revenue', 3000, 'day', 0);
+        await observe('revenue', 70000, 'month', 0, 8);
+        await observe('avg_ticket', 250, 'day', 0);
+
+        const series = await metricsService.getMonthlySeries('u1');
+        assert.deepEqual(series.revenue.map(point => [point.value, point.observations]), [[80000, 2]]);
+        assert.equal(series.avg_ticket[0].value, 250);
+    });
+
+    it('compares the latest month with the one before', async () => {
+        await observe('revenue', 100000, 'month', 1);
+        await observe('revenue', 80000, 'month', 0);
+        await observe('footfall', 700, 'week', 1);
+        await observe('footfall', 102, 'day', 0);
+        await observe('orders', 40, 'month', 0);
+
+        const trends = await metricsService.getTrendSummary('u1');
+        assert.deepEqual(trends.map(trend => [trend.metric, trend.change_pct, trend.direction]), [
+            ['revenue', -20, 'down'],
+            ['footfall', 2, 'flat'],
+            ['orders', null, 'unknown']
+        ]);
+        assert.equal(trends[0].previous_value, 100000);
+    });
+
+    it('ties stored observations to their message', async () => {
+        const [row] = await metricsService.recordObservations('u1',
+            [{ metric: 'orders', value: 12, period: 'day', observed_on: '2026-03-01' }],
+            { conversation_log_id: 'log-1' });
+
+        assert.equal(row.source, 'ai');
+        assert.equal(row.conversation_log_id, 'log-1');
+    });
+
+    it('counts pending observations in trends without storing them', async () => {
+        await observe('revenue', 100000, 'month', 1);
+        const [year, month] = metricsService.monthStart(0).split('-');
+
+        const [trend] = await metricsService.getTrendSummary('u1', 6, {
+            pending: [{ metric: 'revenue', value: 120000, period: 'month', observed_on: `${year}-${month}-02` }]
+        });
+
+        assert.deepEqual([trend.value, trend.change_pct, trend.direction], [120000, 20, 'up']);
+        assert.equal((await repository.findMany('business_metrics', {})).length, 1);
+    });
+});
@@ -0,0 +1,176 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Quiet hours are checked in India time; pin the defaults these tests assume
+process.env.NUDGE_QUIET_HOURS = '21-9';
+process.env.NUDGE_TIMEZONE = 'Asia/Kolkata';
+
+const NudgeScheduler = require('../src/nudgeScheduler');
+const { parseQuietHours } = require('../src/nudgeScheduler');
+const FestivalCalendar = require('../src/festivalCalendar');
+const MemoryRepository = require('./helpers/memoryRepository');
+
+// A UTC instant for an India time on 19 Oct 2026 (IST is UTC+5:30)
+const ist = (hour, minute = 0) => new Date(Date.UTC(2026, 9, 19, hour, minute) - 330 * 60 * 1000);
+
+const FESTIVALS = [
+    {
+        id: 'diwali', name: 'Diwali', regions: ['all'], business_types: ['all'], lead_days: 21,
+        ideas: 'Gift packs', dates: [{ start: '2026-11-08' }]
+    },
+    {
+        id: 'onam', name: 'Onam', regions: ['Kerala'], business_types: ['all'], lead_days: 21,
+        ideas: 'Sadya', dates: [{ start: '2026-10-25' }]
+    },
+    {
+        id: 'karwa_chauth', name: 'Karwa Chauth', regions: ['all'], business_types: ['salon', 'jewel'], lead_days: 10,
+        ideas: 'Mehendi', dates: [{ start: '2026-10-29' }]
+    }
+];
+const CITIES = { Kochi: { state: 'Kerala' }, Kanpur: { state: 'Uttar Pradesh' } };
+
+describe('FestivalCalendar', () => {
+    const calendar = new FestivalCalendar(FESTIVALS, CITIES);
+
+    it('keeps festivals celebrated where the business is and relevant to it', () => {
+        const names = profile => calendar.upcomingFor(profile, { from: '2026-10-19' }).map(festival => festival.id);
+
+        assert.deepEqual(names({ business_type: 'salon', location_city: 'kochi' }), ['onam', 'karwa_chauth', 'diwali']);
+        assert.deepEqual(names({ business_type: 'kirana', location_city: 'Kanpur' }), ['diwali']);
+        assert.deepEqual(names({ business_type: 'kirana' }), ['diwali']);
+    });
+
+    it('opens the campaign window lead_days before the start', () => {
+        const window = calendar.campaignWindowFor({ business_type: 'salon' }, { from: '2026-10-19' });
+        assert.deepEqual(window.map(festival => [festival.id, festival.days_until]), [['karwa_chauth', 10], ['diwali', 20]]);
+    });
+});
+
+describe('NudgeScheduler', () => {
+    let repository;
+    let channel;
+    let scheduler;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+        repository = new MemoryRepository();
+        channel = { name: 'test', send: mock.fn(async () => {}) };
+        const aiService = { generateCampaignSuggestion: async festival => `${festival.name} offer idea` };
+        scheduler = new NudgeScheduler({ repository, aiService, calendar: new FestivalCalendar(FESTIVALS, CITIES), channel });
+    });
+
+    it('plans each festival once and skips owners who opted out', async () => {
+        await repository.insert('user_profiles', { mobile_number: '9876543210', business_type: 'kirana' });
+        await repository.insert('user_profiles', { mobile_number: '9123456789', business_type: 'kirana', nudges_opt_out: true });
+        await repository.insert('user_profiles', { mobile_number: '9000000000' });
+
+        assert.equal(await scheduler.planCampaigns(ist(10)), 1);
+        assert.equal(await scheduler.planCampaigns(ist(11)), 0);
+
+        const [nudge] = await repository.findMany('nudges', {});
+        assert.deepEqual([nudge.festival_id, nudge.occasion_date, nudge.message], ['diwali', '2026-11-08', 'Diwali offer idea']);
+    });
+
+    it('reads owners a page at a time and caps the suggestions generated per run', async () => {
+        for (const mobile_number of ['9000000001', '9000000002', '9000000003', '9000000004', '9000000005']) {
+            await repository.insert('user_profiles', { mobile_number, business_type: 'kirana' });
+        }
+        scheduler.profilePage = 2;
+        scheduler.maxSuggestionsPerRun = 3;
+        mock.method(repository, 'findMany');
+        mock.method(console, 'warn', () => {});
+
+        assert.equal(await scheduler.planCampaigns(ist(10)), 3);
+        assert.equal(console.warn.mock.callCount(), 1);
+        const pages = repository.findMany.mock.calls.map(call => call.arguments[1]);
+        assert.deepEqual(pages.map(page => [page.orderBy, page.limit]), [['user_id', 2], ['user_id', 2]]);
+        const ids = (await repository.findMany('user_profiles', {})).map(user => user.user_id).sort();
+        assert.deepEqual(pages[1].filters.user_id, { gt: ids[1] });
+
+        // The owners left over are planned on the next run
+        assert.equal(await scheduler.planCampaigns(ist(11)), 2);
+        assert.equal((await repository.findMany('nudges', {})).length, 5);
+    });
+
+    it('sends due nudges, holding them through quiet hours', async () => {
+        const owner = await repository.insert('user_profiles', { mobile_number: '9876543210', business_type: 'kirana' });
+        const nudge = await repository.insert('nudges', { user_id: owner.user_id, message: 'Hi', scheduled_for: ist(8).toISOString() });
+
+        assert.equal(await scheduler.deliverDue(ist(8, 30)), 0);
+        assert.equal((await repository.findOne('nudges', { id: nudge.id })).scheduled_for, ist(9).toISOString());
+
+        assert.equal(await scheduler.deliverDue(ist(9)), 1);
+        const sent = await repository.findOne('nudges', { id: nudge.id });
+        assert.deepEqual([sent.status, sent.channel, sent.attempts], ['sent', 'test', 1]);
+        assert.equal(channel.send.mock.calls[0].arguments[1], 'Hi');
+    });
+
+    it('retries failed sends with backoff and gives up after three attempts', async () => {
+        channel.send = mock.fn(async () => { throw new Error('channel down'); });
+        const owner = await repository.insert('user_profiles', { mobile_number: '9876543210', business_type: 'kirana' });
+        const nudge = await repository.insert('nudges', { user_id: owner.user_id, message: 'Hi', scheduled_for: ist(10).toISOString() });
+
+        await scheduler.deliverDue(ist(10));
+        let row = await repository.findOne('nudges', { id: nudge.id });
+        assert.deepEqual([row.status, row.attempts, row.scheduled_for], ['queued', 1, ist(10, 15).toISOString()]);
+
+        await scheduler.deliverDue(ist(10, 15));
+        await scheduler.deliverDue(ist(10, 45));
+        row = await repository.findOne('nudges', { id: nudge.id });
+        assert.deepEqual([row.status, row.attempts, row.last_error], ['failed', 3, 'channel down']);
+    });
+
+    it('cancels queued nudges when the owner opts out', async () => {
+        const owner = await repository.insert('user_profiles', { mobile_number: '9876543210', business_type: 'kirana' });
+        await repository.insert('nudges', { user_id: owner.user_id, message: 'Hi' });
+
+        const preferences = await scheduler.setPreferences(owner.user_id, { opt_out: true, quiet_hours_start: 22 });
+        assert.deepEqual(preferences, { opt_out: true, quiet_hours_start: 22, quiet_hours_end: 9, timezone: 'Asia/Kolkata' });
+        assert.equal((await repository.findMany('nudges', {}))[0].status, 'cancelled');
+
+        await assert.rejects(scheduler.setPreferences(owner.user_id, { quiet_hours_end: 24 }), { status: 400 });
+    });
+});
+
+describe('NudgeScheduler.quietUntil', () => {
+    const scheduler = new NudgeScheduler({ repository: new MemoryRepository(), channel: { name: 'test' } });
+
+    it('is null outside the default 9pm to 9am quiet hours', () => {
+        assert.equal(scheduler.quietUntil({}, ist(9)), null);
+        assert.equal(scheduler.quietUntil({}, ist(20, 59)), null);
+    });
+
+    it('waits until 9am when the night has begun', () => {
+        assert.deepEqual(scheduler.quietUntil({}, ist(22, 30)), new Date(ist(9).getTime() + 24 * 60 * 60 * 1000));
+        assert.deepEqual(scheduler.quietUntil({}, ist(21)), new Date(ist(9).getTime() + 24 * 60 * 60 * 1000));
+    });
+
+    it('waits until 9am in the early morning', () => {
+        assert.deepEqual(scheduler.quietUntil({}, ist(6, 15)), ist(9));
+    });
+
+    it("uses the owner's own quiet hours, including daytime ones", () => {
+        const owner = { quiet_hours_start: 13, quiet_hours_end: 16 };
+        assert.deepEqual(scheduler.quietUntil(owner, ist(14, 20)), ist(16));
+        assert.equal(scheduler.quietUntil(owner, ist(16)), null);
+        assert.equal(scheduler.quietUntil(owner, ist(23)), null);
+    });
+
+    it('is never quiet when start and end are the same hour', () => {
+        assert.equal(scheduler.quietUntil({ quiet_hours_start: 0, quiet_hours_end: 0 }, ist(2)), null);
+    });
+});
+
+describe('parseQuietHours', () => {
+    it('reads a start and end hour', () => {
+        assert.deepEqual(parseQuietHours('21-9'), [21, 9]);
+        assert.deepEqual(parseQuietHours(' 0 - 23 '), [0, 23]);
+    });
+
+    it('refuses anything it would misread', () => {
+        for (const value of ['22:00-07:00', '21', '9pm-9am', '21-24', '']) {
+            assert.throws(() => parseQuietHours(value), /NUDGE_QUIET_HOURS must be two whole hours/);
+        }
+    });
+});
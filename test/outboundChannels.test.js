@@ -0,0 +1,35 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { WhatsAppChannel } = require('../src/outboundChannels');
+
+describe('WhatsAppChannel', () => {
+    let whatsappService;
+
+    beforeEach(() => {
+        mock.method(console, 'warn', () => {});
+        whatsappService = { sendText: mock.fn(async () => {}), sendTemplate: mock.fn(async () => {}) };
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('flattens the nudge into a single-line template parameter', async () => {
+        const channel = new WhatsAppChannel(whatsappService, 'partnur_nudge');
+
+        await channel.send({ mobile_number: '+919876543210', language_pref: 'Hindi' },
+            'Diwali is close.\n\n1. Stock up\n\t2. Put up lights     early  ');
+
+        assert.deepEqual(whatsappService.sendTemplate.mock.calls[0].arguments,
+            ['+919876543210', 'partnur_nudge', 'hi', ['Diwali is close. 1. Stock up 2. Put up lights early']]);
+        assert.equal(console.warn.mock.callCount(), 0);
+    });
+
+    it('warns when there is no template and sends plain text', async () => {
+        const channel = new WhatsAppChannel(whatsappService, undefined);
+
+        await channel.send({ mobile_number: '+919876543210' }, 'Line one\nLine two');
+
+        assert.match(console.warn.mock.calls[0].arguments[0], /WHATSAPP_NUDGE_TEMPLATE is not set/);
+        assert.deepEqual(whatsappService.sendText.mock.calls[0].arguments, ['+919876543210', 'Line one\nLine two']);
+    });
+});
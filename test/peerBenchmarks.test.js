@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PeerBenchmarks = require('../src/peerBenchmarks');
+const { cityTier, MIN_COHORT_SIZE } = require('../src/peerBenchmarks');
+const MemoryRepository = require('./helpers/memoryRepository');
+
+const CITIES = { Mumbai: { state: 'Maharashtra', tier: 1 }, Kanpur: { state: 'Uttar Pradesh', tier: 2 } };
+const PROFILE = {
+    user_id: 'u1', business_type: 'Salon', location_city: 'Kanpur', monthly_revenue: 30000, platforms_used: ['instagram']
+};
+
+// Cohorts of the given size per revenue band (null = the whole type-and-tier cohort)
+function peers(sizes) {
+    return new MemoryRepository({
+        rpc: {
+            peer_benchmark_summary: ({ p_revenue_band }) => [{
+                cohort_size: String(sizes[p_revenue_band] ?? 0),
+                revenue_p25: '25000', revenue_median: '40000.4', revenue_p75: '60000', staff_median: '2'
+            }],
+            peer_benchmark_items: ({ p_field }) => (p_field === 'platforms_used'
+                ? [{ item: 'instagram', label: 'Instagram', share_pct: '62.5' }, { item: 'zomato', label: 'Zomato', share_pct: '10' }]
+                : [])
+        }
+    });
+}
+
+describe('PeerBenchmarks', () => {
+    it('places named cities in tiers and the rest in tier 3', () => {
+        assert.equal(cityTier(' mumbai ', CITIES), 1);
+        assert.equal(cityTier('Kanpur', CITIES), 2);
+        assert.equal(cityTier('Etawah', CITIES), 3);
+        assert.equal(cityTier(null, CITIES), null);
+    });
+
+    it('compares with peers of similar revenue when there are enough of them', async () => {
+        const benchmarks = new PeerBenchmarks(peers({ under_50k: MIN_COHORT_SIZE }), CITIES);
+        const benchmark = await benchmarks.getBenchmark(PROFILE);
+
+        assert.equal(benchmark.available, true);
+        assert.deepEqual(benchmark.cohort, { business_type: 'salon', city_tier: 2, revenue_band: 'under_50k', size: MIN_COHORT_SIZE });
+        assert.equal(benchmark.revenue.median, 40000);
+        assert.equal(benchmark.revenue.position, 'typical');
+        assert.deepEqual(benchmark.common.platforms_used.map(item => [item.item, item.you_use]), [['instagram', true], ['zomato', false]]);
+        assert.match(benchmark.summary, /^Salon businesses in tier 2 cities like Kanpur with similar revenue typically use Instagram/);
+    });
+
+    it('falls back to the whole cohort, then shows nothing below the minimum size', async () => {
+        const fallback = await new PeerBenchmarks(peers({ under_50k: 2, null: MIN_COHORT_SIZE + 5 }), CITIES).getBenchmark(PROFILE);
+        assert.equal(fallback.cohort.revenue_band, null);
+        assert.equal(fallback.cohort.size, MIN_COHORT_SIZE + 5);
+
+        const tooFew = await new PeerBenchmarks(peers({ null: MIN_COHORT_SIZE - 1 }), CITIES).getBenchmark(PROFILE);
+        assert.deepEqual(tooFew, { available: false, reason: `fewer than ${MIN_COHORT_SIZE} similar businesses yet`, cohort_size: MIN_COHORT_SIZE - 1 });
+    });
+
+    it('leaves out the business itself and caches the cohort', async () => {
+        const repository = peers({ under_50k: MIN_COHORT_SIZE });
+        const benchmarks = new PeerBenchmarks(repository, CITIES);
+        await benchmarks.getBenchmark(PROFILE);
+        const calls = repository.rpcCalls.length;
+        await benchmarks.getBenchmark(PROFILE);
+
+        assert.equal(repository.rpcCalls.length, calls);
+        assert.equal(repository.rpcCalls[0].params.p_exclude_user, 'u1');
+        assert.deepEqual(repository.rpcCalls[0].params.p_cities, ['kanpur']);
+    });
+
+    it('needs a business type and a city', async () => {
+        const benchmarks = new PeerBenchmarks(peers({}), CITIES);
+        assert.equal((await benchmarks.getBenchmark({ location_city: 'Kanpur' })).available, false);
+        assert.equal((await benchmarks.getBenchmark({ business_type: 'salon' })).available, false);
+    });
+});
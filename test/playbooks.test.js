@@ -0,0 +1,68 @@
+const { describe, it, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PlaybookLibrary = require('../src/playbooks');
+const { PlaybookError, normalizeText } = require('../src/playbooks');
+
+describe('PlaybookLibrary', () => {
+    const library = new PlaybookLibrary();
+
+    it('maps free-text business types to a category, longest synonym first', () => {
+        assert.equal(library.categorize('General Store'), 'kirana');
+        assert.equal(library.categorize('mobile store'), 'retail');
+        assert.equal(library.categorize('Unisex Salons!'), 'beauty_salon');
+        assert.equal(library.categorize('किराना स्टोर'), 'kirana');
+        assert.equal(library.categorize('spaceship repair'), null);
+        assert.equal(library.categorize(''), null);
+        assert.equal(normalizeText(' Chai-Tapri, Pune '), 'chai tapri pune');
+    });
+
+    it('picks the items that apply to the profile, in its language', () => {
+        const kirana = { business_type: 'kirana', language_pref: 'English', payment_methods: [] };
+        const questions = library.itemsFor(kirana, 'questions');
+        assert.ok(questions.includes('Do you accept digital payments like UPI or cards?'));
+
+        const withUpi = library.itemsFor({ ...kirana, payment_methods: ['UPI'] }, 'questions');
+        assert.ok(!withUpi.includes('Do you accept digital payments like UPI or cards?'));
+
+        const tamil = library.itemsFor({ ...kirana, language_pref: 'Tamil' }, 'questions');
+        assert.ok(tamil.includes('Do you take orders on WhatsApp or phone for home delivery?'));
+    });
+
+    it('falls back to the common playbook for unknown businesses', () => {
+        const playbook = library.playbookFor({ business_type: 'spaceship repair' });
+        assert.equal(playbook.category, null);
+        assert.ok(playbook.tips.length > 0);
+    });
+});
+
+describe('PlaybookLibrary.load', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'playbooks-'));
+    const write = (file, data) => fs.writeFileSync(path.join(directory, file), JSON.stringify(data));
+
+    after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    it('keeps the loaded playbooks when an edited file is invalid', () => {
+        mock.method(console, 'log', () => {});
+        write('taxonomy.json', { categories: [{ id: 'tea', name: 'Tea stall', synonyms: ['chai'] }] });
+        write('common.json', { tips: [{ id: 'upi', text: 'Accept UPI' }] });
+        write('tea.json', { tips: [{ id: 'cups', text: { English: 'Sell kulhad chai' } }] });
+        const library = new PlaybookLibrary(directory);
+        assert.deepEqual(library.itemsFor({ business_type: 'chai' }, 'tips', 'English'), ['Sell kulhad chai', 'Accept UPI']);
+
+        write('tea.json', { tips: [{ text: { Hindi: 'कुल्हड़' } }], kpis: [{ id: 'cups' }] });
+        assert.throws(() => library.reload(), error => {
+            assert.ok(error instanceof PlaybookError);
+            assert.deepEqual(error.details, [
+                'tea.json tips[0]: id is required',
+                'tea.json tips[0]: text needs at least an English version',
+                'tea.json kpis[0]: id and label are required'
+            ]);
+            return true;
+        });
+        assert.equal(library.describe().categories[0].tips, 1);
+    });
+});
@@ -0,0 +1,206 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ProfileManager = require('../src/profileManager');
+const { ProfileError } = require('../src/profileManager');
+const MemoryRepository = require('./helpers/memoryRepository');
+
+const LOG_ID = '00000000-0000-4000-8000-000000000001';
+const MISSING_ID = '00000000-0000-4000-8000-0000000000ff';
+
+describe('profile history', () => {
+    let repository;
+    let profileManager;
+    let user_id;
+
+    beforeEach(async () => {
+        mock.method(console, 'log', () => {});
+        repository = new MemoryRepository();
+        profileManager = new ProfileManager(repository);
+        ({ user_id } = await repository.insert('user_profiles', { mobile_number: '9876543210', business_type: 'kirana' }));
+    });
+
+    it('records each real change with its source and message', async () => {
+        await profileManager.updateProfile(user_id, { business_type: 'salon', location_city: 'Kanpur', goals: ['more customers'] },
+            { conversation_log_id: LOG_ID });
+        await profileManager.updateProfile(user_id, { location_city: 'Kanpur', goals: ['online orders'] }, { source: 'user' });
+
+        const history = await profileManager.getProfileHistory(user_id);
+        const changes = history.map(change => [change.field, change.old_value, change.new_value, change.source]);
+        assert.deepEqual(changes.sort(), [
+            ['business_type', 'kirana', 'salon', 'ai'],
+            ['goals', [], ['more customers'], 'ai'],
+            ['goals', ['more customers'], ['more customers', 'online orders'], 'user'],
+            ['location_city', null, 'Kanpur', 'ai']
+        ]);
+
+        const fromMessage = await profileManager.getProfileHistory(user_id, { conversation_log_id: LOG_ID });
+        assert.equal(fromMessage.length, 3);
+        assert.equal((await profileManager.getProfileHistory(user_id, { field: 'goals' })).length, 2);
+    });
+
+    it('reverts one change and refuses to do it twice', async () => {
+        await profileManager.updateProfile(user_id, { business_type: 'salon' });
+        const [change] = await profileManager.getProfileHistory(user_id);
+
+        const result = await profileManager.revertChange(user_id, change.id);
+        assert.equal(result.profile.business_type, 'kirana');
+        assert.deepEqual(result.reverted, [change.id]);
+
+        const [undo] = await profileManager.getProfileHistory(user_id, { field: 'business_type' });
+        assert.equal(undo.source, 'user');
+        assert.equal(undo.reverts_change_id, change.id);
+
+        await assert.rejects(profileManager.revertChange(user_id, change.id), { status: 409 });
+    });
+
+    it('will not revert over a newer edit', async () => {
+        await profileManager.updateProfile(user_id, { business_type: 'salon' });
+        const [change] = await profileManager.getProfileHistory(user_id);
+        await profileManager.updateProfile(user_id, { business_type: 'bakery' }, { source: 'user' });
+
+        await assert.rejects(profileManager.revertChange(user_id, change.id), error => {
+            assert.ok(error instanceof ProfileError);
+            assert.equal(error.status, 409);
+            assert.deepEqual(error.details, { field: 'business_type', current_value: 'bakery' });
+            return true;
+        });
+    });
+
+    it('answers 404 for changes that are not the caller\'s', async () => {
+        await profileManager.updateProfile(user_id, { business_type: 'salon' });
+        const [change] = await profileManager.getProfileHistory(user_id);
+        const other = await repository.insert('user_profiles', { mobile_number: '9123456789' });
+
+        await assert.rejects(profileManager.revertChange(other.user_id, change.id), { status: 404 });
+        await assert.rejects(profileManager.revertChange(user_id, 'not-a-uuid'), { status: 404 });
+        await assert.rejects(profileManager.revertConversation(user_id, MISSING_ID), { status: 404 });
+    });
+
+    it('reverts a whole message, skipping fields edited since', async () => {
+        await profileManager.updateProfile(user_id, { business_type: 'salon', location_city: 'Kanpur' },
+            { conversation_log_id: LOG_ID });
+        await profileManager.updateProfile(user_id, { location_city: 'Lucknow' }, { source: 'user' });
+
+        const result = await profileManager.revertConversation(user_id, LOG_ID);
+        assert.equal(result.profile.business_type, 'kirana');
+        assert.equal(result.profile.location_city, 'Lucknow');
+        assert.equal(result.reverted.length, 1);
+        assert.deepEqual(result.skipped.map(skip => [skip.field, skip.reason]), [['location_city', 'changed since']]);
+
+        const again = await profileManager.revertConversation(user_id, LOG_ID);
+        assert.deepEqual(again.reverted, []);
+        assert.equal(again.skipped.length, 1);
+    });
+});
+
+describe('profile edits and confirmations', () => {
+    let repository;
+    let profileManager;
+    let user_id;
+
+    beforeEach(async () => {
+        mock.method(console, 'log', () => {});
+        repository = new MemoryRepository();
+        profileManager = new ProfileManager(repository);
+        ({ user_id } = await repository.insert('user_profiles', {
+            mobile_number: '9876543210',
+            business_type: 'kirana',
+            top_products: ['Maggi', 'Atta', 'Tea']
+        }));
+    });
+
+    it('previews extracted facts with arrays merged, without storing them', async () => {
+        const profile = await repository.findOne('user_profiles', { user_id });
+
+        const preview = profileManager.previewProfile(profile, { top_products: ['Tea', 'Biscuits'], location_city: 'Pune' });
+
+        assert.deepEqual(preview.top_products, ['Maggi', 'Atta', 'Tea', 'Biscuits']);
+        assert.equal(preview.location_city, 'Pune');
+        assert.ok(preview.profile_completion_score > profileManager.calculateProfileCompletion(profile));
+        assert.equal((await repository.findOne('user_profiles', { user_id })).location_city, undefined);
+    });
+
+    it('holds guesses until the owner accepts them', async () => {
+        const [pending] = await profileManager.holdForConfirmation(user_id, { monthly_revenue: 80000 },
+            { monthly_revenue: 0.5 }, { conversation_log_id: LOG_ID });
+        assert.deepEqual([pending.field, pending.value, pending.confidence, pending.status],
+            ['monthly_revenue', 80000, 0.5, 'pending']);
+        assert.equal((await repository.findOne('user_profiles', { user_id })).monthly_revenue, undefined);
+
+        const result = await profileManager.resolvePendingUpdate(user_id, pending.id, true);
+        assert.equal(result.profile.monthly_revenue, 80000);
+        assert.equal(result.pending.status, 'accepted');
+        assert.deepEqual(await profileManager.getPendingUpdates(user_id), []);
+
+        const [change] = await profileManager.getProfileHistory(user_id, { field: 'monthly_revenue' });
+        assert.equal(change.source, 'user');
+        assert.equal(change.conversation_log_id, LOG_ID);
+
+        await assert.rejects(profileManager.resolvePendingUpdate(user_id, pending.id, false), { status: 409 });
+    });
+
+    it('leaves the profile alone when a guess is rejected', async () => {
+        const [pending] = await profileManager.holdForConfirmation(user_id, { business_type: 'salon' });
+
+        const result = await profileManager.resolvePendingUpdate(user_id, pending.id, false);
+        assert.equal(result.profile.business_type, 'kirana');
+        assert.equal(result.pending.status, 'rejected');
+        await assert.rejects(profileManager.resolvePendingUpdate(user_id, MISSING_ID, true), { status: 404 });
+    });
+
+    it('replaces an older guess with newer information', async () => {
+        const [first] = await profileManager.holdForConfirmation(user_id, { location_city: 'Kanpur' });
+        const [second] = await profileManager.holdForConfirmation(user_id, { location_city: 'Lucknow' });
+        assert.deepEqual((await profileManager.getPendingUpdates(user_id)).map(pending => pending.id), [second.id]);
+
+        await profileManager.editProfile(user_id, { location_city: 'Agra' });
+        assert.deepEqual(await profileManager.getPendingUpdates(user_id), []);
+        assert.equal((await repository.findOne('pending_profile_updates', { id: first.id })).status, 'superseded');
+    });
+
+    it('replaces lists on edit and removes items by name', async () => {
+        const edited = await profileManager.editProfile(user_id, { top_products: ['Bread'], supplier_name: null });
+        assert.deepEqual(edited.top_products, ['Bread']);
+
+        const trimmed = await profileManager.removeArrayItems(user_id, 'top_products', [' bread ']);
+        assert.deepEqual(trimmed.top_products, []);
+
+        await assert.rejects(profileManager.removeArrayItems(user_id, 'top_products', ['Tea']), { status: 404 });
+        await assert.rejects(profileManager.removeArrayItems(user_id, 'business_type', ['kirana']), { status: 400 });
+    });
+});
+
+describe('getAnalytics', () => {
+    it('shapes the SQL aggregates into topics, sentiment and engagement', async () => {
+        const firstSeen = new Date(Date.now() - 20 * 24 * 60 * 60 * 1000).toISOString();
+        const repository = new MemoryRepository({
+            rpc: {
+                conversation_engagement_summary: () => [{
+                    total_conversations: '6', avg_response_time_ms: '812.4', positive: '2', neutral: '3', negative: '1',
+                    suggestions_acted_on: '1', first_seen_at: firstSeen, last_seen_at: new Date().toISOString()
+                }],
+                conversation_topic_counts: () => [{ topic: 'sales', conversations: '4' }, { topic: 'pricing', conversations: '2' }],
+                conversation_weekly_activity: () => [
+                    { week: '2026-10-05', conversations: '2', sessions: '1', active_days: '2', suggestions_acted_on: '0', avg_sentiment: null },
+                    { week: '2026-10-12', conversations: '4', sessions: '2', active_days: '3', suggestions_acted_on: '1', avg_sentiment: '0.25' }
+                ]
+            }
+        });
+
+        const analytics = await new ProfileManager(repository).getAnalytics('u1');
+
+        assert.equal(analytics.total_conversations, 6);
+        assert.equal(analytics.avg_response_time_ms, 812);
+        assert.deepEqual(analytics.topics, { sales: 4, pricing: 2 });
+        assert.deepEqual(analytics.sentiment.trend, [
+            { week: '2026-10-05', avg_sentiment: null },
+            { week: '2026-10-12', avg_sentiment: 0.25 }
+        ]);
+        assert.equal(analytics.engagement.sessions, 3);
+        assert.equal(analytics.engagement.sessions_per_week, 1);
+        assert.deepEqual([analytics.engagement.retention.active_weeks, analytics.engagement.retention.weeks_observed], [2, 3]);
+        assert.equal(analytics.engagement.retention.weekly_retention_pct, 67);
+        assert.equal(repository.rpcCalls[0].params.p_user_id, 'u1');
+    });
+});
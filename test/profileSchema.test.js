@@ -0,0 +1,255 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    PROFILE_FIELDS,
+    CONFIDENCE_FIELD,
+    METRICS_FIELD,
+    INSIGHTS_FIELD,
+    LEDGER_FIELD,
+    INVENTORY_FIELD,
+    buildExtractionToolSchema,
+    parseAmount,
+    parseQuantity,
+    normalizeWeekday,
+    normalizeTimeRange,
+    validateProfileUpdate,
+    validateProfileEdit,
+    validateMetricObservations,
+    validateLedgerEntries,
+    validateInventoryUpdates,
+    validateMessageInsights
+} = require('../src/profileSchema');
+
+const TODAY = new Date('2026-03-15T10:00:00Z');
+
+describe('parseAmount', () => {
+    it('reads plain and formatted rupee amounts', () => {
+        assert.equal(parseAmount(80000), 80000);
+        assert.equal(parseAmount('80,000'), 80000);
+        assert.equal(parseAmount('₹ 4500'), 4500);
+        assert.equal(parseAmount('Rs. 250'), 250);
+    });
+
+    it('expands Indian shorthand', () => {
+        assert.equal(parseAmount('80k'), 80000);
+        assert.equal(parseAmount('1.5 lakh'), 150000);
+        assert.equal(parseAmount('2 l'), 200000);
+        assert.equal(parseAmount('₹2 cr'), 20000000);
+        assert.equal(parseAmount('5 hazaar'), 5000);
+    });
+
+    it('returns null for anything else', () => {
+        assert.equal(parseAmount('a lot'), null);
+        assert.equal(parseAmount('5 packets'), null);
+        assert.equal(parseAmount(NaN), null);
+        assert.equal(parseAmount(null), null);
+    });
+});
+
+describe('parseQuantity', () => {
+    it('takes the leading number whatever the unit', () => {
+        assert.equal(parseQuantity(5), 5);
+        assert.equal(parseQuantity('5 packet'), 5);
+        assert.equal(parseQuantity('12.5 kg'), 12.5);
+        assert.equal(parseQuantity('1,200'), 1200);
+    });
+
+    it('never reads units as amount shorthand', () => {
+        assert.equal(parseQuantity('2 l'), 2);
+        assert.equal(parseQuantity('5 k'), 5);
+    });
+
+    it('returns null without a plain leading number', () => {
+        assert.equal(parseQuantity('-5'), null);
+        assert.equal(parseQuantity('1.5.3'), null);
+        assert.equal(parseQuantity('some'), null);
+        assert.equal(parseQuantity(''), null);
+    });
+});
+
+describe('normalizeWeekday and normalizeTimeRange', () => {
+    it('maps spoken day names and groups', () => {
+        assert.equal(normalizeWeekday('Sat'), 'Saturday');
+        assert.equal(normalizeWeekday('raviwar'), 'Sunday');
+        assert.deepEqual(normalizeWeekday('weekend'), ['Saturday', 'Sunday']);
+        assert.equal(normalizeWeekday('someday'), null);
+    });
+
+    it('normalizes time ranges to 24-hour HH:MM', () => {
+        assert.equal(normalizeTimeRange('9am-12pm'), '09:00-12:00');
+        assert.equal(normalizeTimeRange('6 to 9pm'), '18:00-21:00');
+        assert.equal(normalizeTimeRange('9:30 - 13:00'), '09:30-13:00');
+        assert.equal(normalizeTimeRange('25-26'), null);
+    });
+});
+
+describe('buildExtractionToolSchema', () => {
+    it('declares every profile field and nothing else', () => {
+        const { parameters } = buildExtractionToolSchema().function;
+
+        assert.deepEqual(Object.keys(parameters.properties).sort(), [...Object.keys(PROFILE_FIELDS), CONFIDENCE_FIELD, METRICS_FIELD, INSIGHTS_FIELD, LEDGER_FIELD, INVENTORY_FIELD].sort());
+        assert.equal(parameters.additionalProperties, false);
+        assert.deepEqual(parameters.properties.monthly_revenue.type, ['number', 'string']);
+    });
+});
+
+describe('validateProfileUpdate', () => {
+    it('coerces known fields and skips empty ones', () => {
+        const { data, rejected } = validateProfileUpdate({
+            business_type: ' salon ',
+            monthly_revenue: '1.5 lakh',
+            staff_count: '4',
+            peak_days: ['sat', 'Sunday', 'sat'],
+            pricing_model: 'Seasonal',
+            location_state: ''
+        });
+
+        assert.deepEqual(data, {
+            business_type: 'salon',
+            monthly_revenue: 150000,
+            staff_count: 4,
+            peak_days: ['Saturday', 'Sunday'],
+            pricing_model: 'seasonal'
+        });
+        assert.deepEqual(rejected, []);
+    });
+
+    it('rejects unknown fields and values it cannot read', () => {
+        const { data, rejected } = validateProfileUpdate({ favourite_colour: 'blue', staff_count: 50000, peak_hours: ['9am-12pm', 'evening'] });
+
+        assert.deepEqual(data, { peak_hours: ['09:00-12:00'] });
+        assert.deepEqual(rejected.map(entry => entry.field), ['favourite_colour', 'staff_count', 'peak_hours']);
+    });
+});
+
+describe('validateProfileEdit', () => {
+    it('clears fields set to null or empty', () => {
+        const { data, rejected } = validateProfileEdit({ supplier_name: null, top_products: [], location_city: 'Pune' });
+
+        assert.deepEqual(data, { supplier_name: null, top_products: [], location_city: 'Pune' });
+        assert.deepEqual(rejected, []);
+    });
+
+    it('rejects the whole array when any item is invalid', () => {
+        const { data, rejected } = validateProfileEdit({ peak_days: ['Monday', 'Funday'], mobile_number: '123' });
+
+        assert.deepEqual(data, {});
+        assert.deepEqual(rejected.map(entry => entry.field), ['peak_days', 'mobile_number']);
+    });
+
+    it('expects an object', () => {
+        assert.equal(validateProfileEdit(['business_type']).rejected.length, 1);
+    });
+});
+
+describe('validateMetricObservations', () => {
+    it('reads amounts and counts, defaulting the period and date', () => {
+        const { data, rejected } = validateMetricObservations([
+            { metric: 'revenue', value: '50k' },
+            { metric: 'footfall', value: '120.4', period: 'day', observed_on: '2026-03-10' }
+        ], TODAY);
+
+        assert.deepEqual(data, [
+            { metric: 'revenue', value: 50000, period: 'month', observed_on: '2026-03-15' },
+            { metric: 'footfall', value: 120, period: 'day', observed_on: '2026-03-10' }
+        ]);
+        assert.deepEqual(rejected, []);
+    });
+
+    it('rejects unknown metrics, negative values and future dates', () => {
+        const { data, rejected } = validateMetricObservations([
+            { metric: 'profit', value: 10 },
+            { metric: 'orders', value: -3 },
+            { metric: 'orders', value: 3, observed_on: '2026-04-01' }
+        ], TODAY);
+
+        assert.deepEqual(data, []);
+        assert.deepEqual(rejected.map(entry => entry.reason), ['unknown metric', 'must be 0 or more', 'invalid observed_on date']);
+        assert.equal(validateMetricObservations([{ metric: 'orders', value: 0 }], TODAY).data[0].value, 0);
+    });
+});
+
+describe('validateLedgerEntries', () => {
+    it('normalizes amounts, payment methods and dates', () => {
+        const { data, rejected } = validateLedgerEntries([
+            { type: 'sale', amount: '4.5k', payment_method: 'GPay' },
+            { type: 'credit_given', amount: 300, party: ' Gupta ji ', entry_date: '2026-03-14' }
+        ], TODAY);
+
+        assert.deepEqual(data, [
+            { entry_type: 'sale', amount: 4500, payment_method: 'upi', party: null, description: null, entry_date: '2026-03-15' },
+            { entry_type: 'credit_given', amount: 300, payment_method: null, party: 'Gupta ji', description: null, entry_date: '2026-03-14' }
+        ]);
+        assert.deepEqual(rejected, []);
+    });
+
+    it('rejects unknown types, impossible amounts and future dates', () => {
+        const { data, rejected } = validateLedgerEntries([
+            { type: 'loan', amount: 100 },
+            { type: 'sale', amount: 0 },
+            { type: 'sale', amount: '5 cr' },
+            { type: 'expense', amount: 100, entry_date: '2026-03-16' }
+        ], TODAY);
+
+        assert.deepEqual(data, []);
+        assert.deepEqual(rejected.map(entry => entry.field), ['type', 'amount', 'amount', 'entry_date']);
+    });
+});
+
+describe('validateInventoryUpdates', () => {
+    it('reads counts from their leading number and prices with shorthand', () => {
+        const { data, rejected } = validateInventoryUpdates([
+            { item: ' Maggi ', action: 'restock', quantity: '10 packet', reorder_level: 5, cost_price: '1.5k', selling_price: '₹14 each', unit: 'packet' }
+        ]);
+
+        assert.deepEqual(data, [{
+            item: 'Maggi', action: 'restock', quantity: 10, unit: 'packet',
+            cost_price: 1500, selling_price: 14, reorder_level: 5, supplier: null
+        }]);
+        assert.deepEqual(rejected, []);
+    });
+
+    it('reads counts as plain numbers and prices with shorthand', () => {
+        const { data, rejected } = validateInventoryUpdates([
+            { item: ' Doodh ', action: 'restock', quantity: '2 l', reorder_level: '5 k', cost_price: '1.5k', selling_price: '₹60 per l', unit: 'litre' }
+        ]);
+
+        assert.deepEqual(data, [{
+            item: 'Doodh', action: 'restock', quantity: 2, unit: 'litre',
+            cost_price: 1500, selling_price: 60, reorder_level: 5, supplier: null
+        }]);
+        assert.deepEqual(rejected, []);
+    });
+
+    it('needs an item name, a known action and a quantity for it', () => {
+        const { data, rejected } = validateInventoryUpdates([
+            { action: 'sold', quantity: 2 },
+            { item: 'Maggi', action: 'stolen', quantity: 2 },
+            { item: 'Maggi', action: 'sold' }
+        ]);
+
+        assert.deepEqual(data, []);
+        assert.deepEqual(rejected.map(entry => entry.field), ['item', 'Maggi.action', 'Maggi.quantity']);
+    });
+
+    it('takes zero but not negative counts and prices', () => {
+        const { data, rejected } = validateInventoryUpdates([
+            { item: 'Maggi', action: 'count', quantity: 0 },
+            { item: 'Atta', action: 'count', quantity: 4, cost_price: -40 }
+        ]);
+
+        assert.deepEqual(data.map(update => [update.item, update.quantity]), [['Maggi', 0]]);
+        assert.deepEqual(rejected.map(entry => [entry.field, entry.reason]), [['Atta.cost_price', 'must be 0 or more']]);
+    });
+});
+
+describe('validateMessageInsights', () => {
+    it('keeps up to three known topics and maps sentiment', () => {
+        assert.deepEqual(
+            validateMessageInsights({ topics: ['Sales', 'sales', 'gossip', 'pricing', 'marketing', 'finance'], sentiment: 'Negative', acted_on_suggestion: true }),
+            { topics: ['sales', 'pricing', 'marketing'], sentiment: -1, acted_on_suggestion: true }
+        );
+        assert.deepEqual(validateMessageInsights(null), { topics: [], sentiment: null, acted_on_suggestion: false });
+    });
+});
@@ -0,0 +1,116 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RateLimiter = require('../src/rateLimiter');
+
+const LIMITS = {
+    chat: { windowMs: 60 * 1000, perUser: 2, perIp: 3 },
+    trends: { windowMs: 60 * 1000, perIp: 1 }
+};
+
+// Just enough of an Express response for the middleware
+function fakeResponse() {
+    return {
+        headers: {},
+        statusCode: 200,
+        set(name, value) { this.headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+describe('RateLimiter', () => {
+    let limiter;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date', 'setInterval'] });
+        mock.method(console, 'warn', () => {});
+        limiter = new RateLimiter(LIMITS);
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    it('blocks a user past their limit and opens again with the next window', () => {
+        const hits = [1, 2, 3].map(() => limiter.consume('chat', { user: '9876543210' }).allowed);
+        assert.deepEqual(hits, [true, true, false]);
+
+        mock.timers.tick(60 * 1000);
+        assert.equal(limiter.consume('chat', { user: '9876543210' }).allowed, true);
+    });
+
+    it('counts each scope separately and reports the tightest', () => {
+        assert.equal(limiter.consume('chat', { ip: '1.1.1.1', user: 'a' }).remaining, 1);
+        assert.equal(limiter.consume('chat', { ip: '1.1.1.1', user: 'b' }).remaining, 1);
+        assert.equal(limiter.consume('chat', { ip: '1.1.1.1', user: 'c' }).remaining, 0);
+        assert.equal(limiter.consume('chat', { ip: '1.1.1.1', user: 'd' }).allowed, false);
+        assert.equal(limiter.consume('chat', { ip: '2.2.2.2', user: 'd' }).allowed, true);
+    });
+
+    it('ignores scopes a group does not limit', () => {
+        assert.equal(limiter.consume('trends', { ip: '1.1.1.1', user: 'a' }).allowed, true);
+        assert.equal(limiter.consume('trends', { ip: '1.1.1.1', user: 'b' }).allowed, false);
+        assert.deepEqual(limiter.consume('chat', {}), { allowed: true });
+        assert.throws(() => limiter.consume('nope', { ip: '1.1.1.1' }), /Unknown rate limit group/);
+    });
+
+    it('answers 429 with Retry-After once the limit is hit', () => {
+        const middleware = limiter.middleware('trends');
+        const next = mock.fn();
+
+        const first = fakeResponse();
+        middleware({ ip: '1.1.1.1', body: {} }, first, next);
+        assert.equal(next.mock.callCount(), 1);
+        assert.equal(first.headers['RateLimit-Remaining'], '0');
+
+        const second = fakeResponse();
+        middleware({ ip: '1.1.1.1', body: {} }, second, next);
+        assert.equal(next.mock.callCount(), 1);
+        assert.equal(second.statusCode, 429);
+        assert.equal(second.headers['Retry-After'], '60');
+        assert.equal(second.body.retry_after_seconds, 60);
+    });
+
+    it('counts requests against the number userKey picks, or only the IP without one', () => {
+        const normalized = limiter.middleware('chat', { userKey: req => req.body.mobile_number.replace(/^\+91|\s/g, '') });
+        const next = mock.fn();
+        for (const [ip, mobile_number] of [['1.1.1.1', '9876543210'], ['2.2.2.2', '+91 98765 43210'], ['3.3.3.3', '98765 43210']]) {
+            normalized({ ip, body: { mobile_number } }, fakeResponse(), next);
+        }
+        assert.equal(next.mock.callCount(), 2);
+
+        const ipOnly = limiter.middleware('chat', { userKey: null });
+        for (const mobile_number of ['9123456789', '9123456789', '9123456789']) {
+            ipOnly({ ip: '4.4.4.4', body: { mobile_number } }, fakeResponse(), next);
+        }
+        assert.equal(next.mock.callCount(), 5);
+    });
+
+    it('forgets expired windows on cleanup', () => {
+        limiter.consume('chat', { user: 'a' });
+        mock.timers.tick(5 * 60 * 1000);
+        assert.equal(limiter.counters.size, 0);
+    });
+});
+
+describe('rate limit overrides', () => {
+    afterEach(() => {
+        delete process.env.RATE_LIMIT_CHAT_PER_USER;
+    });
+
+    it('reads whole numbers from the environment', () => {
+        process.env.RATE_LIMIT_CHAT_PER_USER = '20';
+        const limiter = new RateLimiter();
+
+        assert.deepEqual(limiter.limits.chat, { windowMs: 60 * 1000, perUser: 20, perIp: 30 });
+    });
+
+    it('refuses to start on values that are not positive whole numbers', () => {
+        for (const value of ['twenty', '', '0', '-5', '1.5']) {
+            process.env.RATE_LIMIT_CHAT_PER_USER = value;
+            assert.throws(() => new RateLimiter(), /RATE_LIMIT_CHAT_PER_USER must be a positive whole number/);
+        }
+    });
+});
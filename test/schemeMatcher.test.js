@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SchemeMatcher = require('../src/schemeMatcher');
+
+const SCHEMES = [
+    {
+        id: 'micro-loan', name: 'Micro Loan', level: 'central', kind: 'loan', benefit: 'Up to ₹10 lakh', url: 'https://example.gov.in/micro',
+        criteria: [{ field: 'annual_turnover', max: 5000000, label: 'Turnover up to ₹50 lakh' }]
+    },
+    {
+        id: 'up-salon', name: 'UP Salon Grant', level: 'state', kind: 'grant', benefit: '₹25,000', url: 'https://example.up.gov.in/salon',
+        criteria: [
+            { field: 'location_state', in: ['Uttar Pradesh'], label: 'Business in Uttar Pradesh' },
+            { field: 'business_type', includes: ['salon', 'parlour'], label: 'Beauty business' }
+        ],
+        confirm: ['Udyam registration']
+    },
+    {
+        id: 'factory', name: 'Factory Scheme', level: 'central', kind: 'subsidy', benefit: '35% subsidy', url: 'https://example.gov.in/factory',
+        criteria: [
+            { field: 'staff_count', min: 10, label: 'At least 10 workers' },
+            { field: 'business_type', excludes: ['salon'], label: 'Manufacturing' }
+        ]
+    }
+];
+const CITIES = { Kanpur: { state: 'Uttar Pradesh' }, Pune: { state: 'Maharashtra' } };
+
+describe('SchemeMatcher', () => {
+    const matcher = new SchemeMatcher(SCHEMES, CITIES);
+
+    it('derives the state from the city and yearly turnover from monthly revenue', () => {
+        assert.deepEqual(matcher.factsFor({ location_city: ' kanpur ', monthly_revenue: 100000, business_type: 'salon' }), {
+            business_type: 'salon',
+            location_state: 'Uttar Pradesh',
+            monthly_revenue: 100000,
+            annual_turnover: 1200000,
+            staff_count: null
+        });
+    });
+
+    it('ranks likely schemes first, state schemes ahead among equals, and drops ruled out ones', () => {
+        const matches = matcher.match({ business_type: 'Salon', location_city: 'Kanpur', monthly_revenue: 100000, staff_count: 3 });
+
+        assert.deepEqual(matches.map(match => [match.id, match.status]), [['up-salon', 'likely'], ['micro-loan', 'likely']]);
+        assert.deepEqual(matches[0].reasons, ['Business in Uttar Pradesh (yours: Uttar Pradesh)', 'Beauty business (yours: Salon)']);
+        assert.deepEqual(matches[0].to_confirm, ['Udyam registration']);
+        assert.deepEqual(matches[1].reasons, ['Turnover up to ₹50 lakh (yours: about ₹12,00,000 a year)']);
+    });
+
+    it('keeps schemes it cannot check yet as possible, with the question to ask', () => {
+        const matches = matcher.match({ business_type: 'salon' });
+
+        assert.deepEqual(matches.map(match => [match.id, match.status]), [['up-salon', 'possible'], ['micro-loan', 'possible']]);
+        assert.deepEqual(matches[1].missing_data, [{ field: 'monthly_revenue', question: 'Roughly how much does the business sell in a month?' }]);
+        assert.deepEqual(matcher.missingProfileFields(matches).map(entry => [entry.field, entry.schemes]), [['location_state', 1], ['monthly_revenue', 1]]);
+    });
+
+    it('explains ruled out schemes when asked, and honours the limit', () => {
+        const matches = matcher.match({ business_type: 'salon', location_state: 'Maharashtra', monthly_revenue: 1000000, staff_count: 12 }, { includeRuledOut: true });
+
+        assert.ok(matches.every(match => match.status === 'ruled_out'));
+        assert.deepEqual(matches.find(match => match.id === 'factory').ruled_out_by, ['Manufacturing (yours: salon)']);
+        assert.equal(matcher.match({}, { limit: 1 }).length, 1);
+    });
+
+    it('spots funding questions in English, Hinglish and Hindi', () => {
+        assert.ok(matcher.isFundingQuestion('Mudra loan kaise milega?'));
+        assert.ok(matcher.isFundingQuestion('business ke liye karza chahiye'));
+        assert.ok(matcher.isFundingQuestion('कोई सरकारी योजना है?'));
+        assert.ok(!matcher.isFundingQuestion('aaj sale kaisi rahi?'));
+    });
+
+    it('tells funding questions apart from udhaar in the ledger', () => {
+        assert.ok(!matcher.isFundingQuestion('Gupta ji ko 300 udhaar diya'));
+        assert.ok(!matcher.isFundingQuestion('supplier se karz liya'));
+    });
+
+    it('loads the bundled schemes', () => {
+        const matches = new SchemeMatcher().match({ business_type: 'grocery store', location_city: 'Kanpur', monthly_revenue: 150000, staff_count: 2 });
+
+        assert.ok(matches.length > 0);
+        assert.ok(matches.every(match => match.id && match.name && match.status !== 'ruled_out'));
+    });
+});
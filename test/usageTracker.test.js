@@ -0,0 +1,45 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const UsageTracker = require('../src/usageTracker');
+const MemoryRepository = require('./helpers/memoryRepository');
+
+describe('UsageTracker', () => {
+    let repository;
+    let tracker;
+
+    beforeEach(() => {
+        repository = new MemoryRepository();
+        tracker = new UsageTracker(repository);
+    });
+
+    it('prices calls by the longest matching model name', () => {
+        const usage = { prompt_tokens: 1e6, completion_tokens: 1e6 };
+        assert.equal(tracker.estimateCost('gpt-4o-mini-2024-07-18', usage), 0.75);
+        assert.equal(tracker.estimateCost('gpt-4o', usage), 12.5);
+        assert.equal(tracker.estimateCost('some-new-model', usage), 90);
+        assert.equal(tracker.estimateCost('mock', usage), 0);
+    });
+
+    it('records each call through the monthly rollup function', async () => {
+        await tracker.record('u1', { model: 'gpt-4o', usage: { prompt_tokens: 1000, completion_tokens: 100 } });
+        await tracker.record('u1', { model: 'gpt-4o' });
+
+        assert.equal(repository.rpcCalls.length, 1);
+        const { fn, params } = repository.rpcCalls[0];
+        assert.equal(fn, 'record_llm_usage');
+        assert.equal(params.p_month, tracker.currentMonth());
+        assert.equal(params.p_cost_usd, 0.0035);
+    });
+
+    it('moves to the economy model near the budget and stops at it', async () => {
+        const month = tracker.currentMonth();
+        assert.equal(await tracker.getBudgetStatus('u1'), 'ok');
+
+        await repository.insert('llm_usage_monthly', { user_id: 'u2', month, cost_usd: 1.7 });
+        await repository.insert('llm_usage_monthly', { user_id: 'u3', month, cost_usd: '2.5' });
+        assert.equal(await tracker.getBudgetStatus('u2'), 'economy');
+        assert.equal(await tracker.getBudgetStatus('u3'), 'exceeded');
+        assert.equal(await tracker.getBudgetStatus(null), 'ok');
+    });
+});
@@ -0,0 +1,21 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const WhatsAppService = require('../src/whatsappService');
+
+describe('WhatsAppService.buildButtons', () => {
+    const whatsapp = new WhatsAppService();
+
+    it('shortens long titles and skips suggestions that would repeat one', () => {
+        const buttons = whatsapp.buildButtons([
+            'How should I price thalis?',
+            'How should I price snacks?',
+            'Get more customers',
+            'Get more customers',
+            'Plan Diwali offers'
+        ]);
+
+        assert.deepEqual(buttons.map(button => button.reply.title), ['How should I price …', 'Get more customers', 'Plan Diwali offers']);
+        assert.equal(buttons[0].reply.id, 'suggestion:How should I price thalis?');
+    });
+});